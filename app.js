@@ -2,12 +2,15 @@ import express from 'express';
 import bodyParser from 'body-parser';
 import cors from 'cors';
 import helmet from 'helmet';
-import rateLimit from 'express-rate-limit';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import uploadConfig from './src/config/upload.js';
+import storageConfig from './src/config/storage.js';
+import { allowedOrigins, exposedHeaders } from './src/config/cors.js';
+import rateLimitConfig from './src/config/rateLimit.js';
 
 import authRoutes from './src/routes/authRoutes.js';
+import oidcRoutes from './src/routes/oidcRoutes.js';
 import resourceRoutes from './src/routes/resourceRoutes.js';
 import userRoutes from './src/routes/userRoutes.js';
 import adminRoutes from './src/routes/adminRoutes.js';
@@ -24,8 +27,11 @@ import courseRoutes from './src/routes/courseRoutes.js';
 import academicPeriodRoutes from './src/routes/academicPeriodRoutes.js';
 import reportRoutes from './src/routes/reportRoutes.js';
 import commentRoutes from './src/routes/commentRoutes.js';
+import fileRoutes from './src/routes/fileRoutes.js';
+import uploadRoutes from './src/routes/uploadRoutes.js';
 
 import { standardResponse, errorHandler } from './src/middleware/responseMiddleware.js';
+import createRateLimiter from './src/middleware/rateLimitMiddleware.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -34,12 +40,7 @@ const app = express();
 
 app.set('upload', uploadConfig);
 
-const limiter = rateLimit({
-    windowMs: 15 * 60 * 1000,
-    max: 10000,
-    message: 'Too many requests from this IP, please try again later.',
-    skip: () => true
-});
+app.set('trust proxy', rateLimitConfig.trustProxy);
 
 // Middleware
 app.use(helmet({
@@ -51,22 +52,19 @@ app.use(helmet({
         },
     }
 }));
-app.use(limiter);
 app.use(cors({
-    origin: [
-        'http://localhost:5173',
-        'http://localhost:5001',
-        'http://localhost:5000', 
-        'http://localhost:3000',
-        process.env.FRONTEND_URL
-    ].filter(Boolean),
-    credentials: true
+    origin: allowedOrigins,
+    credentials: true,
+    exposedHeaders
 }));
 app.use(bodyParser.json({ limit: '10mb' }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 
 app.use(standardResponse);
 
+// Named rate-limit policies (auth / write / read) - see src/config/rateLimit.js
+app.use('/api', createRateLimiter(rateLimitConfig));
+
 app.use((req, res, next) => {
     console.log('🌍 GLOBAL REQUEST:', {
         method: req.method,
@@ -81,8 +79,16 @@ app.use((req, res, next) => {
     next();
 });
 
-app.use('/uploads', express.static(path.join(__dirname, 'public/uploads')));
+// Only public files (avatars) are served statically; resource files go through /api/files
+// with a signed URL. With S3 the bucket serves them
+if (storageConfig.driver === 'local') {
+    for (const dir of storageConfig.local.publicDirs) {
+        app.use(`/uploads/${dir}`, express.static(path.join(storageConfig.local.root, dir)));
+    }
+}
 
+// Before authRoutes: its routes after router.use(authMiddleware) would require a token
+app.use('/api/auth/oidc', oidcRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/resources', resourceRoutes);
 app.use('/api/users', userRoutes);
@@ -100,6 +106,8 @@ app.use('/api/courses', courseRoutes);
 app.use('/api/academic-periods', academicPeriodRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/comments', commentRoutes);
+app.use('/api/files', fileRoutes);
+app.use('/api/uploads', uploadRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -1,18 +1,49 @@
 import 'dotenv/config';
+import http from 'http';
 import app from './app.js';
 import sequelize from './src/config/database.js';
+import storageConfig from './src/config/storage.js';
+import { Permission } from './src/models/index.js';
+import SocketService from './src/services/SocketService.js';
+import EmailService from './src/services/EmailService.js';
+import DigestService from './src/services/DigestService.js';
+import AcademicPeriodLifecycleService from './src/services/AcademicPeriodLifecycleService.js';
+import ResumableUploadService from './src/services/ResumableUploadService.js';
 
 const PORT = process.env.PORT || 5000;
 
 async function startServer() {
   try {
+    // Anyone knowing a default secret could sign download URLs for any file
+    if (storageConfig.driver === 'local' && !storageConfig.local.signingSecret) {
+      throw new Error('DOWNLOAD_URL_SECRET (o JWT_SECRET) es obligatorio para firmar las URLs de descarga');
+    }
+
     await sequelize.authenticate();
     console.log('✅ Conexión a PostgreSQL establecida correctamente.');
     
     await sequelize.sync();
     console.log('✅ Modelos sincronizados con la base de datos.');
 
-    app.listen(PORT, () => {
+    // requirePermission resolves role defaults from these rows
+    await Permission.createDefaultPermissions();
+
+    const server = http.createServer(app);
+    SocketService.initialize(server);
+
+    // Deliver queued emails and retry failed ones in the background
+    EmailService.startWorker();
+
+    // Send daily/weekly digests to users who asked for them
+    DigestService.startScheduler();
+
+    // Move academic periods along the calendar and keep a single current one
+    AcademicPeriodLifecycleService.startScheduler();
+
+    // Drop resumable uploads that were abandoned or finished long ago
+    ResumableUploadService.startScheduler();
+
+    server.listen(PORT, () => {
       console.log(`🚀 Servidor corriendo en http://localhost:${PORT}`);
       console.log(`📚 Documentación disponible en http://localhost:${PORT}/api/health`);
     });
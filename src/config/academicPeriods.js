@@ -0,0 +1,14 @@
+import 'dotenv/config';
+
+// Academic period lifecycle - how often the in-process job moves statuses and the current period
+const academicPeriodConfig = {
+  enabled: process.env.ACADEMIC_PERIOD_SCHEDULER_ENABLED !== 'false',
+  pollIntervalMs: parseInt(process.env.ACADEMIC_PERIOD_POLL_INTERVAL_MS) || 60 * 60 * 1000,
+  // IANA timezone of the campus: periods start and end at its local midnight, not UTC's
+  timeZone: process.env.ACADEMIC_PERIOD_TIMEZONE || 'UTC',
+  // What happens on rollover (see observers/AcademicPeriodObserver.js)
+  archiveStaleDrafts: process.env.ACADEMIC_PERIOD_ARCHIVE_DRAFTS !== 'false',
+  completeEnrollments: process.env.ACADEMIC_PERIOD_COMPLETE_ENROLLMENTS !== 'false'
+};
+
+export default academicPeriodConfig;
@@ -0,0 +1,46 @@
+import 'dotenv/config';
+
+// Account security settings
+const authConfig = {
+  emailVerification: {
+    tokenTtlMinutes: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 24 * 60,
+    resendCooldownSeconds: parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN) || 60,
+    // When true, uploads and comments require a verified email
+    required: process.env.REQUIRE_EMAIL_VERIFICATION === 'true'
+  },
+  passwordReset: {
+    tokenTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60
+  },
+  // Failed-login counters: backoff after `freeAttempts`, lockout at `maxAttempts`
+  loginProtection: {
+    store: process.env.LOGIN_PROTECTION_STORE || 'memory',
+    account: {
+      freeAttempts: parseInt(process.env.LOGIN_ACCOUNT_FREE_ATTEMPTS) || 3,
+      maxAttempts: parseInt(process.env.LOGIN_ACCOUNT_MAX_ATTEMPTS) || 10
+    },
+    ip: {
+      freeAttempts: parseInt(process.env.LOGIN_IP_FREE_ATTEMPTS) || 10,
+      maxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 50
+    },
+    baseDelaySeconds: parseInt(process.env.LOGIN_BASE_DELAY_SECONDS) || 2,
+    maxDelaySeconds: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 5 * 60,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30,
+    // Counters are forgotten after this long without a new failure
+    windowMinutes: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 60
+  },
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'UniShare',
+    // Users with these roles can't get a session until they enroll
+    requiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES || 'admin,moderator')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean),
+    challengeTtlMinutes: parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES) || 5,
+    recoveryCodeCount: parseInt(process.env.TWO_FACTOR_RECOVERY_CODES) || 10,
+    // Accepted clock drift, in 30 second steps
+    window: parseInt(process.env.TWO_FACTOR_WINDOW) || 1,
+    encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-two-factor-encryption-key'
+  }
+};
+
+export default authConfig;
@@ -0,0 +1,22 @@
+// Allowed origins shared by the HTTP API and the Socket.IO server
+export const allowedOrigins = [
+    'http://localhost:5173',
+    'http://localhost:5001',
+    'http://localhost:5000',
+    'http://localhost:3000',
+    process.env.FRONTEND_URL
+].filter(Boolean);
+
+// Response headers browsers may read: the resumable upload (tus) protocol lives in headers
+export const exposedHeaders = [
+    'Location',
+    'Upload-Offset',
+    'Upload-Length',
+    'Upload-Expires',
+    'Tus-Resumable',
+    'Tus-Version',
+    'Tus-Extension',
+    'Tus-Max-Size'
+];
+
+export default allowedOrigins;
@@ -0,0 +1,11 @@
+import 'dotenv/config';
+
+// Duplicate uploads - what happens when a file with the same SHA-256 already exists
+const deduplicationConfig = {
+  // 'reject' answers 409 with a link to the existing resource; 'flag' accepts it and sets duplicate_of
+  policy: process.env.DUPLICATE_UPLOAD_POLICY === 'flag' ? 'flag' : 'reject',
+  // Storage key prefix of the content-addressed blobs (see config/storage.js)
+  blobPrefix: 'blobs'
+};
+
+export default deduplicationConfig;
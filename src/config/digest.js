@@ -0,0 +1,17 @@
+import 'dotenv/config';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Digest emails - how often users get them and how often the in-process job checks
+const digestConfig = {
+  enabled: process.env.DIGEST_ENABLED !== 'false',
+  pollIntervalMs: parseInt(process.env.DIGEST_POLL_INTERVAL_MS) || 15 * 60 * 1000,
+  intervals: {
+    daily: 24 * HOUR_MS,
+    weekly: 7 * 24 * HOUR_MS
+  },
+  batchSize: parseInt(process.env.DIGEST_BATCH_SIZE) || 100,
+  maxItems: parseInt(process.env.DIGEST_MAX_ITEMS) || 20
+};
+
+export default digestConfig;
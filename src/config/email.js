@@ -0,0 +1,35 @@
+import path from 'path';
+import 'dotenv/config';
+
+// Default transport: real SMTP in production, in-memory for tests, files for local dev
+const defaultTransport = () => {
+  if (process.env.NODE_ENV === 'production') return 'smtp';
+  if (process.env.NODE_ENV === 'test') return 'memory';
+  return 'file';
+};
+
+const emailConfig = {
+  transport: process.env.EMAIL_TRANSPORT || defaultTransport(),
+  from: process.env.EMAIL_FROM || 'UniShare <no-reply@unishare.local>',
+  defaultLocale: process.env.EMAIL_DEFAULT_LOCALE || 'es',
+  appUrl: process.env.FRONTEND_URL || 'http://localhost:5173',
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || '',
+    password: process.env.SMTP_PASSWORD || ''
+  },
+  file: {
+    directory: process.env.EMAIL_FILE_DIR || path.join(process.cwd(), 'storage', 'emails')
+  },
+  outbox: {
+    maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5,
+    retryBaseMs: parseInt(process.env.EMAIL_RETRY_BASE_MS) || 60 * 1000,
+    retryMaxMs: parseInt(process.env.EMAIL_RETRY_MAX_MS) || 6 * 60 * 60 * 1000,
+    pollIntervalMs: parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS) || 30 * 1000,
+    batchSize: parseInt(process.env.EMAIL_OUTBOX_BATCH_SIZE) || 20
+  }
+};
+
+export default emailConfig;
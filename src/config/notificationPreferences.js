@@ -0,0 +1,120 @@
+// 🔔 Notification preferences - event types, channels and per-user defaults
+// User.preferences is validated against this shape by UserValidator.validatePreferences
+
+export const NOTIFICATION_CHANNELS = ['inapp', 'email', 'push', 'sms'];
+
+export const SUPPORTED_LANGUAGES = ['es', 'en'];
+
+export const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+/**
+ * Notification types a user can configure.
+ * `defaults` are used until the user changes them; `mandatory` channels are
+ * always delivered and cannot be turned off (security alerts).
+ */
+export const NOTIFICATION_EVENT_TYPES = {
+  resource_comment: {
+    description: 'Comentarios en tus recursos',
+    defaults: { inapp: true, email: false, push: false, sms: false }
+  },
+  comment_reply: {
+    description: 'Respuestas a tus comentarios',
+    defaults: { inapp: true, email: false, push: false, sms: false }
+  },
+  resource_like: {
+    description: 'Me gusta en tus recursos',
+    defaults: { inapp: true, email: false, push: false, sms: false }
+  },
+  resource_moderation: {
+    description: 'Resultado de la moderación de tus recursos',
+    defaults: { inapp: true, email: true, push: false, sms: false }
+  },
+  course_resource: {
+    description: 'Nuevo material en los cursos en los que estás matriculado',
+    defaults: { inapp: true, email: false, push: false, sms: false }
+  },
+  report_resolution: {
+    description: 'Resolución de tus reportes',
+    defaults: { inapp: true, email: true, push: false, sms: false }
+  },
+  profile_update: {
+    description: 'Cambios en tu perfil',
+    defaults: { inapp: true, email: false, push: false, sms: false }
+  },
+  avatar_update: {
+    description: 'Cambios en tu foto de perfil',
+    defaults: { inapp: true, email: false, push: false, sms: false }
+  },
+  digest: {
+    description: 'Resumen periódico de novedades',
+    defaults: { inapp: false, email: true, push: false, sms: false }
+  },
+  security_alert: {
+    description: 'Alertas de seguridad de tu cuenta',
+    defaults: { inapp: true, email: true, push: false, sms: false },
+    mandatory: ['inapp', 'email']
+  }
+};
+
+export const DEFAULT_LANGUAGE = 'es';
+
+export const DEFAULT_DIGEST_FREQUENCY = 'off';
+
+/**
+ * Fill in every missing event type/channel with its default so callers always
+ * get the complete shape, and force mandatory channels on.
+ * @param {Object} preferences - Stored User.preferences (possibly partial)
+ * @returns {Object} Complete preferences
+ */
+export const resolvePreferences = (preferences = {}) => {
+  const stored = preferences || {};
+  const notifications = {};
+
+  for (const [eventType, definition] of Object.entries(NOTIFICATION_EVENT_TYPES)) {
+    const channels = { ...definition.defaults, ...(stored.notifications?.[eventType] || {}) };
+
+    for (const channel of definition.mandatory || []) {
+      channels[channel] = true;
+    }
+
+    notifications[eventType] = channels;
+  }
+
+  return {
+    ...stored,
+    language: stored.language || DEFAULT_LANGUAGE,
+    digest: {
+      frequency: stored.digest?.frequency || DEFAULT_DIGEST_FREQUENCY
+    },
+    notifications
+  };
+};
+
+/**
+ * Whether a channel is enabled for an event type.
+ * Unknown event types are not configurable, so they are always delivered.
+ * @param {Object} preferences - Stored User.preferences
+ * @param {string} eventType - Notification type, e.g. "resource_comment"
+ * @param {string} channel - Channel name
+ * @returns {boolean}
+ */
+export const isChannelEnabled = (preferences, eventType, channel) => {
+  const definition = NOTIFICATION_EVENT_TYPES[eventType];
+  if (!definition) return true;
+  if (definition.mandatory?.includes(channel)) return true;
+
+  return resolvePreferences(preferences).notifications[eventType][channel] === true;
+};
+
+/**
+ * Channels enabled for an event type, in NOTIFICATION_CHANNELS order.
+ * Unknown event types only go in-app.
+ * @param {Object} preferences - Stored User.preferences
+ * @param {string} eventType - Notification type
+ * @returns {string[]}
+ */
+export const enabledChannels = (preferences, eventType) => {
+  if (!NOTIFICATION_EVENT_TYPES[eventType]) return ['inapp'];
+
+  return NOTIFICATION_CHANNELS.filter(channel => isChannelEnabled(preferences, eventType, channel));
+};
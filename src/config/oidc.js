@@ -0,0 +1,56 @@
+import 'dotenv/config';
+import emailConfig from './email.js';
+
+const list = (value, fallback = []) => (value
+  ? value.split(',').map(item => item.trim()).filter(Boolean)
+  : fallback);
+
+/**
+ * One OpenID Connect provider, read from OIDC_<ID>_* variables.
+ * Endpoints come from the issuer's discovery document, so any compliant IdP
+ * (campus Keycloak, Azure AD, Google Workspace, a local mock...) works the same way.
+ */
+const providerFromEnv = (id) => {
+  const prefix = `OIDC_${id.toUpperCase()}`;
+  const env = (name, fallback = '') => process.env[`${prefix}_${name}`] || fallback;
+
+  return {
+    id,
+    name: env('NAME', id),
+    issuer: env('ISSUER'),
+    clientId: env('CLIENT_ID'),
+    // Empty for public clients - PKCE protects the code exchange
+    clientSecret: env('CLIENT_SECRET'),
+    // Frontend page that receives ?code&state and posts them to /api/auth/oidc/:provider/callback
+    redirectUri: env('REDIRECT_URI', `${emailConfig.appUrl}/auth/sso/${id}/callback`),
+    scopes: list(env('SCOPES'), ['openid', 'email', 'profile']),
+    // Only emails of these domains may log in (empty = any domain)
+    allowedDomains: list(env('ALLOWED_DOMAINS')).map(domain => domain.toLowerCase()),
+    // ID-token claims mapped to User fields
+    claims: {
+      email: env('EMAIL_CLAIM', 'email'),
+      name: env('NAME_CLAIM', 'name'),
+      firstName: env('FIRST_NAME_CLAIM', 'given_name'),
+      lastName: env('LAST_NAME_CLAIM', 'family_name'),
+      studentId: env('STUDENT_ID_CLAIM', 'student_id'),
+      employeeId: env('EMPLOYEE_ID_CLAIM', 'employee_id')
+    },
+    // Role of accounts created on first login, by the kind of ID the token carries
+    roles: {
+      student: env('STUDENT_ROLE', 'student'),
+      employee: env('EMPLOYEE_ROLE', 'teacher')
+    }
+  };
+};
+
+const oidcConfig = {
+  providers: list(process.env.OIDC_PROVIDERS).map(providerFromEnv),
+  // How long the state/PKCE verifier of a started login is kept
+  stateTtlMinutes: parseInt(process.env.OIDC_STATE_TTL_MINUTES) || 10,
+  // Discovery documents and JWKS are cached this long
+  metadataTtlMinutes: parseInt(process.env.OIDC_METADATA_TTL_MINUTES) || 60,
+  // Accepted clock difference with the IdP when checking ID-token times
+  clockToleranceSeconds: parseInt(process.env.OIDC_CLOCK_TOLERANCE_SECONDS) || 60
+};
+
+export default oidcConfig;
@@ -0,0 +1,66 @@
+import 'dotenv/config';
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const READ_METHODS = ['GET', 'HEAD'];
+
+// Limit and window of a policy, overridable with RATE_LIMIT_<NAME>_LIMIT / _WINDOW_MINUTES
+const policyFromEnv = (name, defaults) => ({
+  ...defaults,
+  limit: parseInt(process.env[`RATE_LIMIT_${name}_LIMIT`]) || defaults.limit,
+  windowMinutes: parseInt(process.env[`RATE_LIMIT_${name}_WINDOW_MINUTES`]) || defaults.windowMinutes
+});
+
+// Named rate-limit policies. Paths are relative to /api; the first matching policy wins.
+// Authenticated requests are counted per user, anonymous ones per IP.
+const rateLimitConfig = {
+  enabled: process.env.RATE_LIMIT_ENABLED
+    ? process.env.RATE_LIMIT_ENABLED === 'true'
+    : process.env.NODE_ENV !== 'test',
+  // Express 'trust proxy' setting, so req.ip is the client behind a reverse proxy (e.g. TRUST_PROXY=1)
+  trustProxy: process.env.TRUST_PROXY
+    ? (parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY)
+    : false,
+  policies: {
+    // Token rotation: every open tab refreshes on its own, so it gets a budget apart from logins
+    refresh: policyFromEnv('REFRESH', {
+      paths: ['/auth/refresh-token'],
+      methods: ['POST'],
+      limit: 300,
+      windowMinutes: 15,
+      message: 'Demasiadas renovaciones de sesión, intenta de nuevo más tarde'
+    }),
+    // Login, register, password reset... Reads like /auth/me fall through to `read`
+    auth: policyFromEnv('AUTH', {
+      paths: ['/auth'],
+      methods: WRITE_METHODS,
+      limit: 20,
+      windowMinutes: 15,
+      message: 'Demasiadas solicitudes de autenticación, intenta de nuevo más tarde'
+    }),
+    write: policyFromEnv('WRITE', {
+      paths: ['/comments', '/reports', '/resources'],
+      methods: WRITE_METHODS,
+      limit: 60,
+      windowMinutes: 15,
+      message: 'Demasiadas publicaciones en poco tiempo, intenta de nuevo más tarde'
+    }),
+    // Starting and finalizing resumable uploads; their chunks (PATCH) are not counted
+    uploads: policyFromEnv('UPLOADS', {
+      paths: ['/uploads'],
+      methods: ['POST', 'DELETE'],
+      limit: 30,
+      windowMinutes: 15,
+      message: 'Demasiadas subidas en poco tiempo, intenta de nuevo más tarde'
+    }),
+    read: policyFromEnv('READ', {
+      paths: ['/'],
+      methods: READ_METHODS,
+      limit: 1000,
+      windowMinutes: 15,
+      message: 'Demasiadas solicitudes, intenta de nuevo más tarde'
+    })
+  }
+};
+
+export default rateLimitConfig;
+export { WRITE_METHODS, READ_METHODS };
@@ -0,0 +1,46 @@
+import 'dotenv/config';
+import path from 'path';
+import storageConfig from './storage.js';
+
+const MB = 1024 * 1024;
+const megabytes = (name, fallback) => (parseInt(process.env[name]) || fallback) * MB;
+
+// Resumable (tus) uploads - large files such as lecture videos, sent in chunks
+const resumableUploadConfig = {
+  // Max file size per resource type (UPLOAD_MAX_<TYPE>_MB). file_size is an INTEGER column: stay under 2048 MB
+  maxSizes: {
+    document: megabytes('UPLOAD_MAX_DOCUMENT_MB', 100),
+    image: megabytes('UPLOAD_MAX_IMAGE_MB', 20),
+    audio: megabytes('UPLOAD_MAX_AUDIO_MB', 500),
+    video: megabytes('UPLOAD_MAX_VIDEO_MB', 2000)
+  },
+  // Accepted formats per resource type (ResourceValidator types); types not listed here can't be uploaded this way
+  mimeTypes: {
+    // Slides and spreadsheets are documents too
+    document: [
+      'application/pdf',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-powerpoint',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'text/csv',
+      'text/plain'
+    ],
+    image: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
+    audio: ['audio/mpeg', 'audio/mp4', 'audio/x-m4a', 'audio/ogg', 'audio/wav', 'audio/webm'],
+    video: ['video/mp4', 'video/webm', 'video/quicktime', 'video/x-matroska']
+  },
+  // Partial files live on this server's disk until finalized into the storage
+  tempDir: process.env.UPLOAD_SESSION_DIR || path.join(storageConfig.tempDir, 'resumable'),
+  // An unfinished session expires this long after its last chunk (and a finished one after finalizing)
+  sessionTtlMs: (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000,
+  // In-process job removing expired sessions and their partial files
+  cleanup: {
+    enabled: process.env.UPLOAD_CLEANUP_ENABLED !== 'false',
+    pollIntervalMs: parseInt(process.env.UPLOAD_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000
+  }
+};
+
+export default resumableUploadConfig;
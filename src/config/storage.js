@@ -0,0 +1,37 @@
+import 'dotenv/config';
+import os from 'os';
+import path from 'path';
+
+// Where this API is reachable by default, on the port index.js listens on
+const apiBaseUrl = `http://localhost:${process.env.PORT || 5000}`;
+
+// File storage - local disk by default, any S3-compatible service (AWS S3, MinIO) with STORAGE_DRIVER=s3
+const storageConfig = {
+  driver: process.env.STORAGE_DRIVER || 'local',
+  // Multer writes uploads here first; services then move them into the storage
+  tempDir: process.env.UPLOAD_TEMP_DIR || path.join(os.tmpdir(), 'unishare-uploads'),
+  // Lifetime in seconds of the signed download URLs handed out after the permission checks
+  signedUrlTtl: Number(process.env.DOWNLOAD_URL_TTL) || 300,
+  local: {
+    root: process.env.STORAGE_LOCAL_ROOT || path.join(process.cwd(), 'public', 'uploads'),
+    // app.js serves only these directories under /uploads (profiles: avatars uploaded before avatars/)
+    publicDirs: ['avatars', 'profiles'],
+    publicBaseUrl: process.env.STORAGE_PUBLIC_URL || `${apiBaseUrl}/uploads`,
+    // Everything else is downloaded through /api/files with an HMAC-signed, expiring URL
+    signedUrlBase: process.env.STORAGE_SIGNED_URL_BASE || `${apiBaseUrl}/api/files`,
+    // No built-in fallback: index.js refuses to start the local driver without one
+    signingSecret: process.env.DOWNLOAD_URL_SECRET || process.env.JWT_SECRET
+  },
+  s3: {
+    endpoint: process.env.S3_ENDPOINT || 'https://s3.amazonaws.com',
+    region: process.env.S3_REGION || 'us-east-1',
+    bucket: process.env.S3_BUCKET || 'unishare',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID || '',
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || '',
+    // Keep the bucket private except avatars/; downloads use presigned URLs.
+    // Defaults to <endpoint>/<bucket>; set it when public files are served through a CDN
+    publicBaseUrl: process.env.S3_PUBLIC_URL || ''
+  }
+};
+
+export default storageConfig;
@@ -160,13 +160,7 @@ class FavoriteController {
   // 📊 Get favorite statistics for admin
   getGlobalFavoriteStats = async (req, res) => {
     try {
-      // This would require admin permissions - implement admin check middleware
-      const userRole = req.user.role;
-      
-      if (userRole !== 'admin') {
-        return res.error('Access denied: Admin privileges required', 403);
-      }
-
+      // Access is checked by requirePermission('view_analytics') on the route
       // Implement global stats logic here if needed
       const stats = {
         message: 'Global favorite statistics endpoint - implement as needed',
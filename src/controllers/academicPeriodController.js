@@ -2,6 +2,7 @@
 // Following SOLID principles and Repository pattern
 
 import AcademicPeriodService from '../services/AcademicPeriodService.js';
+import AcademicPeriodLifecycleService from '../services/AcademicPeriodLifecycleService.js';
 
 /**
  * Get all academic periods with optional filtering and pagination
@@ -71,18 +72,36 @@ export const getAcademicPeriodById = async (req, res) => {
   }
 };
 
+/**
+ * Published resources of a period grouped by course
+ */
+export const getAcademicPeriodResources = async (req, res, next) => {
+  try {
+    const result = await AcademicPeriodService.getResourcesByCourse(req.params.id);
+
+    res.success(result);
+  } catch (error) {
+    console.error('Error getting academic period resources:', error);
+    next(error);
+  }
+};
+
 /**
  * Create new academic period
  */
-export const createAcademicPeriod = async (req, res) => {
+export const createAcademicPeriod = async (req, res, next) => {
   try {
     const periodData = req.body;
 
     const academicPeriod = await AcademicPeriodService.createAcademicPeriod(periodData);
 
+    // Apply the new dates to statuses and the current period right away
+    AcademicPeriodLifecycleService.trigger();
+
     res.created({ academic_period: academicPeriod });
   } catch (error) {
     console.error('Error creating academic period:', error);
+    if (error.statusCode) return next(error);
     res.serverError('Error creating academic period');
   }
 };
@@ -90,16 +109,20 @@ export const createAcademicPeriod = async (req, res) => {
 /**
  * Update academic period
  */
-export const updateAcademicPeriod = async (req, res) => {
+export const updateAcademicPeriod = async (req, res, next) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
 
     const academicPeriod = await AcademicPeriodService.updateAcademicPeriod(id, updateData);
 
+    // Apply the new dates to statuses and the current period right away
+    AcademicPeriodLifecycleService.trigger();
+
     res.success({ academic_period: academicPeriod });
   } catch (error) {
     console.error('Error updating academic period:', error);
+    if (error.statusCode) return next(error);
     res.serverError('Error updating academic period');
   }
 };
@@ -113,6 +136,9 @@ export const deleteAcademicPeriod = async (req, res) => {
 
     await AcademicPeriodService.deleteAcademicPeriod(id);
 
+    // Pick another current period if this one was it
+    AcademicPeriodLifecycleService.trigger();
+
     res.success({ message: 'Academic period deleted successfully' });
   } catch (error) {
     console.error('Error deleting academic period:', error);
@@ -3,6 +3,16 @@
 
 import { Resource, User, Category, Course, Career, Faculty } from '../models/index.js';
 import { Op } from 'sequelize';
+import resourceObserver from '../observers/ResourceObserver.js';
+import SessionService from '../services/SessionService.js';
+import TwoFactorService from '../services/TwoFactorService.js';
+import LoginProtectionService from '../services/LoginProtectionService.js';
+import LoginAttemptRepository from '../repositories/LoginAttemptRepository.js';
+import PermissionService from '../services/PermissionService.js';
+import ModerationScopeService from '../services/ModerationScopeService.js';
+import EnrollmentService from '../services/EnrollmentService.js';
+import ResourceService from '../services/ResourceService.js';
+import { loadModerationScope } from '../middleware/permissionMiddleware.js';
 
 // Middleware to check admin role
 export const requireAdmin = (req, res, next) => {
@@ -101,7 +111,16 @@ export const getUsers = async (req, res) => {
 
         const { count, rows: users } = await User.findAndCountAll({
             where: whereClause,
-            attributes: { exclude: ['password'] },
+            attributes: {
+                exclude: [
+                    'password',
+                    'reset_password_token',
+                    'verification_token',
+                    'two_factor_secret',
+                    'two_factor_last_step',
+                    'two_factor_recovery_codes'
+                ]
+            },
             order: [[sort, order.toUpperCase()]],
             limit: parseInt(limit),
             offset
@@ -131,7 +150,7 @@ export const getUsers = async (req, res) => {
 export const updateUser = async (req, res) => {
     try {
         const { id } = req.params;
-        const allowedFields = ['status', 'role', 'name', 'first_name', 'last_name'];
+        const allowedFields = ['status', 'role', 'name', 'first_name', 'last_name', 'student_id', 'employee_id'];
         
         const updates = {};
         Object.keys(req.body).forEach(key => {
@@ -140,6 +159,11 @@ export const updateUser = async (req, res) => {
             }
         });
 
+        // University IDs set by an admin are trusted for SSO account linking
+        if (updates.student_id || updates.employee_id) {
+            updates.institutional_id_verified_at = new Date();
+        }
+
         if (Object.keys(updates).length === 0) {
             return res.status(400).json({ message: 'No se proporcionaron campos válidos para actualizar' });
         }
@@ -151,6 +175,13 @@ export const updateUser = async (req, res) => {
 
         await user.update(updates);
 
+        // A suspended account must not keep any live session, and a promotion to a
+        // role that requires two-factor must go through enrollment at the next login
+        const needsTwoFactor = updates.role && !user.two_factor_enabled && TwoFactorService.isRequiredFor(user);
+        if (updates.status === 'suspended' || needsTwoFactor) {
+            await SessionService.revokeAllSessions(user.id, { reason: 'admin' });
+        }
+
         // Get updated user without sensitive data
         const safeUser = {
             id: user.id,
@@ -160,6 +191,8 @@ export const updateUser = async (req, res) => {
             status: user.status,
             first_name: user.first_name,
             last_name: user.last_name,
+            student_id: user.student_id,
+            employee_id: user.employee_id,
             created_at: user.created_at,
             updated_at: user.updated_at
         };
@@ -174,6 +207,234 @@ export const updateUser = async (req, res) => {
     }
 };
 
+// List a user's active sessions (admin only)
+export const getUserSessions = async (req, res, next) => {
+    try {
+        const user = await User.findByPk(req.params.id, { attributes: ['id'] });
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+
+        const sessions = await SessionService.listSessions(user.id);
+
+        res.success({ sessions }, 'Sesiones obtenidas exitosamente');
+
+    } catch (error) {
+        console.error('Get user sessions error:', error);
+        next(error);
+    }
+};
+
+// Force-logout one session of a user (admin only)
+export const revokeUserSession = async (req, res, next) => {
+    try {
+        await SessionService.revokeUserSession(req.params.id, req.params.sessionId, 'admin');
+
+        res.success(null, 'Sesión cerrada exitosamente');
+
+    } catch (error) {
+        console.error('Revoke user session error:', error);
+        next(error);
+    }
+};
+
+// Force-logout every session of a user (admin only)
+export const revokeAllUserSessions = async (req, res, next) => {
+    try {
+        const user = await User.findByPk(req.params.id, { attributes: ['id'] });
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+
+        const revoked = await SessionService.revokeAllSessions(user.id, { reason: 'admin' });
+
+        res.success({ revoked }, 'Todas las sesiones del usuario fueron cerradas');
+
+    } catch (error) {
+        console.error('Revoke all user sessions error:', error);
+        next(error);
+    }
+};
+
+// Login audit trail and lockout state of a user (admin only)
+export const getUserLoginAttempts = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+
+        const user = await User.findByPk(req.params.id, { attributes: ['id', 'email'] });
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+
+        const { count, rows: attempts } = await LoginAttemptRepository.findByUser(user, {
+            page: parseInt(page),
+            limit: parseInt(limit)
+        });
+        const lockout = await LoginProtectionService.getAccountStatus(user.email);
+
+        res.success({
+            lockout,
+            attempts,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: count,
+                totalPages: Math.ceil(count / parseInt(limit))
+            }
+        }, 'Intentos de inicio de sesión obtenidos exitosamente');
+
+    } catch (error) {
+        console.error('Get user login attempts error:', error);
+        next(error);
+    }
+};
+
+// Lift a brute-force lockout (admin only)
+export const unlockUser = async (req, res, next) => {
+    try {
+        const user = await User.findByPk(req.params.id, { attributes: ['id', 'email'] });
+        if (!user) {
+            return res.status(404).json({ message: 'Usuario no encontrado' });
+        }
+
+        await LoginProtectionService.unlockAccount(user.email);
+
+        res.success(null, 'Cuenta desbloqueada exitosamente');
+
+    } catch (error) {
+        console.error('Unlock user error:', error);
+        next(error);
+    }
+};
+
+// Catalog of grantable permissions (admin only)
+export const getPermissions = async (req, res, next) => {
+    try {
+        const permissions = await PermissionService.listPermissions();
+
+        res.success({ permissions }, 'Permisos obtenidos exitosamente');
+
+    } catch (error) {
+        console.error('Get permissions error:', error);
+        next(error);
+    }
+};
+
+// Effective permissions of a user: role defaults plus individual grants (admin only)
+export const getUserPermissions = async (req, res, next) => {
+    try {
+        const result = await PermissionService.getUserPermissions(req.params.id);
+
+        res.success(result, 'Permisos del usuario obtenidos exitosamente');
+
+    } catch (error) {
+        console.error('Get user permissions error:', error);
+        next(error);
+    }
+};
+
+// Grant a permission to a user on top of their role (admin only)
+export const grantUserPermission = async (req, res, next) => {
+    try {
+        const { permission } = req.body;
+        if (!permission || typeof permission !== 'string') {
+            return res.error('Error de validación', 400, ['El permiso es requerido']);
+        }
+
+        await PermissionService.grantPermission(req.params.id, permission, req.user.id);
+        const result = await PermissionService.getUserPermissions(req.params.id);
+
+        res.success(result, 'Permiso asignado exitosamente', 201);
+
+    } catch (error) {
+        console.error('Grant user permission error:', error);
+        next(error);
+    }
+};
+
+// Remove an individually granted permission (admin only)
+export const revokeUserPermission = async (req, res, next) => {
+    try {
+        await PermissionService.revokePermission(req.params.id, req.params.permission, req.user.id);
+        const result = await PermissionService.getUserPermissions(req.params.id);
+
+        res.success(result, 'Permiso revocado exitosamente');
+
+    } catch (error) {
+        console.error('Revoke user permission error:', error);
+        next(error);
+    }
+};
+
+// Faculties/categories a moderator is limited to (admin only)
+export const getModeratorScope = async (req, res, next) => {
+    try {
+        const scope = await ModerationScopeService.getUserScopes(req.params.id);
+
+        res.success(scope, 'Ámbito de moderación obtenido exitosamente');
+
+    } catch (error) {
+        console.error('Get moderator scope error:', error);
+        next(error);
+    }
+};
+
+// Replace the faculties/categories of a moderator; empty lists lift the limit (admin only)
+export const updateModeratorScope = async (req, res, next) => {
+    try {
+        const { faculty_ids = [], category_ids = [] } = req.body;
+        if (!Array.isArray(faculty_ids) || !Array.isArray(category_ids)) {
+            return res.error('Error de validación', 400, ['faculty_ids y category_ids deben ser listas']);
+        }
+
+        const scope = await ModerationScopeService.setUserScopes(
+            req.params.id,
+            { facultyIds: faculty_ids, categoryIds: category_ids },
+            req.user.id
+        );
+
+        res.success(scope, 'Ámbito de moderación actualizado exitosamente');
+
+    } catch (error) {
+        console.error('Update moderator scope error:', error);
+        next(error);
+    }
+};
+
+// Bulk enrollment from a CSV (multipart "file" or raw text in body.csv) (admin only)
+export const importEnrollments = async (req, res, next) => {
+    try {
+        const csv = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+        if (!csv) {
+            return res.error('Error de validación', 400, ['Adjunta un archivo CSV en "file" o envía su contenido en "csv"']);
+        }
+
+        const report = await EnrollmentService.importCsv(csv, req.user.id, {
+            academicPeriodId: req.body.academic_period_id || null
+        });
+
+        res.success(report, `Importación completada: ${report.created + report.reactivated} matrículas, ${report.errors.length} errores`);
+
+    } catch (error) {
+        console.error('Import enrollments error:', error);
+        next(error);
+    }
+};
+
+// Resources uploaded with the same file (grouped by SHA-256)
+export const getDuplicateResources = async (req, res, next) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const report = await ResourceService.getDuplicateReport({ limit });
+
+        res.success(report, `${report.total_clusters} grupos de recursos duplicados`);
+
+    } catch (error) {
+        console.error('Get duplicate resources error:', error);
+        next(error);
+    }
+};
+
 // Get all resources for moderation
 export const getResourcesForModeration = async (req, res, next) => {
     try {
@@ -192,6 +453,10 @@ export const getResourcesForModeration = async (req, res, next) => {
         if (status) whereClause.status = status;
         if (type) whereClause.type = type;
 
+        // Scoped moderators only get resources of their faculties/categories
+        const scopeWhere = ModerationScopeService.resourceWhere(await loadModerationScope(req));
+        if (scopeWhere) Object.assign(whereClause, scopeWhere);
+
         const { count, rows: resources } = await Resource.findAndCountAll({
             where: whereClause,
             include: [
@@ -267,6 +532,13 @@ export const moderateResource = async (req, res, next) => {
             });
         }
 
+        if (!ModerationScopeService.isResourceInScope(await loadModerationScope(req), resource)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Este recurso está fuera de tu ámbito de moderación'
+            });
+        }
+
         console.log('📦 Current resource status:', resource.status);
         console.log('🔄 Updating to status:', status);
 
@@ -290,6 +562,13 @@ export const moderateResource = async (req, res, next) => {
         await resource.update(updateData);
         console.log('✅ Resource updated successfully');
 
+        await resourceObserver.notify('resource.moderated', {
+            resource,
+            status,
+            reason,
+            moderatorId: req.user.userId
+        });
+
         return res.status(200).json({
             success: true,
             data: { resource },
@@ -1,9 +1,23 @@
 import AuthService from '../services/AuthService.js';
+import SessionService from '../services/SessionService.js';
+import TwoFactorService from '../services/TwoFactorService.js';
 import UserService from '../services/UserService.js';
+import UserValidator from '../validators/UserValidator.js';
+
+// Device info stored with the session (refresh token family)
+const getClientContext = (req) => ({
+    userAgent: req.get('user-agent') || null,
+    ipAddress: req.ip || null
+});
 
 export const register = async (req, res, next) => {
     try {
-        const result = await AuthService.registerUser(req.body);
+        const result = await AuthService.registerUser(req.body, getClientContext(req));
+
+        if (result.twoFactorSetupRequired) {
+            return res.success(result, 'Usuario registrado exitosamente; tu rol requiere configurar la verificación en dos pasos', 201);
+        }
+
         res.success(result, 'Usuario registrado exitosamente', 201);
 
     } catch (error) {
@@ -15,7 +29,15 @@ export const register = async (req, res, next) => {
 export const login = async (req, res, next) => {
     try {
         console.log('🚀 Login request received:', { body: req.body, headers: req.headers['content-type'] });
-        const result = await AuthService.loginUser(req.body);
+        const result = await AuthService.loginUser(req.body, getClientContext(req));
+
+        if (result.twoFactorRequired) {
+            return res.success(result, 'Se requiere el código de verificación en dos pasos');
+        }
+        if (result.twoFactorSetupRequired) {
+            return res.success(result, 'Tu rol requiere configurar la verificación en dos pasos');
+        }
+
         res.success(result, 'Login exitoso');
 
     } catch (error) {
@@ -24,6 +46,62 @@ export const login = async (req, res, next) => {
     }
 };
 
+// Second login step with the challenge token returned by /login
+export const verifyTwoFactorLogin = async (req, res, next) => {
+    try {
+        const validationResult = UserValidator.validateTwoFactor('login', req.body);
+        if (!validationResult.isValid) {
+            return res.error('Error de validación', 400, validationResult.errors);
+        }
+
+        const { challengeToken, code, recoveryCode } = validationResult.data;
+        const result = await AuthService.completeTwoFactorLogin(challengeToken, { code, recoveryCode }, getClientContext(req));
+
+        res.success(result, 'Login exitoso');
+
+    } catch (error) {
+        console.error('Two-factor login error:', error.message);
+        next(error);
+    }
+};
+
+// Mandatory enrollment during login - get the secret for the authenticator app
+export const beginTwoFactorEnrollment = async (req, res, next) => {
+    try {
+        const validationResult = UserValidator.validateTwoFactor('enrollChallenge', req.body);
+        if (!validationResult.isValid) {
+            return res.error('Error de validación', 400, validationResult.errors);
+        }
+
+        const result = await AuthService.beginTwoFactorEnrollment(validationResult.data.challengeToken);
+
+        res.success(result, 'Escanea el código con tu aplicación de autenticación');
+
+    } catch (error) {
+        console.error('Two-factor enrollment error:', error.message);
+        next(error);
+    }
+};
+
+// Mandatory enrollment during login - confirm the first code and log in
+export const completeTwoFactorEnrollment = async (req, res, next) => {
+    try {
+        const validationResult = UserValidator.validateTwoFactor('enroll', req.body);
+        if (!validationResult.isValid) {
+            return res.error('Error de validación', 400, validationResult.errors);
+        }
+
+        const { challengeToken, code } = validationResult.data;
+        const result = await AuthService.completeTwoFactorEnrollment(challengeToken, code, getClientContext(req));
+
+        res.success(result, 'Verificación en dos pasos activada. Guarda tus códigos de recuperación');
+
+    } catch (error) {
+        console.error('Two-factor enrollment error:', error.message);
+        next(error);
+    }
+};
+
 export const getProfile = async (req, res, next) => {
     try {
         const userProfile = await UserService.getUserProfile(req.user.userId);
@@ -36,7 +114,7 @@ export const getProfile = async (req, res, next) => {
     }
 };
 
-export const refreshToken = async (req, res) => {
+export const refreshToken = async (req, res, next) => {
     try {
         const { refreshToken: token } = req.body;
 
@@ -44,78 +122,213 @@ export const refreshToken = async (req, res) => {
             return res.error('Refresh token requerido', 400);
         }
 
-        const result = await AuthService.refreshAccessToken(token);
+        const result = await AuthService.refreshAccessToken(token, getClientContext(req));
 
         res.success({
             token: result.accessToken,
+            refreshToken: result.refreshToken,
             user: result.user
         }, 'Token renovado exitosamente');
 
     } catch (error) {
-        console.error('Refresh token error:', error);
-        res.error('Refresh token inválido', 401);
+        console.error('Refresh token error:', error.message);
+        next(error);
     }
 };
 
-export const logout = async (req, res) => {
+// Logout - current device by default, every device with { allDevices: true }
+export const logout = async (req, res, next) => {
     try {
-        if (req.user && req.user.userId) {
-            await AuthService.logoutUser(req.user.userId);
-        }
+        const revoked = await AuthService.logoutUser({
+            userId: req.user?.userId || null,
+            sessionId: req.user?.sid || null,
+            refreshToken: req.body?.refreshToken || null,
+            allDevices: req.body?.allDevices === true
+        });
+
+        res.success({ revoked }, 'Sesión cerrada exitosamente');
+
+    } catch (error) {
+        console.error('❌ Logout error:', error.message);
+        next(error);
+    }
+};
+
+// List the devices where the user is logged in
+export const getSessions = async (req, res, next) => {
+    try {
+        const sessions = await SessionService.listSessions(req.user.userId, req.user.sessionId);
+
+        res.success({ sessions }, 'Sesiones obtenidas exitosamente');
+
+    } catch (error) {
+        console.error('Get sessions error:', error.message);
+        next(error);
+    }
+};
+
+// Revoke one of the user's sessions
+export const revokeSession = async (req, res, next) => {
+    try {
+        await SessionService.revokeUserSession(req.user.userId, req.params.id, 'logout');
+
         res.success(null, 'Sesión cerrada exitosamente');
 
     } catch (error) {
-        console.error('❌ Logout error:', error);
-        res.success(null, 'Logout completado');
+        console.error('Revoke session error:', error.message);
+        next(error);
+    }
+};
+
+// Revoke every session except the one making the request
+export const revokeOtherSessions = async (req, res, next) => {
+    try {
+        const revoked = await SessionService.revokeAllSessions(req.user.userId, {
+            reason: 'logout_all',
+            exceptSessionId: req.user.sessionId
+        });
+
+        res.success({ revoked }, 'Se cerraron las demás sesiones');
+
+    } catch (error) {
+        console.error('Revoke other sessions error:', error.message);
+        next(error);
+    }
+};
+
+// Two-factor status of the current user
+export const getTwoFactorStatus = async (req, res, next) => {
+    try {
+        const status = await TwoFactorService.getStatus(req.user.userId);
+
+        res.success(status, 'Estado de la verificación en dos pasos');
+
+    } catch (error) {
+        console.error('Get two-factor status error:', error.message);
+        next(error);
     }
 };
 
-export const forgotPassword = async (req, res) => {
+// Start enrollment from an authenticated session
+export const setupTwoFactor = async (req, res, next) => {
     try {
-        const { email } = req.body;
+        const result = await TwoFactorService.beginSetup(req.user.userId);
 
-        const userExists = await UserService.userExistsByEmail(email);
-        
-        if (userExists) {
-            const resetToken = AuthService.generatePasswordResetToken(email);
+        res.success(result, 'Escanea el código con tu aplicación de autenticación');
+
+    } catch (error) {
+        console.error('Two-factor setup error:', error.message);
+        next(error);
+    }
+};
+
+export const enableTwoFactor = async (req, res, next) => {
+    try {
+        const validationResult = UserValidator.validateTwoFactor('enable', req.body);
+        if (!validationResult.isValid) {
+            return res.error('Error de validación', 400, validationResult.errors);
         }
 
-        res.success({
-            ...(process.env.NODE_ENV === 'development' && userExists && { resetToken })
-        }, 'Si el email existe, recibirás un enlace de recuperación');
+        const result = await TwoFactorService.enable(req.user.userId, validationResult.data.code);
+
+        res.success(result, 'Verificación en dos pasos activada. Guarda tus códigos de recuperación');
 
     } catch (error) {
-        console.error('Forgot password error:', error);
-        res.error('Error interno del servidor', 500);
+        console.error('Enable two-factor error:', error.message);
+        next(error);
     }
 };
 
-// Reset password
-export const resetPassword = async (req, res) => {
+export const disableTwoFactor = async (req, res, next) => {
     try {
-        const { token, password } = req.body;
+        const validationResult = UserValidator.validateTwoFactor('disable', req.body);
+        if (!validationResult.isValid) {
+            return res.error('Error de validación', 400, validationResult.errors);
+        }
+
+        await TwoFactorService.disable(req.user.userId, validationResult.data);
+
+        res.success(null, 'Verificación en dos pasos desactivada');
+
+    } catch (error) {
+        console.error('Disable two-factor error:', error.message);
+        next(error);
+    }
+};
 
-        if (!token || !password) {
-            return res.error('Token y nueva contraseña son requeridos', 400);
+export const regenerateRecoveryCodes = async (req, res, next) => {
+    try {
+        const validationResult = UserValidator.validateTwoFactor('secondFactor', req.body);
+        if (!validationResult.isValid) {
+            return res.error('Error de validación', 400, validationResult.errors);
         }
 
-        const decoded = AuthService.verifyPasswordResetToken(token);
+        const result = await TwoFactorService.regenerateRecoveryCodes(req.user.userId, validationResult.data);
+
+        res.success(result, 'Códigos de recuperación regenerados');
+
+    } catch (error) {
+        console.error('Regenerate recovery codes error:', error.message);
+        next(error);
+    }
+};
+
+// Confirm email address from the verification link
+export const verifyEmail = async (req, res, next) => {
+    try {
+        const result = await AuthService.verifyEmail(req.query.token);
 
-        const user = await UserService.getUserProfile(decoded.userId);
+        res.success(result, 'Correo verificado exitosamente');
 
-        await UserService.changePassword(decoded.userId, null, password);
+    } catch (error) {
+        console.error('Verify email error:', error.message);
+        next(error);
+    }
+};
 
-        res.success(null, 'Contraseña restablecida exitosamente');
+// Send a new verification link - same answer whether or not the account exists
+export const resendVerification = async (req, res, next) => {
+    try {
+        const email = req.user?.email || req.body.email;
+
+        await AuthService.resendVerification(email);
+
+        res.success(null, 'Si la cuenta existe y no está verificada, recibirás un nuevo enlace de verificación');
 
     } catch (error) {
-        console.error('Reset password error:', error);
-        
-        if (error.message.includes('Token de restablecimiento inválido') ||
-            error.message.includes('Token inválido') ||
-            error.message.includes('Usuario no encontrado')) {
-            return res.error('Token inválido o expirado', 400);
+        console.error('Resend verification error:', error.message);
+        next(error);
+    }
+};
+
+export const forgotPassword = async (req, res, next) => {
+    try {
+        await AuthService.requestPasswordReset(req.body.email);
+
+        res.success(null, 'Si el email existe, recibirás un enlace de recuperación');
+
+    } catch (error) {
+        console.error('Forgot password error:', error.message);
+        next(error);
+    }
+};
+
+// Reset password
+export const resetPassword = async (req, res, next) => {
+    try {
+        const validationResult = UserValidator.validateResetPassword(req.body);
+        if (!validationResult.isValid) {
+            return res.error('Error de validación', 400, validationResult.errors);
         }
 
-        res.error('Error interno del servidor', 500);
+        const { token, password } = validationResult.data;
+
+        await AuthService.resetPassword(token, password);
+
+        res.success(null, 'Contraseña restablecida exitosamente');
+
+    } catch (error) {
+        console.error('Reset password error:', error.message);
+        next(error);
     }
-};
\ No newline at end of file
+};
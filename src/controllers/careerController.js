@@ -2,6 +2,7 @@
 // Following SOLID principles and Repository pattern
 
 import CareerService from '../services/CareerService.js';
+import CourseService from '../services/CourseService.js';
 
 /**
  * Get all careers with optional filtering and pagination
@@ -74,6 +75,20 @@ export const getCareerById = async (req, res) => {
   }
 };
 
+/**
+ * Curriculum map: courses semester by semester with their prerequisite edges
+ */
+export const getCareerCurriculum = async (req, res, next) => {
+  try {
+    const curriculum = await CourseService.getCurriculum(req.params.id);
+
+    res.success(curriculum);
+  } catch (error) {
+    console.error('Error getting career curriculum:', error);
+    next(error);
+  }
+};
+
 /**
  * Create new career
  */
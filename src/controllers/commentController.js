@@ -2,7 +2,10 @@
 // Following Controller Pattern and SOLID principles
 
 import CommentService from '../services/CommentService.js';
+import ModerationScopeService from '../services/ModerationScopeService.js';
+import CourseTeacherService from '../services/CourseTeacherService.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
+import { hasPermission, loadModerationScope } from '../middleware/permissionMiddleware.js';
 
 /**
  * CommentController - Handles HTTP requests for comment operations
@@ -140,7 +143,8 @@ class CommentController {
       content: content.trim()
     };
 
-    const result = await this.commentService.updateComment(commentId, updateData, userId);
+    const canModerate = await this.canModerateComment(req, commentId);
+    const result = await this.commentService.updateComment(commentId, updateData, userId, canModerate);
     
     res.json(result);
   });
@@ -152,9 +156,9 @@ class CommentController {
   deleteComment = asyncHandler(async (req, res) => {
     const { commentId } = req.params;
     const userId = req.user.id;
-    const isAdmin = req.user.role === 'admin';
+    const canModerate = await this.canModerateComment(req, commentId);
 
-    const result = await this.commentService.deleteComment(commentId, userId, isAdmin);
+    const result = await this.commentService.deleteComment(commentId, userId, canModerate);
     
     res.json(result);
   });
@@ -166,9 +170,9 @@ class CommentController {
   deleteResourceComment = asyncHandler(async (req, res) => {
     const { commentId } = req.params;
     const userId = req.user.id;
-    const isAdmin = req.user.role === 'admin';
+    const canModerate = await this.canModerateComment(req, commentId);
 
-    const result = await this.commentService.deleteComment(commentId, userId, isAdmin);
+    const result = await this.commentService.deleteComment(commentId, userId, canModerate);
     
     res.json(result);
   });
@@ -212,6 +216,13 @@ class CommentController {
       });
     }
 
+    if (!(await this.canModerateComment(req, commentId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Este comentario está fuera de tu ámbito de moderación'
+      });
+    }
+
     const result = await this.commentService.moderateComment(commentId, action, moderatorId);
     
     res.json(result);
@@ -231,7 +242,8 @@ class CommentController {
     const options = {
       limit: parseInt(limit),
       status,
-      includeReported: includeReported === 'true'
+      includeReported: includeReported === 'true',
+      resourceScope: ModerationScopeService.resourceWhere(await loadModerationScope(req))
     };
 
     const result = await this.commentService.getModerationQueue(options);
@@ -398,6 +410,30 @@ class CommentController {
       message: 'Rating deleted successfully'
     });
   });
+
+  /**
+   * Whether the user may moderate a comment: moderate_resources permission
+   * (scoped moderators only within their scope) or teaching the resource's course
+   * @private
+   */
+  async canModerateComment(req, commentId) {
+    if (!(await hasPermission(req, 'moderate_resources'))) {
+      if (req.user.role !== 'teacher') {
+        return false;
+      }
+
+      const { data: comment } = await this.commentService.getComment(commentId);
+      return await CourseTeacherService.teachesResourceCourse(req.user.id, comment.resource_id);
+    }
+
+    const scope = await loadModerationScope(req);
+    if (!scope) {
+      return true;
+    }
+
+    const { data: comment } = await this.commentService.getComment(commentId);
+    return await ModerationScopeService.canModerateResource(scope, comment.resource_id);
+  }
 }
 
 // Export controller methods for use in routes
@@ -6,8 +6,15 @@ import Career from '../models/Career.js';
 import Faculty from '../models/Faculty.js';
 import User from '../models/User.js';
 import Resource from '../models/Resource.js';
+import CourseService from '../services/CourseService.js';
+import CourseTeacherService from '../services/CourseTeacherService.js';
+import EnrollmentService from '../services/EnrollmentService.js';
+import CommentService from '../services/CommentService.js';
 import { Op } from 'sequelize';
 
+const commentService = new CommentService();
+const COMMENT_MODERATION_ACTIONS = ['approve', 'hide', 'delete', 'flag'];
+
 export const courseController = {
   // Get all courses with pagination and search
   getCourses: async (req, res) => {
@@ -120,6 +127,11 @@ export const courseController = {
               }
             ]
           }
+        ],
+        // Material pinned by the teacher comes first
+        order: [
+          [{ model: Resource, as: 'resources' }, 'pinned_at', 'DESC NULLS LAST'],
+          [{ model: Resource, as: 'resources' }, 'published_at', 'DESC']
         ]
       });
 
@@ -136,7 +148,7 @@ export const courseController = {
   },
 
   // Create new course
-  createCourse: async (req, res) => {
+  createCourse: async (req, res, next) => {
     try {
       const {
         name,
@@ -172,6 +184,8 @@ export const courseController = {
         return res.error('Carrera no encontrada', 404);
       }
 
+      const validPrerequisites = await CourseService.validatePrerequisites(null, { career_id, semester, prerequisites });
+
       // Validate teacher if provided
       if (teacher_id) {
         const teacher = await User.findOne({
@@ -198,7 +212,7 @@ export const courseController = {
         hours_theory,
         hours_practice,
         hours_laboratory,
-        prerequisites,
+        prerequisites: validPrerequisites,
         syllabus_url,
         metadata
       });
@@ -224,12 +238,13 @@ export const courseController = {
 
     } catch (error) {
       console.error('❌ Error creating course:', error);
+      if (error.statusCode) return next(error);
       return res.error('Error al crear curso', 500, error.message);
     }
   },
 
   // Update course
-  updateCourse: async (req, res) => {
+  updateCourse: async (req, res, next) => {
     try {
       const { id } = req.params;
       const updateData = req.body;
@@ -267,7 +282,7 @@ export const courseController = {
         }
       }
 
-      await course.update(updateData);
+      await course.update(await CourseService.validateGraphUpdate(course, updateData));
 
       // Fetch updated course with relationships
       const updatedCourse = await Course.findByPk(id, {
@@ -290,6 +305,7 @@ export const courseController = {
 
     } catch (error) {
       console.error('❌ Error updating course:', error);
+      if (error.statusCode) return next(error);
       return res.error('Error al actualizar curso', 500, error.message);
     }
   },
@@ -489,5 +505,164 @@ export const courseController = {
       console.error('❌ Error fetching course stats:', error);
       return res.error('Error al obtener estadísticas de curso', 500, error.message);
     }
+  },
+
+  // ===== 👩‍🏫 COURSE TEACHER (assigned teacher or manage_courses) =====
+
+  // Courses the authenticated user teaches
+  getTeachingCourses: async (req, res, next) => {
+    try {
+      const courses = await CourseService.getCoursesByTeacher(req.user.id);
+
+      return res.success(courses);
+
+    } catch (error) {
+      console.error('❌ Error fetching teaching courses:', error);
+      next(error);
+    }
+  },
+
+  // Transitive prerequisites and dependents of a course
+  getPrerequisiteChain: async (req, res, next) => {
+    try {
+      const chain = await CourseService.getPrerequisiteChain(req.params.id);
+
+      return res.success(chain);
+
+    } catch (error) {
+      console.error('❌ Error fetching prerequisite chain:', error);
+      next(error);
+    }
+  },
+
+  // Enroll the current user (body.academic_period_id, defaults to the current period)
+  enroll: async (req, res, next) => {
+    try {
+      const enrollment = await EnrollmentService.enroll(req.user.id, req.params.id, {
+        academicPeriodId: req.body?.academic_period_id || null
+      });
+
+      return res.success(enrollment, 'Matrícula realizada exitosamente', 201);
+
+    } catch (error) {
+      console.error('❌ Error enrolling in course:', error);
+      next(error);
+    }
+  },
+
+  dropEnrollment: async (req, res, next) => {
+    try {
+      const enrollment = await EnrollmentService.drop(req.user.id, req.params.id);
+
+      return res.success(enrollment, 'Te has dado de baja del curso');
+
+    } catch (error) {
+      console.error('❌ Error dropping course:', error);
+      next(error);
+    }
+  },
+
+  // Update syllabus, description and metadata (req.course from requireCourseTeacher)
+  updateCourseContent: async (req, res, next) => {
+    try {
+      const course = await CourseTeacherService.updateCourseContent(req.course, req.body);
+
+      return res.success(course, 'Curso actualizado exitosamente');
+
+    } catch (error) {
+      console.error('❌ Error updating course content:', error);
+      next(error);
+    }
+  },
+
+  pinResource: async (req, res, next) => {
+    try {
+      const resource = await CourseTeacherService.setPinned(req.course, req.params.resourceId, true, req.user);
+
+      return res.success({ resource }, 'Recurso fijado como material oficial');
+
+    } catch (error) {
+      console.error('❌ Error pinning resource:', error);
+      next(error);
+    }
+  },
+
+  unpinResource: async (req, res, next) => {
+    try {
+      const resource = await CourseTeacherService.setPinned(req.course, req.params.resourceId, false, req.user);
+
+      return res.success({ resource }, 'Recurso desfijado');
+
+    } catch (error) {
+      console.error('❌ Error unpinning resource:', error);
+      next(error);
+    }
+  },
+
+  verifyResource: async (req, res, next) => {
+    try {
+      const resource = await CourseTeacherService.setVerified(req.course, req.params.resourceId, true, req.user);
+
+      return res.success({ resource }, 'Recurso verificado por el profesor');
+
+    } catch (error) {
+      console.error('❌ Error verifying resource:', error);
+      next(error);
+    }
+  },
+
+  unverifyResource: async (req, res, next) => {
+    try {
+      const resource = await CourseTeacherService.setVerified(req.course, req.params.resourceId, false, req.user);
+
+      return res.success({ resource }, 'Verificación del profesor retirada');
+
+    } catch (error) {
+      console.error('❌ Error unverifying resource:', error);
+      next(error);
+    }
+  },
+
+  // Comment moderation queue limited to the course's resources
+  getCommentModerationQueue: async (req, res, next) => {
+    try {
+      const { limit = 20, status = 'published', includeReported = false } = req.query;
+
+      const result = await commentService.getModerationQueue({
+        limit: parseInt(limit),
+        status,
+        includeReported: includeReported === 'true',
+        resourceScope: { course_id: req.course.id }
+      });
+
+      return res.success(result.data);
+
+    } catch (error) {
+      console.error('❌ Error fetching course comment queue:', error);
+      next(error);
+    }
+  },
+
+  // Moderate a comment on a resource of the course
+  moderateComment: async (req, res, next) => {
+    try {
+      const { commentId } = req.params;
+      const { action } = req.body;
+
+      if (!action || !COMMENT_MODERATION_ACTIONS.includes(action)) {
+        return res.error(`Acción de moderación inválida. Acciones válidas: ${COMMENT_MODERATION_ACTIONS.join(', ')}`, 400);
+      }
+
+      const { data: comment } = await commentService.getComment(commentId);
+      await CourseTeacherService.findCourseResource(req.course, comment.resource_id);
+
+      const result = await commentService.moderateComment(commentId, action, req.user.id);
+
+      return res.success(result, 'Comentario moderado exitosamente');
+
+    } catch (error) {
+      console.error('❌ Error moderating course comment:', error);
+      next(error);
+    }
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,62 @@
+// 🎮 File Controller - Serves stored files through signed, expiring URLs
+// The URL is the permission: it is only issued after the resource access checks (ResourceService.getDownloadUrl)
+
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { storage } from '../services/uploadService.js';
+
+// Quoted ASCII name for old clients ("Guía.pdf" -> "Guia.pdf"), plus the real one as filename* (RFC 6266)
+const attachmentHeader = (filename) => {
+  const fallback = filename.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7e]|["\\]/g, '_');
+  if (fallback === filename) {
+    return `attachment; filename="${filename}"`;
+  }
+
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+class FileController {
+  constructor(storageProvider = storage) {
+    this.storage = storageProvider;
+  }
+
+  // 📥 GET /api/files/<key>?expires=&filename=&signature=
+  serveSignedFile = async (req, res, next) => {
+    try {
+      const key = req.params[0];
+      const { expires, filename, signature } = req.query;
+
+      if (!this.storage.verifySignedUrl(key, { expires, filename, signature })) {
+        return res.error('Invalid or expired download link', 403);
+      }
+
+      const file = await this.storage.stream(key);
+      if (!file) {
+        return res.error('File not found on server', 404);
+      }
+
+      // Always an attachment: uploaded HTML or SVG must never render on our origin
+      res.setHeader('Content-Disposition', attachmentHeader(filename || path.basename(key)));
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.setHeader('Cache-Control', 'private, no-store');
+
+      try {
+        await pipeline(file, res);
+      } catch (error) {
+        // Headers are gone by now; all that can be done is to cut the response
+        console.error('❌ File stream error:', error.message);
+        res.destroy(error);
+      }
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Export controller instance
+const fileController = new FileController();
+
+export const { serveSignedFile } = fileController;
+export { FileController };
+export default fileController;
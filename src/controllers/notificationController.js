@@ -1,66 +1,40 @@
-// Notification controller - simple implementation
-export const getNotifications = async (req, res) => {
+import NotificationService from '../services/NotificationService.js';
+
+// Get user notifications (paginated, filterable by read status)
+export const getNotifications = async (req, res, next) => {
     try {
-        // Mock notifications for now - in real app, fetch from database
-        const notifications = [
-            {
-                id: 1,
-                title: 'Nuevo recurso disponible',
-                message: 'Se ha publicado un nuevo recurso en tu categoría favorita',
-                type: 'info',
-                read: false,
-                created_at: new Date(),
-                user_id: req.user.userId
-            },
-            {
-                id: 2,
-                title: 'Recurso moderado',
-                message: 'Tu recurso "Ejemplo" ha sido aprobado',
-                type: 'success', 
-                read: false,
-                created_at: new Date(Date.now() - 24 * 60 * 60 * 1000), // 1 day ago
-                user_id: req.user.userId
-            }
-        ];
+        const result = await NotificationService.getUserNotifications(req.user.userId, req.query);
 
-        res.json({
-            notifications,
-            unread_count: notifications.filter(n => !n.read).length
-        });
+        res.success(result, 'Notificaciones obtenidas exitosamente');
 
     } catch (error) {
-        console.error('Get notifications error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
+        console.error('Get notifications error:', error.message);
+        next(error);
     }
 };
 
-export const markNotificationAsRead = async (req, res) => {
+export const markNotificationAsRead = async (req, res, next) => {
     try {
         const { id } = req.params;
 
-        // In a real app, update notification in database
+        const result = await NotificationService.markAsRead(id, req.user.userId);
 
-        res.json({
-            message: 'Notificación marcada como leída',
-            notification_id: parseInt(id)
-        });
+        res.success(result, 'Notificación marcada como leída');
 
     } catch (error) {
-        console.error('Mark notification as read error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
+        console.error('Mark notification as read error:', error.message);
+        next(error);
     }
 };
 
-export const markAllNotificationsAsRead = async (req, res) => {
+export const markAllNotificationsAsRead = async (req, res, next) => {
     try {
-        // In a real app, update all notifications for user in database
+        const result = await NotificationService.markAllAsRead(req.user.userId);
 
-        res.json({
-            message: 'Todas las notificaciones marcadas como leídas'
-        });
+        res.success(result, 'Todas las notificaciones marcadas como leídas');
 
     } catch (error) {
-        console.error('Mark all notifications as read error:', error);
-        res.status(500).json({ message: 'Error interno del servidor' });
+        console.error('Mark all notifications as read error:', error.message);
+        next(error);
     }
-};
\ No newline at end of file
+};
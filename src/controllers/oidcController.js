@@ -0,0 +1,79 @@
+import AuthService from '../services/AuthService.js';
+import OidcService from '../services/OidcService.js';
+
+const getClientContext = (req) => ({
+    userAgent: req.get('user-agent') || null,
+    ipAddress: req.ip || null
+});
+
+// SSO providers available on the login page
+export const getProviders = (req, res) => {
+    res.success({ providers: OidcService.getProviders() }, 'Proveedores obtenidos exitosamente');
+};
+
+// Start SSO login - the frontend sends the browser to authorizationUrl
+export const authorize = async (req, res, next) => {
+    try {
+        const result = await OidcService.createAuthorizationRequest(req.params.provider);
+
+        res.success(result, 'Redirige al proveedor de identidad');
+
+    } catch (error) {
+        console.error('OIDC authorize error:', error.message);
+        next(error);
+    }
+};
+
+// Finish SSO login with the code and state the IdP sent to the redirect URI
+export const callback = async (req, res, next) => {
+    try {
+        const { code, state } = req.body;
+
+        if (!code || !state) {
+            return res.error('Código y estado de autorización requeridos', 400);
+        }
+
+        const user = await OidcService.authenticate(req.params.provider, { code, state });
+        const result = await AuthService.completeLogin(user, getClientContext(req));
+
+        if (result.twoFactorRequired) {
+            return res.success(result, 'Se requiere el código de verificación en dos pasos');
+        }
+        if (result.twoFactorSetupRequired) {
+            return res.success(result, 'Tu rol requiere configurar la verificación en dos pasos');
+        }
+
+        res.success(result, 'Login exitoso');
+
+    } catch (error) {
+        console.error('OIDC callback error:', error.message);
+        next(error);
+    }
+};
+
+// Link an SSO login to an existing account after an account_link_required conflict
+export const confirmLink = async (req, res, next) => {
+    try {
+        const { linkToken, password } = req.body;
+
+        if (!linkToken || !password) {
+            return res.error('Token de vinculación y contraseña requeridos', 400);
+        }
+
+        const user = await OidcService.confirmLink(linkToken, password);
+        const result = await AuthService.completeLogin(user, getClientContext(req));
+
+        if (result.twoFactorRequired) {
+            return res.success(result, 'Se requiere el código de verificación en dos pasos');
+        }
+        if (result.twoFactorSetupRequired) {
+            return res.success(result, 'Tu rol requiere configurar la verificación en dos pasos');
+        }
+
+        res.success(result, 'Cuenta vinculada exitosamente');
+
+    } catch (error) {
+        console.error('OIDC link error:', error.message);
+        next(error);
+    }
+};
@@ -2,7 +2,9 @@
 // Following Single Responsibility Principle and Controller Pattern
 
 import ReportService from '../services/ReportService.js';
+import ModerationScopeService from '../services/ModerationScopeService.js';
 import asyncHandler from '../middleware/asyncHandler.js';
+import { hasPermission, loadModerationScope } from '../middleware/permissionMiddleware.js';
 
 /**
  * ReportController - Handles HTTP requests for report management
@@ -89,14 +91,19 @@ class ReportController {
 
     const result = await this.reportService.getReportDetails(id);
 
-    // Users can only see their own reports unless they're admin
-    if (result.data.user_id !== userId && req.user.role !== 'admin') {
+    // Users can only see their own reports unless they moderate the reported resource
+    const isReporter = result.data.user_id === userId;
+    if (!isReporter && !(await hasPermission(req, 'moderate_resources'))) {
       return res.status(403).json({
         success: false,
         message: 'No tienes permisos para ver este reporte'
       });
     }
 
+    if (!isReporter) {
+      await ModerationScopeService.assertResourceInScope(await loadModerationScope(req), result.data.resource_id);
+    }
+
     res.json({
       success: true,
       data: result.data
@@ -130,7 +137,10 @@ class ReportController {
       search: search || null
     };
 
-    const result = await this.reportService.getAdminReports(filters);
+    // Scoped moderators only see reports on resources they moderate
+    const resourceScope = ModerationScopeService.resourceWhere(await loadModerationScope(req));
+
+    const result = await this.reportService.getAdminReports({ ...filters, resourceScope });
 
     res.json({
       success: true,
@@ -166,6 +176,12 @@ class ReportController {
       });
     }
 
+    const scope = await loadModerationScope(req);
+    if (scope) {
+      const { data: report } = await this.reportService.getReportDetails(id);
+      await ModerationScopeService.assertResourceInScope(scope, report.resource_id);
+    }
+
     const result = await this.reportService.updateReportStatus(id, {
       status,
       resolution_notes,
@@ -216,6 +232,8 @@ class ReportController {
       status: status || null
     };
 
+    await ModerationScopeService.assertResourceInScope(await loadModerationScope(req), resourceId);
+
     const result = await this.reportService.getResourceReports(resourceId, options);
 
     res.json({
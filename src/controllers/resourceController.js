@@ -1,7 +1,7 @@
 import ResourceService from '../services/ResourceService.js';
 import { processUploadedFiles } from '../services/uploadService.js';
-import path from 'path';
-import fs from 'fs';
+import ModerationScopeService from '../services/ModerationScopeService.js';
+import { hasPermission, loadModerationScope } from '../middleware/permissionMiddleware.js';
 
 class ResourceController {
   constructor(resourceService = ResourceService) {
@@ -40,7 +40,7 @@ class ResourceController {
       
       console.log('🔍 ResourceController.getResourceById - params:', { id, userId });
       
-      const resource = await this.resourceService.getResourceById(id, userId);
+      const resource = await this.resourceService.getResourceById(id, userId, await this.moderationOf(req));
       
       console.log('🔍 ResourceController.getResourceById - result:', {
         resourceId: resource.id,
@@ -88,8 +88,9 @@ class ResourceController {
     try {
       const { id } = req.params;
       const userId = req.user.userId;
+      const canDeleteAny = await hasPermission(req, 'delete_resources');
       
-      await this.resourceService.deleteResource(id, userId);
+      await this.resourceService.deleteResource(id, userId, canDeleteAny);
       
       res.success(null, 'Resource deleted successfully');
     } catch (error) {
@@ -124,7 +125,7 @@ class ResourceController {
   };
 
   // 📤 Upload resource with file
-  uploadResource = async (req, res) => {
+  uploadResource = async (req, res, next) => {
     try {
       const userId = req.user.userId;
       
@@ -147,19 +148,30 @@ class ResourceController {
       res.success({ resource }, 'Resource uploaded successfully', 201);
     } catch (error) {
       console.error('Upload error:', error);
+      if (error.statusCode) return next(error);
       res.error(error.message, 400);
     }
   };
 
+  // What the reader may moderate: { scope } with moderate_resources (null scope = everything), null otherwise
+  async moderationOf(req) {
+    if (!req.user || !(await hasPermission(req, 'moderate_resources'))) {
+      return null;
+    }
+
+    return { scope: await loadModerationScope(req) };
+  }
+
   // 🔄 Update resource status (admin/moderation)
   updateResourceStatus = async (req, res) => {
     try {
       const { id } = req.params;
       const { status } = req.body;
       const userId = req.user.userId;
-      const userRole = req.user.role;
+      const canModerate = await hasPermission(req, 'moderate_resources') &&
+        await ModerationScopeService.canModerateResource(await loadModerationScope(req), id);
       
-      const resource = await this.resourceService.updateResourceStatus(id, status, userId, userRole);
+      const resource = await this.resourceService.updateResourceStatus(id, status, userId, canModerate);
       
       res.success({ resource }, 'Resource status updated successfully');
     } catch (error) {
@@ -211,53 +223,113 @@ class ResourceController {
     }
   };
 
-  // 📥 Download resource file
-  downloadResource = async (req, res) => {
+  // 📥 Download resource file - redirects to a short-lived signed URL once access is checked
+  downloadResource = async (req, res, next) => {
     try {
-      const { id } = req.params;
-      const resource = await this.resourceService.getResourceById(id);
-      
-      if (!resource.file_path) {
-        return res.status(404).json({
-          success: false,
-          message: 'File not found'
-        });
-      }
+      const download = await this.resourceService.getDownloadUrl(req.params.id, req.user?.userId || null, await this.moderationOf(req));
 
-      // Increment download count
-      await this.resourceService.incrementDownloads(id);
+      res.redirect(302, download.url);
+    } catch (error) {
+      next(error);
+    }
+  };
 
-      // Resolve file path
-      let filePath = resource.file_path;
-      if (!path.isAbsolute(filePath)) {
-        filePath = path.resolve(filePath);
-      }
-      
-      // Check if file exists
-      if (!fs.existsSync(filePath)) {
-        return res.status(404).json({
-          success: false,
-          message: 'File not found on server'
-        });
+  // 🔏 Signed download URL as JSON, for clients that send the token in a header and can't follow a redirect with it
+  getDownloadUrl = async (req, res, next) => {
+    try {
+      const download = await this.resourceService.getDownloadUrl(req.params.id, req.user?.userId || null, await this.moderationOf(req));
+
+      res.success(download, 'Download URL issued');
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // 📤 Replace the file of a resource (the previous one is kept as a version)
+  replaceResourceFile = async (req, res, next) => {
+    try {
+      if (!req.file) {
+        return res.error('No file uploaded', 400);
       }
 
-      // Get file extension for proper naming
-      const ext = path.extname(filePath);
-      const filename = `${resource.title}${ext}`;
+      const file = {
+        name: req.file.originalname,
+        size: req.file.size,
+        mimetype: req.file.mimetype,
+        path: req.file.path,
+        filename: req.file.filename
+      };
 
-      // Set headers for download
-      res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(filename)}"`);
-      res.setHeader('Content-Type', 'application/octet-stream');
-      
-      // Send file
-      res.sendFile(filePath);
+      const resource = await this.resourceService.replaceResourceFile(req.params.id, file, req.body, req.user.userId);
+
+      res.success({ resource }, 'Resource file replaced successfully');
     } catch (error) {
-      console.error('❌ Download error:', error);
-      const statusCode = error.message.includes('not found') ? 404 : 500;
-      res.status(statusCode).json({
-        success: false,
-        message: error.message
-      });
+      if (error.statusCode) return next(error);
+      const statusCode = error.message.includes('not found') ? 404 :
+                        error.message.includes('Access denied') ? 403 : 400;
+      res.error(error.message, statusCode);
+    }
+  };
+
+  // 🗂️ Version history of a resource
+  getResourceVersions = async (req, res, next) => {
+    try {
+      const result = await this.resourceService.getResourceVersions(req.params.id, req.user?.userId || null, await this.moderationOf(req));
+
+      res.success(result, 'Resource versions fetched successfully');
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // 📥 Download the file of one version - redirects to a signed URL once access is checked
+  downloadResourceVersion = async (req, res, next) => {
+    try {
+      const download = await this.resourceService.getVersionDownloadUrl(
+        req.params.id,
+        req.params.n,
+        req.user?.userId || null,
+        await this.moderationOf(req)
+      );
+
+      res.redirect(302, download.url);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // 🔏 Signed download URL of one version as JSON
+  getVersionDownloadUrl = async (req, res, next) => {
+    try {
+      const download = await this.resourceService.getVersionDownloadUrl(
+        req.params.id,
+        req.params.n,
+        req.user?.userId || null,
+        await this.moderationOf(req)
+      );
+
+      res.success(download, 'Download URL issued');
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // ⏪ Restore an older version (author or admin)
+  rollbackResource = async (req, res, next) => {
+    try {
+      const canModerate = await hasPermission(req, 'moderate_resources') &&
+        await ModerationScopeService.canModerateResource(await loadModerationScope(req), req.params.id);
+
+      const resource = await this.resourceService.rollbackResource(
+        req.params.id,
+        req.params.n,
+        req.user.userId,
+        canModerate
+      );
+
+      res.success({ resource }, `Resource restored from version ${req.params.n}`);
+    } catch (error) {
+      next(error);
     }
   };
 }
@@ -279,5 +351,12 @@ export const {
   getResourceStats,
   searchResources,
   incrementViews,
-  downloadResource
-} = resourceController;
\ No newline at end of file
+  downloadResource,
+  getDownloadUrl,
+  replaceResourceFile,
+  getResourceVersions,
+  downloadResourceVersion,
+  getVersionDownloadUrl,
+  rollbackResource
+} = resourceController;
+export { ResourceController };
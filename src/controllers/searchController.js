@@ -1,4 +1,4 @@
-import { Resource, Category, User } from '../models/index.js';
+import { Resource, Category, User, AcademicPeriod } from '../models/index.js';
 import { Op } from 'sequelize';
 
 // Search resources
@@ -208,6 +208,7 @@ export const advancedSearch = async (req, res) => {
             categories = [],
             types = [],
             authors = [],
+            academicPeriods = [],
             dateFrom,
             dateTo,
             minViews,
@@ -248,6 +249,11 @@ export const advancedSearch = async (req, res) => {
             whereClause.user_id = { [Op.in]: authors };
         }
 
+        // Academic period filter
+        if (academicPeriods.length > 0) {
+            whereClause.academic_period_id = { [Op.in]: academicPeriods };
+        }
+
         // Date range filter
         if (dateFrom || dateTo) {
             whereClause.published_at = {};
@@ -293,6 +299,11 @@ export const advancedSearch = async (req, res) => {
                     model: Category,
                     as: 'category',
                     attributes: ['id', 'name', 'category_type']
+                },
+                {
+                    model: AcademicPeriod,
+                    as: 'academic_period',
+                    attributes: ['id', 'name', 'code']
                 }
             ],
             order: orderBy,
@@ -318,6 +329,7 @@ export const advancedSearch = async (req, res) => {
                 categories,
                 types,
                 authors,
+                academicPeriods,
                 dateFrom,
                 dateTo,
                 minViews,
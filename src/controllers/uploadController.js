@@ -0,0 +1,135 @@
+// 🎮 Upload Controller - Resumable uploads over HTTP following the tus 1.0 protocol
+// Progress travels in headers (Upload-Offset, Upload-Length), so off-the-shelf tus clients work as is
+
+import ResumableUploadService, { parseUploadMetadata } from '../services/ResumableUploadService.js';
+import resumableUploadConfig from '../config/resumableUpload.js';
+
+const TUS_VERSION = '1.0.0';
+const CHUNK_CONTENT_TYPE = 'application/offset+octet-stream';
+
+class UploadController {
+  constructor(resumableUploadService = ResumableUploadService, config = resumableUploadConfig) {
+    this.resumableUploadService = resumableUploadService;
+    this.maxSize = Math.max(...Object.values(config.maxSizes));
+  }
+
+  // Protocol headers on every response; clients speaking another tus version are turned away
+  tusHeaders = (req, res, next) => {
+    res.setHeader('Tus-Resumable', TUS_VERSION);
+    res.setHeader('Tus-Version', TUS_VERSION);
+    res.setHeader('Tus-Extension', 'creation,termination,expiration');
+    res.setHeader('Tus-Max-Size', this.maxSize);
+
+    const clientVersion = req.get('Tus-Resumable');
+    if (clientVersion && clientVersion !== TUS_VERSION) {
+      return res.error(`Unsupported tus version ${clientVersion}`, 412);
+    }
+
+    next();
+  };
+
+  setProgressHeaders(res, session) {
+    res.setHeader('Upload-Offset', session.upload_offset);
+    res.setHeader('Upload-Length', session.upload_length);
+    res.setHeader('Upload-Expires', new Date(session.expires_at).toUTCString());
+    res.setHeader('Cache-Control', 'no-store');
+  }
+
+  // 📤 POST /uploads - Upload-Length + Upload-Metadata (filename, filetype, type, title, ...)
+  createUpload = async (req, res, next) => {
+    try {
+      const userId = req.user.userId;
+      const metadata = parseUploadMetadata(req.get('Upload-Metadata'));
+
+      const session = await this.resumableUploadService.createSession(req.get('Upload-Length'), metadata, userId);
+
+      this.setProgressHeaders(res, session);
+      res.setHeader('Location', `${req.originalUrl.split('?')[0].replace(/\/$/, '')}/${session.id}`);
+      res.success({ upload: await this.resumableUploadService.getProgress(session.id, userId) }, 'Upload created', 201);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // 🔎 HEAD /uploads/:id - Where to resume from
+  getUploadOffset = async (req, res) => {
+    try {
+      const session = await this.resumableUploadService.getSession(req.params.id, req.user.userId);
+
+      this.setProgressHeaders(res, session);
+      res.status(200).end();
+    } catch (error) {
+      // HEAD responses carry no body
+      res.status(error.statusCode || 500).end();
+    }
+  };
+
+  // 📊 GET /uploads/:id - Progress as JSON
+  getUploadProgress = async (req, res, next) => {
+    try {
+      const progress = await this.resumableUploadService.getProgress(req.params.id, req.user.userId);
+
+      res.success({ upload: progress });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // ⏩ PATCH (or PUT) /uploads/:id - Raw chunk starting at Upload-Offset
+  appendChunk = async (req, res, next) => {
+    try {
+      if (!req.is(CHUNK_CONTENT_TYPE)) {
+        return res.error(`Chunks must be sent as ${CHUNK_CONTENT_TYPE}`, 415);
+      }
+
+      const uploadOffset = req.get('Upload-Offset');
+      if (uploadOffset === undefined || !/^\d+$/.test(uploadOffset)) {
+        return res.error('Upload-Offset header is required', 400);
+      }
+
+      const session = await this.resumableUploadService.appendChunk(req.params.id, req.user.userId, uploadOffset, req);
+
+      this.setProgressHeaders(res, session);
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // ✅ POST /uploads/:id/finalize - Turn the complete file into a resource
+  finalizeUpload = async (req, res, next) => {
+    try {
+      const resource = await this.resumableUploadService.finalize(req.params.id, req.user.userId, req.body);
+
+      res.success({ resource }, 'Resource uploaded successfully', 201);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // 🗑️ DELETE /uploads/:id - Abort and drop the partial file
+  cancelUpload = async (req, res, next) => {
+    try {
+      await this.resumableUploadService.cancel(req.params.id, req.user.userId);
+
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Export controller instance
+const uploadController = new UploadController();
+
+export const {
+  tusHeaders,
+  createUpload,
+  getUploadOffset,
+  getUploadProgress,
+  appendChunk,
+  finalizeUpload,
+  cancelUpload
+} = uploadController;
+export { UploadController };
+export default uploadController;
@@ -1,5 +1,6 @@
 import UserService from '../services/UserService.js';
 import UserValidator from '../validators/UserValidator.js';
+import EnrollmentService from '../services/EnrollmentService.js';
 
 // Get user profile
 export const getUserProfile = async (req, res, next) => {
@@ -74,20 +75,19 @@ export const getUserSettings = async (req, res, next) => {
 // Update user settings/preferences
 export const updateUserSettings = async (req, res, next) => {
     try {
-        // Validate input - using profile validation for consistency
-        const validationResult = UserValidator.validateUpdateProfile(req.body);
+        const validationResult = UserValidator.validatePreferences(req.body.preferences);
         if (!validationResult.isValid) {
             return res.error('Error de validación', 400, validationResult.errors);
         }
 
-        const result = await UserService.updateUserSettings(req.user.userId, req.body.preferences);
+        const result = await UserService.updateUserSettings(req.user.userId, validationResult.data);
 
         res.success(result, result.message);
 
     } catch (error) {
         console.error('Update user settings error:', error);
         
-        if (error.message === 'Usuario no encontrado') {
+        if (error.message.includes('Usuario no encontrado')) {
             return res.error('Usuario no encontrado', 404);
         }
         
@@ -106,4 +106,16 @@ export const uploadAvatar = async (req, res, next) => {
         console.error('Upload avatar error:', error.message);
         next(error);
     }
-};
\ No newline at end of file
+};
+
+// Courses the user is enrolled in (?status=active|dropped|completed|all, ?academic_period_id=)
+export const getMyCourses = async (req, res, next) => {
+    try {
+        const enrollments = await EnrollmentService.getMyCourses(req.user.userId, req.query);
+
+        res.success(enrollments, 'Cursos obtenidos exitosamente');
+    } catch (error) {
+        console.error('Get my courses error:', error.message);
+        next(error);
+    }
+};
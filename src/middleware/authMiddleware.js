@@ -1,6 +1,7 @@
 import jwt from 'jsonwebtoken';
 import { User } from '../models/index.js';
 import AuthService from '../services/AuthService.js';
+import SessionService from '../services/SessionService.js';
 
 const authMiddleware = async (req, res, next) => {
     try {
@@ -33,11 +34,19 @@ const authMiddleware = async (req, res, next) => {
             return res.error('Usuario no válido o inactivo', 401);
         }
 
+        // Access tokens die with their session (logout, revoked device, reuse detection)
+        if (decoded.sid && !(await SessionService.isSessionActive(decoded.sid))) {
+            console.log('Session revoked:', decoded.sid);
+            return res.error('Sesión revocada', 401);
+        }
+
         req.user = {
             id: user.id,         // ✅ Add both for compatibility
             userId: user.id,     // Keep existing for backward compatibility
             role: user.role,
-            email: user.email
+            email: user.email,
+            emailVerified: !!user.email_verified_at,
+            sessionId: decoded.sid || null
         };
         
         console.log('🔐 Authentication successful', {
@@ -0,0 +1,107 @@
+import PermissionService from '../services/PermissionService.js';
+import ModerationScopeService from '../services/ModerationScopeService.js';
+import CourseTeacherService from '../services/CourseTeacherService.js';
+import { ForbiddenError, UnauthorizedError } from '../utils/errors.js';
+
+/**
+ * Resuelve (una vez por petición) los permisos efectivos del usuario:
+ * los de su rol más los asignados individualmente
+ * @returns {Promise<Set<string>>}
+ */
+export const loadPermissions = async (req, permissionService = PermissionService) => {
+    if (!req.user) {
+        return new Set();
+    }
+
+    if (!req.permissions) {
+        req.permissions = await permissionService.getEffectivePermissions({
+            id: req.user.id || req.user.userId,
+            role: req.user.role
+        });
+    }
+
+    return req.permissions;
+};
+
+/**
+ * Para controladores que combinan propiedad y permiso
+ * (p. ej. "el autor o un moderador puede borrar")
+ */
+export const hasPermission = async (req, permissionType, permissionService = PermissionService) => {
+    const permissions = await loadPermissions(req, permissionService);
+    return permissions.has(permissionType);
+};
+
+/**
+ * Ámbito de moderación del usuario (una vez por petición):
+ * null si puede moderar todo, o las facultades/categorías a las que está limitado
+ * @returns {Promise<Object|null>}
+ */
+export const loadModerationScope = async (req, scopeService = ModerationScopeService) => {
+    if (req.moderationScope === undefined) {
+        req.moderationScope = await scopeService.getScope({
+            id: req.user.id || req.user.userId,
+            role: req.user.role
+        });
+    }
+
+    return req.moderationScope;
+};
+
+/**
+ * Middleware que exige al menos uno de los permisos indicados.
+ * Debe ir después de authMiddleware.
+ * @param {...string} permissionTypes - Tipos de Permission ('moderate_resources', ...)
+ * @returns {Function} Middleware function
+ */
+export const requirePermission = (...permissionTypes) => {
+    return async (req, res, next) => {
+        try {
+            if (!req.user) {
+                return next(new UnauthorizedError('Usuario no autenticado'));
+            }
+
+            const permissions = await loadPermissions(req);
+
+            if (!permissionTypes.some(type => permissions.has(type))) {
+                console.log(`Permission denied - User ${req.user.userId} (${req.user.role}) lacks: ${permissionTypes.join(', ')}`);
+                return next(new ForbiddenError('Acceso denegado. No tienes permiso para esta acción', permissionTypes.join(',')));
+            }
+
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+/**
+ * Middleware para rutas de un curso (:id): admite a quien tiene manage_courses
+ * y al profesor asignado al curso. Deja el curso en req.course y el nivel de
+ * acceso ('manager' o 'teacher') en req.courseAccess.
+ * @param {string} param - Parámetro de ruta con el id del curso
+ * @returns {Function} Middleware function
+ */
+export const requireCourseTeacher = (param = 'id') => {
+    return async (req, res, next) => {
+        try {
+            if (!req.user) {
+                return next(new UnauthorizedError('Usuario no autenticado'));
+            }
+
+            const { course, level } = await CourseTeacherService.getCourseAccess(
+                { id: req.user.id || req.user.userId, role: req.user.role },
+                req.params[param],
+                await hasPermission(req, 'manage_courses')
+            );
+
+            req.course = course;
+            req.courseAccess = level;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+export default requirePermission;
@@ -0,0 +1,92 @@
+// Route-aware rate limiting with the named policies of config/rateLimit.js
+// Every request is counted by the first policy matching its path and method
+
+import rateLimit from 'express-rate-limit';
+import JwtService from '../services/JwtService.js';
+import rateLimitConfig from '../config/rateLimit.js';
+import { RateLimitError } from '../utils/errors.js';
+
+// Per user when the request carries a valid access token, per IP otherwise.
+// The limiter runs before authMiddleware, so the token is checked here.
+export const rateLimitKey = (req) => {
+    const authHeader = req.headers.authorization;
+
+    if (req.user?.userId) {
+        return `user:${req.user.userId}`;
+    }
+
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        try {
+            const decoded = JwtService.verifyAccessToken(authHeader.substring(7));
+            if (decoded.userId) {
+                return `user:${decoded.userId}`;
+            }
+        } catch (error) {
+            // Invalid or expired token - count it against the IP
+        }
+    }
+
+    return `ip:${req.ip}`;
+};
+
+const matchesPolicy = (policy, req) => {
+    if (policy.methods && !policy.methods.includes(req.method)) {
+        return false;
+    }
+
+    return policy.paths.some(prefix =>
+        prefix === '/' || req.path === prefix || req.path.startsWith(`${prefix}/`)
+    );
+};
+
+/**
+ * Build the limiter of one policy
+ * @param {string} name - Policy name, used in logs and to keep counters apart
+ * @param {Object} policy - { limit, windowMinutes, message }
+ * @returns {Function} express-rate-limit middleware
+ */
+export const createPolicyLimiter = (name, policy) => rateLimit({
+    windowMs: policy.windowMinutes * 60 * 1000,
+    limit: policy.limit,
+    standardHeaders: 'draft-6',     // RateLimit-Limit / -Remaining / -Reset / -Policy
+    legacyHeaders: false,
+    keyGenerator: (req) => `${name}:${rateLimitKey(req)}`,
+    handler: (req, res, next, options) => {
+        const resetTime = req.rateLimit?.resetTime;
+        const retryAfter = resetTime
+            ? Math.max(1, Math.ceil((resetTime.getTime() - Date.now()) / 1000))
+            : Math.ceil(options.windowMs / 1000);
+
+        console.log(`🚦 Rate limit "${name}" exceeded by ${rateLimitKey(req)} on ${req.method} ${req.originalUrl}`);
+        next(new RateLimitError(policy.message, retryAfter));
+    }
+});
+
+/**
+ * Middleware that dispatches each request to its policy limiter.
+ * Mount it on /api; requests no policy matches are not limited.
+ * @param {Object} config - Rate limit configuration
+ */
+export const createRateLimiter = (config = rateLimitConfig) => {
+    const policies = Object.entries(config.policies).map(([name, policy]) => ({
+        name,
+        policy,
+        limiter: createPolicyLimiter(name, policy)
+    }));
+
+    return (req, res, next) => {
+        if (!config.enabled) {
+            return next();
+        }
+
+        const match = policies.find(({ policy }) => matchesPolicy(policy, req));
+        if (!match) {
+            return next();
+        }
+
+        req.rateLimitPolicy = match.name;
+        return match.limiter(req, res, next);
+    };
+};
+
+export default createRateLimiter;
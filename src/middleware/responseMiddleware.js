@@ -36,6 +36,15 @@ export const errorHandler = (err, req, res, next) => {
         });
     }
 
+    // ConflictError with what it conflicts with (e.g. the resource a duplicate upload matches)
+    if (err.name === 'ConflictError') {
+        return res.status(err.statusCode).json({
+            success: false,
+            message: err.message,
+            data: err.details || null
+        });
+    }
+
     // Joi validation errors
     if (err.details && Array.isArray(err.details)) {
         return res.status(400).json({
@@ -90,6 +99,11 @@ export const errorHandler = (err, req, res, next) => {
         });
     }
 
+    // Tell rate-limited clients when to come back (RateLimitError)
+    if (err.details?.retryAfter) {
+        res.set('Retry-After', String(err.details.retryAfter));
+    }
+
     // Default error response
     const statusCode = err.statusCode || err.status || 500;
     const message = err.message || 'Internal server error';
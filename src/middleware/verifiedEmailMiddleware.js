@@ -0,0 +1,14 @@
+import authConfig from '../config/auth.js';
+
+// Require a verified email for actions that publish content (uploads, comments).
+// Only enforced when REQUIRE_EMAIL_VERIFICATION=true; must run after authMiddleware.
+export const requireVerifiedEmail = (req, res, next) => {
+    if (!authConfig.emailVerification.required || req.user?.emailVerified) {
+        return next();
+    }
+
+    console.log(`Unverified email blocked - User ${req.user?.userId} on ${req.method} ${req.originalUrl}`);
+    return res.error('Debes verificar tu correo electrónico para realizar esta acción', 403);
+};
+
+export default requireVerifiedEmail;
@@ -55,6 +55,11 @@ const Comment = sequelize.define('Comment', {
       max: 5
     },
     comment: 'Rating from 1 to 5 stars - only for top-level comments'
+  },
+  // Version of the resource the comment or rating was made against
+  resource_version: {
+    type: DataTypes.INTEGER,
+    allowNull: true
   }
 }, {
   tableName: 'comments',
@@ -0,0 +1,71 @@
+// 🎓 Course Enrollment Model - A student taking a course in an academic period
+// Drives the "my courses" resource feed and course notifications
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const CourseEnrollment = sequelize.define('CourseEnrollment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  course_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'courses',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  academic_period_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'academic_periods',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'dropped', 'completed'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  // How the enrollment was created: the student, an admin, or a CSV import
+  source: {
+    type: DataTypes.ENUM('self', 'admin', 'import'),
+    allowNull: false,
+    defaultValue: 'self'
+  },
+  enrolled_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  dropped_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'course_enrollments',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['user_id', 'course_id', 'academic_period_id'] },
+    { fields: ['user_id', 'status'] },
+    { fields: ['course_id', 'status'] }
+  ]
+});
+
+export default CourseEnrollment;
@@ -0,0 +1,59 @@
+// 📰 Digest Log Model - One row per digest run for a user
+// The latest period_end is where the next digest starts collecting
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const DigestLog = sequelize.define('DigestLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  frequency: {
+    type: DataTypes.ENUM('daily', 'weekly'),
+    allowNull: false
+  },
+  period_start: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  period_end: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  resources_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  replies_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  sent: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'False when there was nothing new and no message was sent'
+  }
+}, {
+  tableName: 'digest_logs',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id', 'period_end'] }
+  ]
+});
+
+export default DigestLog;
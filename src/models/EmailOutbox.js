@@ -0,0 +1,91 @@
+// 📤 Email Outbox Model - Persistent queue of outgoing emails
+// Every email is stored before delivery so failures can be retried and audited
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const EmailOutbox = sequelize.define('EmailOutbox', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Recipient user, when the email targets a registered user'
+  },
+  to: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isEmail: true
+    }
+  },
+  template: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  locale: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: 'es'
+  },
+  subject: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  text_body: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  html_body: {
+    type: DataTypes.TEXT
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'sending', 'sent', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending',
+    comment: 'failed = gave up after max_attempts, kept for auditing/manual retry'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  max_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 5
+  },
+  next_attempt_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  last_error: {
+    type: DataTypes.TEXT
+  },
+  provider_message_id: {
+    type: DataTypes.STRING
+  },
+  sent_at: {
+    type: DataTypes.DATE
+  }
+}, {
+  tableName: 'email_outbox',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['status', 'next_attempt_at'] },
+    { fields: ['user_id'] },
+    { fields: ['template'] }
+  ]
+});
+
+export default EmailOutbox;
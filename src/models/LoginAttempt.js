@@ -0,0 +1,53 @@
+// 🛡️ Login Attempt Model - Audit trail of every login attempt
+// Kept even for unknown emails so attacks on non-existent accounts are visible too
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const LoginAttempt = sequelize.define('LoginAttempt', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'Null when the email does not belong to any account'
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  user_agent: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  outcome: {
+    type: DataTypes.ENUM('success', 'invalid_credentials', 'invalid_two_factor', 'inactive', 'blocked'),
+    allowNull: false,
+    comment: 'blocked = rejected by backoff/lockout before checking the password'
+  }
+}, {
+  tableName: 'login_attempts',
+  timestamps: true,
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id'] },
+    { fields: ['email'] },
+    { fields: ['ip_address'] },
+    { fields: ['created_at'] }
+  ]
+});
+
+export default LoginAttempt;
@@ -0,0 +1,65 @@
+// 🛡️ Moderator Scope Model - Faculty or category a moderator is limited to
+// A moderator without scopes moderates the whole platform
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const ModeratorScope = sequelize.define('ModeratorScope', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  faculty_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'faculties',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  category_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'categories',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  assigned_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'moderator_scopes',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id'] },
+    { unique: true, fields: ['user_id', 'faculty_id', 'category_id'] }
+  ],
+  validate: {
+    exactlyOneTarget() {
+      if (!this.faculty_id === !this.category_id) {
+        throw new Error('Un ámbito de moderación debe indicar una facultad o una categoría');
+      }
+    }
+  }
+});
+
+export default ModeratorScope;
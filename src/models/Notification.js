@@ -0,0 +1,76 @@
+// 🔔 Notification Model - In-app notifications per user
+// Following Active Record Pattern and Single Responsibility Principle
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const Notification = sequelize.define('Notification', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'User who receives the notification'
+  },
+  type: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'info',
+    comment: 'Notification type (profile_update, security_alert, ...)'
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      len: [1, 255],
+      notEmpty: true
+    }
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  data: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    comment: 'Extra payload used by the client (links, ids, template data)'
+  },
+  read: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  read_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'notifications',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id'] },
+    { fields: ['user_id', 'read'] },
+    { fields: ['created_at'] }
+  ]
+});
+
+// Instance methods
+Notification.prototype.markAsRead = async function() {
+  if (this.read) {
+    return this;
+  }
+  this.read = true;
+  this.read_at = new Date();
+  return await this.save();
+};
+
+export default Notification;
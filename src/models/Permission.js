@@ -79,7 +79,7 @@ Permission.createDefaultPermissions = async function() {
     {
       name: 'Gestionar Cursos',
       permission_type: 'manage_courses',
-      description: 'Permite crear y modificar cursos',
+      description: 'Permite crear y modificar cursos y categorías',
       default_roles: ['admin']
     },
     {
@@ -87,6 +87,18 @@ Permission.createDefaultPermissions = async function() {
       permission_type: 'manage_users',
       description: 'Permite administrar usuarios',
       default_roles: ['admin']
+    },
+    {
+      name: 'Ver Estadísticas',
+      permission_type: 'view_analytics',
+      description: 'Permite consultar estadísticas de la plataforma',
+      default_roles: ['admin']
+    },
+    {
+      name: 'Eliminar Recursos',
+      permission_type: 'delete_resources',
+      description: 'Permite eliminar recursos de otros usuarios',
+      default_roles: ['admin']
     }
   ];
 
@@ -0,0 +1,73 @@
+// 🔁 Refresh Token Model - Server-side record of every issued refresh token
+// Tokens rotated from the same login share a family_id; the family is the user's session
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const RefreshToken = sequelize.define('RefreshToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    comment: 'Also the jti claim of the refresh JWT'
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  family_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Session id - shared by all tokens rotated from one login'
+  },
+  token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'SHA-256 of the refresh JWT'
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revoked_reason: {
+    type: DataTypes.ENUM('rotated', 'logout', 'logout_all', 'reuse_detected', 'password_reset', 'admin'),
+    allowNull: true
+  },
+  replaced_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Token issued when this one was rotated'
+  },
+  user_agent: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  }
+}, {
+  tableName: 'refresh_tokens',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id'] },
+    { fields: ['family_id'] },
+    { fields: ['expires_at'] }
+  ]
+});
+
+RefreshToken.prototype.isActive = function(now = new Date()) {
+  return !this.revoked_at && new Date(this.expires_at) > now;
+};
+
+export default RefreshToken;
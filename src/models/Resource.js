@@ -36,7 +36,14 @@ const Resource = sequelize.define('Resource', {
   },
   file_url: {
     type: DataTypes.STRING,
-    allowNull: true
+    allowNull: true,
+    // Stored files are only downloadable through the access-checked endpoint; links elsewhere are kept
+    get() {
+      const id = this.getDataValue('id');
+      return this.getDataValue('file_path') && id
+        ? `/api/resources/${id}/download`
+        : this.getDataValue('file_url');
+    }
   },
   file_path: {
     type: DataTypes.STRING
@@ -44,6 +51,16 @@ const Resource = sequelize.define('Resource', {
   file_size: {
     type: DataTypes.INTEGER // in bytes
   },
+  // SHA-256 of the uploaded file; identical files share one blob on disk
+  content_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  // Set when the same file was already uploaded as another resource
+  duplicate_of: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
   thumbnail_url: {
     type: DataTypes.STRING,
     allowNull: true
@@ -114,6 +131,30 @@ const Resource = sequelize.define('Resource', {
     type: DataTypes.BOOLEAN,
     defaultValue: false
   },
+  // Bumped on every edit of the content or file; older states live in resource_versions
+  current_version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  // Curation by the teacher of the resource's course
+  pinned_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Pinned as official course material'
+  },
+  pinned_by: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  teacher_verified_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  teacher_verified_by: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
   published_at: {
     type: DataTypes.DATE
   },
@@ -136,11 +177,25 @@ const Resource = sequelize.define('Resource', {
     { fields: ['user_id'] },
     { fields: ['category_id'] },
     { fields: ['course_id'] },
+    { fields: ['course_id', 'pinned_at'] },
+    { fields: ['academic_period_id'] },
+    { fields: ['content_hash'] },
     { fields: ['academic_year'] },
     { fields: ['semester'] }
   ]
 });
 
+// The storage key never leaves the server, not even nested in another model's JSON:
+// plain copies (what toJSON serializes) drop it, while resource.file_path still reads it
+const getValues = Resource.prototype.get;
+Resource.prototype.get = function(key, options) {
+  const values = getValues.call(this, key, options);
+  if (typeof key === 'string' || !(options || key)?.plain) return values;
+
+  const { file_path, ...visible } = values;
+  return visible;
+};
+
 // Instance methods
 Resource.prototype.incrementViews = async function() {
   this.views_count += 1;
@@ -167,6 +222,11 @@ Resource.prototype.isVisible = function() {
   return this.visibility === 'public' && this.isPublished();
 };
 
+// Readable by anyone, not only its author, course or invited users
+Resource.prototype.isPubliclyReadable = function() {
+  return this.visibility === 'public' && this.status === 'published';
+};
+
 // Class methods
 Resource.getPublished = function() {
   return this.findAll({
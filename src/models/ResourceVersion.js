@@ -0,0 +1,80 @@
+// 🗂️ Resource Version Model - Snapshot of a resource before it was edited
+// Version n is the state the resource had while its current_version was n
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const ResourceVersion = sequelize.define('ResourceVersion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  resource_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'resources',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  version_number: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  content: {
+    type: DataTypes.TEXT
+  },
+  type: {
+    type: DataTypes.STRING
+  },
+  format: {
+    type: DataTypes.STRING
+  },
+  // The file is kept on disk while any version points at it
+  file_url: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  file_path: {
+    type: DataTypes.STRING
+  },
+  file_size: {
+    type: DataTypes.INTEGER
+  },
+  content_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  // Who made the edit that replaced this version
+  replaced_by: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  tableName: 'resource_versions',
+  timestamps: true,
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['resource_id', 'version_number'] }
+  ]
+});
+
+export default ResourceVersion;
@@ -0,0 +1,73 @@
+// ⏫ Upload Session Model - A resumable (tus) upload in progress
+// Chunks are appended to a temp file until upload_offset reaches upload_length; finalizing turns it into a resource
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const UploadSession = sequelize.define('UploadSession', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  filename: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  mimetype: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // Resource type the file is for; its size limit applies (config/resumableUpload.js)
+  resource_type: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  upload_length: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  upload_offset: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  status: {
+    type: DataTypes.ENUM('uploading', 'completed'),
+    allowNull: false,
+    defaultValue: 'uploading'
+  },
+  // Resource fields sent with the upload (title, description, course_id...), used on finalize
+  metadata: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  resource_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // Pushed forward by every chunk; unfinished sessions past it are garbage-collected
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'upload_sessions',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id'] },
+    { fields: ['status', 'expires_at'] }
+  ]
+});
+
+export default UploadSession;
@@ -1,6 +1,7 @@
 import { DataTypes } from 'sequelize';
 import sequelize from '../config/database.js';
 import bcrypt from 'bcryptjs';
+import TokenService from '../utils/TokenService.js';
 
 const User = sequelize.define('User', {
   id: {
@@ -92,6 +93,11 @@ const User = sequelize.define('User', {
       len: [4, 15]
     }
   },
+  // Set when SSO or an admin vouched for student_id/employee_id; self-declared IDs stay null
+  institutional_id_verified_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   academic_degree: {
     type: DataTypes.ENUM('bachelor', 'master', 'doctorate', 'postdoc'),
     defaultValue: null
@@ -119,13 +125,43 @@ const User = sequelize.define('User', {
     type: DataTypes.DATE
   },
   reset_password_token: {
-    type: DataTypes.STRING
+    type: DataTypes.STRING,
+    comment: 'SHA-256 hash of the password reset token'
   },
   reset_password_expires: {
     type: DataTypes.DATE
   },
   verification_token: {
-    type: DataTypes.STRING
+    type: DataTypes.STRING,
+    comment: 'SHA-256 hash of the email verification token'
+  },
+  verification_expires: {
+    type: DataTypes.DATE
+  },
+  password_changed_at: {
+    type: DataTypes.DATE,
+    comment: 'Refresh tokens issued before this moment are rejected'
+  },
+  two_factor_enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  two_factor_secret: {
+    type: DataTypes.TEXT,
+    comment: 'Encrypted TOTP secret; set at setup, active once two_factor_enabled'
+  },
+  two_factor_enabled_at: {
+    type: DataTypes.DATE
+  },
+  two_factor_last_step: {
+    type: DataTypes.INTEGER,
+    comment: 'Last accepted TOTP time step - older or equal codes are replays'
+  },
+  two_factor_recovery_codes: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'SHA-256 hashes of the unused recovery codes'
   }
 }, {
   tableName: 'users',
@@ -168,13 +204,27 @@ User.prototype.getFullName = function() {
 };
 
 User.prototype.toSafeObject = function() {
-  const { password, reset_password_token, verification_token, ...safeUser } = this.toJSON();
+  const {
+    password,
+    reset_password_token,
+    reset_password_expires,
+    verification_token,
+    verification_expires,
+    two_factor_secret,
+    two_factor_last_step,
+    two_factor_recovery_codes,
+    ...safeUser
+  } = this.toJSON();
   return safeUser;
 };
 
+User.prototype.isEmailVerified = function() {
+  return !!this.email_verified_at;
+};
+
 // Class methods
 User.generateVerificationToken = function() {
-  return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+  return TokenService.generateToken();
 };
 
 export default User;
\ No newline at end of file
@@ -0,0 +1,55 @@
+// 🏫 User Identity Model - Link between a User and an external (SSO) identity
+// (provider, subject) is the stable key; the email may change at the IdP
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const UserIdentity = sequelize.define('UserIdentity', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Provider id from config/oidc.js'
+  },
+  subject: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'sub claim of the ID token'
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  claims: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    comment: 'Mapped claims from the last login'
+  },
+  last_login_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'user_identities',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['provider', 'subject'] },
+    { fields: ['user_id'] }
+  ]
+});
+
+export default UserIdentity;
@@ -8,6 +8,16 @@ import Favorite from './Favorite.js';
 import Permission from './Permission.js';
 import UserPermission from './UserPermission.js';
 import Report from './Report.js';
+import Notification from './Notification.js';
+import EmailOutbox from './EmailOutbox.js';
+import DigestLog from './DigestLog.js';
+import RefreshToken from './RefreshToken.js';
+import LoginAttempt from './LoginAttempt.js';
+import UserIdentity from './UserIdentity.js';
+import ModeratorScope from './ModeratorScope.js';
+import CourseEnrollment from './CourseEnrollment.js';
+import ResourceVersion from './ResourceVersion.js';
+import UploadSession from './UploadSession.js';
 // University-specific models
 import Faculty from './Faculty.js';
 import Career from './Career.js';
@@ -271,6 +281,144 @@ Report.belongsTo(Resource, {
   as: 'resource'
 });
 
+// ===== NOTIFICATION RELATIONSHIPS =====
+// User has many notifications
+User.hasMany(Notification, {
+  foreignKey: 'user_id',
+  as: 'notifications'
+});
+Notification.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+// User has many queued emails
+User.hasMany(EmailOutbox, {
+  foreignKey: 'user_id',
+  as: 'emails'
+});
+EmailOutbox.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+// User has many digest runs
+User.hasMany(DigestLog, {
+  foreignKey: 'user_id',
+  as: 'digestLogs'
+});
+DigestLog.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+// ===== SESSION RELATIONSHIPS =====
+// User has many refresh tokens (grouped in sessions by family_id)
+User.hasMany(RefreshToken, {
+  foreignKey: 'user_id',
+  as: 'refreshTokens'
+});
+RefreshToken.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+// User has many login attempts (audit trail)
+User.hasMany(LoginAttempt, {
+  foreignKey: 'user_id',
+  as: 'loginAttempts'
+});
+LoginAttempt.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+// User has many external (SSO) identities
+User.hasMany(UserIdentity, {
+  foreignKey: 'user_id',
+  as: 'identities'
+});
+UserIdentity.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+// Moderators may be limited to some faculties or categories
+User.hasMany(ModeratorScope, {
+  foreignKey: 'user_id',
+  as: 'moderatorScopes'
+});
+ModeratorScope.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'moderator'
+});
+ModeratorScope.belongsTo(Faculty, {
+  foreignKey: 'faculty_id',
+  as: 'faculty'
+});
+ModeratorScope.belongsTo(Category, {
+  foreignKey: 'category_id',
+  as: 'category'
+});
+
+// ===== ENROLLMENT RELATIONSHIPS =====
+// Students enroll in courses for an academic period
+User.hasMany(CourseEnrollment, {
+  foreignKey: 'user_id',
+  as: 'enrollments'
+});
+CourseEnrollment.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'student'
+});
+Course.hasMany(CourseEnrollment, {
+  foreignKey: 'course_id',
+  as: 'enrollments'
+});
+CourseEnrollment.belongsTo(Course, {
+  foreignKey: 'course_id',
+  as: 'course'
+});
+AcademicPeriod.hasMany(CourseEnrollment, {
+  foreignKey: 'academic_period_id',
+  as: 'enrollments'
+});
+CourseEnrollment.belongsTo(AcademicPeriod, {
+  foreignKey: 'academic_period_id',
+  as: 'academic_period'
+});
+
+// ===== VERSION RELATIONSHIPS =====
+// Resource keeps a snapshot of every state it was edited from
+Resource.hasMany(ResourceVersion, {
+  foreignKey: 'resource_id',
+  as: 'versions'
+});
+ResourceVersion.belongsTo(Resource, {
+  foreignKey: 'resource_id',
+  as: 'resource'
+});
+ResourceVersion.belongsTo(User, {
+  foreignKey: 'replaced_by',
+  as: 'editor'
+});
+
+// ===== UPLOAD RELATIONSHIPS =====
+// Resumable uploads belong to the uploader and end up as a resource
+User.hasMany(UploadSession, {
+  foreignKey: 'user_id',
+  as: 'uploadSessions'
+});
+UploadSession.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+UploadSession.belongsTo(Resource, {
+  foreignKey: 'resource_id',
+  as: 'resource',
+  constraints: false
+});
+
 export {
   User,
   Resource,
@@ -281,6 +429,16 @@ export {
   Permission,
   UserPermission,
   Report,
+  Notification,
+  EmailOutbox,
+  DigestLog,
+  RefreshToken,
+  LoginAttempt,
+  UserIdentity,
+  ModeratorScope,
+  CourseEnrollment,
+  ResourceVersion,
+  UploadSession,
   Faculty,
   Career,
   Course,
@@ -297,6 +455,16 @@ export default {
   Permission,
   UserPermission,
   Report,
+  Notification,
+  EmailOutbox,
+  DigestLog,
+  RefreshToken,
+  LoginAttempt,
+  UserIdentity,
+  ModeratorScope,
+  CourseEnrollment,
+  ResourceVersion,
+  UploadSession,
   Faculty,
   Career,
   Course,
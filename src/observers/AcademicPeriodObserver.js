@@ -0,0 +1,73 @@
+// 📅 Academic Period Observer - Observer Pattern implementation
+// Reacts to the academic calendar moving on: a period starts, ends, or a new one becomes current
+
+import CourseEnrollmentRepository from '../repositories/CourseEnrollmentRepository.js';
+import ResourceRepository from '../repositories/ResourceRepository.js';
+import academicPeriodConfig from '../config/academicPeriods.js';
+
+class AcademicPeriodObserver {
+  constructor() {
+    this.observers = new Map();
+  }
+
+  /**
+   * Subscribe to academic period events
+   * @param {string} event - 'period.started' | 'period.completed' | 'period.rolled_over'
+   * @param {Function} callback - Callback function
+   */
+  subscribe(event, callback) {
+    if (!this.observers.has(event)) {
+      this.observers.set(event, []);
+    }
+    this.observers.get(event).push(callback);
+  }
+
+  unsubscribe(event, callback) {
+    if (this.observers.has(event)) {
+      const callbacks = this.observers.get(event);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Notify all subscribers of an event; one failing subscriber doesn't stop the others
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  async notify(event, data) {
+    if (this.observers.has(event)) {
+      for (const callback of this.observers.get(event)) {
+        try {
+          await callback(data);
+        } catch (error) {
+          console.error(`Error in observer callback for event ${event}:`, error);
+        }
+      }
+    }
+  }
+}
+
+// Create singleton instance
+const academicPeriodObserver = new AcademicPeriodObserver();
+
+// A period ended: its enrollments are done
+academicPeriodObserver.subscribe('period.completed', async ({ period }) => {
+  if (!academicPeriodConfig.completeEnrollments) return;
+
+  const completed = await CourseEnrollmentRepository.completeByPeriod(period.id);
+  console.log(`📅 Enrollments completed for ${period.code}:`, completed);
+});
+
+// A new period became current: archive the drafts the previous one left behind
+academicPeriodObserver.subscribe('period.rolled_over', async ({ from, now }) => {
+  if (!from || !academicPeriodConfig.archiveStaleDrafts) return;
+
+  const archived = await ResourceRepository.archiveStaleDrafts(from, now);
+  console.log(`📅 Stale drafts archived after ${from.code}:`, archived);
+});
+
+export default academicPeriodObserver;
+export { AcademicPeriodObserver };
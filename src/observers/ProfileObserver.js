@@ -79,8 +79,8 @@ profileObserver.subscribe('profile.updated', async (data) => {
     }
   };
   
-  // Send in-app notification
-  await NotificationContext.sendNotification('inapp', notificationData);
+  // Send through the channels the user enabled for profile updates
+  await NotificationContext.sendByPreference(notificationData);
 });
 
 profileObserver.subscribe('avatar.updated', async (data) => {
@@ -101,7 +101,7 @@ profileObserver.subscribe('avatar.updated', async (data) => {
   };
   
   // Send notification
-  await NotificationContext.sendNotification('inapp', notificationData);
+  await NotificationContext.sendByPreference(notificationData);
   
   // Here you could also trigger additional actions like:
   // - Generate thumbnails
@@ -122,11 +122,15 @@ profileObserver.subscribe('password.changed', async (data) => {
     title: 'Contraseña Cambiada',
     message: 'Tu contraseña ha sido cambiada exitosamente',
     body: 'Si no fuiste tú quien cambió la contraseña, contacta al soporte',
-    type: 'security_alert'
+    type: 'security_alert',
+    template: 'password.changed',
+    templateData: {
+      changedAt: new Date().toUTCString()
+    }
   };
   
-  // Send via multiple channels for security alerts
-  await NotificationContext.sendMultiple(['inapp', 'email'], notificationData);
+  // Security alerts always reach in-app and email (mandatory channels)
+  await NotificationContext.sendByPreference(notificationData);
   
   // Here you could also:
   // - Log security event
@@ -134,4 +138,28 @@ profileObserver.subscribe('password.changed', async (data) => {
   // - Require re-authentication
 });
 
+profileObserver.subscribe('account.locked', async (data) => {
+  console.log('🔒 Account locked:', {
+    userId: data.userId,
+    failures: data.failures,
+    lockedUntil: data.lockedUntil.toISOString()
+  });
+
+  const notificationData = {
+    user: { id: data.userId },
+    subject: 'Cuenta Bloqueada - Alerta de Seguridad',
+    title: 'Cuenta Bloqueada Temporalmente',
+    message: `Bloqueamos el inicio de sesión tras ${data.failures} intentos fallidos`,
+    body: 'Si no fuiste tú, restablece tu contraseña para desbloquear la cuenta',
+    type: 'security_alert',
+    template: 'account.locked',
+    templateData: {
+      failures: data.failures,
+      lockedUntil: data.lockedUntil.toUTCString()
+    }
+  };
+
+  await NotificationContext.sendByPreference(notificationData);
+});
+
 export default profileObserver;
\ No newline at end of file
@@ -0,0 +1,228 @@
+// 👀 Resource Observer - Observer Pattern implementation
+// Notifies resource authors when someone interacts with their resources,
+// and enrolled students when their courses get new material
+
+import NotificationContext from '../patterns/NotificationStrategy.js';
+import ResourceRepository from '../repositories/ResourceRepository.js';
+import UserRepository from '../repositories/UserRepository.js';
+import CourseEnrollmentRepository from '../repositories/CourseEnrollmentRepository.js';
+import emailConfig from '../config/email.js';
+import { reportOutcomeLabels, localizedLabel } from '../templates/emailTemplates.js';
+
+class ResourceObserver {
+  constructor() {
+    this.observers = new Map();
+  }
+
+  /**
+   * Subscribe to resource events
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  subscribe(event, callback) {
+    if (!this.observers.has(event)) {
+      this.observers.set(event, []);
+    }
+    this.observers.get(event).push(callback);
+  }
+
+  /**
+   * Unsubscribe from resource events
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  unsubscribe(event, callback) {
+    if (this.observers.has(event)) {
+      const callbacks = this.observers.get(event);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Notify all subscribers of an event
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  async notify(event, data) {
+    if (this.observers.has(event)) {
+      const callbacks = this.observers.get(event);
+      for (const callback of callbacks) {
+        try {
+          await callback(data);
+        } catch (error) {
+          console.error(`Error in observer callback for event ${event}:`, error);
+        }
+      }
+    }
+  }
+}
+
+// Create singleton instance
+const resourceObserver = new ResourceObserver();
+
+const getActorName = async (actorId) => {
+  const actor = await UserRepository.findById(actorId);
+  return actor ? actor.name : 'Alguien';
+};
+
+// Someone commented on a resource (or replied to a comment)
+resourceObserver.subscribe('comment.created', async (data) => {
+  const { comment, resourceId, actorId, parentAuthorId = null } = data;
+
+  const resource = await ResourceRepository.findById(resourceId, false);
+  if (!resource) return;
+
+  const actorName = comment.author?.name || await getActorName(actorId);
+  const customData = {
+    resourceId,
+    commentId: comment.id,
+    actorId
+  };
+
+  if (resource.user_id !== actorId) {
+    await NotificationContext.sendByPreference({
+      user: { id: resource.user_id },
+      title: 'Nuevo comentario',
+      message: `${actorName} comentó tu recurso "${resource.title}"`,
+      type: 'resource_comment',
+      customData
+    });
+  }
+
+  if (parentAuthorId && parentAuthorId !== actorId && parentAuthorId !== resource.user_id) {
+    await NotificationContext.sendByPreference({
+      user: { id: parentAuthorId },
+      title: 'Nueva respuesta',
+      message: `${actorName} respondió tu comentario en "${resource.title}"`,
+      type: 'comment_reply',
+      customData
+    });
+  }
+});
+
+// Someone liked a resource
+resourceObserver.subscribe('resource.liked', async (data) => {
+  const { resourceId, actorId } = data;
+
+  const resource = await ResourceRepository.findById(resourceId, false);
+  if (!resource || resource.user_id === actorId) return;
+
+  const actorName = await getActorName(actorId);
+
+  await NotificationContext.sendByPreference({
+    user: { id: resource.user_id },
+    title: 'Nuevo me gusta',
+    message: `A ${actorName} le gusta tu recurso "${resource.title}"`,
+    type: 'resource_like',
+    customData: { resourceId, actorId }
+  });
+});
+
+// A moderator approved, rejected or sent back a resource
+resourceObserver.subscribe('resource.moderated', async (data) => {
+  const { resource, status, reason = null, moderatorId } = data;
+
+  if (!resource || resource.user_id === moderatorId) return;
+
+  const messages = {
+    published: `Tu recurso "${resource.title}" ha sido aprobado`,
+    rejected: `Tu recurso "${resource.title}" ha sido rechazado`,
+    under_review: `Tu recurso "${resource.title}" requiere cambios`
+  };
+
+  const templates = {
+    published: 'moderation.approved',
+    rejected: 'moderation.rejected',
+    under_review: 'moderation.changes_requested'
+  };
+
+  await NotificationContext.sendByPreference({
+    user: { id: resource.user_id },
+    subject: 'Recurso moderado',
+    title: 'Recurso moderado',
+    message: messages[status] || `El estado de tu recurso "${resource.title}" cambió a ${status}`,
+    type: 'resource_moderation',
+    template: templates[status],
+    templateData: {
+      resourceTitle: resource.title,
+      resourceUrl: `${emailConfig.appUrl}/resources/${resource.id}`,
+      reason: reason || '-'
+    },
+    customData: { resourceId: resource.id, status, reason }
+  });
+});
+
+// Students notified at the same time; a course of hundreds takes a handful of rounds
+const FAN_OUT_BATCH_SIZE = 50;
+
+// New material published in a course: tell the students enrolled in it.
+// Private and restricted material stays quiet; its title is not for every student
+const notifyEnrolledStudents = async (resource, actorId) => {
+  if (!resource?.course_id || !resource.isPubliclyReadable()) return;
+
+  const studentIds = (await CourseEnrollmentRepository.findActiveStudentIds(resource.course_id))
+    .filter(studentId => studentId !== resource.user_id && studentId !== actorId);
+
+  // Recipients and their preferences in one query instead of one per student
+  const students = await UserRepository.findActiveByIds(studentIds);
+
+  for (let i = 0; i < students.length; i += FAN_OUT_BATCH_SIZE) {
+    await Promise.all(students.slice(i, i + FAN_OUT_BATCH_SIZE).map(student =>
+      NotificationContext.sendByPreference({
+        user: student,
+        title: 'Nuevo material en tu curso',
+        message: `Se publicó "${resource.title}" en uno de tus cursos`,
+        type: 'course_resource',
+        customData: { resourceId: resource.id, courseId: resource.course_id }
+      })
+    ));
+  }
+};
+
+// Course-wide fan-out runs after the publish/moderation response has been sent
+const inBackground = (event, task) => {
+  setImmediate(() => {
+    task().catch(error => console.error(`Error in background task for event ${event}:`, error));
+  });
+};
+
+// Published directly by its author (or a status change to published)
+resourceObserver.subscribe('resource.published', async (data) => {
+  inBackground('resource.published', () => notifyEnrolledStudents(data.resource, data.actorId));
+});
+
+// Approved by a moderator
+resourceObserver.subscribe('resource.moderated', async (data) => {
+  if (data.status !== 'published') return;
+  inBackground('resource.moderated', () => notifyEnrolledStudents(data.resource, data.moderatorId));
+});
+
+// A report filed by a user was resolved or dismissed
+resourceObserver.subscribe('report.resolved', async (data) => {
+  const { report, status } = data;
+
+  if (!report || report.user_id === report.resolved_by) return;
+
+  const outcomeKey = status === 'dismissed' ? 'dismissed' : (report.action_taken || 'no_action');
+  const resourceTitle = report.resource?.title || '';
+
+  await NotificationContext.sendByPreference({
+    user: { id: report.user_id },
+    subject: 'Reporte revisado',
+    title: 'Reporte revisado',
+    message: `Tu reporte sobre "${resourceTitle}" fue revisado: ${reportOutcomeLabels.es[outcomeKey] || outcomeKey}`,
+    type: 'report_resolution',
+    template: 'report.resolved',
+    templateData: {
+      resourceTitle,
+      outcome: localizedLabel(reportOutcomeLabels, outcomeKey),
+      resolutionNotes: report.resolution_notes || ''
+    },
+    customData: { reportId: report.id, resourceId: report.resource_id, status, outcome: outcomeKey }
+  });
+});
+
+export default resourceObserver;
@@ -0,0 +1,95 @@
+// 🧮 Counter Store - Strategy Pattern for short-lived counters (login attempts, ...)
+// Values are plain objects that expire after a TTL; a shared store (e.g. Redis) can
+// replace the in-memory one when the API runs on more than one process
+
+class CounterStore {
+  /**
+   * Read a value
+   * @param {string} key - Counter key
+   * @param {Date} now - Current time, used to drop expired entries
+   * @returns {Promise<Object|null>} Stored value or null when missing/expired
+   */
+  async get(key, now = new Date()) {
+    throw new Error('Method get must be implemented by subclass');
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Counter key
+   * @param {Object} value - Value to store
+   * @param {number} ttlMs - Time to live in milliseconds
+   */
+  async set(key, value, ttlMs, now = new Date()) {
+    throw new Error('Method set must be implemented by subclass');
+  }
+
+  async delete(key) {
+    throw new Error('Method delete must be implemented by subclass');
+  }
+}
+
+// In-memory store - single process deployments and tests
+class MemoryCounterStore extends CounterStore {
+  constructor({ maxEntries = 10000 } = {}) {
+    super();
+    this.entries = new Map();
+    this.maxEntries = maxEntries;
+  }
+
+  async get(key, now = new Date()) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= now.getTime()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return { ...entry.value };
+  }
+
+  async set(key, value, ttlMs, now = new Date()) {
+    if (this.entries.size >= this.maxEntries) {
+      this.prune(now);
+    }
+
+    this.entries.set(key, { value: { ...value }, expiresAt: now.getTime() + ttlMs });
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  // Drop expired entries so keys from one-off clients don't pile up
+  prune(now = new Date()) {
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now.getTime()) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Factory - build the store named in the configuration
+ * @param {string} type - Store type
+ * @returns {CounterStore} Store instance
+ */
+const createCounterStore = (type = 'memory') => {
+  switch (type) {
+    case 'memory':
+      return new MemoryCounterStore();
+    default:
+      throw new Error(`Unknown counter store: ${type}`);
+  }
+};
+
+export default createCounterStore;
+export {
+  CounterStore,
+  MemoryCounterStore
+};
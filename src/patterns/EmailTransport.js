@@ -0,0 +1,101 @@
+// 📮 Email Transport - Strategy Pattern implementation
+// Each transport delivers an already rendered message: { from, to, subject, text, html }
+
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+class EmailTransport {
+  /**
+   * Deliver a rendered message
+   * @param {Object} message - Rendered message
+   * @returns {Promise<Object>} Transport specific delivery info
+   */
+  async send(message) {
+    throw new Error('Method send must be implemented by subclass');
+  }
+}
+
+// SMTP transport for production
+class SmtpEmailTransport extends EmailTransport {
+  constructor(options = {}) {
+    super();
+    this.transporter = nodemailer.createTransport({
+      host: options.host,
+      port: options.port,
+      secure: options.secure,
+      auth: options.user ? { user: options.user, pass: options.password } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+// File transport for local development - one JSON file per message
+class FileEmailTransport extends EmailTransport {
+  constructor(options = {}) {
+    super();
+    this.directory = options.directory;
+  }
+
+  async send(message) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const messageId = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+    const filePath = path.join(this.directory, `${messageId}.json`);
+
+    await fs.writeFile(filePath, JSON.stringify({
+      ...message,
+      sent_at: new Date().toISOString()
+    }, null, 2));
+
+    return { messageId, filePath };
+  }
+}
+
+// In-memory transport for tests
+class MemoryEmailTransport extends EmailTransport {
+  constructor() {
+    super();
+    this.sent = [];
+  }
+
+  async send(message) {
+    const messageId = `memory-${this.sent.length + 1}`;
+    this.sent.push({ ...message, messageId });
+    return { messageId };
+  }
+
+  clear() {
+    this.sent = [];
+  }
+}
+
+/**
+ * Factory - build the transport configured in config/email.js
+ * @param {Object} config - Email configuration
+ * @returns {EmailTransport} Transport instance
+ */
+const createEmailTransport = (config) => {
+  switch (config.transport) {
+    case 'smtp':
+      return new SmtpEmailTransport(config.smtp);
+    case 'file':
+      return new FileEmailTransport(config.file);
+    case 'memory':
+      return new MemoryEmailTransport();
+    default:
+      throw new Error(`Unknown email transport: ${config.transport}`);
+  }
+};
+
+export default createEmailTransport;
+export {
+  EmailTransport,
+  SmtpEmailTransport,
+  FileEmailTransport,
+  MemoryEmailTransport
+};
@@ -1,6 +1,11 @@
 // 🎯 Notification Strategy - Strategy Pattern implementation
 // Following Strategy Pattern for different notification types
 
+import NotificationService from '../services/NotificationService.js';
+import EmailService from '../services/EmailService.js';
+import UserRepository from '../repositories/UserRepository.js';
+import { enabledChannels, isChannelEnabled } from '../config/notificationPreferences.js';
+
 class NotificationStrategy {
   /**
    * Send notification
@@ -11,23 +16,49 @@ class NotificationStrategy {
   }
 }
 
-// Email notification strategy
+// Email notification strategy - rendered and queued through the EmailService outbox
 class EmailNotificationStrategy extends NotificationStrategy {
+  constructor(emailService = EmailService, userRepository = UserRepository) {
+    super();
+    this.emailService = emailService;
+    this.userRepository = userRepository;
+  }
+
   async send(data) {
-    console.log('📧 Sending email notification:', {
-      to: data.user.email,
-      subject: data.subject,
-      message: data.message,
+    const user = await this.resolveRecipient(data.user);
+
+    if (!user?.email) {
+      console.warn('Cannot send email: User has no email address');
+      return;
+    }
+
+    console.log('📧 Queueing email notification:', {
+      to: user.email,
+      template: data.template || 'generic',
       timestamp: new Date().toISOString()
     });
-    
-    // Here you would integrate with email service like SendGrid, Nodemailer, etc.
-    // await emailService.send({
-    //   to: data.user.email,
-    //   subject: data.subject,
-    //   template: data.template,
-    //   data: data.templateData
-    // });
+
+    return await this.emailService.queueEmail({
+      to: user.email,
+      userId: user.id,
+      template: data.template || 'generic',
+      locale: user.preferences?.language || null,
+      data: {
+        userName: user.name,
+        subject: data.subject || data.title,
+        message: data.message,
+        ...data.templateData
+      }
+    });
+  }
+
+  // Observers often only know the user id - load the full user when needed
+  async resolveRecipient(user) {
+    if (!user) return null;
+    if (user.email && user.name) return user;
+    if (!user.id) return user;
+
+    return await this.userRepository.findById(user.id);
   }
 }
 
@@ -51,24 +82,33 @@ class PushNotificationStrategy extends NotificationStrategy {
   }
 }
 
-// In-app notification strategy
+// In-app notification strategy - persisted through NotificationService
 class InAppNotificationStrategy extends NotificationStrategy {
+  constructor(notificationService = NotificationService) {
+    super();
+    this.notificationService = notificationService;
+  }
+
   async send(data) {
+    if (!data.user?.id) {
+      console.warn('Cannot create in-app notification: missing user id');
+      return;
+    }
+
     console.log('💬 Creating in-app notification:', {
       userId: data.user.id,
       type: data.type,
       message: data.message,
       timestamp: new Date().toISOString()
     });
-    
-    // Here you would save to database or send via WebSocket
-    // await notificationRepository.create({
-    //   user_id: data.user.id,
-    //   type: data.type,
-    //   title: data.title,
-    //   message: data.message,
-    //   read: false
-    // });
+
+    return await this.notificationService.createNotification({
+      userId: data.user.id,
+      type: data.type,
+      title: data.title || data.subject,
+      message: data.message || data.body,
+      data: data.customData || data.templateData || {}
+    });
   }
 }
 
@@ -95,8 +135,10 @@ class SMSNotificationStrategy extends NotificationStrategy {
 }
 
 // Notification context that uses strategies
+// Channels the recipient turned off in User.preferences are skipped (except mandatory ones)
 class NotificationContext {
-  constructor() {
+  constructor(userRepository = UserRepository) {
+    this.userRepository = userRepository;
     this.strategies = new Map();
     this.initializeStrategies();
   }
@@ -108,6 +150,14 @@ class NotificationContext {
     this.strategies.set('sms', new SMSNotificationStrategy());
   }
 
+  // Observers often only send { id } - load the user once to read its preferences
+  async resolveUser(user) {
+    if (!user?.id || user.preferences !== undefined) return user;
+
+    const found = await this.userRepository.findById(user.id);
+    return found || user;
+  }
+
   /**
    * Send notification using specified strategy
    * @param {string} type - Notification type
@@ -121,9 +171,17 @@ class NotificationContext {
     }
     
     try {
-      await strategy.send(data);
+      const user = await this.resolveUser(data.user);
+
+      if (user && !isChannelEnabled(user.preferences, data.type, type)) {
+        return { type, success: true, skipped: true };
+      }
+
+      await strategy.send({ ...data, user });
+      return { type, success: true };
     } catch (error) {
       console.error(`Error sending ${type} notification:`, error);
+      return { type, success: false, error: error.message };
     }
   }
 
@@ -131,15 +189,40 @@ class NotificationContext {
    * Send multiple notifications
    * @param {Array} types - Array of notification types
    * @param {Object} data - Notification data
+   * @returns {Promise<Array>} One result per channel, failures and skipped channels included
    */
   async sendMultiple(types, data) {
-    const promises = types.map(type => this.sendNotification(type, data));
-    await Promise.allSettled(promises);
+    const user = await this.resolveUser(data.user);
+    const results = await Promise.all(types.map(type => this.sendNotification(type, { ...data, user })));
+
+    const failed = results.filter(result => !result.success);
+    if (failed.length > 0) {
+      console.error('Some notification channels failed:', {
+        userId: user?.id,
+        type: data.type,
+        failed
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Send through every channel the recipient enabled for data.type
+   * @param {Object} data - Notification data (data.type selects the preference)
+   * @returns {Promise<Array>} One result per channel
+   */
+  async sendByPreference(data) {
+    const user = await this.resolveUser(data.user);
+    const channels = enabledChannels(user?.preferences, data.type);
+
+    return await this.sendMultiple(channels, { ...data, user });
   }
 }
 
 export default new NotificationContext();
 export { 
+  NotificationContext,
   EmailNotificationStrategy, 
   PushNotificationStrategy, 
   InAppNotificationStrategy,
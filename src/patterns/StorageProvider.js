@@ -0,0 +1,391 @@
+// 🗄️ Storage Provider - Strategy Pattern implementation
+// Where uploaded files live. Files are addressed by a key relative to the storage
+// root ("blobs/ab/abcd….pdf", "avatars/….png"), never by a server path or URL
+
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+class StorageProvider {
+  /**
+   * Store a file
+   * @param {string} key - Storage key
+   * @param {Buffer|string|Readable} body - Content; streams need options.size for remote providers
+   * @param {Object} options - { contentType, size }
+   * @returns {Promise<Object>} { key }
+   */
+  async put(key, body, options = {}) {
+    throw new Error('Method put must be implemented by subclass');
+  }
+
+  /**
+   * Read a whole file
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer|null>} Content, or null if there is no such file
+   */
+  async get(key) {
+    throw new Error('Method get must be implemented by subclass');
+  }
+
+  /**
+   * Read a file as a stream
+   * @param {string} key - Storage key
+   * @param {Object} options - { start, end } byte range (inclusive)
+   * @returns {Promise<Readable|null>} Stream, or null if there is no such file
+   */
+  async stream(key, options = {}) {
+    throw new Error('Method stream must be implemented by subclass');
+  }
+
+  async exists(key) {
+    throw new Error('Method exists must be implemented by subclass');
+  }
+
+  /**
+   * Delete a file; deleting a missing file is not an error
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>}
+   */
+  async delete(key) {
+    throw new Error('Method delete must be implemented by subclass');
+  }
+
+  /**
+   * Time-limited URL to download a file directly from the storage
+   * @param {string} key - Storage key
+   * @param {Object} options - { expiresIn (seconds), filename }
+   * @returns {Promise<string>}
+   */
+  async signedUrl(key, options = {}) {
+    throw new Error('Method signedUrl must be implemented by subclass');
+  }
+
+  /**
+   * Check a signed URL issued by this provider and served by the API (/api/files)
+   * @param {string} key - Storage key from the URL
+   * @param {Object} params - { expires, filename, signature } query parameters
+   * @returns {boolean}
+   */
+  verifySignedUrl(key, params = {}) {
+    // Providers whose signed URLs point at the storage itself (S3) never issue API ones
+    return false;
+  }
+
+  // Permanent URL for public files (avatars)
+  publicUrl(key) {
+    throw new Error('Method publicUrl must be implemented by subclass');
+  }
+
+  // Key of a URL built by publicUrl(), or null for URLs this storage doesn't own
+  keyFromPublicUrl(url) {
+    const base = this.publicUrl('');
+    return url && url.startsWith(base) ? decodeURIComponent(url.slice(base.length)) : null;
+  }
+}
+
+// Local filesystem under a root directory (public/uploads by default). app.js only serves its public
+// directories (avatars); everything else is downloaded through HMAC-signed URLs served by the API
+class LocalStorageProvider extends StorageProvider {
+  constructor(options = {}) {
+    super();
+    this.root = path.resolve(options.root);
+    this.publicBaseUrl = (options.publicBaseUrl || '').replace(/\/+$/, '');
+    this.signedUrlBase = (options.signedUrlBase || '').replace(/\/+$/, '');
+    this.signingSecret = options.signingSecret;
+  }
+
+  // Absolute path for a key. Older rows stored absolute paths; those are accepted if they are inside the root
+  resolve(key) {
+    const filePath = path.isAbsolute(key) ? path.resolve(key) : path.resolve(this.root, key);
+
+    if (filePath !== this.root && !filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Storage key outside the storage root: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  // Root-relative key with "/" separators, also for the absolute paths of older rows
+  relativeKey(key) {
+    return path.relative(this.root, this.resolve(key)).split(path.sep).join('/');
+  }
+
+  sign(key, expires, filename = '') {
+    return crypto.createHmac('sha256', this.signingSecret)
+      .update(`${key}\n${expires}\n${filename}`)
+      .digest('base64url');
+  }
+
+  async put(key, body, options = {}) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    if (body instanceof Readable) {
+      // Write next to the target and rename, so a half-written file is never visible
+      const partial = `${filePath}.${crypto.randomUUID()}.part`;
+      try {
+        await pipeline(body, createWriteStream(partial));
+        await fs.rename(partial, filePath);
+      } catch (error) {
+        await fs.rm(partial, { force: true });
+        throw error;
+      }
+    } else {
+      await fs.writeFile(filePath, body);
+    }
+
+    return { key };
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async stream(key, options = {}) {
+    if (!(await this.exists(key))) {
+      return null;
+    }
+
+    return createReadStream(this.resolve(key), { start: options.start, end: options.end });
+  }
+
+  async exists(key) {
+    try {
+      await fs.access(this.resolve(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  // <signedUrlBase>/<key>?expires=<unix seconds>&filename=<name>&signature=<HMAC of the three>
+  async signedUrl(key, options = {}) {
+    const relative = this.relativeKey(key);
+    const expires = Math.floor(Date.now() / 1000) + (options.expiresIn || 300);
+    const query = new URLSearchParams({ expires: String(expires) });
+
+    if (options.filename) {
+      query.set('filename', options.filename);
+    }
+    query.set('signature', this.sign(relative, expires, options.filename));
+
+    return `${this.signedUrlBase}/${relative.split('/').map(encodeURIComponent).join('/')}?${query}`;
+  }
+
+  verifySignedUrl(key, { expires, filename = '', signature = '' } = {}) {
+    if (!this.signingSecret || !(Number(expires) * 1000 > Date.now())) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(key, expires, filename));
+    const given = Buffer.from(String(signature));
+
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  publicUrl(key) {
+    const relative = path.isAbsolute(key) ? path.relative(this.root, key) : key;
+    return `${this.publicBaseUrl}/${relative.split(path.sep).map(encodeURIComponent).join('/')}`;
+  }
+}
+
+// AWS Signature V4 helpers
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as S3 expects it (encodeURIComponent leaves !'()* alone)
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// S3-compatible object storage (AWS S3, MinIO, ...) with path-style URLs: <endpoint>/<bucket>/<key>
+class S3StorageProvider extends StorageProvider {
+  constructor(options = {}, httpClient = (...args) => fetch(...args)) {
+    super();
+    this.endpoint = options.endpoint.replace(/\/+$/, '');
+    this.region = options.region || 'us-east-1';
+    this.bucket = options.bucket;
+    this.accessKeyId = options.accessKeyId;
+    this.secretAccessKey = options.secretAccessKey;
+    this.publicBaseUrl = (options.publicBaseUrl || `${this.endpoint}/${this.bucket}`).replace(/\/+$/, '');
+    this.httpClient = httpClient;
+  }
+
+  objectPath(key) {
+    return `/${this.bucket}/${key.split('/').map(encodeRfc3986).join('/')}`;
+  }
+
+  // Scope and signing key for a request made at `date`
+  credentials(date) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const day = amzDate.slice(0, 8);
+    const scope = `${day}/${this.region}/s3/aws4_request`;
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, day), this.region), 's3'), 'aws4_request');
+
+    return { amzDate, scope, signingKey };
+  }
+
+  signature(signingKey, amzDate, scope, canonicalRequest) {
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  }
+
+  canonicalQuery(query) {
+    return Object.keys(query).sort()
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join('&');
+  }
+
+  // Signed request with the Authorization header
+  async request(method, key, { headers = {}, body, payloadHash = sha256('') } = {}) {
+    const url = new URL(this.endpoint + this.objectPath(key));
+    const { amzDate, scope, signingKey } = this.credentials(new Date());
+
+    const signed = {
+      ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)])),
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const names = Object.keys(signed).sort();
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      names.map(name => `${name}:${signed[name].trim()}\n`).join(''),
+      names.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const { host, ...sent } = signed;
+    sent.authorization = `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, ` +
+      `SignedHeaders=${names.join(';')}, Signature=${this.signature(signingKey, amzDate, scope, canonicalRequest)}`;
+
+    const response = await this.httpClient(url.toString(), {
+      method,
+      headers: sent,
+      body,
+      ...(body instanceof Readable && { duplex: 'half' })
+    });
+
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`S3 ${method} ${key} failed with ${response.status}: ${await response.text()}`);
+    }
+
+    return response;
+  }
+
+  async put(key, body, options = {}) {
+    const isStream = body instanceof Readable;
+    const headers = { 'content-type': options.contentType || 'application/octet-stream' };
+
+    if (isStream) {
+      if (options.size === undefined) {
+        throw new Error('S3 uploads from a stream need options.size');
+      }
+      headers['content-length'] = options.size;
+    }
+
+    await this.request('PUT', key, {
+      headers,
+      body,
+      // Streams are sent unsigned (their hash isn't known up front); buffers are signed
+      payloadHash: isStream ? 'UNSIGNED-PAYLOAD' : sha256(body)
+    });
+
+    return { key };
+  }
+
+  async get(key) {
+    const response = await this.request('GET', key);
+    if (response.status === 404) return null;
+
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async stream(key, options = {}) {
+    const headers = options.start !== undefined
+      ? { range: `bytes=${options.start}-${options.end ?? ''}` }
+      : {};
+    const response = await this.request('GET', key, { headers });
+    if (response.status === 404) return null;
+
+    return Readable.fromWeb(response.body);
+  }
+
+  async exists(key) {
+    const response = await this.request('HEAD', key);
+    return response.status !== 404;
+  }
+
+  async delete(key) {
+    await this.request('DELETE', key);
+    return true;
+  }
+
+  // Presigned GET (query string authentication)
+  async signedUrl(key, options = {}) {
+    const url = new URL(this.endpoint + this.objectPath(key));
+    const { amzDate, scope, signingKey } = this.credentials(new Date());
+
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${this.accessKeyId}/${scope}`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(options.expiresIn || 300),
+      'X-Amz-SignedHeaders': 'host'
+    };
+    if (options.filename) {
+      query['response-content-disposition'] = `attachment; filename="${encodeURIComponent(options.filename)}"`;
+    }
+
+    const canonicalQuery = this.canonicalQuery(query);
+    const canonicalRequest = ['GET', url.pathname, canonicalQuery, `host:${url.host}\n`, 'host', 'UNSIGNED-PAYLOAD'].join('\n');
+
+    return `${url.origin}${url.pathname}?${canonicalQuery}&X-Amz-Signature=${this.signature(signingKey, amzDate, scope, canonicalRequest)}`;
+  }
+
+  publicUrl(key) {
+    return `${this.publicBaseUrl}/${key.split('/').map(encodeRfc3986).join('/')}`;
+  }
+}
+
+/**
+ * Factory - build the provider configured in config/storage.js
+ * @param {Object} config - Storage configuration
+ * @returns {StorageProvider} Provider instance
+ */
+const createStorageProvider = (config) => {
+  switch (config.driver) {
+    case 'local':
+      return new LocalStorageProvider(config.local);
+    case 's3':
+      return new S3StorageProvider(config.s3);
+    default:
+      throw new Error(`Unknown storage driver: ${config.driver}`);
+  }
+};
+
+export default createStorageProvider;
+export {
+  StorageProvider,
+  LocalStorageProvider,
+  S3StorageProvider
+};
@@ -1,6 +1,7 @@
 // 🏥️ Repository Pattern - Data Access Layer for Academic Periods
 // Following Repository Pattern and Single Responsibility Principle
 
+import sequelize from '../config/database.js';
 import { AcademicPeriod, Course } from '../models/index.js';
 import { Op } from 'sequelize';
 
@@ -146,22 +147,87 @@ class AcademicPeriodRepository {
     }
   }
 
-  // Find current academic period
+  // Find academic period by its code (e.g. 2026-1)
+  async findByCode(code) {
+    try {
+      return await AcademicPeriod.findOne({ where: { code } });
+    } catch (error) {
+      throw new Error(`Error finding academic period by code: ${error.message}`);
+    }
+  }
+
+  // Find current academic period (is_current is kept by AcademicPeriodLifecycleService)
   async findCurrent() {
     try {
-      const currentDate = new Date();
       return await AcademicPeriod.findOne({
-        where: {
-          start_date: { [Op.lte]: currentDate },
-          end_date: { [Op.gte]: currentDate },
-          status: 'active'
-        }
+        where: { is_current: true },
+        order: [['start_date', 'DESC']]
       });
     } catch (error) {
       throw new Error(`Error finding current academic period: ${error.message}`);
     }
   }
 
+  // Non-cancelled periods whose date range intersects [startDate, endDate]
+  async findOverlapping(startDate, endDate, excludeId = null) {
+    try {
+      const whereClause = {
+        status: { [Op.ne]: 'cancelled' },
+        start_date: { [Op.lte]: endDate },
+        end_date: { [Op.gte]: startDate }
+      };
+
+      if (excludeId) {
+        whereClause.id = { [Op.ne]: excludeId };
+      }
+
+      return await AcademicPeriod.findAll({
+        where: whereClause,
+        attributes: ['id', 'code', 'name', 'start_date', 'end_date'],
+        order: [['start_date', 'ASC']]
+      });
+    } catch (error) {
+      throw new Error(`Error finding overlapping academic periods: ${error.message}`);
+    }
+  }
+
+  // Every non-cancelled period with what the lifecycle scheduler needs
+  async findForLifecycle() {
+    try {
+      return await AcademicPeriod.findAll({
+        where: { status: { [Op.ne]: 'cancelled' } },
+        attributes: ['id', 'code', 'name', 'start_date', 'end_date', 'status', 'is_current'],
+        order: [['start_date', 'ASC']],
+        raw: true
+      });
+    } catch (error) {
+      throw new Error(`Error finding academic periods for lifecycle: ${error.message}`);
+    }
+  }
+
+  async setStatus(id, status) {
+    try {
+      await AcademicPeriod.update({ status }, { where: { id } });
+    } catch (error) {
+      throw new Error(`Error updating academic period status: ${error.message}`);
+    }
+  }
+
+  // Make one period the only current one
+  async setCurrent(id) {
+    try {
+      await sequelize.transaction(async (transaction) => {
+        await AcademicPeriod.update(
+          { is_current: false },
+          { where: { is_current: true, id: { [Op.ne]: id } }, transaction }
+        );
+        await AcademicPeriod.update({ is_current: true }, { where: { id }, transaction });
+      });
+    } catch (error) {
+      throw new Error(`Error setting current academic period: ${error.message}`);
+    }
+  }
+
   // Find active academic periods
   async findActive() {
     try {
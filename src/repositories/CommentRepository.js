@@ -268,6 +268,20 @@ class CommentRepository {
     }
   }
 
+  /**
+   * Current version of a resource, recorded on the comments made against it
+   * @param {string} resourceId - Resource UUID
+   * @returns {Promise<number|null>} Version number, or null if the resource doesn't exist
+   */
+  async findResourceVersion(resourceId) {
+    try {
+      const resource = await Resource.findByPk(resourceId, { attributes: ['id', 'current_version'] });
+      return resource ? resource.current_version : null;
+    } catch (error) {
+      throw new Error(`Failed to find resource version: ${error.message}`);
+    }
+  }
+
   /**
    * Get recent comments for moderation
    * @param {Object} options - Filtering options
@@ -278,7 +292,8 @@ class CommentRepository {
       const { 
         limit = 20, 
         status = 'published',
-        includeReported = false 
+        includeReported = false,
+        resourceScope = null
       } = options;
 
       const whereClause = { status };
@@ -301,7 +316,9 @@ class CommentRepository {
           {
             model: Resource,
             as: 'resource',
-            attributes: ['id', 'title', 'type']
+            attributes: ['id', 'title', 'type'],
+            where: resourceScope || undefined,
+            required: !!resourceScope
           }
         ],
         limit,
@@ -0,0 +1,133 @@
+// 🎓 Course Enrollment Repository - Data Access Layer for student enrollments
+// Following Repository Pattern and Single Responsibility Principle
+
+import { CourseEnrollment, Course, Career, User, AcademicPeriod } from '../models/index.js';
+
+class CourseEnrollmentRepository {
+  async create(enrollmentData) {
+    try {
+      return await CourseEnrollment.create(enrollmentData);
+    } catch (error) {
+      throw new Error(`Error creating enrollment: ${error.message}`);
+    }
+  }
+
+  async update(id, updateData) {
+    try {
+      const enrollment = await CourseEnrollment.findByPk(id);
+      if (!enrollment) return null;
+
+      return await enrollment.update(updateData);
+    } catch (error) {
+      throw new Error(`Error updating enrollment: ${error.message}`);
+    }
+  }
+
+  // Enrollment of a student in a course for one period (any status)
+  async findOne(userId, courseId, academicPeriodId) {
+    try {
+      return await CourseEnrollment.findOne({
+        where: { user_id: userId, course_id: courseId, academic_period_id: academicPeriodId }
+      });
+    } catch (error) {
+      throw new Error(`Error finding enrollment: ${error.message}`);
+    }
+  }
+
+  // Active enrollments of a student in a course (normally one)
+  async findActiveByUserAndCourse(userId, courseId) {
+    try {
+      return await CourseEnrollment.findAll({
+        where: { user_id: userId, course_id: courseId, status: 'active' }
+      });
+    } catch (error) {
+      throw new Error(`Error finding enrollments: ${error.message}`);
+    }
+  }
+
+  // Enrollments of a student with the course and period
+  async findByUser(userId, { status = 'active', academicPeriodId = null } = {}) {
+    try {
+      const whereClause = { user_id: userId };
+      if (status) whereClause.status = status;
+      if (academicPeriodId) whereClause.academic_period_id = academicPeriodId;
+
+      return await CourseEnrollment.findAll({
+        where: whereClause,
+        include: [
+          {
+            model: Course,
+            as: 'course',
+            attributes: ['id', 'name', 'code', 'semester', 'credits', 'status'],
+            include: [
+              {
+                model: Career,
+                as: 'career',
+                attributes: ['id', 'name', 'code']
+              },
+              {
+                model: User,
+                as: 'teacher',
+                attributes: ['id', 'name', 'email']
+              }
+            ]
+          },
+          {
+            model: AcademicPeriod,
+            as: 'academic_period',
+            attributes: ['id', 'name', 'code', 'academic_year', 'period_number', 'status']
+          }
+        ],
+        order: [['enrolled_at', 'DESC']]
+      });
+    } catch (error) {
+      throw new Error(`Error finding user enrollments: ${error.message}`);
+    }
+  }
+
+  // Ids of the courses a student is actively enrolled in
+  async findActiveCourseIds(userId) {
+    try {
+      const rows = await CourseEnrollment.findAll({
+        where: { user_id: userId, status: 'active' },
+        attributes: ['course_id'],
+        raw: true
+      });
+
+      return [...new Set(rows.map(row => row.course_id))];
+    } catch (error) {
+      throw new Error(`Error finding enrolled courses: ${error.message}`);
+    }
+  }
+
+  // Close the active enrollments of a finished period
+  async completeByPeriod(academicPeriodId) {
+    try {
+      const [completedCount] = await CourseEnrollment.update(
+        { status: 'completed' },
+        { where: { academic_period_id: academicPeriodId, status: 'active' } }
+      );
+
+      return completedCount;
+    } catch (error) {
+      throw new Error(`Error completing enrollments: ${error.message}`);
+    }
+  }
+
+  // Ids of the students actively enrolled in a course
+  async findActiveStudentIds(courseId) {
+    try {
+      const rows = await CourseEnrollment.findAll({
+        where: { course_id: courseId, status: 'active' },
+        attributes: ['user_id'],
+        raw: true
+      });
+
+      return [...new Set(rows.map(row => row.user_id))];
+    } catch (error) {
+      throw new Error(`Error finding enrolled students: ${error.message}`);
+    }
+  }
+}
+
+export default new CourseEnrollmentRepository();
@@ -262,6 +262,64 @@ class CourseRepository {
     }
   }
 
+  // Ids of the courses taught in some faculties (through their careers)
+  async findIdsByFaculties(facultyIds) {
+    try {
+      const courses = await Course.findAll({
+        attributes: ['id'],
+        include: [
+          {
+            model: Career,
+            as: 'career',
+            attributes: [],
+            where: { faculty_id: { [Op.in]: facultyIds } }
+          }
+        ],
+        raw: true
+      });
+
+      return courses.map(course => course.id);
+    } catch (error) {
+      throw new Error(`Error finding courses by faculties: ${error.message}`);
+    }
+  }
+
+  // Courses of a career with just what the prerequisite graph needs
+  async findGraphByCareer(careerId) {
+    try {
+      return await Course.findAll({
+        where: { career_id: careerId },
+        attributes: ['id', 'name', 'code', 'semester', 'credits', 'course_type', 'status', 'career_id', 'prerequisites'],
+        order: [['semester', 'ASC'], ['code', 'ASC']],
+        raw: true
+      });
+    } catch (error) {
+      throw new Error(`Error finding career course graph: ${error.message}`);
+    }
+  }
+
+  // Courses that list a course as a direct prerequisite
+  async findDependents(courseId) {
+    try {
+      return await Course.findAll({
+        where: { prerequisites: { [Op.contains]: [courseId] } },
+        attributes: ['id', 'name', 'code', 'semester', 'career_id', 'status'],
+        raw: true
+      });
+    } catch (error) {
+      throw new Error(`Error finding dependent courses: ${error.message}`);
+    }
+  }
+
+  // Find course by its code (e.g. MAT101)
+  async findByCode(code) {
+    try {
+      return await Course.findOne({ where: { code } });
+    } catch (error) {
+      throw new Error(`Error finding course by code: ${error.message}`);
+    }
+  }
+
   // Check if course exists by code
   async existsByCode(code, excludeId = null) {
     try {
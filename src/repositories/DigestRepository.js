@@ -0,0 +1,183 @@
+// 📰 Digest Repository - Data Access Layer for digest emails
+// Following Repository Pattern and Single Responsibility Principle
+
+import { Op } from 'sequelize';
+import {
+  DigestLog,
+  User,
+  Resource,
+  Comment,
+  Course,
+  Category,
+  Favorite
+} from '../models/index.js';
+
+class DigestRepository {
+  // Active users whose preferences ask for one of the given frequencies
+  async findSubscribers(frequencies, { page = 1, limit = 100 } = {}) {
+    try {
+      return await User.findAll({
+        where: {
+          status: 'active',
+          'preferences.digest.frequency': { [Op.in]: frequencies }
+        },
+        order: [['id', 'ASC']],
+        limit,
+        offset: (page - 1) * limit
+      });
+    } catch (error) {
+      throw new Error(`Error finding digest subscribers: ${error.message}`);
+    }
+  }
+
+  // Most recent digest run for a user
+  async findLastRun(userId) {
+    try {
+      return await DigestLog.findOne({
+        where: { user_id: userId },
+        order: [['period_end', 'DESC']]
+      });
+    } catch (error) {
+      throw new Error(`Error finding last digest: ${error.message}`);
+    }
+  }
+
+  // Record a digest run
+  async createRun(runData) {
+    try {
+      return await DigestLog.create(runData);
+    } catch (error) {
+      throw new Error(`Error creating digest log: ${error.message}`);
+    }
+  }
+
+  /**
+   * What a user follows: courses they teach or upload to, their career and
+   * the categories of the resources they favorited
+   * @param {Object} user - User record
+   * @returns {Promise<{ courseIds: string[], categoryIds: string[], careerId: string|null }>}
+   */
+  async findInterests(user) {
+    try {
+      const [taughtCourses, uploadedCourses, favorites] = await Promise.all([
+        Course.findAll({
+          where: { teacher_id: user.id },
+          attributes: ['id']
+        }),
+        Resource.findAll({
+          where: { user_id: user.id, course_id: { [Op.ne]: null } },
+          attributes: ['course_id'],
+          group: ['course_id']
+        }),
+        Favorite.findAll({
+          where: { user_id: user.id },
+          attributes: ['id'],
+          include: [{
+            model: Resource,
+            as: 'resource',
+            attributes: ['category_id']
+          }]
+        })
+      ]);
+
+      const courseIds = new Set([
+        ...taughtCourses.map(course => course.id),
+        ...uploadedCourses.map(resource => resource.course_id)
+      ]);
+      const categoryIds = new Set(
+        favorites.map(favorite => favorite.resource?.category_id).filter(Boolean)
+      );
+
+      return {
+        courseIds: [...courseIds],
+        categoryIds: [...categoryIds],
+        careerId: user.career_id || null
+      };
+    } catch (error) {
+      throw new Error(`Error finding digest interests: ${error.message}`);
+    }
+  }
+
+  // Public resources published in the window that match any of the user's interests
+  async findNewResources({ since, until, courseIds = [], categoryIds = [], careerId = null, excludeUserId, limit = 20 }) {
+    try {
+      const interests = [];
+      if (courseIds.length > 0) interests.push({ course_id: { [Op.in]: courseIds } });
+      if (categoryIds.length > 0) interests.push({ category_id: { [Op.in]: categoryIds } });
+      if (careerId) interests.push({ '$course.career_id$': careerId });
+
+      if (interests.length === 0) {
+        return { rows: [], count: 0 };
+      }
+
+      return await Resource.findAndCountAll({
+        where: {
+          status: 'published',
+          visibility: 'public',
+          published_at: { [Op.gt]: since, [Op.lte]: until },
+          user_id: { [Op.ne]: excludeUserId },
+          [Op.or]: interests
+        },
+        attributes: ['id', 'title', 'type', 'published_at', 'course_id', 'category_id'],
+        include: [
+          {
+            model: Course,
+            as: 'course',
+            attributes: ['id', 'name', 'code', 'career_id']
+          },
+          {
+            model: Category,
+            as: 'category',
+            attributes: ['id', 'name']
+          }
+        ],
+        order: [['published_at', 'DESC']],
+        limit,
+        distinct: true,
+        subQuery: false
+      });
+    } catch (error) {
+      throw new Error(`Error finding digest resources: ${error.message}`);
+    }
+  }
+
+  // Replies other users posted to the user's comments in the window
+  async findReplies({ userId, since, until, limit = 20 }) {
+    try {
+      return await Comment.findAndCountAll({
+        where: {
+          status: 'published',
+          user_id: { [Op.ne]: userId },
+          created_at: { [Op.gt]: since, [Op.lte]: until }
+        },
+        include: [
+          {
+            model: Comment,
+            as: 'parent',
+            attributes: ['id'],
+            where: { user_id: userId },
+            required: true
+          },
+          {
+            model: User,
+            as: 'author',
+            attributes: ['id', 'name']
+          },
+          {
+            model: Resource,
+            as: 'resource',
+            attributes: ['id', 'title']
+          }
+        ],
+        order: [['created_at', 'DESC']],
+        limit,
+        distinct: true,
+        subQuery: false
+      });
+    } catch (error) {
+      throw new Error(`Error finding digest replies: ${error.message}`);
+    }
+  }
+}
+
+export default new DigestRepository();
@@ -0,0 +1,82 @@
+// 📤 Email Outbox Repository - Data Access Layer for queued emails
+// Following Repository Pattern and Single Responsibility Principle
+
+import { EmailOutbox } from '../models/index.js';
+import { Op } from 'sequelize';
+
+class EmailOutboxRepository {
+  // Queue a rendered email
+  async create(messageData) {
+    try {
+      return await EmailOutbox.create(messageData);
+    } catch (error) {
+      throw new Error(`Error queueing email: ${error.message}`);
+    }
+  }
+
+  // Find queued email by ID
+  async findById(id) {
+    try {
+      return await EmailOutbox.findByPk(id);
+    } catch (error) {
+      throw new Error(`Error finding queued email: ${error.message}`);
+    }
+  }
+
+  // Pending emails whose retry time has come
+  async findDue(now = new Date(), limit = 20) {
+    try {
+      return await EmailOutbox.findAll({
+        where: {
+          status: 'pending',
+          next_attempt_at: { [Op.lte]: now }
+        },
+        order: [['next_attempt_at', 'ASC']],
+        limit
+      });
+    } catch (error) {
+      throw new Error(`Error finding due emails: ${error.message}`);
+    }
+  }
+
+  /**
+   * Atomically move a pending email to "sending" so two workers never deliver it twice
+   * @returns {Promise<boolean>} true when this caller owns the delivery
+   */
+  async claim(id) {
+    try {
+      const [updatedCount] = await EmailOutbox.update(
+        { status: 'sending' },
+        { where: { id, status: 'pending' } }
+      );
+      return updatedCount === 1;
+    } catch (error) {
+      throw new Error(`Error claiming queued email: ${error.message}`);
+    }
+  }
+
+  // Update queued email
+  async update(id, updateData) {
+    try {
+      await EmailOutbox.update(updateData, { where: { id } });
+      return await this.findById(id);
+    } catch (error) {
+      throw new Error(`Error updating queued email: ${error.message}`);
+    }
+  }
+
+  // Emails stuck in "sending" (process crashed mid-delivery) go back to the queue
+  async releaseStale(olderThan) {
+    try {
+      const [updatedCount] = await EmailOutbox.update(
+        { status: 'pending' },
+        { where: { status: 'sending', updated_at: { [Op.lt]: olderThan } } }
+      );
+      return updatedCount;
+    } catch (error) {
+      throw new Error(`Error releasing stale emails: ${error.message}`);
+    }
+  }
+}
+
+export default new EmailOutboxRepository();
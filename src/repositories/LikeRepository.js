@@ -147,7 +147,7 @@ class LikeRepository {
         includeOptions.push({
           model: Resource,
           as: 'resource',
-          attributes: ['id', 'title', 'type', 'description', 'file_url']
+          attributes: ['id', 'title', 'type', 'description', 'file_url', 'file_path']
         });
       }
 
@@ -0,0 +1,38 @@
+// 🛡️ Login Attempt Repository - Data Access Layer for the login audit trail
+// Following Repository Pattern and Single Responsibility Principle
+
+import { Op } from 'sequelize';
+import { LoginAttempt } from '../models/index.js';
+
+class LoginAttemptRepository {
+  // Record one login attempt
+  async create(attemptData) {
+    try {
+      return await LoginAttempt.create(attemptData);
+    } catch (error) {
+      throw new Error(`Error creating login attempt: ${error.message}`);
+    }
+  }
+
+  // Attempts against a user's account, newest first.
+  // Blocked attempts are rejected before the user lookup, so they only carry the email
+  async findByUser({ id, email }, { page = 1, limit = 20 } = {}) {
+    try {
+      return await LoginAttempt.findAndCountAll({
+        where: {
+          [Op.or]: [
+            { user_id: id },
+            { email: String(email).toLowerCase() }
+          ]
+        },
+        order: [['created_at', 'DESC']],
+        limit,
+        offset: (page - 1) * limit
+      });
+    } catch (error) {
+      throw new Error(`Error finding login attempts: ${error.message}`);
+    }
+  }
+}
+
+export default new LoginAttemptRepository();
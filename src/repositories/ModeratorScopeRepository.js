@@ -0,0 +1,49 @@
+// 🛡️ Moderator Scope Repository - Data Access Layer for moderator faculty/category limits
+// Following Repository Pattern and Single Responsibility Principle
+
+import sequelize from '../config/database.js';
+import { ModeratorScope, Faculty, Category } from '../models/index.js';
+
+class ModeratorScopeRepository {
+  // Scopes of a moderator with the faculty/category names
+  async findByUser(userId) {
+    try {
+      return await ModeratorScope.findAll({
+        where: { user_id: userId },
+        include: [
+          {
+            model: Faculty,
+            as: 'faculty',
+            attributes: ['id', 'name', 'code']
+          },
+          {
+            model: Category,
+            as: 'category',
+            attributes: ['id', 'name', 'category_type']
+          }
+        ],
+        order: [['created_at', 'ASC']]
+      });
+    } catch (error) {
+      throw new Error(`Error finding moderator scopes: ${error.message}`);
+    }
+  }
+
+  // Replace every scope of a moderator at once
+  async replaceForUser(userId, scopes) {
+    try {
+      return await sequelize.transaction(async (transaction) => {
+        await ModeratorScope.destroy({ where: { user_id: userId }, transaction });
+
+        return await ModeratorScope.bulkCreate(
+          scopes.map(scope => ({ ...scope, user_id: userId })),
+          { transaction, validate: true }
+        );
+      });
+    } catch (error) {
+      throw new Error(`Error updating moderator scopes: ${error.message}`);
+    }
+  }
+}
+
+export default new ModeratorScopeRepository();
@@ -0,0 +1,90 @@
+// 🔔 Notification Repository - Data Access Layer for Notifications
+// Following Repository Pattern and Single Responsibility Principle
+
+import { Notification } from '../models/index.js';
+
+class NotificationRepository {
+  // Create new notification
+  async create(notificationData) {
+    try {
+      return await Notification.create(notificationData);
+    } catch (error) {
+      throw new Error(`Error creating notification: ${error.message}`);
+    }
+  }
+
+  // Find notification owned by a user
+  async findByIdForUser(id, userId) {
+    try {
+      return await Notification.findOne({
+        where: { id, user_id: userId }
+      });
+    } catch (error) {
+      throw new Error(`Error finding notification: ${error.message}`);
+    }
+  }
+
+  // Get paginated notifications for a user
+  async findByUser(userId, options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        read = null,
+        type = null
+      } = options;
+
+      const offset = (page - 1) * limit;
+
+      const whereClause = { user_id: userId };
+      if (read !== null) whereClause.read = read;
+      if (type) whereClause.type = type;
+
+      const { count, rows } = await Notification.findAndCountAll({
+        where: whereClause,
+        order: [['created_at', 'DESC']],
+        limit,
+        offset
+      });
+
+      return {
+        notifications: rows,
+        pagination: {
+          page,
+          limit,
+          total: count,
+          totalPages: Math.ceil(count / limit),
+          hasMore: page * limit < count
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error finding user notifications: ${error.message}`);
+    }
+  }
+
+  // Count unread notifications for a user
+  async countUnread(userId) {
+    try {
+      return await Notification.count({
+        where: { user_id: userId, read: false }
+      });
+    } catch (error) {
+      throw new Error(`Error counting unread notifications: ${error.message}`);
+    }
+  }
+
+  // Mark every unread notification of a user as read
+  async markAllAsRead(userId) {
+    try {
+      const [updatedCount] = await Notification.update(
+        { read: true, read_at: new Date() },
+        { where: { user_id: userId, read: false } }
+      );
+      return updatedCount;
+    } catch (error) {
+      throw new Error(`Error marking notifications as read: ${error.message}`);
+    }
+  }
+}
+
+export default new NotificationRepository();
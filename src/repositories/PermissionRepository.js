@@ -0,0 +1,99 @@
+// 🔐 Permission Repository - Data Access Layer for permissions and per-user grants
+// Following Repository Pattern and Single Responsibility Principle
+
+import { Op } from 'sequelize';
+import { Permission, UserPermission, User } from '../models/index.js';
+
+class PermissionRepository {
+  // Every active permission (catalog for the admin panel)
+  async findAllActive() {
+    try {
+      return await Permission.findAll({
+        where: { status: 'active' },
+        order: [['permission_type', 'ASC']]
+      });
+    } catch (error) {
+      throw new Error(`Error finding permissions: ${error.message}`);
+    }
+  }
+
+  // Permission by its type ('moderate_resources', ...)
+  async findByType(permissionType) {
+    try {
+      return await Permission.findOne({
+        where: { permission_type: permissionType, status: 'active' }
+      });
+    } catch (error) {
+      throw new Error(`Error finding permission: ${error.message}`);
+    }
+  }
+
+  // Permissions a role gets by default
+  async findByRole(role) {
+    try {
+      return await Permission.findAll({
+        where: {
+          default_roles: { [Op.contains]: [role] },
+          status: 'active'
+        }
+      });
+    } catch (error) {
+      throw new Error(`Error finding role permissions: ${error.message}`);
+    }
+  }
+
+  // Permissions granted to a user on top of the role defaults
+  async findGrantsByUser(userId) {
+    try {
+      return await UserPermission.findAll({
+        where: { user_id: userId },
+        include: [
+          {
+            model: Permission,
+            as: 'permission',
+            where: { status: 'active' }
+          },
+          {
+            model: User,
+            as: 'grantor',
+            attributes: ['id', 'name', 'email']
+          }
+        ],
+        order: [['granted_at', 'ASC']]
+      });
+    } catch (error) {
+      throw new Error(`Error finding user permissions: ${error.message}`);
+    }
+  }
+
+  async findGrant(userId, permissionId) {
+    try {
+      return await UserPermission.findOne({
+        where: { user_id: userId, permission_id: permissionId }
+      });
+    } catch (error) {
+      throw new Error(`Error finding user permission: ${error.message}`);
+    }
+  }
+
+  async createGrant(grantData) {
+    try {
+      return await UserPermission.create(grantData);
+    } catch (error) {
+      throw new Error(`Error granting permission: ${error.message}`);
+    }
+  }
+
+  // Returns the number of removed grants
+  async deleteGrant(userId, permissionId) {
+    try {
+      return await UserPermission.destroy({
+        where: { user_id: userId, permission_id: permissionId }
+      });
+    } catch (error) {
+      throw new Error(`Error revoking permission: ${error.message}`);
+    }
+  }
+}
+
+export default new PermissionRepository();
@@ -0,0 +1,129 @@
+// 🔁 Refresh Token Repository - Data Access Layer for refresh tokens / sessions
+// Following Repository Pattern and Single Responsibility Principle
+
+import { Op, fn, col } from 'sequelize';
+import { RefreshToken } from '../models/index.js';
+
+class RefreshTokenRepository {
+  // Create new refresh token record
+  async create(tokenData) {
+    try {
+      return await RefreshToken.create(tokenData);
+    } catch (error) {
+      throw new Error(`Error creating refresh token: ${error.message}`);
+    }
+  }
+
+  // Find refresh token by id (jti)
+  async findById(id) {
+    try {
+      return await RefreshToken.findByPk(id);
+    } catch (error) {
+      throw new Error(`Error finding refresh token: ${error.message}`);
+    }
+  }
+
+  // Active tokens of a user - exactly one per live session
+  async findActiveByUser(userId, now = new Date()) {
+    try {
+      return await RefreshToken.findAll({
+        where: {
+          user_id: userId,
+          revoked_at: null,
+          expires_at: { [Op.gt]: now }
+        },
+        order: [['created_at', 'DESC']]
+      });
+    } catch (error) {
+      throw new Error(`Error finding active refresh tokens: ${error.message}`);
+    }
+  }
+
+  // When each session started (first token of the family)
+  async findSessionStarts(familyIds) {
+    try {
+      if (familyIds.length === 0) return {};
+
+      const rows = await RefreshToken.findAll({
+        attributes: ['family_id', [fn('MIN', col('created_at')), 'started_at']],
+        where: { family_id: { [Op.in]: familyIds } },
+        group: ['family_id'],
+        raw: true
+      });
+
+      return Object.fromEntries(rows.map(row => [row.family_id, row.started_at]));
+    } catch (error) {
+      throw new Error(`Error finding session start times: ${error.message}`);
+    }
+  }
+
+  // Whether a session still has a usable refresh token
+  async isFamilyActive(familyId, now = new Date()) {
+    try {
+      const count = await RefreshToken.count({
+        where: {
+          family_id: familyId,
+          revoked_at: null,
+          expires_at: { [Op.gt]: now }
+        }
+      });
+      return count > 0;
+    } catch (error) {
+      throw new Error(`Error checking session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke one token if it is still active.
+   * Returns false when another request revoked it first, which callers treat as reuse.
+   */
+  async revoke(id, { reason, replacedBy = null, now = new Date() }) {
+    try {
+      const [updatedRows] = await RefreshToken.update(
+        { revoked_at: now, revoked_reason: reason, replaced_by: replacedBy },
+        { where: { id, revoked_at: null } }
+      );
+      return updatedRows > 0;
+    } catch (error) {
+      throw new Error(`Error revoking refresh token: ${error.message}`);
+    }
+  }
+
+  // Revoke every active token of a session (only the owner's, when userId is given)
+  async revokeFamily(familyId, { reason, userId = null, now = new Date() }) {
+    try {
+      const where = { family_id: familyId, revoked_at: null };
+      if (userId) {
+        where.user_id = userId;
+      }
+
+      const [updatedRows] = await RefreshToken.update(
+        { revoked_at: now, revoked_reason: reason },
+        { where }
+      );
+      return updatedRows;
+    } catch (error) {
+      throw new Error(`Error revoking token family: ${error.message}`);
+    }
+  }
+
+  // Revoke every active token of a user, optionally keeping one session
+  async revokeAllForUser(userId, { reason, exceptFamilyId = null, now = new Date() }) {
+    try {
+      const where = { user_id: userId, revoked_at: null };
+      if (exceptFamilyId) {
+        where.family_id = { [Op.ne]: exceptFamilyId };
+      }
+
+      const [updatedRows] = await RefreshToken.update(
+        { revoked_at: now, revoked_reason: reason },
+        { where }
+      );
+      return updatedRows;
+    } catch (error) {
+      throw new Error(`Error revoking user refresh tokens: ${error.message}`);
+    }
+  }
+}
+
+export default new RefreshTokenRepository();
@@ -149,7 +149,8 @@ class ReportRepository {
         priority = null,
         page = 1,
         limit = 20,
-        search = null
+        search = null,
+        resourceScope = null
       } = filters;
 
       const whereClause = {};
@@ -175,13 +176,19 @@ class ReportRepository {
           model: Resource,
           as: 'resource',
           attributes: ['id', 'title', 'description', 'format'],
-          where: search ? {
-            [Op.or]: [
-              { title: { [Op.iLike]: `%${search}%` } },
-              { description: { [Op.iLike]: `%${search}%` } }
+          where: search || resourceScope ? {
+            [Op.and]: [
+              search ? {
+                [Op.or]: [
+                  { title: { [Op.iLike]: `%${search}%` } },
+                  { description: { [Op.iLike]: `%${search}%` } }
+                ]
+              } : {},
+              resourceScope || {}
             ]
           } : undefined,
-          required: false
+          // Moderator scope must filter reports, not only the joined resource
+          required: !!resourceScope
         }
       ];
 
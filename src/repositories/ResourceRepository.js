@@ -1,7 +1,8 @@
 // 🏥️ Repository Pattern - Data Access Layer for Resources
 // Following Repository Pattern and Single Responsibility Principle
 
-import { Resource, Category, User, Comment, ResourceLike, Course, AcademicPeriod, Career, Faculty } from '../models/index.js';
+import sequelize from '../config/database.js';
+import { Resource, ResourceVersion, Category, User, Comment, ResourceLike, Course, AcademicPeriod, Career, Faculty } from '../models/index.js';
 import { Op } from 'sequelize';
 
 class ResourceRepository {
@@ -91,6 +92,8 @@ class ResourceRepository {
         type,
         user_id,
         course_id,
+        course_ids,
+        academic_period_id,
         academic_year,
         semester,
         search,
@@ -107,6 +110,8 @@ class ResourceRepository {
       if (type) whereClause.type = type;
       if (user_id) whereClause.user_id = user_id;
       if (course_id) whereClause.course_id = course_id;
+      if (course_ids) whereClause.course_id = { [Op.in]: course_ids };
+      if (academic_period_id) whereClause.academic_period_id = academic_period_id;
       if (academic_year) whereClause.academic_year = academic_year;
       if (semester) whereClause.semester = semester;
 
@@ -151,7 +156,9 @@ class ResourceRepository {
             attributes: ['id', 'name', 'code', 'academic_year']
           }
         ],
-        order: [[sort, order.toUpperCase()]],
+        order: course_ids
+          ? [['pinned_at', 'DESC NULLS LAST'], [sort, order.toUpperCase()]]
+          : [[sort, order.toUpperCase()]],
         limit: parseInt(limit),
         offset
       });
@@ -187,6 +194,28 @@ class ResourceRepository {
     }
   }
 
+  // Store the current state as a version and apply the edit in one go
+  async updateWithSnapshot(id, updateData, snapshot) {
+    try {
+      await sequelize.transaction(async (transaction) => {
+        await ResourceVersion.create(snapshot, { transaction });
+
+        const [updatedCount] = await Resource.update(updateData, {
+          where: { id },
+          transaction
+        });
+
+        if (updatedCount === 0) {
+          throw new Error('Resource not found');
+        }
+      });
+
+      return await this.findById(id);
+    } catch (error) {
+      throw new Error(`Error updating resource: ${error.message}`);
+    }
+  }
+
   // Delete resource (soft delete)
   async delete(id) {
     try {
@@ -232,6 +261,32 @@ class ResourceRepository {
     }
   }
 
+  /**
+   * Archive drafts left behind by a finished academic period: drafts of that
+   * period and drafts nobody touched since it started
+   * @returns {Promise<number>} Archived drafts
+   */
+  async archiveStaleDrafts(period, now = new Date()) {
+    try {
+      const [archivedCount] = await Resource.update(
+        { status: 'archived', archived_at: now },
+        {
+          where: {
+            status: 'draft',
+            [Op.or]: [
+              { academic_period_id: period.id },
+              { updated_at: { [Op.lt]: period.start_date } }
+            ]
+          }
+        }
+      );
+
+      return archivedCount;
+    } catch (error) {
+      throw new Error(`Error archiving stale drafts: ${error.message}`);
+    }
+  }
+
   // Increment view count
   async incrementViews(id) {
     try {
@@ -567,6 +622,113 @@ class ResourceRepository {
     }
   }
 
+  // Published public resources of an academic period with their course
+  async findByAcademicPeriod(academicPeriodId) {
+    try {
+      return await Resource.findAll({
+        where: {
+          academic_period_id: academicPeriodId,
+          status: 'published',
+          visibility: 'public'
+        },
+        include: [
+          {
+            model: User,
+            as: 'author',
+            attributes: ['id', 'name', 'avatar_url']
+          },
+          {
+            model: Category,
+            as: 'category',
+            attributes: ['id', 'name', 'category_type']
+          },
+          {
+            model: Course,
+            as: 'course',
+            attributes: ['id', 'name', 'code', 'semester']
+          }
+        ],
+        order: [['pinned_at', 'DESC NULLS LAST'], ['published_at', 'DESC']]
+      });
+    } catch (error) {
+      throw new Error(`Error finding resources by academic period: ${error.message}`);
+    }
+  }
+
+  // Resources holding a file with the given SHA-256, oldest first
+  async findByContentHash(contentHash) {
+    try {
+      return await Resource.findAll({
+        where: { content_hash: contentHash },
+        attributes: ['id', 'title', 'user_id', 'status', 'visibility', 'created_at'],
+        order: [['created_at', 'ASC']]
+      });
+    } catch (error) {
+      throw new Error(`Error finding resources by content hash: ${error.message}`);
+    }
+  }
+
+  // Whether a stored file is still used by a resource or a version (optionally ignoring one resource)
+  async isFileShared(filePath, excludeResourceId = null) {
+    try {
+      const except = (field) => (excludeResourceId ? { [field]: { [Op.ne]: excludeResourceId } } : {});
+      const [resources, versions] = await Promise.all([
+        Resource.count({ where: { file_path: filePath, ...except('id') } }),
+        ResourceVersion.count({ where: { file_path: filePath, ...except('resource_id') } })
+      ]);
+
+      return resources + versions > 0;
+    } catch (error) {
+      throw new Error(`Error checking file references: ${error.message}`);
+    }
+  }
+
+  // Groups of resources uploaded with the same file, largest groups first
+  async findDuplicateClusters({ limit = 50 } = {}) {
+    try {
+      const { fn, col, literal } = Resource.sequelize;
+      const clusters = await Resource.findAll({
+        attributes: [
+          'content_hash',
+          [fn('COUNT', col('id')), 'count'],
+          [fn('MAX', col('file_size')), 'file_size']
+        ],
+        where: { content_hash: { [Op.ne]: null } },
+        group: ['content_hash'],
+        having: literal('COUNT(id) > 1'),
+        order: [[fn('COUNT', col('id')), 'DESC']],
+        limit,
+        raw: true
+      });
+
+      if (clusters.length === 0) {
+        return [];
+      }
+
+      const resources = await Resource.findAll({
+        where: { content_hash: { [Op.in]: clusters.map(cluster => cluster.content_hash) } },
+        attributes: ['id', 'title', 'status', 'visibility', 'content_hash', 'duplicate_of', 'created_at'],
+        include: [
+          {
+            model: User,
+            as: 'author',
+            attributes: ['id', 'name', 'email']
+          }
+        ],
+        order: [['created_at', 'ASC']]
+      });
+
+      return clusters.map(cluster => ({
+        content_hash: cluster.content_hash,
+        count: parseInt(cluster.count),
+        file_size: cluster.file_size,
+        resources: resources.filter(resource => resource.content_hash === cluster.content_hash)
+      }));
+    } catch (error) {
+      throw new Error(`Error finding duplicate resources: ${error.message}`);
+    }
+  }
+
   // Find all with details (for admin)
   async findAllWithDetails(options) {
     try {
@@ -580,6 +742,11 @@ class ResourceRepository {
           model: Category,
           as: 'category',
           attributes: ['id', 'name', 'category_type']
+        },
+        {
+          model: AcademicPeriod,
+          as: 'academic_period',
+          attributes: ['id', 'name', 'code']
         }
       ];
 
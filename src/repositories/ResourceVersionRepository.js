@@ -0,0 +1,52 @@
+// 🗂️ Resource Version Repository - Data Access Layer for resource history
+// Following Repository Pattern and Single Responsibility Principle
+
+import { ResourceVersion, User } from '../models/index.js';
+
+class ResourceVersionRepository {
+  // History of a resource, newest first
+  async findByResource(resourceId) {
+    try {
+      return await ResourceVersion.findAll({
+        where: { resource_id: resourceId },
+        include: [
+          {
+            model: User,
+            as: 'editor',
+            attributes: ['id', 'name', 'avatar_url']
+          }
+        ],
+        order: [['version_number', 'DESC']]
+      });
+    } catch (error) {
+      throw new Error(`Error finding resource versions: ${error.message}`);
+    }
+  }
+
+  async findByNumber(resourceId, versionNumber) {
+    try {
+      return await ResourceVersion.findOne({
+        where: { resource_id: resourceId, version_number: versionNumber }
+      });
+    } catch (error) {
+      throw new Error(`Error finding resource version: ${error.message}`);
+    }
+  }
+
+  // Every file any version of the resource points at
+  async findFilePaths(resourceId) {
+    try {
+      const versions = await ResourceVersion.findAll({
+        where: { resource_id: resourceId },
+        attributes: ['file_path'],
+        raw: true
+      });
+
+      return versions.map(version => version.file_path).filter(Boolean);
+    } catch (error) {
+      throw new Error(`Error finding version files: ${error.message}`);
+    }
+  }
+}
+
+export default new ResourceVersionRepository();
@@ -0,0 +1,66 @@
+// ⏫ Upload Session Repository - Data Access Layer for resumable uploads
+// Following Repository Pattern and Single Responsibility Principle
+
+import { Op } from 'sequelize';
+import { UploadSession } from '../models/index.js';
+
+class UploadSessionRepository {
+  async create(sessionData) {
+    try {
+      return await UploadSession.create(sessionData);
+    } catch (error) {
+      throw new Error(`Error creating upload session: ${error.message}`);
+    }
+  }
+
+  async findById(id) {
+    try {
+      return await UploadSession.findByPk(id);
+    } catch (error) {
+      throw new Error(`Error finding upload session: ${error.message}`);
+    }
+  }
+
+  async update(id, updateData) {
+    try {
+      await UploadSession.update(updateData, { where: { id } });
+      return await UploadSession.findByPk(id);
+    } catch (error) {
+      throw new Error(`Error updating upload session: ${error.message}`);
+    }
+  }
+
+  // Move the offset only from the one a chunk was written at; false if another request moved it first
+  async advanceOffset(id, fromOffset, updateData) {
+    try {
+      const [updatedCount] = await UploadSession.update(updateData, {
+        where: { id, status: 'uploading', upload_offset: fromOffset }
+      });
+      return updatedCount === 1;
+    } catch (error) {
+      throw new Error(`Error advancing upload offset: ${error.message}`);
+    }
+  }
+
+  async delete(id) {
+    try {
+      return await UploadSession.destroy({ where: { id } }) > 0;
+    } catch (error) {
+      throw new Error(`Error deleting upload session: ${error.message}`);
+    }
+  }
+
+  // Sessions past their expiry, finished or not
+  async findExpired(now = new Date()) {
+    try {
+      return await UploadSession.findAll({
+        where: { expires_at: { [Op.lt]: now } },
+        attributes: ['id', 'status']
+      });
+    } catch (error) {
+      throw new Error(`Error finding expired upload sessions: ${error.message}`);
+    }
+  }
+}
+
+export default new UploadSessionRepository();
@@ -0,0 +1,53 @@
+// 🏫 User Identity Repository - Data Access Layer for SSO identities
+// Following Repository Pattern and Single Responsibility Principle
+
+import { UserIdentity } from '../models/index.js';
+
+class UserIdentityRepository {
+  // Link an external identity to a user
+  async create(identityData) {
+    try {
+      return await UserIdentity.create(identityData);
+    } catch (error) {
+      throw new Error(`Error creating user identity: ${error.message}`);
+    }
+  }
+
+  // Identity by its stable key (provider, sub)
+  async findBySubject(provider, subject) {
+    try {
+      return await UserIdentity.findOne({
+        where: { provider, subject }
+      });
+    } catch (error) {
+      throw new Error(`Error finding user identity: ${error.message}`);
+    }
+  }
+
+  // Identities linked to a user
+  async findByUser(userId) {
+    try {
+      return await UserIdentity.findAll({
+        where: { user_id: userId },
+        attributes: ['id', 'provider', 'email', 'last_login_at', 'created_at'],
+        order: [['created_at', 'ASC']]
+      });
+    } catch (error) {
+      throw new Error(`Error finding user identities: ${error.message}`);
+    }
+  }
+
+  // Refresh claims and last login after a successful SSO login
+  async touch(id, { email, claims, now = new Date() }) {
+    try {
+      await UserIdentity.update(
+        { email, claims, last_login_at: now },
+        { where: { id } }
+      );
+    } catch (error) {
+      throw new Error(`Error updating user identity: ${error.message}`);
+    }
+  }
+}
+
+export default new UserIdentityRepository();
@@ -50,6 +50,68 @@ class UserRepository {
     }
   }
 
+  // Find user by university ID (student or employee), as sent by the campus SSO
+  // verifiedOnly: only IDs set by SSO or an admin, never self-declared ones
+  async findByInstitutionalId({ studentId = null, employeeId = null, verifiedOnly = false }) {
+    try {
+      const conditions = [];
+      if (studentId) conditions.push({ student_id: studentId });
+      if (employeeId) conditions.push({ employee_id: employeeId });
+
+      if (conditions.length === 0) return null;
+
+      const where = { [Op.or]: conditions };
+      if (verifiedOnly) where.institutional_id_verified_at = { [Op.ne]: null };
+
+      return await User.findOne({ where });
+    } catch (error) {
+      throw new Error(`Error finding user by institutional ID: ${error.message}`);
+    }
+  }
+
+  // Find user by the hash of a pending email verification token
+  async findByVerificationToken(tokenHash) {
+    try {
+      return await User.findOne({
+        where: { verification_token: tokenHash }
+      });
+    } catch (error) {
+      throw new Error(`Error finding user by verification token: ${error.message}`);
+    }
+  }
+
+  // Find user by the hash of a password reset token
+  async findByResetToken(tokenHash) {
+    try {
+      return await User.findOne({
+        where: { reset_password_token: tokenHash }
+      });
+    } catch (error) {
+      throw new Error(`Error finding user by reset token: ${error.message}`);
+    }
+  }
+
+  // Apply a password reset only while the token is still stored and unexpired, clearing it in the
+  // same statement so two requests with one link can't both succeed. False when already used or expired
+  async consumeResetToken(tokenHash, updateData, now = new Date()) {
+    try {
+      const [updatedRowsCount] = await User.update({
+        ...updateData,
+        reset_password_token: null,
+        reset_password_expires: null
+      }, {
+        where: {
+          reset_password_token: tokenHash,
+          reset_password_expires: { [Op.gt]: now }
+        }
+      });
+
+      return updatedRowsCount === 1;
+    } catch (error) {
+      throw new Error(`Error consuming reset token: ${error.message}`);
+    }
+  }
+
   // Update user
   async update(id, updateData) {
     try {
@@ -67,6 +129,42 @@ class UserRepository {
     }
   }
 
+  // Record an accepted TOTP step only if it is newer than the last one, in a single statement
+  // so two requests with the same code can't both pass. False when it was a replay
+  async claimTwoFactorStep(id, step) {
+    try {
+      const [updatedRowsCount] = await User.update({ two_factor_last_step: step }, {
+        where: {
+          id,
+          [Op.or]: [
+            { two_factor_last_step: null },
+            { two_factor_last_step: { [Op.lt]: step } }
+          ]
+        }
+      });
+
+      return updatedRowsCount === 1;
+    } catch (error) {
+      throw new Error(`Error claiming two-factor step: ${error.message}`);
+    }
+  }
+
+  // Remove a recovery code hash while it is still stored. Remaining hashes, or null when already spent
+  async consumeRecoveryCode(id, codeHash) {
+    try {
+      const [updatedRowsCount, [user] = []] = await User.update({
+        two_factor_recovery_codes: User.sequelize.literal(`two_factor_recovery_codes - ${User.sequelize.escape(codeHash)}`)
+      }, {
+        where: { id, two_factor_recovery_codes: { [Op.contains]: [codeHash] } },
+        returning: true
+      });
+
+      return updatedRowsCount === 1 ? user.two_factor_recovery_codes : null;
+    } catch (error) {
+      throw new Error(`Error consuming recovery code: ${error.message}`);
+    }
+  }
+
   // Delete user (soft delete by updating status)
   async delete(id) {
     try {
@@ -107,6 +205,20 @@ class UserRepository {
     }
   }
 
+  // Active users among the given IDs, with what notifications need (one query for a whole course)
+  async findActiveByIds(ids) {
+    try {
+      if (ids.length === 0) return [];
+
+      return await User.findAll({
+        where: { id: ids, status: 'active' },
+        attributes: ['id', 'name', 'email', 'status', 'preferences']
+      });
+    } catch (error) {
+      throw new Error(`Error finding users by IDs: ${error.message}`);
+    }
+  }
+
   // Update last login
   async updateLastLogin(id) {
     try {
@@ -8,7 +8,8 @@ import {
   createAcademicPeriod,
   updateAcademicPeriod,
   deleteAcademicPeriod,
-  getCurrentAcademicPeriod
+  getCurrentAcademicPeriod,
+  getAcademicPeriodResources
 } from '../controllers/academicPeriodController.js';
 import authMiddleware from '../middleware/authMiddleware.js';
 import adminMiddleware from '../middleware/adminMiddleware.js';
@@ -19,6 +20,7 @@ const router = express.Router();
 router.get('/', getAcademicPeriods);
 router.get('/current', getCurrentAcademicPeriod);
 router.get('/:id', getAcademicPeriodById);
+router.get('/:id/resources', getAcademicPeriodResources);
 
 // Protected routes (admin only)
 router.post('/', authMiddleware, adminMiddleware, createAcademicPeriod);
@@ -6,24 +6,62 @@ import {
     getResourcesForModeration,
     moderateResource,
     getReports,
+    getUserSessions,
+    revokeUserSession,
+    revokeAllUserSessions,
+    getUserLoginAttempts,
+    unlockUser,
+    getModeratorScope,
+    updateModeratorScope,
+    importEnrollments,
+    getDuplicateResources,
+    getPermissions,
+    getUserPermissions,
+    grantUserPermission,
+    revokeUserPermission,
     requireAdmin
 } from '../controllers/adminController.js';
 import authMiddleware from '../middleware/authMiddleware.js';
+import { requirePermission } from '../middleware/permissionMiddleware.js';
+import { csvUpload } from '../services/uploadService.js';
 
 const router = Router();
 
 router.use(authMiddleware);
-router.use(requireAdmin);
 
-router.get('/dashboard/stats', getDashboardStats);
-router.get('/dashboard', getDashboardStats);
+// 🛡️ Moderation: admins and moderators (scoped moderators only see their faculties/categories)
+router.get('/resources/moderation', requirePermission('moderate_resources'), getResourcesForModeration);
+router.patch('/resources/:id/moderate', requirePermission('moderate_resources'), moderateResource);
+router.post('/moderate/:id', requirePermission('moderate_resources'), moderateResource);
+
+// 📊 Platform statistics: admins and anyone granted view_analytics
+router.get('/dashboard/stats', requirePermission('view_analytics'), getDashboardStats);
+router.get('/dashboard', requirePermission('view_analytics'), getDashboardStats);
+
+// 👑 Everything below is admin only
+router.use(requireAdmin);
 
 router.get('/users', getUsers);
 router.patch('/users/:id', updateUser);
 
-router.get('/resources/moderation', getResourcesForModeration);
-router.patch('/resources/:id/moderate', moderateResource);
-router.post('/moderate/:id', moderateResource);
+router.get('/users/:id/sessions', getUserSessions);
+router.delete('/users/:id/sessions/:sessionId', revokeUserSession);
+router.delete('/users/:id/sessions', revokeAllUserSessions);
+
+router.get('/users/:id/login-attempts', getUserLoginAttempts);
+router.post('/users/:id/unlock', unlockUser);
+
+router.get('/permissions', getPermissions);
+router.get('/users/:id/permissions', getUserPermissions);
+router.post('/users/:id/permissions', grantUserPermission);
+router.delete('/users/:id/permissions/:permission', revokeUserPermission);
+
+router.get('/users/:id/moderation-scope', getModeratorScope);
+router.put('/users/:id/moderation-scope', updateModeratorScope);
+
+router.post('/enrollments/import', csvUpload.single('file'), importEnrollments);
+
+router.get('/resources/duplicates', getDuplicateResources);
 
 router.get('/reports', getReports);
 
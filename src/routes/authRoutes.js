@@ -6,7 +6,20 @@ import {
     logout, 
     refreshToken, 
     forgotPassword, 
-    resetPassword 
+    resetPassword,
+    verifyEmail,
+    resendVerification,
+    getSessions,
+    revokeSession,
+    revokeOtherSessions,
+    verifyTwoFactorLogin,
+    beginTwoFactorEnrollment,
+    completeTwoFactorEnrollment,
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
 } from '../controllers/authController.js';
 import authMiddleware from '../middleware/authMiddleware.js';
 import optionalAuthMiddleware from '../middleware/optionalAuthMiddleware.js';
@@ -15,12 +28,29 @@ const router = Router();
 
 router.post('/register', register);
 router.post('/login', login);
+router.post('/login/2fa', verifyTwoFactorLogin);
+router.post('/login/2fa/setup', beginTwoFactorEnrollment);
+router.post('/login/2fa/enable', completeTwoFactorEnrollment);
 router.post('/logout', optionalAuthMiddleware, logout);
 router.post('/refresh-token', refreshToken);
 router.post('/forgot-password', forgotPassword);
 router.post('/reset-password', resetPassword);
+router.get('/verify-email', verifyEmail);
+router.post('/resend-verification', optionalAuthMiddleware, resendVerification);
 
 router.use(authMiddleware);
 router.get('/me', getProfile);
 
+// Logged-in devices
+router.get('/sessions', getSessions);
+router.delete('/sessions/:id', revokeSession);
+router.delete('/sessions', revokeOtherSessions);
+
+// Two-factor authentication
+router.get('/2fa', getTwoFactorStatus);
+router.post('/2fa/setup', setupTwoFactor);
+router.post('/2fa/enable', enableTwoFactor);
+router.post('/2fa/disable', disableTwoFactor);
+router.post('/2fa/recovery-codes', regenerateRecoveryCodes);
+
 export default router;
\ No newline at end of file
@@ -2,6 +2,7 @@ import express from 'express';
 import {
   getCareers,
   getCareerById,
+  getCareerCurriculum,
   createCareer,
   updateCareer,
   deleteCareer,
@@ -15,6 +16,7 @@ const router = express.Router();
 router.get('/', getCareers);
 router.get('/faculty/:facultyId', getCareersByFaculty);
 router.get('/:id', getCareerById);
+router.get('/:id/curriculum', getCareerCurriculum);
 
 router.post('/', authMiddleware, adminMiddleware, createCareer);
 router.put('/:id', authMiddleware, adminMiddleware, updateCareer);
@@ -9,7 +9,7 @@ import {
   getRootCategories
 } from '../controllers/categoryController.js';
 import authMiddleware from '../middleware/authMiddleware.js';
-import adminMiddleware from '../middleware/adminMiddleware.js';
+import { requirePermission } from '../middleware/permissionMiddleware.js';
 
 const router = Router();
 
@@ -19,9 +19,9 @@ router.get('/tree', getCategoryTree);
 router.get('/roots', getRootCategories);
 router.get('/:id', getCategoryById);
 
-// Protected admin routes - require authentication and admin role
-router.post('/', authMiddleware, adminMiddleware, createCategory);
-router.put('/:id', authMiddleware, adminMiddleware, updateCategory);
-router.delete('/:id', authMiddleware, adminMiddleware, deleteCategory);
+// Protected routes - require authentication and the manage_courses permission
+router.post('/', authMiddleware, requirePermission('manage_courses'), createCategory);
+router.put('/:id', authMiddleware, requirePermission('manage_courses'), updateCategory);
+router.delete('/:id', authMiddleware, requirePermission('manage_courses'), deleteCategory);
 
 export default router;
\ No newline at end of file
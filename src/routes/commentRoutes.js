@@ -17,7 +17,8 @@ import {
   getCommentReplies
 } from '../controllers/commentController.js';
 import { authenticate } from '../middleware/authMiddleware.js';
-import { adminOnly } from '../middleware/adminMiddleware.js';
+import { requirePermission } from '../middleware/permissionMiddleware.js';
+import { requireVerifiedEmail } from '../middleware/verifiedEmailMiddleware.js';
 import { validateComment } from '../validators/commentValidator.js';
 
 const router = express.Router();
@@ -30,9 +31,9 @@ router.get('/:commentId', getComment);
 
 router.get('/:commentId/replies', getCommentReplies);
 
-router.post('/resource/:resourceId', authenticate, validateComment, createComment);
+router.post('/resource/:resourceId', authenticate, requireVerifiedEmail, validateComment, createComment);
 
-router.post('/:commentId/reply', authenticate, validateComment, createReply);
+router.post('/:commentId/reply', authenticate, requireVerifiedEmail, validateComment, createReply);
 
 router.get('/user/my-comments', authenticate, getUserComments);
 
@@ -42,8 +43,8 @@ router.delete('/:commentId', authenticate, deleteComment);
 
 router.delete('/resource/:resourceId/comment/:commentId', authenticate, deleteResourceComment);
 
-router.get('/admin/moderation-queue', authenticate, adminOnly, getModerationQueue);
+router.get('/admin/moderation-queue', authenticate, requirePermission('moderate_resources'), getModerationQueue);
 
-router.patch('/admin/:commentId/moderate', authenticate, adminOnly, moderateComment);
+router.patch('/admin/:commentId/moderate', authenticate, requirePermission('moderate_resources'), moderateComment);
 
 export default router;
\ No newline at end of file
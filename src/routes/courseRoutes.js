@@ -2,16 +2,32 @@ import express from 'express';
 import { courseController } from '../controllers/courseController.js';
 import authMiddleware from '../middleware/authMiddleware.js';
 import adminMiddleware from '../middleware/adminMiddleware.js';
+import { requireCourseTeacher } from '../middleware/permissionMiddleware.js';
 
 const router = express.Router();
 
 router.get('/', courseController.getCourses);
+router.get('/teaching', authMiddleware, courseController.getTeachingCourses);
 router.get('/:id', courseController.getCourseById);
 router.get('/:id/stats', courseController.getCourseStats);
+router.get('/:id/prerequisite-chain', courseController.getPrerequisiteChain);
 router.get('/career/:career_id', courseController.getCoursesByCareer);
 
 router.post('/', authMiddleware, adminMiddleware, courseController.createCourse);
 router.put('/:id', authMiddleware, adminMiddleware, courseController.updateCourse);
 router.delete('/:id', authMiddleware, adminMiddleware, courseController.deleteCourse);
 
-export default router;
\ No newline at end of file
+// 🎓 Enrollment of the current user
+router.post('/:id/enroll', authMiddleware, courseController.enroll);
+router.delete('/:id/enroll', authMiddleware, courseController.dropEnrollment);
+
+// 👩‍🏫 Assigned teacher (or manage_courses): curation of their own course
+router.patch('/:id/content', authMiddleware, requireCourseTeacher(), courseController.updateCourseContent);
+router.post('/:id/resources/:resourceId/pin', authMiddleware, requireCourseTeacher(), courseController.pinResource);
+router.delete('/:id/resources/:resourceId/pin', authMiddleware, requireCourseTeacher(), courseController.unpinResource);
+router.post('/:id/resources/:resourceId/verify', authMiddleware, requireCourseTeacher(), courseController.verifyResource);
+router.delete('/:id/resources/:resourceId/verify', authMiddleware, requireCourseTeacher(), courseController.unverifyResource);
+router.get('/:id/comments/moderation-queue', authMiddleware, requireCourseTeacher(), courseController.getCommentModerationQueue);
+router.patch('/:id/comments/:commentId/moderate', authMiddleware, requireCourseTeacher(), courseController.moderateComment);
+
+export default router;
@@ -4,6 +4,7 @@
 import express from 'express';
 import FavoriteController from '../controllers/FavoriteController.js';
 import authMiddleware from '../middleware/authMiddleware.js';
+import { requirePermission } from '../middleware/permissionMiddleware.js';
 
 const router = express.Router();
 
@@ -21,11 +22,12 @@ router.get('/public/most-favorited',
 
 /**
  * @route GET /api/favorites/admin/global-stats
- * @desc Get global favorite statistics (admin only)
- * @access Private (Admin)
+ * @desc Get global favorite statistics
+ * @access Private (view_analytics)
  */
 router.get('/admin/global-stats',
   authMiddleware,
+  requirePermission('view_analytics'),
   FavoriteController.getGlobalFavoriteStats
 );
 
@@ -0,0 +1,11 @@
+// 🛣️ File Routes - Downloads of stored files by signed URL
+// The signature replaces authentication: links are short-lived and issued per user after access checks
+
+import { Router } from 'express';
+import { serveSignedFile } from '../controllers/fileController.js';
+
+const router = Router();
+
+router.get('/*', serveSignedFile);       // GET /files/<key>?expires=&filename=&signature=
+
+export default router;
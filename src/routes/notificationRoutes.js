@@ -12,6 +12,7 @@ const router = Router();
 router.use(authMiddleware);
 
 // Notification routes
+// GET /api/notifications?page=1&limit=20&status=all|read|unread&type=
 router.get('/', getNotifications);
 router.patch('/:id/read', markNotificationAsRead);
 router.post('/mark-all-read', markAllNotificationsAsRead);
@@ -0,0 +1,12 @@
+import { Router } from 'express';
+import { getProviders, authorize, callback, confirmLink } from '../controllers/oidcController.js';
+
+const router = Router();
+
+// Institutional SSO (OpenID Connect, authorization code + PKCE)
+router.get('/providers', getProviders);
+router.get('/:provider/authorize', authorize);
+router.post('/:provider/callback', callback);
+router.post('/link', confirmLink);               // Password-confirmed link to an existing account
+
+export default router;
@@ -12,6 +12,7 @@ import {
 } from '../controllers/reportController.js';
 import authMiddleware from '../middleware/authMiddleware.js';
 import adminMiddleware from '../middleware/adminMiddleware.js';
+import { requirePermission } from '../middleware/permissionMiddleware.js';
 import { validateReport } from '../validators/reportValidator.js';
 
 const router = express.Router();
@@ -31,13 +32,17 @@ router.get('/my-reports', authMiddleware, getUserReports);
 
 router.get('/:id', authMiddleware, getReportDetails);
 
-router.get('/admin/all', authMiddleware, adminMiddleware, getAdminReports);
+// ===== TRIAGE ENDPOINTS (moderators, limited to their scope) =====
 
-router.patch('/admin/:id/status', authMiddleware, adminMiddleware, updateReportStatus);
+router.get('/admin/all', authMiddleware, requirePermission('moderate_resources'), getAdminReports);
 
-router.get('/admin/statistics', authMiddleware, adminMiddleware, getReportStatistics);
+router.patch('/admin/:id/status', authMiddleware, requirePermission('moderate_resources'), updateReportStatus);
+
+router.get('/admin/resources/:resourceId', authMiddleware, requirePermission('moderate_resources'), getResourceReports);
 
-router.get('/admin/resources/:resourceId', authMiddleware, adminMiddleware, getResourceReports);
+// ===== ADMIN ENDPOINTS =====
+
+router.get('/admin/statistics', authMiddleware, adminMiddleware, getReportStatistics);
 
 router.delete('/admin/:id', authMiddleware, adminMiddleware, deleteReport);
 
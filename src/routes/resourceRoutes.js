@@ -1,8 +1,4 @@
 import { Router } from 'express';
-import multer from 'multer';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import fs from 'fs';
 import {
     getResources,
     getResourceById,
@@ -16,7 +12,13 @@ import {
     getResourceStats,
     searchResources,
     incrementViews,
-    downloadResource
+    downloadResource,
+    getDownloadUrl,
+    replaceResourceFile,
+    getResourceVersions,
+    downloadResourceVersion,
+    getVersionDownloadUrl,
+    rollbackResource
 } from '../controllers/resourceController.js';
 import {
     createComment,
@@ -29,11 +31,10 @@ import {
     deleteUserRating
 } from '../controllers/commentController.js';
 import authMiddleware, { optionalAuth } from '../middleware/authMiddleware.js';
+import { requireVerifiedEmail } from '../middleware/verifiedEmailMiddleware.js';
 import { validateComment } from '../validators/commentValidator.js';
 import { validateRating } from '../validators/ratingValidator.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { upload } from '../config/upload.js';
 
 const router = Router();
 
@@ -47,49 +48,24 @@ router.use((req, res, next) => {
     next();
 });
 
-const uploadDir = path.join(__dirname, '../../public/uploads');
-if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
-}
-
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        cb(null, uploadDir);
-    },
-    filename: function (req, file, cb) {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, 'resource-' + uniqueSuffix + path.extname(file.originalname));
-    }
-});
-
-const upload = multer({ 
-    storage: storage,
-    limits: { fileSize: 10 * 1024 * 1024 },
-    fileFilter: function (req, file, cb) {
-        const allowedTypes = /pdf|doc|docx|jpg|jpeg|png|gif|webp/;
-        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-        const mimetype = allowedTypes.test(file.mimetype);
-        
-        if (mimetype && extname) {
-            return cb(null, true);
-        } else {
-            cb(new Error('Solo se permiten archivos PDF, Word o imágenes'));
-        }
-    }
-});
-
 // 🌍 Public routes (no authentication required)
 router.get('/', optionalAuth, getResources);              // GET /resources
 router.get('/search', searchResources);                   // GET /resources/search?q=query
 router.get('/stats', getResourceStats);                   // GET /resources/stats
 router.get('/:id', optionalAuth, getResourceById);        // GET /resources/:id
-router.get('/:id/download', downloadResource);            // GET /resources/:id/download
+router.get('/:id/download', optionalAuth, downloadResource);           // GET /resources/:id/download (redirect to signed URL)
+router.get('/:id/download-url', optionalAuth, getDownloadUrl);         // GET /resources/:id/download-url
+router.get('/:id/versions', optionalAuth, getResourceVersions);                    // GET /resources/:id/versions
+router.get('/:id/versions/:n/download', optionalAuth, downloadResourceVersion);    // GET /resources/:id/versions/:n/download
+router.get('/:id/versions/:n/download-url', optionalAuth, getVersionDownloadUrl);  // GET /resources/:id/versions/:n/download-url
 router.post('/:id/view', incrementViews);                 // POST /resources/:id/view
 
 // 🔒 Protected routes (authentication required)
-router.post('/', authMiddleware, createResource);                           // POST /resources
-router.post('/upload', authMiddleware, upload.single('file'), uploadResource);   // POST /resources/upload
+router.post('/', authMiddleware, requireVerifiedEmail, createResource);     // POST /resources
+router.post('/upload', authMiddleware, requireVerifiedEmail, upload.single('file'), uploadResource);   // POST /resources/upload
 router.put('/:id', authMiddleware, updateResource);                         // PUT /resources/:id
+router.put('/:id/file', authMiddleware, requireVerifiedEmail, upload.single('file'), replaceResourceFile);   // PUT /resources/:id/file
+router.post('/:id/versions/:n/rollback', authMiddleware, rollbackResource);  // POST /resources/:id/versions/:n/rollback
 router.delete('/:id', authMiddleware, deleteResource);                      // DELETE /resources/:id
 
 // 👤 User-specific routes
@@ -108,7 +84,7 @@ router.patch('/:id/status', authMiddleware, updateResourceStatus);     // PATCH
 // Get comments for a specific resource
 router.get('/:id/comments', getResourceComments);                      // GET /resources/:id/comments
 router.get('/:id/comments/stats', getCommentStats);
-router.post('/:id/comments', authMiddleware, validateComment, createComment);
+router.post('/:id/comments', authMiddleware, requireVerifiedEmail, validateComment, createComment);
 router.delete('/:id/comments/:commentId', authMiddleware, deleteResourceComment);
 
 router.get('/:id/rating-stats', getResourceRatingStats);
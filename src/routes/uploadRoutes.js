@@ -0,0 +1,29 @@
+// 🛣️ Upload Routes - Resumable (tus) uploads for large files such as lecture videos
+// Create a session, send chunks at the reported offset, then finalize it into a resource
+
+import { Router } from 'express';
+import {
+    tusHeaders,
+    createUpload,
+    getUploadOffset,
+    getUploadProgress,
+    appendChunk,
+    finalizeUpload,
+    cancelUpload
+} from '../controllers/uploadController.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import { requireVerifiedEmail } from '../middleware/verifiedEmailMiddleware.js';
+
+const router = Router();
+
+router.use(authMiddleware, tusHeaders);
+
+router.post('/', requireVerifiedEmail, createUpload);       // POST /uploads (Upload-Length, Upload-Metadata)
+router.head('/:id', getUploadOffset);                       // HEAD /uploads/:id (before GET, which also answers HEAD)
+router.get('/:id', getUploadProgress);                      // GET /uploads/:id
+router.patch('/:id', appendChunk);                          // PATCH /uploads/:id (Upload-Offset)
+router.put('/:id', appendChunk);                            // PUT /uploads/:id - for clients without PATCH
+router.post('/:id/finalize', requireVerifiedEmail, finalizeUpload); // POST /uploads/:id/finalize
+router.delete('/:id', cancelUpload);                        // DELETE /uploads/:id
+
+export default router;
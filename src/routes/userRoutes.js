@@ -5,7 +5,8 @@ import {
     changePassword,
     getUserSettings,
     updateUserSettings,
-    uploadAvatar
+    uploadAvatar,
+    getMyCourses
 } from '../controllers/userController.js';
 import authMiddleware from '../middleware/authMiddleware.js';
 import { upload } from '../services/uploadService.js';
@@ -27,4 +28,7 @@ router.post('/avatar', upload.single('profile_picture'), uploadAvatar);
 router.get('/settings', getUserSettings);
 router.put('/settings', updateUserSettings);
 
+// Enrollments ("my courses")
+router.get('/me/courses', getMyCourses);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,155 @@
+// 📅 Academic Period Lifecycle Service - Moves periods along the calendar
+// Following Service Layer Pattern: statuses follow start_date/end_date, exactly one
+// period is current, and every change is announced through AcademicPeriodObserver
+
+import AcademicPeriodRepository from '../repositories/AcademicPeriodRepository.js';
+import academicPeriodObserver from '../observers/AcademicPeriodObserver.js';
+import academicPeriodConfig from '../config/academicPeriods.js';
+
+// Statuses only move forward; cancelled periods are left alone
+const STATUS_ORDER = { upcoming: 0, active: 1, completed: 2 };
+
+// DATEONLY columns come back as 'YYYY-MM-DD', which compares correctly as a string
+const toDateOnly = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Calendar day of an instant on the campus clock
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone (e.g. 'America/Bogota')
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export const dayInTimeZone = (date, timeZone = 'UTC') =>
+  // en-CA formats dates as YYYY-MM-DD
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+
+/**
+ * Status a period should have on a given day
+ * @param {Object} period - { start_date, end_date }
+ * @param {string} today - 'YYYY-MM-DD'
+ * @returns {'upcoming'|'active'|'completed'}
+ */
+export const statusOnDate = (period, today) => {
+  if (today < toDateOnly(period.start_date)) return 'upcoming';
+  if (today > toDateOnly(period.end_date)) return 'completed';
+  return 'active';
+};
+
+/**
+ * The period that should be current: the one in progress (the latest to start if
+ * several are), otherwise the next one to start, otherwise the last one to end
+ * @param {Object[]} periods - Non-cancelled periods with an up-to-date status
+ * @returns {Object|null}
+ */
+export const pickCurrent = (periods) => {
+  const byStart = [...periods].sort((a, b) => toDateOnly(a.start_date).localeCompare(toDateOnly(b.start_date)));
+
+  const active = byStart.filter(period => period.status === 'active');
+  if (active.length > 0) return active[active.length - 1];
+
+  const upcoming = byStart.find(period => period.status === 'upcoming');
+  if (upcoming) return upcoming;
+
+  const completed = [...periods]
+    .filter(period => period.status === 'completed')
+    .sort((a, b) => toDateOnly(b.end_date).localeCompare(toDateOnly(a.end_date)));
+  return completed[0] || null;
+};
+
+class AcademicPeriodLifecycleService {
+  constructor(
+    academicPeriodRepository = AcademicPeriodRepository,
+    observer = academicPeriodObserver,
+    config = academicPeriodConfig,
+    clock = () => new Date()
+  ) {
+    this.academicPeriodRepository = academicPeriodRepository;
+    this.observer = observer;
+    this.config = config;
+    this.clock = clock;
+    this.scheduler = null;
+    this.running = false;
+  }
+
+  /**
+   * Bring every period up to date with the calendar
+   * @param {Date} now - Current time (defaults to the injected clock)
+   * @returns {Promise<Object>} { started, completed, current, rolledOver }
+   */
+  async run(now = this.clock()) {
+    const today = dayInTimeZone(now, this.config.timeZone);
+    const periods = await this.academicPeriodRepository.findForLifecycle();
+    const summary = { started: [], completed: [], current: null, rolledOver: false };
+
+    for (const period of periods) {
+      const target = statusOnDate(period, today);
+      const from = period.status;
+
+      if (!(from in STATUS_ORDER) || STATUS_ORDER[target] <= STATUS_ORDER[from]) continue;
+
+      await this.academicPeriodRepository.setStatus(period.id, target);
+      period.status = target;
+
+      // A period that was never seen active still started (e.g. server down for its whole term)
+      if (from === 'upcoming') {
+        summary.started.push(period.code);
+        await this.observer.notify('period.started', { period, now });
+      }
+      if (target === 'completed') {
+        summary.completed.push(period.code);
+        await this.observer.notify('period.completed', { period, now });
+      }
+    }
+
+    const current = pickCurrent(periods);
+    const flagged = periods.filter(period => period.is_current);
+    const wasCurrent = !!current && flagged.some(period => period.id === current.id);
+
+    // Also clears extra is_current flags set by hand
+    if (current && (!wasCurrent || flagged.length > 1)) {
+      await this.academicPeriodRepository.setCurrent(current.id);
+
+      if (!wasCurrent) {
+        const previous = flagged[flagged.length - 1] || null;
+        summary.rolledOver = true;
+        console.log('📅 Academic period rolled over:', { from: previous?.code || null, to: current.code });
+        await this.observer.notify('period.rolled_over', { from: previous, to: current, now });
+      }
+    }
+
+    summary.current = current?.code || null;
+    return summary;
+  }
+
+  // One scheduler tick; skipped if the previous run is still going
+  trigger() {
+    if (this.running) return;
+    this.running = true;
+
+    this.run()
+      .catch(error => console.error('📅 Academic period scheduler error:', error.message))
+      .finally(() => { this.running = false; });
+  }
+
+  // Run on start-up and then periodically in-process
+  startScheduler(intervalMs = this.config.pollIntervalMs) {
+    if (this.scheduler || !this.config.enabled) {
+      return;
+    }
+
+    this.trigger();
+    this.scheduler = setInterval(() => this.trigger(), intervalMs);
+
+    // Don't keep the process alive just for the scheduler
+    this.scheduler.unref();
+  }
+
+  stopScheduler() {
+    if (this.scheduler) {
+      clearInterval(this.scheduler);
+      this.scheduler = null;
+    }
+  }
+}
+
+export default new AcademicPeriodLifecycleService();
+export { AcademicPeriodLifecycleService };
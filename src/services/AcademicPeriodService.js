@@ -2,14 +2,57 @@
 // Following Service Layer Pattern and using Repository for data access
 
 import AcademicPeriodRepository from '../repositories/AcademicPeriodRepository.js';
+import ResourceRepository from '../repositories/ResourceRepository.js';
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
+
+const toDateOnly = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`Fecha inválida: ${value}`);
+  }
+  return date.toISOString().slice(0, 10);
+};
 
 class AcademicPeriodService {
-  constructor(academicPeriodRepository = AcademicPeriodRepository) {
+  constructor(academicPeriodRepository = AcademicPeriodRepository, resourceRepository = ResourceRepository) {
     this.academicPeriodRepository = academicPeriodRepository;
+    this.resourceRepository = resourceRepository;
+  }
+
+  /**
+   * Periods cannot overlap (cancelled ones don't count)
+   * @throws {ValidationError} start_date after end_date
+   * @throws {ConflictError} Overlaps another period
+   */
+  async assertNoOverlap(startDate, endDate, excludeId = null) {
+    const start = toDateOnly(startDate);
+    const end = toDateOnly(endDate);
+
+    if (start > end) {
+      throw new ValidationError('La fecha de inicio debe ser anterior a la fecha de fin');
+    }
+
+    const overlapping = await this.academicPeriodRepository.findOverlapping(start, end, excludeId);
+
+    if (overlapping.length > 0) {
+      throw new ConflictError(
+        `El período se solapa con: ${overlapping.map(period => period.code).join(', ')}`,
+        'AcademicPeriod',
+        { overlapping: overlapping.map(period => period.id) }
+      );
+    }
   }
 
   // Create new academic period
   async createAcademicPeriod(academicPeriodData) {
+    // is_current is maintained by AcademicPeriodLifecycleService
+    const { is_current: _isCurrent, ...periodData } = academicPeriodData;
+    academicPeriodData = periodData;
+
+    if (academicPeriodData.start_date && academicPeriodData.end_date) {
+      await this.assertNoOverlap(academicPeriodData.start_date, academicPeriodData.end_date);
+    }
+
     try {
       // Check if academic period already exists for the year and type
       const existingPeriod = await this.academicPeriodRepository.existsByYearAndType(
@@ -53,6 +96,24 @@ class AcademicPeriodService {
 
   // Update academic period
   async updateAcademicPeriod(id, updateData) {
+    const { is_current: _isCurrent, ...periodData } = updateData;
+    updateData = periodData;
+
+    if (updateData.start_date || updateData.end_date) {
+      const current = await this.academicPeriodRepository.findById(id, false);
+      if (!current) {
+        throw new NotFoundError('Período académico no encontrado', 'AcademicPeriod', id);
+      }
+
+      if (current.status !== 'cancelled' && updateData.status !== 'cancelled') {
+        await this.assertNoOverlap(
+          updateData.start_date || current.start_date,
+          updateData.end_date || current.end_date,
+          id
+        );
+      }
+    }
+
     try {
       // Check if new year and type combination already exists (excluding current period)
       if (updateData.year && updateData.period_type) {
@@ -88,6 +149,41 @@ class AcademicPeriodService {
     }
   }
 
+  /**
+   * Published resources of a period grouped by course (resources without a course last)
+   * @returns {Promise<{ academic_period, total, courses: Array<{ course, resources }> }>}
+   * @throws {NotFoundError} Unknown period
+   */
+  async getResourcesByCourse(id) {
+    const period = await this.academicPeriodRepository.findById(id, false);
+    if (!period) {
+      throw new NotFoundError('Período académico no encontrado', 'AcademicPeriod', id);
+    }
+
+    const resources = await this.resourceRepository.findByAcademicPeriod(period.id);
+    const groups = new Map();
+
+    for (const resource of resources) {
+      const key = resource.course_id || null;
+      if (!groups.has(key)) {
+        groups.set(key, { course: resource.course || null, resources: [] });
+      }
+      groups.get(key).resources.push(resource);
+    }
+
+    const courses = [...groups.values()].sort((a, b) => {
+      if (!a.course) return 1;
+      if (!b.course) return -1;
+      return a.course.code.localeCompare(b.course.code);
+    });
+
+    return {
+      academic_period: { id: period.id, name: period.name, code: period.code, status: period.status },
+      total: resources.length,
+      courses
+    };
+  }
+
   // Get academic periods by year
   async getAcademicPeriodsByYear(year) {
     try {
@@ -158,4 +254,5 @@ class AcademicPeriodService {
   }
 }
 
-export default new AcademicPeriodService();
\ No newline at end of file
+export default new AcademicPeriodService();
+export { AcademicPeriodService };
\ No newline at end of file
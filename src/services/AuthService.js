@@ -1,25 +1,53 @@
 import UserRepository from '../repositories/UserRepository.js';
 import JwtService from './JwtService.js';
+import SessionService from './SessionService.js';
+import LoginProtectionService from './LoginProtectionService.js';
+import TwoFactorService from './TwoFactorService.js';
+import UserValidator from '../validators/UserValidator.js';
 import HashService from '../utils/HashService.js';
-import { ValidationError } from '../utils/errors.js';
+import TokenService from '../utils/TokenService.js';
+import EmailService from './EmailService.js';
+import NotificationContext from '../patterns/NotificationStrategy.js';
+import profileObserver from '../observers/ProfileObserver.js';
+import authConfig from '../config/auth.js';
+import emailConfig from '../config/email.js';
+import { ValidationError, BadRequestError, UnauthorizedError } from '../utils/errors.js';
 
 // 🔧 Auth Service - Business Logic Layer
 // Following Service Layer Pattern and Single Responsibility Principle
 
 class AuthService {
-  constructor() {
-    this.userRepository = UserRepository;
+  constructor(
+    userRepository = UserRepository,
+    emailService = EmailService,
+    config = authConfig,
+    notificationContext = NotificationContext,
+    observer = profileObserver,
+    sessionService = SessionService,
+    loginProtection = LoginProtectionService,
+    twoFactorService = TwoFactorService
+  ) {
+    this.userRepository = userRepository;
+    this.emailService = emailService;
+    this.config = config;
+    this.notificationContext = notificationContext;
+    this.profileObserver = observer;
+    this.sessionService = sessionService;
+    this.loginProtection = loginProtection;
+    this.twoFactorService = twoFactorService;
   }
 
   // Register new user - High level business logic
-  async registerUser(userData) {
+  // context: { userAgent, ipAddress } of the device, stored with the session
+  async registerUser(userData, context = {}) {
     // Validate required fields
-    const { name, email, password, first_name, last_name, role = 'student' } = userData;
-    
-    if (!name || !email || !password) {
+    if (!userData.name || !userData.email || !userData.password) {
       throw new ValidationError('Nombre, email y contraseña son requeridos');
     }
 
+    // Self-registration only offers non-privileged roles
+    const { name, email, password, first_name, last_name, role } = this.validateRegistration(userData);
+
     // Check if user already exists
     const existingUser = await this.userRepository.findByEmail(email);
     if (existingUser) {
@@ -29,6 +57,9 @@ class AuthService {
     // Hash password
     const hashedPassword = await HashService.hashPassword(password);
 
+    // New accounts stay pending until the email is confirmed
+    const verification = this.createVerificationToken();
+
     // Create user data
     const newUserData = {
       name,
@@ -37,25 +68,31 @@ class AuthService {
       first_name,
       last_name,
       role,
-      status: 'active'
+      status: 'pending_verification',
+      verification_token: verification.tokenHash,
+      verification_expires: verification.expiresAt
     };
 
     // Create user
     const user = await this.userRepository.create(newUserData);
 
-    // Generate tokens
-    const tokens = JwtService.generateTokenPair(user);
-    const safeUser = user.toSafeObject();
+    await this.sendVerificationEmail(user, verification);
 
-    return {
-      user: safeUser,
-      token: tokens.accessToken,
-      refreshToken: tokens.refreshToken
-    };
+    // Same rules as a login: roles that require two-factor enroll before getting a session
+    return await this.completeLogin(user, context);
+  }
+
+  // Staff roles are only granted by an admin: the registration schema doesn't offer them
+  validateRegistration(userData) {
+    try {
+      return UserValidator.validateRegistration(userData);
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
   }
 
   // Login user - High level business logic
-  async loginUser(credentials) {
+  async loginUser(credentials, context = {}) {
     const { email, password } = credentials;
 
     // Validate required fields
@@ -64,10 +101,87 @@ class AuthService {
     }
 
     // Authenticate user
-    const user = await this.authenticateUser(email, password);
+    const user = await this.authenticateUser(email, password, context);
+
+    return await this.completeLogin(user, context);
+  }
+
+  // Open a session for an authenticated user (password or SSO), unless a
+  // second factor - or enrolling one - is still required
+  async completeLogin(user, context = {}) {
+    // With two-factor enabled the first factor alone doesn't open a session
+    if (user.two_factor_enabled) {
+      return {
+        twoFactorRequired: true,
+        challengeToken: this.twoFactorService.createChallenge(user, 'login')
+      };
+    }
+
+    // Roles that require two-factor must enroll before getting a session
+    if (this.twoFactorService.isRequiredFor(user)) {
+      return {
+        twoFactorSetupRequired: true,
+        challengeToken: this.twoFactorService.createChallenge(user, 'enroll')
+      };
+    }
+
+    return await this.startSession(user, context);
+  }
+
+  // Second login step: TOTP code or recovery code for the challenge from loginUser
+  async completeTwoFactorLogin(challengeToken, { code, recoveryCode } = {}, context = {}, now = new Date()) {
+    const user = await this.twoFactorService.resolveChallenge(challengeToken, 'login');
+    const attempt = this.loginAttempt(user.email, context, user.id);
+
+    await this.loginProtection.assertAllowed(attempt, now);
+
+    const result = await this.twoFactorService.verifySecondFactor(user, { code, recoveryCode }, now);
+    if (!result) {
+      await this.loginProtection.recordFailure(attempt, 'invalid_two_factor', now);
+      throw new ValidationError('Código de verificación inválido');
+    }
+
+    const session = await this.startSession(user, context);
+
+    return { ...session, recoveryCodesRemaining: result.recoveryCodesRemaining };
+  }
+
+  // Mandatory enrollment, step 1: secret and otpauth URI for the 'enroll' challenge
+  async beginTwoFactorEnrollment(challengeToken) {
+    const user = await this.twoFactorService.resolveChallenge(challengeToken, 'enroll');
+    return await this.twoFactorService.beginSetup(user.id);
+  }
+
+  // Mandatory enrollment, step 2: the first valid code enables two-factor and opens the session
+  async completeTwoFactorEnrollment(challengeToken, code, context = {}, now = new Date()) {
+    const user = await this.twoFactorService.resolveChallenge(challengeToken, 'enroll');
+    const attempt = this.loginAttempt(user.email, context, user.id);
+
+    await this.loginProtection.assertAllowed(attempt, now);
+
+    let recoveryCodes;
+    try {
+      ({ recoveryCodes } = await this.twoFactorService.enable(user.id, code, now));
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        await this.loginProtection.recordFailure(attempt, 'invalid_two_factor', now);
+      }
+      throw error;
+    }
+
+    const enrolledUser = await this.userRepository.findById(user.id);
+    const session = await this.startSession(enrolledUser, context);
+
+    return { ...session, recoveryCodes };
+  }
+
+  // Failed-login counters are only cleared once a session is really opened,
+  // so a known password can't be used to reset failed two-factor attempts
+  async startSession(user, context = {}) {
+    await this.loginProtection.recordSuccess(this.loginAttempt(user.email, context, user.id));
 
     // Generate tokens
-    const tokens = JwtService.generateTokenPair(user);
+    const tokens = await this.sessionService.createSession(user, context);
     const safeUser = user.toSafeObject();
 
     return {
@@ -77,24 +191,41 @@ class AuthService {
     };
   }
 
+  loginAttempt(email, context = {}, userId = null) {
+    return {
+      email,
+      ipAddress: context.ipAddress || null,
+      userAgent: context.userAgent || null,
+      userId
+    };
+  }
+
   // Authenticate user credentials
-  async authenticateUser(email, password) {
+  // Failures are counted per account and per IP; too many of them block further attempts
+  async authenticateUser(email, password, context = {}, now = new Date()) {
+    const attempt = this.loginAttempt(email, context);
+
     try {
       console.log('🔍 Authenticating user:', { email });
+
+      await this.loginProtection.assertAllowed(attempt, now);
       
       // Find user by email using repository
       const user = await this.userRepository.findByEmail(email);
       
       if (!user) {
         console.log('❌ User not found:', email);
+        await this.loginProtection.recordFailure(attempt, 'invalid_credentials', now);
         throw new ValidationError('Credenciales inválidas');
       }
 
       console.log('✅ User found:', { id: user.id, email: user.email, status: user.status });
+      attempt.userId = user.id;
 
       // Check if user is active
       if (user.status === 'suspended' || user.status === 'deleted') {
         console.log('❌ User account inactive:', user.status);
+        await this.loginProtection.recordFailure(attempt, 'inactive', now);
         throw new ValidationError('Cuenta suspendida o desactivada');
       }
 
@@ -107,6 +238,7 @@ class AuthService {
       
       if (!isValidPassword) {
         console.log('❌ Password verification failed');
+        await this.loginProtection.recordFailure(attempt, 'invalid_credentials', now);
         throw new ValidationError('Credenciales inválidas');
       }
 
@@ -122,37 +254,36 @@ class AuthService {
     }
   }
 
-  // Refresh access token
-  async refreshAccessToken(refreshToken) {
-    try {
-      // Verify refresh token using JwtService
-      const decoded = JwtService.verifyRefreshToken(refreshToken);
-      
-      // Find user using repository
-      const user = await this.userRepository.findById(decoded.userId);
-      
-      if (!user) {
-        throw new ValidationError('Usuario no encontrado');
-      }
+  // Rotate the refresh token: the old one is spent and a new pair is issued in the same session
+  async refreshAccessToken(refreshToken, context = {}) {
+    const { decoded, record, nextTokenId } = await this.sessionService.consumeRefreshToken(refreshToken);
 
-      if (user.status === 'suspended' || user.status === 'deleted') {
-        throw new ValidationError('Cuenta suspendida o desactivada');
-      }
+    // Find user using repository
+    const user = await this.userRepository.findById(decoded.userId);
 
-      // Generate new access token using JwtService
-      const newAccessToken = JwtService.generateAccessToken({
-        userId: user.id,
-        email: user.email,
-        role: user.role
-      });
+    if (!user || user.status === 'suspended' || user.status === 'deleted' || this.isRefreshTokenRevoked(user, decoded)) {
+      await this.sessionService.revokeSession(record.family_id, 'logout');
+      throw new UnauthorizedError('Refresh token revocado');
+    }
 
-      return {
-        accessToken: newAccessToken,
-        user: user.toSafeObject()
-      };
-    } catch (error) {
-      throw error;
+    // Sessions opened before the role required two-factor don't outlive the requirement
+    if (this.twoFactorService.isRequiredFor(user) && !user.two_factor_enabled) {
+      await this.sessionService.revokeSession(record.family_id, 'logout');
+      throw new UnauthorizedError('Tu rol requiere configurar la verificación en dos pasos; inicia sesión de nuevo');
     }
+
+    const tokens = await this.sessionService.issueTokens(user, {
+      familyId: record.family_id,
+      tokenId: nextTokenId,
+      userAgent: context.userAgent || record.user_agent,
+      ipAddress: context.ipAddress || record.ip_address
+    });
+
+    return {
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      user: user.toSafeObject()
+    };
   }
 
   // Validate token and get user
@@ -170,48 +301,230 @@ class AuthService {
         throw new ValidationError('Cuenta suspendida o desactivada');
       }
 
+      if (decoded.sid && !(await this.sessionService.isSessionActive(decoded.sid))) {
+        throw new UnauthorizedError('Sesión revocada');
+      }
+
       return { user, decoded };
     } catch (error) {
       throw error;
     }
   }
 
-  // Logout user (invalidate tokens)
-  async logoutUser(userId) {
-    try {
-      // Update user's last logout time using repository
-      await this.userRepository.update(userId, { last_logout: new Date() });
-      
+  /**
+   * Logout - revoke the current session, or every session with allDevices
+   * @param {Object} options
+   * @param {string} [options.userId] - From the access token, if any
+   * @param {string} [options.sessionId] - sid claim of the access token
+   * @param {string} [options.refreshToken] - Refresh token sent by the client
+   * @param {boolean} [options.allDevices=false] - Revoke all sessions of the user
+   * @returns {Promise<boolean>} Whether anything could be revoked
+   */
+  async logoutUser({ userId = null, sessionId = null, refreshToken = null, allDevices = false } = {}) {
+    if (refreshToken) {
+      const fromRefresh = this.sessionService.getSessionIdFromRefreshToken(refreshToken);
+      // Never let a refresh token of another user pick the session
+      if (fromRefresh.userId && (!userId || fromRefresh.userId === userId)) {
+        userId = fromRefresh.userId;
+        sessionId = sessionId || fromRefresh.sessionId;
+      }
+    }
+
+    if (!userId) {
+      return false;
+    }
+
+    if (allDevices) {
+      await this.sessionService.revokeAllSessions(userId, { reason: 'logout_all' });
       return true;
+    }
+
+    if (sessionId) {
+      await this.sessionService.revokeSession(sessionId, 'logout');
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Create a random verification token. Only its hash is stored.
+   * @param {Date} now - Current time
+   * @returns {{ token: string, tokenHash: string, expiresAt: Date }}
+   */
+  createVerificationToken(now = new Date()) {
+    const token = TokenService.generateToken();
+
+    return {
+      token,
+      tokenHash: TokenService.hashToken(token),
+      expiresAt: new Date(now.getTime() + this.config.emailVerification.tokenTtlMinutes * 60 * 1000)
+    };
+  }
+
+  // Email the verification link - a delivery problem must not break registration
+  async sendVerificationEmail(user, verification) {
+    try {
+      await this.emailService.queueEmail({
+        to: user.email,
+        userId: user.id,
+        template: 'email.verification',
+        locale: user.preferences?.language || null,
+        data: {
+          userName: user.name,
+          verifyUrl: `${emailConfig.appUrl}/verify-email?token=${verification.token}`,
+          expiresInHours: Math.round(this.config.emailVerification.tokenTtlMinutes / 60)
+        }
+      });
     } catch (error) {
-      console.error('Logout error:', error);
-      return false;
+      console.error('Verification email error:', { userId: user.id, error: error.message });
     }
   }
 
-  // Generate password reset token
-  generatePasswordResetToken(userId) {
-    return JwtService.generateAccessToken({ 
-      userId, 
-      type: 'password_reset' 
+  // Confirm an email address with the token from the verification link
+  async verifyEmail(token, now = new Date()) {
+    if (!token) {
+      throw new ValidationError('Token de verificación requerido');
+    }
+
+    const user = await this.userRepository.findByVerificationToken(TokenService.hashToken(token));
+
+    if (!user || !user.verification_expires || new Date(user.verification_expires) <= now) {
+      throw new BadRequestError('Token de verificación inválido o expirado');
+    }
+
+    await this.userRepository.update(user.id, {
+      email_verified_at: now,
+      verification_token: null,
+      verification_expires: null,
+      status: user.status === 'pending_verification' ? 'active' : user.status
     });
+
+    return { email: user.email, verified: true };
   }
 
-  // Verify password reset token
-  verifyPasswordResetToken(token) {
-    try {
-      const decoded = JwtService.verifyAccessToken(token);
-      
-      if (decoded.type !== 'password_reset') {
-        throw new ValidationError('Token inválido');
+  /**
+   * Issue a fresh verification token. Silently does nothing for unknown,
+   * already verified or blocked accounts so the response can't be used to
+   * probe which emails are registered.
+   */
+  async resendVerification(email, now = new Date()) {
+    if (!email) {
+      throw new ValidationError('Email requerido');
+    }
+
+    const user = await this.userRepository.findByEmail(email);
+
+    if (!user || user.email_verified_at || user.status === 'suspended' || user.status === 'deleted') {
+      return;
+    }
+
+    // The previous token was issued tokenTtl before it expires
+    const { tokenTtlMinutes, resendCooldownSeconds } = this.config.emailVerification;
+    if (user.verification_expires) {
+      const issuedAt = new Date(user.verification_expires).getTime() - tokenTtlMinutes * 60 * 1000;
+      if (now.getTime() - issuedAt < resendCooldownSeconds * 1000) {
+        return;
       }
-      
-      return decoded;
-    } catch (error) {
-      throw new ValidationError('Token de restablecimiento inválido o expirado');
     }
+
+    const verification = this.createVerificationToken(now);
+
+    await this.userRepository.update(user.id, {
+      verification_token: verification.tokenHash,
+      verification_expires: verification.expiresAt
+    });
+
+    await this.sendVerificationEmail(user, verification);
+  }
+
+  /**
+   * Start a password reset. Unknown or blocked accounts are ignored silently
+   * so the response never reveals whether an email is registered.
+   * @param {string} email - Account email
+   * @param {Date} now - Current time
+   */
+  async requestPasswordReset(email, now = new Date()) {
+    if (!email) {
+      throw new ValidationError('Email requerido');
+    }
+
+    const user = await this.userRepository.findByEmail(email);
+
+    if (!user || user.status === 'suspended' || user.status === 'deleted') {
+      return;
+    }
+
+    const token = TokenService.generateToken();
+    const { tokenTtlMinutes } = this.config.passwordReset;
+
+    // Only the newest link works: issuing a token replaces the previous hash
+    await this.userRepository.update(user.id, {
+      reset_password_token: TokenService.hashToken(token),
+      reset_password_expires: new Date(now.getTime() + tokenTtlMinutes * 60 * 1000)
+    });
+
+    await this.notificationContext.sendNotification('email', {
+      user,
+      type: 'security_alert',
+      template: 'password.reset',
+      subject: 'Restablece tu contraseña',
+      templateData: {
+        resetUrl: `${emailConfig.appUrl}/reset-password?token=${token}`,
+        expiresInMinutes: tokenTtlMinutes
+      }
+    });
+  }
+
+  /**
+   * Set a new password with a reset token. The token is single-use and every
+   * refresh token issued before the change stops working.
+   * @param {string} token - Token from the reset link
+   * @param {string} newPassword - New password (already validated)
+   * @param {Date} now - Current time
+   */
+  async resetPassword(token, newPassword, now = new Date()) {
+    const tokenHash = TokenService.hashToken(token);
+    const user = await this.userRepository.findByResetToken(tokenHash);
+
+    if (!user || !user.reset_password_expires || new Date(user.reset_password_expires) <= now) {
+      throw new BadRequestError('Token de restablecimiento inválido o expirado');
+    }
+
+    if (user.status === 'suspended' || user.status === 'deleted') {
+      throw new BadRequestError('Token de restablecimiento inválido o expirado');
+    }
+
+    const hashedPassword = await HashService.hashPassword(newPassword);
+
+    // Another request may have used the same link while the password was hashed
+    const consumed = await this.userRepository.consumeResetToken(tokenHash, {
+      password: hashedPassword,
+      password_changed_at: now
+    }, now);
+    if (!consumed) {
+      throw new BadRequestError('Token de restablecimiento inválido o expirado');
+    }
+
+    await this.sessionService.revokeAllSessions(user.id, { reason: 'password_reset', now });
+
+    // Proving ownership of the email also lifts a brute-force lockout
+    await this.loginProtection.unlockAccount(user.email);
+
+    await this.profileObserver.notify('password.changed', { userId: user.id });
+
+    return { userId: user.id };
+  }
+
+  // Refresh tokens issued before the last password change are no longer valid
+  isRefreshTokenRevoked(user, decoded) {
+    if (!user.password_changed_at) return false;
+
+    const changedAtSeconds = Math.floor(new Date(user.password_changed_at).getTime() / 1000);
+    return decoded.iat < changedAtSeconds;
   }
 }
 
 // Export singleton instance
-export default new AuthService();
\ No newline at end of file
+export default new AuthService();
+export { AuthService };
\ No newline at end of file
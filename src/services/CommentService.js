@@ -3,6 +3,7 @@
 
 import CommentRepository from '../repositories/CommentRepository.js';
 import ErrorProcessingService from './ErrorProcessingService.js';
+import resourceObserver from '../observers/ResourceObserver.js';
 
 /**
  * CommentService - Handles business logic for comments
@@ -32,8 +33,9 @@ class CommentService {
       }
 
       // Validate parent comment if it's a reply
+      let parentComment = null;
       if (commentData.parent_id) {
-        const parentComment = await this.commentRepository.findById(commentData.parent_id);
+        parentComment = await this.commentRepository.findById(commentData.parent_id);
         if (!parentComment) {
           throw new Error('Parent comment not found');
         }
@@ -49,9 +51,18 @@ class CommentService {
         user_id: userId,
         status: 'published' // Auto-publish for now, can add moderation later
       });
+      sanitizedData.resource_version = await this.commentRepository.findResourceVersion(commentData.resource_id);
 
       const comment = await this.commentRepository.create(sanitizedData);
 
+      // Notify the resource author (and the parent comment author for replies)
+      await resourceObserver.notify('comment.created', {
+        comment,
+        resourceId: commentData.resource_id,
+        actorId: userId,
+        parentAuthorId: parentComment?.user_id || null
+      });
+
       return {
         success: true,
         data: comment,
@@ -108,9 +119,10 @@ class CommentService {
    * @param {string} commentId - Comment UUID
    * @param {Object} updateData - Update data
    * @param {string} userId - User requesting the update
+   * @param {boolean} canModerate - Whether user holds the moderate_resources permission
    * @returns {Promise<Object>} Updated comment
    */
-  async updateComment(commentId, updateData, userId) {
+  async updateComment(commentId, updateData, userId, canModerate = false) {
     try {
       const comment = await this.commentRepository.findById(commentId);
       
@@ -118,8 +130,8 @@ class CommentService {
         throw new Error('Comment not found');
       }
 
-      // Check ownership or admin privileges
-      if (comment.user_id !== userId && !this.isAdminUser(userId)) {
+      // Check ownership or moderation permission
+      if (comment.user_id !== userId && !canModerate) {
         throw new Error('You can only edit your own comments');
       }
 
@@ -130,6 +142,9 @@ class CommentService {
       delete sanitizedData.user_id;
       delete sanitizedData.resource_id;
       delete sanitizedData.parent_id;
+
+      // An edited comment (or a changed rating) refers to the version it was edited against
+      sanitizedData.resource_version = await this.commentRepository.findResourceVersion(comment.resource_id);
       
       const updatedComment = await this.commentRepository.update(commentId, sanitizedData);
 
@@ -147,10 +162,10 @@ class CommentService {
    * Delete a comment
    * @param {string} commentId - Comment UUID
    * @param {string} userId - User requesting deletion
-   * @param {boolean} isAdmin - Whether user is admin
+   * @param {boolean} canModerate - Whether user holds the moderate_resources permission
    * @returns {Promise<Object>} Deletion result
    */
-  async deleteComment(commentId, userId, isAdmin = false) {
+  async deleteComment(commentId, userId, canModerate = false) {
     try {
       const comment = await this.commentRepository.findById(commentId);
       
@@ -158,8 +173,8 @@ class CommentService {
         throw new Error('Comment not found');
       }
 
-      // Check ownership or admin privileges
-      if (comment.user_id !== userId && !isAdmin) {
+      // Check ownership or moderation permission
+      if (comment.user_id !== userId && !canModerate) {
         throw new Error('You can only delete your own comments');
       }
 
@@ -360,6 +375,7 @@ class CommentService {
           user_id: userId,
           status: 'published'
         });
+        sanitizedData.resource_version = await this.commentRepository.findResourceVersion(ratingData.resource_id);
 
         result = await this.commentRepository.create(sanitizedData);
       }
@@ -463,18 +479,6 @@ class CommentService {
     if (averageRating >= 2.0) return 'poor';
     return 'very-poor';
   }
-
-  /**
-   * Check if user is admin
-   * @param {string} userId - User UUID
-   * @returns {boolean} Is admin status
-   * @private
-   */
-  async isAdminUser(userId) {
-    // This would typically check user role from database
-    // For now, returning false - implement based on your auth system
-    return false;
-  }
 }
 
 export default CommentService;
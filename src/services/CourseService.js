@@ -2,14 +2,80 @@
 // Following Service Layer Pattern and using Repository for data access
 
 import CourseRepository from '../repositories/CourseRepository.js';
+import CareerRepository from '../repositories/CareerRepository.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Fields that change where a course sits in its career's prerequisite graph
+const GRAPH_FIELDS = ['prerequisites', 'semester', 'career_id'];
+
+// Soft-deleted courses (deleteCourse sets them inactive) cannot be prerequisites
+const isDeleted = (course) => course.status === 'inactive';
+
+const summarize = (course) => ({
+  id: course.id,
+  code: course.code,
+  name: course.name,
+  semester: course.semester
+});
+
+/**
+ * Path that closes a cycle through `startId`, or null.
+ * @param {Map<string, string[]>} edges - course id -> prerequisite ids
+ */
+const findCycle = (edges, startId) => {
+  const visited = new Set();
+
+  const walk = (id, path) => {
+    for (const next of edges.get(id) || []) {
+      if (next === startId) return [...path, next];
+      if (visited.has(next)) continue;
+      visited.add(next);
+
+      const cycle = walk(next, [...path, next]);
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+
+  return walk(startId, [startId]);
+};
+
+/**
+ * Breadth-first walk of the graph from a course, with the distance of each course
+ * @param {Map<string, string[]>} edges - course id -> neighbour ids
+ * @returns {Map<string, number>} course id -> depth (1 = direct)
+ */
+const walkDepths = (edges, startId) => {
+  const depths = new Map();
+  let frontier = [startId];
+
+  for (let depth = 1; frontier.length > 0; depth++) {
+    const next = [];
+    for (const id of frontier) {
+      for (const neighbour of edges.get(id) || []) {
+        if (neighbour === startId || depths.has(neighbour)) continue;
+        depths.set(neighbour, depth);
+        next.push(neighbour);
+      }
+    }
+    frontier = next;
+  }
+
+  return depths;
+};
 
 class CourseService {
-  constructor(courseRepository = CourseRepository) {
+  constructor(courseRepository = CourseRepository, careerRepository = CareerRepository) {
     this.courseRepository = courseRepository;
+    this.careerRepository = careerRepository;
   }
 
   // Create new course
   async createCourse(courseData) {
+    courseData.prerequisites = await this.validatePrerequisites(null, courseData);
+
     try {
       // Check if course code already exists
       const existingCourse = await this.courseRepository.existsByCode(courseData.code);
@@ -50,6 +116,15 @@ class CourseService {
 
   // Update course
   async updateCourse(id, updateData) {
+    if (GRAPH_FIELDS.some(field => updateData[field] !== undefined)) {
+      const current = await this.courseRepository.findById(id, false);
+      if (!current) {
+        throw new NotFoundError('Curso no encontrado', 'Course', id);
+      }
+
+      updateData = await this.validateGraphUpdate(current, updateData);
+    }
+
     try {
       // Check if new code already exists (excluding current course)
       if (updateData.code) {
@@ -108,6 +183,173 @@ class CourseService {
     }
   }
 
+  /**
+   * Check a course's prerequisites before saving it: they must exist (and not be
+   * deleted), belong to the same career, sit in an earlier semester and keep the
+   * career's prerequisite graph acyclic. Courses that already depend on this one
+   * must still come after it.
+   * @param {string|null} courseId - null when creating
+   * @param {Object} course - { career_id, semester, prerequisites }
+   * @returns {Promise<string[]>} Prerequisite ids without duplicates
+   * @throws {ValidationError} With one detail per broken rule
+   */
+  async validatePrerequisites(courseId, { career_id: careerId, semester, prerequisites = [] }) {
+    if (!Array.isArray(prerequisites)) {
+      throw new ValidationError('prerequisites debe ser una lista de ids de curso');
+    }
+
+    const ids = [...new Set(prerequisites)];
+    const courseSemester = Number(semester);
+    const errors = [];
+
+    if (courseId && ids.includes(courseId)) {
+      errors.push('Un curso no puede ser prerrequisito de sí mismo');
+    }
+
+    const careerCourses = careerId ? await this.courseRepository.findGraphByCareer(careerId) : [];
+    const byId = new Map(careerCourses.map(course => [course.id, course]));
+
+    for (const id of ids.filter(id => id !== courseId)) {
+      const prerequisite = byId.get(id) ||
+        (typeof id === 'string' && UUID_PATTERN.test(id) ? await this.courseRepository.findById(id, false) : null);
+
+      if (!prerequisite || isDeleted(prerequisite)) {
+        errors.push(`El prerrequisito ${id} no existe`);
+      } else if (prerequisite.career_id !== careerId) {
+        errors.push(`${prerequisite.code} pertenece a otra carrera`);
+      } else if (prerequisite.semester >= courseSemester) {
+        errors.push(`${prerequisite.code} (semestre ${prerequisite.semester}) debe estar en un semestre anterior al ${courseSemester}`);
+      }
+    }
+
+    if (courseId) {
+      const dependents = (await this.courseRepository.findDependents(courseId))
+        .filter(dependent => dependent.id !== courseId && !isDeleted(dependent));
+
+      for (const dependent of dependents) {
+        if (dependent.career_id !== careerId) {
+          errors.push(`${dependent.code} depende de este curso y pertenece a otra carrera`);
+        } else if (dependent.semester <= courseSemester) {
+          errors.push(`${dependent.code} (semestre ${dependent.semester}) depende de este curso y debe quedar en un semestre posterior`);
+        }
+      }
+
+      // Semester order already rules out cycles; this also catches legacy data that breaks it
+      const edges = new Map(careerCourses.map(course => [course.id, course.prerequisites || []]));
+      edges.set(courseId, ids.filter(id => id !== courseId));
+
+      const cycle = findCycle(edges, courseId);
+      if (cycle) {
+        const code = (id) => byId.get(id)?.code || id;
+        errors.push(`Los prerrequisitos forman un ciclo: ${cycle.map(code).join(' → ')}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Prerrequisitos inválidos', errors);
+    }
+
+    return ids;
+  }
+
+  // Re-check prerequisites when an update touches them, the semester or the career
+  async validateGraphUpdate(course, updateData) {
+    if (!GRAPH_FIELDS.some(field => updateData[field] !== undefined)) {
+      return updateData;
+    }
+
+    const prerequisites = await this.validatePrerequisites(course.id, {
+      career_id: updateData.career_id ?? course.career_id,
+      semester: updateData.semester ?? course.semester,
+      prerequisites: updateData.prerequisites ?? course.prerequisites
+    });
+
+    return { ...updateData, prerequisites };
+  }
+
+  /**
+   * Curriculum map of a career: active courses semester by semester, with the
+   * prerequisite edges between them
+   * @throws {NotFoundError} Unknown career
+   */
+  async getCurriculum(careerId) {
+    const career = await this.careerRepository.findById(careerId, false);
+    if (!career) {
+      throw new NotFoundError('Carrera no encontrada', 'Career', careerId);
+    }
+
+    const courses = (await this.courseRepository.findGraphByCareer(career.id)).filter(course => !isDeleted(course));
+    const courseIds = new Set(courses.map(course => course.id));
+
+    const semesters = new Map();
+    const edges = [];
+
+    for (const course of courses) {
+      // Edges to deleted or foreign courses are legacy data, left out of the map
+      const prerequisites = (course.prerequisites || []).filter(id => courseIds.has(id));
+      edges.push(...prerequisites.map(id => ({ from: id, to: course.id })));
+
+      if (!semesters.has(course.semester)) semesters.set(course.semester, []);
+      semesters.get(course.semester).push({
+        id: course.id,
+        code: course.code,
+        name: course.name,
+        credits: course.credits,
+        course_type: course.course_type,
+        prerequisites
+      });
+    }
+
+    return {
+      career: { id: career.id, name: career.name, code: career.code },
+      semesters: [...semesters.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([semester, semesterCourses]) => ({
+          semester,
+          credits: semesterCourses.reduce((total, course) => total + (course.credits || 0), 0),
+          courses: semesterCourses
+        })),
+      edges,
+      total_credits: courses.reduce((total, course) => total + (course.credits || 0), 0)
+    };
+  }
+
+  /**
+   * Everything a course needs (transitive prerequisites) and everything that needs it
+   * (transitive dependents), each with its distance from the course
+   * @throws {NotFoundError} Unknown course
+   */
+  async getPrerequisiteChain(courseId) {
+    const course = await this.courseRepository.findById(courseId, false);
+    if (!course) {
+      throw new NotFoundError('Curso no encontrado', 'Course', courseId);
+    }
+
+    const courses = (await this.courseRepository.findGraphByCareer(course.career_id)).filter(item => !isDeleted(item));
+    const byId = new Map(courses.map(item => [item.id, item]));
+
+    const prerequisiteEdges = new Map(courses.map(item => [item.id, (item.prerequisites || []).filter(id => byId.has(id))]));
+    prerequisiteEdges.set(course.id, (course.prerequisites || []).filter(id => byId.has(id)));
+
+    const dependentEdges = new Map();
+    for (const [id, prerequisites] of prerequisiteEdges) {
+      for (const prerequisiteId of prerequisites) {
+        if (!dependentEdges.has(prerequisiteId)) dependentEdges.set(prerequisiteId, []);
+        dependentEdges.get(prerequisiteId).push(id);
+      }
+    }
+
+    const toList = (depths) => [...depths.entries()]
+      .map(([id, depth]) => ({ ...summarize(byId.get(id)), depth }))
+      .sort((a, b) => a.semester - b.semester || a.code.localeCompare(b.code));
+
+    return {
+      course: summarize(course),
+      prerequisites: toList(walkDepths(prerequisiteEdges, course.id)),
+      dependents: toList(walkDepths(dependentEdges, course.id))
+    };
+  }
+
   // Check if course code exists
   async courseCodeExists(code, excludeId = null) {
     try {
@@ -118,4 +360,5 @@ class CourseService {
   }
 }
 
-export default new CourseService();
\ No newline at end of file
+export default new CourseService();
+export { CourseService };
\ No newline at end of file
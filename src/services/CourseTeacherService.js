@@ -0,0 +1,123 @@
+// 👩‍🏫 Course Teacher Service - Delegated content management for a course's teacher
+// Following Service Layer Pattern: the assigned teacher curates their own course
+// (pinned/verified resources, comments, syllabus) without global permissions
+
+import CourseRepository from '../repositories/CourseRepository.js';
+import ResourceRepository from '../repositories/ResourceRepository.js';
+import { ForbiddenError, NotFoundError, ValidationError } from '../utils/errors.js';
+
+// Course fields the teacher may edit; code, credits, career, teacher and status stay with manage_courses
+const TEACHER_EDITABLE_FIELDS = ['description', 'syllabus_url', 'metadata'];
+
+class CourseTeacherService {
+  constructor(courseRepository = CourseRepository, resourceRepository = ResourceRepository) {
+    this.courseRepository = courseRepository;
+    this.resourceRepository = resourceRepository;
+  }
+
+  /**
+   * How a user may manage a course
+   * @param {Object} user - { id, role }
+   * @param {string} courseId
+   * @param {boolean} canManageAllCourses - Holds the manage_courses permission
+   * @returns {Promise<{ course: Object, level: 'manager'|'teacher' }>}
+   * @throws {NotFoundError|ForbiddenError}
+   */
+  async getCourseAccess(user, courseId, canManageAllCourses = false) {
+    const course = await this.courseRepository.findById(courseId, false);
+    if (!course) {
+      throw new NotFoundError('Curso no encontrado', 'Course', courseId);
+    }
+
+    if (canManageAllCourses) {
+      return { course, level: 'manager' };
+    }
+
+    if (!this.isTeacherOf(user, course)) {
+      throw new ForbiddenError('Solo el profesor asignado puede gestionar este curso', 'manage_courses');
+    }
+
+    return { course, level: 'teacher' };
+  }
+
+  isTeacherOf(user, course) {
+    return !!course.teacher_id && course.teacher_id === user.id;
+  }
+
+  // Whether the user teaches the course a resource belongs to
+  async teachesResourceCourse(userId, resourceId) {
+    const resource = await this.resourceRepository.findById(resourceId, false);
+    if (!resource?.course_id) return false;
+
+    const course = await this.courseRepository.findById(resource.course_id, false);
+    return !!course && this.isTeacherOf({ id: userId }, course);
+  }
+
+  // A resource of this course; resources of other courses are not the teacher's business
+  async findCourseResource(course, resourceId) {
+    const resource = await this.resourceRepository.findById(resourceId, false);
+
+    if (!resource || resource.course_id !== course.id) {
+      throw new NotFoundError('Recurso no encontrado en este curso', 'Resource', resourceId);
+    }
+
+    return resource;
+  }
+
+  /**
+   * Pin a resource as official course material (or unpin it)
+   * @throws {ValidationError} Only published resources can be pinned
+   */
+  async setPinned(course, resourceId, pinned, user, now = new Date()) {
+    const resource = await this.findCourseResource(course, resourceId);
+
+    if (pinned && resource.status !== 'published') {
+      throw new ValidationError('Solo se pueden fijar recursos publicados');
+    }
+
+    console.log(`👩‍🏫 Resource ${pinned ? 'pinned' : 'unpinned'}:`, { courseId: course.id, resourceId, userId: user.id });
+
+    return await this.resourceRepository.update(resource.id, {
+      pinned_at: pinned ? now : null,
+      pinned_by: pinned ? user.id : null
+    });
+  }
+
+  // Mark a resource as reviewed by the course teacher (or remove the mark)
+  async setVerified(course, resourceId, verified, user, now = new Date()) {
+    const resource = await this.findCourseResource(course, resourceId);
+
+    console.log(`👩‍🏫 Resource ${verified ? 'verified' : 'unverified'}:`, { courseId: course.id, resourceId, userId: user.id });
+
+    return await this.resourceRepository.update(resource.id, {
+      teacher_verified_at: verified ? now : null,
+      teacher_verified_by: verified ? user.id : null
+    });
+  }
+
+  /**
+   * Update the fields a teacher owns: description, syllabus and metadata
+   * @throws {ValidationError} No editable field in the request
+   */
+  async updateCourseContent(course, data) {
+    const updates = {};
+    for (const field of TEACHER_EDITABLE_FIELDS) {
+      if (data[field] !== undefined) {
+        updates[field] = data[field];
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      throw new ValidationError(`Como profesor solo puedes modificar: ${TEACHER_EDITABLE_FIELDS.join(', ')}`);
+    }
+
+    if (updates.metadata !== undefined && (typeof updates.metadata !== 'object' || Array.isArray(updates.metadata) || updates.metadata === null)) {
+      throw new ValidationError('metadata debe ser un objeto');
+    }
+
+    return await this.courseRepository.update(course.id, updates);
+  }
+}
+
+export default new CourseTeacherService();
+export { CourseTeacherService, TEACHER_EDITABLE_FIELDS };
@@ -0,0 +1,205 @@
+// 📰 Digest Service - Periodic summary of what's new for each user
+// Following Service Layer Pattern: collect -> send through NotificationContext -> log the run
+
+import DigestRepository from '../repositories/DigestRepository.js';
+import NotificationContext from '../patterns/NotificationStrategy.js';
+import digestConfig from '../config/digest.js';
+import emailConfig from '../config/email.js';
+import { resolvePreferences } from '../config/notificationPreferences.js';
+
+const REPLY_PREVIEW_LENGTH = 120;
+
+const emptyListLabel = {
+  es: 'Sin novedades',
+  en: 'Nothing new'
+};
+
+class DigestService {
+  constructor(
+    digestRepository = DigestRepository,
+    notificationContext = NotificationContext,
+    config = digestConfig,
+    clock = () => new Date()
+  ) {
+    this.digestRepository = digestRepository;
+    this.notificationContext = notificationContext;
+    this.config = config;
+    this.clock = clock;
+    this.scheduler = null;
+    this.running = false;
+  }
+
+  /**
+   * Whether a user's next digest is due
+   * @param {string} frequency - "daily" | "weekly"
+   * @param {Object|null} lastRun - Latest DigestLog for the user
+   * @param {Date} now - Current time
+   * @returns {boolean}
+   */
+  isDue(frequency, lastRun, now) {
+    if (!lastRun) return true;
+    return now.getTime() - new Date(lastRun.period_end).getTime() >= this.config.intervals[frequency];
+  }
+
+  /**
+   * Send every digest that is due
+   * @param {Date} now - Current time (defaults to the injected clock)
+   * @returns {Promise<Object>} Counters for the run
+   */
+  async runDue(now = this.clock()) {
+    const summary = { checked: 0, sent: 0, empty: 0, notDue: 0, failed: 0 };
+    const frequencies = Object.keys(this.config.intervals);
+    const limit = this.config.batchSize;
+
+    for (let page = 1; ; page++) {
+      const users = await this.digestRepository.findSubscribers(frequencies, { page, limit });
+
+      for (const user of users) {
+        summary.checked += 1;
+        try {
+          const result = await this.processUser(user, now);
+          summary[result.status] += 1;
+        } catch (error) {
+          summary.failed += 1;
+          console.error('📰 Digest failed for user:', { userId: user.id, error: error.message });
+        }
+      }
+
+      if (users.length < limit) break;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Build and send one user's digest if it is due
+   * @param {Object} user - User record
+   * @param {Date} now - Current time
+   * @returns {Promise<{ status: string, digest?: Object }>} status is sent | empty | notDue
+   */
+  async processUser(user, now = this.clock()) {
+    const { frequency } = resolvePreferences(user.preferences).digest;
+    if (!this.config.intervals[frequency]) {
+      return { status: 'notDue' };
+    }
+
+    const lastRun = await this.digestRepository.findLastRun(user.id);
+    if (!this.isDue(frequency, lastRun, now)) {
+      return { status: 'notDue' };
+    }
+
+    const since = lastRun ? new Date(lastRun.period_end) : new Date(now.getTime() - this.config.intervals[frequency]);
+    const digest = await this.buildDigest(user, since, now);
+    const hasNews = digest.resourcesCount > 0 || digest.repliesCount > 0;
+
+    if (hasNews) {
+      await this.notificationContext.sendByPreference(this.toNotification(user, digest, frequency));
+    }
+
+    // Logged even when empty so the next window starts here
+    await this.digestRepository.createRun({
+      user_id: user.id,
+      frequency,
+      period_start: since,
+      period_end: now,
+      resources_count: digest.resourcesCount,
+      replies_count: digest.repliesCount,
+      sent: hasNews
+    });
+
+    return { status: hasNews ? 'sent' : 'empty', digest };
+  }
+
+  /**
+   * Collect resources and replies for a window
+   * @param {Object} user - User record
+   * @param {Date} since - Window start (exclusive)
+   * @param {Date} until - Window end (inclusive)
+   * @returns {Promise<Object>} Digest contents
+   */
+  async buildDigest(user, since, until) {
+    const interests = await this.digestRepository.findInterests(user);
+    const limit = this.config.maxItems;
+
+    const [resources, replies] = await Promise.all([
+      this.digestRepository.findNewResources({ ...interests, since, until, excludeUserId: user.id, limit }),
+      this.digestRepository.findReplies({ userId: user.id, since, until, limit })
+    ]);
+
+    return {
+      since,
+      until,
+      resources: resources.rows,
+      resourcesCount: resources.count,
+      replies: replies.rows,
+      repliesCount: replies.count
+    };
+  }
+
+  toNotification(user, digest, frequency) {
+    const resourceLines = digest.resources.map(resource => {
+      const where = resource.course?.code || resource.course?.name || resource.category?.name;
+      return `${resource.title}${where ? ` (${where})` : ''} - ${emailConfig.appUrl}/resources/${resource.id}`;
+    });
+
+    const replyLines = digest.replies.map(reply => {
+      const preview = reply.content.length > REPLY_PREVIEW_LENGTH
+        ? `${reply.content.slice(0, REPLY_PREVIEW_LENGTH)}...`
+        : reply.content;
+      return `${reply.author?.name || 'Alguien'} en "${reply.resource?.title || ''}": ${preview}`;
+    });
+
+    return {
+      user,
+      type: 'digest',
+      subject: 'Tu resumen de UniShare',
+      title: 'Tu resumen de novedades',
+      message: `${digest.resourcesCount} recursos nuevos y ${digest.repliesCount} respuestas a tus comentarios`,
+      template: 'digest',
+      templateData: {
+        since: digest.since.toUTCString(),
+        resourcesCount: digest.resourcesCount,
+        repliesCount: digest.repliesCount,
+        resources: resourceLines.length > 0 ? resourceLines : emptyListLabel,
+        replies: replyLines.length > 0 ? replyLines : emptyListLabel
+      },
+      customData: {
+        frequency,
+        since: digest.since,
+        until: digest.until,
+        resourceIds: digest.resources.map(resource => resource.id),
+        commentIds: digest.replies.map(reply => reply.id)
+      }
+    };
+  }
+
+  // Check for due digests in-process
+  startScheduler(intervalMs = this.config.pollIntervalMs) {
+    if (this.scheduler || !this.config.enabled) {
+      return;
+    }
+
+    this.scheduler = setInterval(() => {
+      // Skip a tick if the previous run is still going
+      if (this.running) return;
+      this.running = true;
+
+      this.runDue()
+        .catch(error => console.error('📰 Digest scheduler error:', error.message))
+        .finally(() => { this.running = false; });
+    }, intervalMs);
+
+    // Don't keep the process alive just for the scheduler
+    this.scheduler.unref();
+  }
+
+  stopScheduler() {
+    if (this.scheduler) {
+      clearInterval(this.scheduler);
+      this.scheduler = null;
+    }
+  }
+}
+
+export default new DigestService();
+export { DigestService };
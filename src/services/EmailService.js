@@ -0,0 +1,185 @@
+// 📧 Email Service - Outbox-backed email delivery
+// Following Service Layer Pattern: render -> persist in outbox -> deliver with retry/backoff
+
+import EmailOutboxRepository from '../repositories/EmailOutboxRepository.js';
+import EmailTemplateService from './EmailTemplateService.js';
+import createEmailTransport from '../patterns/EmailTransport.js';
+import emailConfig from '../config/email.js';
+
+// A message left in "sending" longer than this is considered abandoned by a crashed worker
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+class EmailService {
+  constructor(
+    outboxRepository = EmailOutboxRepository,
+    templateService = EmailTemplateService,
+    config = emailConfig
+  ) {
+    this.outboxRepository = outboxRepository;
+    this.templateService = templateService;
+    this.config = config;
+    this.transport = null;
+    this.worker = null;
+  }
+
+  // Lazily build the transport so tests can swap it before first use
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createEmailTransport(this.config);
+    }
+    return this.transport;
+  }
+
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Render and persist an email, then try to deliver it right away.
+   * A delivery failure never throws: the message stays in the outbox for retry.
+   * @param {Object} options
+   * @param {string} options.to - Recipient address
+   * @param {string} options.template - Template key
+   * @param {string} [options.locale] - Recipient locale
+   * @param {Object} [options.data] - Template data
+   * @param {string} [options.userId] - Recipient user id
+   * @param {boolean} [options.sendNow=true] - Attempt delivery immediately
+   * @returns {Promise<Object>} Outbox record
+   */
+  async queueEmail({ to, template, locale = null, data = {}, userId = null, sendNow = true }) {
+    if (!to) {
+      throw new Error('Recipient email is required');
+    }
+
+    const rendered = this.templateService.render(template, locale || this.config.defaultLocale, {
+      appUrl: this.config.appUrl,
+      ...data
+    });
+
+    const message = await this.outboxRepository.create({
+      user_id: userId,
+      to,
+      template,
+      locale: rendered.locale,
+      subject: rendered.subject,
+      text_body: rendered.text,
+      html_body: rendered.html,
+      max_attempts: this.config.outbox.maxAttempts,
+      next_attempt_at: new Date()
+    });
+
+    if (sendNow) {
+      return await this.deliver(message);
+    }
+
+    return message;
+  }
+
+  /**
+   * Deliver one outbox message if no other worker already claimed it
+   * @param {Object} message - Outbox record
+   * @param {Date} now - Current time (injectable for tests)
+   * @returns {Promise<Object>} Updated outbox record
+   */
+  async deliver(message, now = new Date()) {
+    const claimed = await this.outboxRepository.claim(message.id);
+    if (!claimed) {
+      return message;
+    }
+
+    const attempts = message.attempts + 1;
+
+    try {
+      const info = await this.getTransport().send({
+        from: this.config.from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text_body,
+        html: message.html_body
+      });
+
+      return await this.outboxRepository.update(message.id, {
+        status: 'sent',
+        attempts,
+        sent_at: now,
+        last_error: null,
+        provider_message_id: info?.messageId || null
+      });
+    } catch (error) {
+      const exhausted = attempts >= message.max_attempts;
+
+      console.error(`📧 Email delivery failed (attempt ${attempts}/${message.max_attempts}):`, {
+        id: message.id,
+        to: message.to,
+        template: message.template,
+        error: error.message
+      });
+
+      return await this.outboxRepository.update(message.id, {
+        status: exhausted ? 'failed' : 'pending',
+        attempts,
+        last_error: error.message,
+        next_attempt_at: exhausted ? now : new Date(now.getTime() + this.computeBackoff(attempts))
+      });
+    }
+  }
+
+  /**
+   * Exponential backoff: base * 2^(attempts - 1), capped
+   * @param {number} attempts - Attempts already made
+   * @returns {number} Delay in milliseconds
+   */
+  computeBackoff(attempts) {
+    const { retryBaseMs, retryMaxMs } = this.config.outbox;
+    return Math.min(retryBaseMs * Math.pow(2, Math.max(attempts - 1, 0)), retryMaxMs);
+  }
+
+  /**
+   * Deliver every due message in the outbox
+   * @param {Date} now - Current time (injectable for tests)
+   * @returns {Promise<Object>} Counters for the run
+   */
+  async processOutbox(now = new Date()) {
+    await this.outboxRepository.releaseStale(new Date(now.getTime() - STALE_SENDING_MS));
+
+    const dueMessages = await this.outboxRepository.findDue(now, this.config.outbox.batchSize);
+    const summary = { processed: 0, sent: 0, retrying: 0, failed: 0 };
+
+    for (const message of dueMessages) {
+      const result = await this.deliver(message, now);
+      summary.processed += 1;
+
+      if (result.status === 'sent') summary.sent += 1;
+      else if (result.status === 'failed') summary.failed += 1;
+      else if (result.status === 'pending') summary.retrying += 1;
+    }
+
+    return summary;
+  }
+
+  // Poll the outbox in-process
+  startWorker(intervalMs = this.config.outbox.pollIntervalMs) {
+    if (this.worker) {
+      return;
+    }
+
+    this.worker = setInterval(() => {
+      this.processOutbox().catch(error => {
+        console.error('📧 Email outbox worker error:', error.message);
+      });
+    }, intervalMs);
+
+    // Don't keep the process alive just for the worker
+    this.worker.unref();
+  }
+
+  stopWorker() {
+    if (this.worker) {
+      clearInterval(this.worker);
+      this.worker = null;
+    }
+  }
+}
+
+export default new EmailService();
+export { EmailService };
@@ -0,0 +1,102 @@
+// ✉️ Email Template Service - Renders localized email templates
+// Following Single Responsibility Principle - Only turns template keys + data into messages
+
+import emailTemplates from '../templates/emailTemplates.js';
+import emailConfig from '../config/email.js';
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+class EmailTemplateService {
+  constructor(templates = emailTemplates, defaultLocale = emailConfig.defaultLocale) {
+    this.templates = templates;
+    this.defaultLocale = defaultLocale;
+  }
+
+  hasTemplate(templateKey) {
+    return Object.prototype.hasOwnProperty.call(this.templates, templateKey);
+  }
+
+  /**
+   * Pick the best locale available for a template ("en-US" -> "en" -> default)
+   * @param {string} templateKey - Template key
+   * @param {string} locale - Requested locale
+   * @returns {string} Locale present in the template
+   */
+  resolveLocale(templateKey, locale) {
+    const localized = this.templates[templateKey];
+    const candidates = [locale, locale?.split('-')[0], this.defaultLocale];
+
+    return candidates.find(candidate => candidate && localized[candidate]) || Object.keys(localized)[0];
+  }
+
+  /**
+   * Render a template
+   * @param {string} templateKey - Template key, e.g. "password.changed"
+   * @param {string} locale - Recipient locale
+   * @param {Object} data - Placeholder values
+   * @returns {{ subject: string, text: string, html: string, locale: string }}
+   */
+  render(templateKey, locale, data = {}) {
+    if (!this.hasTemplate(templateKey)) {
+      throw new Error(`Unknown email template: ${templateKey}`);
+    }
+
+    const resolvedLocale = this.resolveLocale(templateKey, locale);
+    const template = this.templates[templateKey][resolvedLocale];
+
+    const localizedData = this.localizeData(data, resolvedLocale);
+
+    return {
+      subject: this.interpolate(template.subject, localizedData, false),
+      text: this.interpolate(template.text, localizedData, false),
+      html: this.wrapHtml(this.interpolate(template.html, localizedData, true), resolvedLocale),
+      locale: resolvedLocale
+    };
+  }
+
+  // Values may be given per locale ({ es: '...', en: '...' }) - keep the one matching the email
+  localizeData(data, locale) {
+    return Object.fromEntries(Object.entries(data).map(([key, value]) => {
+      if (value && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value)) {
+        return [key, value[locale] ?? value[this.defaultLocale] ?? ''];
+      }
+      return [key, value];
+    }));
+  }
+
+  interpolate(source, data, escapeHtml) {
+    return source.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+      if (Array.isArray(data[key])) {
+        return this.renderList(data[key], escapeHtml);
+      }
+
+      const value = data[key] === undefined || data[key] === null ? '' : String(data[key]);
+      return escapeHtml ? this.escapeHtml(value) : value;
+    });
+  }
+
+  // Arrays of strings become "- item" lines in text and an escaped <ul> in html
+  renderList(items, escapeHtml) {
+    if (!escapeHtml) {
+      return items.map(item => `- ${item}`).join('\n');
+    }
+    return `<ul>${items.map(item => `<li>${this.escapeHtml(String(item))}</li>`).join('')}</ul>`;
+  }
+
+  escapeHtml(value) {
+    return value.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+  }
+
+  wrapHtml(body, locale) {
+    return `<!DOCTYPE html><html lang="${locale}"><body style="font-family: Arial, sans-serif; color: #222;">${body}<p style="color: #888; font-size: 12px;">UniShare</p></body></html>`;
+  }
+}
+
+export default new EmailTemplateService();
+export { EmailTemplateService };
@@ -0,0 +1,255 @@
+// 🎓 Enrollment Service - Students and the courses they take each academic period
+// Following Service Layer Pattern: enrollments personalize the resource feed
+// ("my courses") and decide who hears about new course material
+
+import CourseEnrollmentRepository from '../repositories/CourseEnrollmentRepository.js';
+import CourseRepository from '../repositories/CourseRepository.js';
+import AcademicPeriodRepository from '../repositories/AcademicPeriodRepository.js';
+import UserRepository from '../repositories/UserRepository.js';
+import { parseCsv } from '../utils/csv.js';
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
+
+const ENROLLMENT_STATUSES = ['active', 'dropped', 'completed'];
+
+// Periods that no longer accept enrollments
+const CLOSED_PERIOD_STATUSES = ['completed', 'cancelled'];
+
+const MAX_IMPORT_ROWS = 5000;
+
+class EnrollmentService {
+  constructor(
+    enrollmentRepository = CourseEnrollmentRepository,
+    courseRepository = CourseRepository,
+    academicPeriodRepository = AcademicPeriodRepository,
+    userRepository = UserRepository
+  ) {
+    this.enrollmentRepository = enrollmentRepository;
+    this.courseRepository = courseRepository;
+    this.academicPeriodRepository = academicPeriodRepository;
+    this.userRepository = userRepository;
+  }
+
+  /**
+   * Enroll a student in a course
+   * @param {string} userId
+   * @param {string} courseId
+   * @param {Object} options - { academicPeriodId (defaults to the current period), source }
+   * @throws {NotFoundError} Unknown course or period
+   * @throws {ValidationError} Inactive course or closed period
+   * @throws {ConflictError} Already enrolled in that period
+   */
+  async enroll(userId, courseId, { academicPeriodId = null, source = 'self' } = {}, now = new Date()) {
+    const course = await this.courseRepository.findById(courseId, false);
+    if (!course) {
+      throw new NotFoundError('Curso no encontrado', 'Course', courseId);
+    }
+
+    const period = await this.resolvePeriod(academicPeriodId);
+    const { enrollment, outcome } = await this.upsertEnrollment(userId, course, period, source, now);
+
+    if (outcome === 'already_enrolled') {
+      throw new ConflictError('Ya estás matriculado en este curso para este periodo', 'CourseEnrollment');
+    }
+
+    console.log('🎓 Enrollment created:', { userId, courseId: course.id, periodId: period.id, source });
+
+    return enrollment;
+  }
+
+  /**
+   * Drop every active enrollment of a student in a course
+   * @throws {NotFoundError} Not enrolled
+   */
+  async drop(userId, courseId, now = new Date()) {
+    const enrollments = await this.enrollmentRepository.findActiveByUserAndCourse(userId, courseId);
+
+    if (enrollments.length === 0) {
+      throw new NotFoundError('No estás matriculado en este curso', 'CourseEnrollment', courseId);
+    }
+
+    const dropped = [];
+    for (const enrollment of enrollments) {
+      dropped.push(await this.enrollmentRepository.update(enrollment.id, { status: 'dropped', dropped_at: now }));
+    }
+
+    console.log('🎓 Enrollment dropped:', { userId, courseId });
+
+    return dropped[0];
+  }
+
+  /**
+   * Courses of a student ("my courses")
+   * @param {Object} filters - { status: 'active'|'dropped'|'completed'|'all', academic_period_id }
+   */
+  async getMyCourses(userId, { status = 'active', academic_period_id: academicPeriodId = null } = {}) {
+    if (status !== 'all' && !ENROLLMENT_STATUSES.includes(status)) {
+      throw new ValidationError(`El estado debe ser: ${[...ENROLLMENT_STATUSES, 'all'].join(', ')}`);
+    }
+
+    return await this.enrollmentRepository.findByUser(userId, {
+      status: status === 'all' ? null : status,
+      academicPeriodId
+    });
+  }
+
+  async getEnrolledCourseIds(userId) {
+    return await this.enrollmentRepository.findActiveCourseIds(userId);
+  }
+
+  async getEnrolledStudentIds(courseId) {
+    return await this.enrollmentRepository.findActiveStudentIds(courseId);
+  }
+
+  /**
+   * Bulk enrollment from a CSV with a header row.
+   * Columns: email or student_id, course_code and optionally period_code
+   * (rows without period_code use academicPeriodId or the current period).
+   * Bad rows are reported and skipped; the rest are imported.
+   * @param {string} csvText
+   * @param {string} importedBy - Admin user id (for the log)
+   * @returns {Promise<{ total, created, reactivated, skipped, errors: Array<{ line, message }> }>}
+   * @throws {ValidationError} Missing columns, empty or too large file
+   */
+  async importCsv(csvText, importedBy, { academicPeriodId = null } = {}, now = new Date()) {
+    let parsed;
+    try {
+      parsed = parseCsv(csvText);
+    } catch (error) {
+      throw new ValidationError(`CSV inválido: ${error.message}`);
+    }
+
+    const { headers, rows } = parsed;
+
+    if (!headers.includes('course_code') || !(headers.includes('email') || headers.includes('student_id'))) {
+      throw new ValidationError('El CSV debe tener las columnas course_code y email o student_id');
+    }
+
+    if (rows.length === 0) {
+      throw new ValidationError('El CSV no contiene filas');
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new ValidationError(`El CSV no puede superar ${MAX_IMPORT_ROWS} filas`);
+    }
+
+    const report = { total: rows.length, created: 0, reactivated: 0, skipped: 0, errors: [] };
+    const courses = new Map();
+    const periods = new Map();
+
+    // Lookups by code are shared between rows (a failed lookup fails every row that uses it)
+    const cached = (cache, key, load) => {
+      if (!cache.has(key)) cache.set(key, load());
+      return cache.get(key);
+    };
+
+    for (const { line, data } of rows) {
+      try {
+        const user = data.email
+          ? await this.userRepository.findByEmail(data.email.toLowerCase())
+          : await this.userRepository.findByInstitutionalId({ studentId: data.student_id || null });
+        if (!user) {
+          throw new ValidationError(`Usuario no encontrado: ${data.email || data.student_id || '(vacío)'}`);
+        }
+
+        const course = data.course_code
+          ? await cached(courses, data.course_code, () => this.courseRepository.findByCode(data.course_code))
+          : null;
+        if (!course) {
+          throw new ValidationError(`Curso no encontrado: ${data.course_code || '(vacío)'}`);
+        }
+
+        const period = await cached(periods, data.period_code || '', () =>
+          this.resolvePeriod(academicPeriodId, data.period_code || null));
+
+        const { outcome } = await this.upsertEnrollment(user.id, course, period, 'import', now);
+
+        if (outcome === 'created') report.created++;
+        else if (outcome === 'reactivated') report.reactivated++;
+        else report.skipped++;
+      } catch (error) {
+        report.errors.push({ line, message: error.message });
+      }
+    }
+
+    console.log('🎓 Enrollment CSV imported:', {
+      importedBy,
+      total: report.total,
+      created: report.created,
+      reactivated: report.reactivated,
+      skipped: report.skipped,
+      errors: report.errors.length
+    });
+
+    return report;
+  }
+
+  /**
+   * Create the enrollment, or bring back a dropped/completed one (one row per
+   * student, course and period)
+   * @returns {Promise<{ enrollment, outcome: 'created'|'reactivated'|'already_enrolled' }>}
+   */
+  async upsertEnrollment(userId, course, period, source, now) {
+    if (course.status && course.status !== 'active') {
+      throw new ValidationError('El curso no está activo');
+    }
+
+    const existing = await this.enrollmentRepository.findOne(userId, course.id, period.id);
+
+    if (existing?.status === 'active') {
+      return { enrollment: existing, outcome: 'already_enrolled' };
+    }
+
+    if (existing) {
+      const enrollment = await this.enrollmentRepository.update(existing.id, {
+        status: 'active',
+        source,
+        enrolled_at: now,
+        dropped_at: null
+      });
+      return { enrollment, outcome: 'reactivated' };
+    }
+
+    const enrollment = await this.enrollmentRepository.create({
+      user_id: userId,
+      course_id: course.id,
+      academic_period_id: period.id,
+      source,
+      enrolled_at: now
+    });
+    return { enrollment, outcome: 'created' };
+  }
+
+  /**
+   * Period to enroll in: by id, by code, or the current one
+   * @throws {NotFoundError|ValidationError}
+   */
+  async resolvePeriod(academicPeriodId = null, periodCode = null) {
+    let period;
+
+    if (periodCode) {
+      period = await this.academicPeriodRepository.findByCode(periodCode);
+      if (!period) {
+        throw new NotFoundError(`Periodo académico no encontrado: ${periodCode}`, 'AcademicPeriod', periodCode);
+      }
+    } else if (academicPeriodId) {
+      period = await this.academicPeriodRepository.findById(academicPeriodId, false);
+      if (!period) {
+        throw new NotFoundError('Periodo académico no encontrado', 'AcademicPeriod', academicPeriodId);
+      }
+    } else {
+      period = await this.academicPeriodRepository.findCurrent();
+      if (!period) {
+        throw new ValidationError('No hay un periodo académico en curso; indica academic_period_id');
+      }
+    }
+
+    if (CLOSED_PERIOD_STATUSES.includes(period.status)) {
+      throw new ValidationError(`El periodo ${period.code} ya no admite matrículas`);
+    }
+
+    return period;
+  }
+}
+
+export default new EnrollmentService();
+export { EnrollmentService, ENROLLMENT_STATUSES };
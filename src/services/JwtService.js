@@ -8,6 +8,8 @@ class JwtService {
     // JWT secret keys (from environment variables)
     this.ACCESS_TOKEN_SECRET = process.env.JWT_SECRET || 'your-access-token-secret';
     this.REFRESH_TOKEN_SECRET = process.env.JWT_REFRESH_SECRET || 'your-refresh-token-secret';
+    // Separate secret so a login challenge can never pass as an access token
+    this.CHALLENGE_TOKEN_SECRET = process.env.JWT_CHALLENGE_SECRET || `${this.ACCESS_TOKEN_SECRET}:challenge`;
     
     // Token expiration times
     this.ACCESS_TOKEN_EXPIRES_IN = '1h';
@@ -21,10 +23,11 @@ class JwtService {
     });
   }
 
-  // Generate refresh token
-  generateRefreshToken(payload) {
+  // Generate refresh token - tokenId becomes the jti claim used by the revocation store
+  generateRefreshToken(payload, tokenId = null) {
     return jwt.sign(payload, this.REFRESH_TOKEN_SECRET, {
-      expiresIn: this.REFRESH_TOKEN_EXPIRES_IN
+      expiresIn: this.REFRESH_TOKEN_EXPIRES_IN,
+      ...(tokenId && { jwtid: tokenId })
     });
   }
 
@@ -46,17 +49,36 @@ class JwtService {
     }
   }
 
-  // Generate token pair
-  generateTokenPair(user) {
+  // Short-lived token proving the password step of a login (purpose: 'login' | 'enroll')
+  generateChallengeToken(payload, expiresInSeconds) {
+    return jwt.sign(payload, this.CHALLENGE_TOKEN_SECRET, { expiresIn: expiresInSeconds });
+  }
+
+  verifyChallengeToken(token) {
+    try {
+      return jwt.verify(token, this.CHALLENGE_TOKEN_SECRET);
+    } catch (error) {
+      throw new Error('Token de verificación inválido o expirado');
+    }
+  }
+
+  // Decode without verifying (only for tokens this service just signed)
+  decode(token) {
+    return jwt.decode(token);
+  }
+
+  // Generate token pair - sessionId (sid) ties both tokens to a refresh token family
+  generateTokenPair(user, { sessionId = null, tokenId = null } = {}) {
     const payload = {
       userId: user.id,
       email: user.email,
-      role: user.role
+      role: user.role,
+      ...(sessionId && { sid: sessionId })
     };
 
     return {
       accessToken: this.generateAccessToken(payload),
-      refreshToken: this.generateRefreshToken(payload)
+      refreshToken: this.generateRefreshToken(payload, tokenId)
     };
   }
 }
@@ -4,6 +4,7 @@
 import LikeRepository from '../repositories/LikeRepository.js';
 import ResourceRepository from '../repositories/ResourceRepository.js';
 import UserRepository from '../repositories/UserRepository.js';
+import resourceObserver from '../observers/ResourceObserver.js';
 
 class LikeService {
   constructor() {
@@ -40,6 +41,9 @@ class LikeService {
       // Increment likes_count using repository
       await this.resourceRepository.incrementField(resourceId, 'likes_count');
 
+      // Notify the resource author
+      await resourceObserver.notify('resource.liked', { resourceId, actorId: userId });
+
       return {
         action: 'added',
         isLiked: true,
@@ -0,0 +1,194 @@
+// 🛡️ Login Protection Service - Brute-force protection for the login endpoint
+// Following Service Layer Pattern: failed attempts are counted per account and per IP,
+// with exponential backoff after a few failures and a temporary lockout after many
+
+import createCounterStore from '../patterns/CounterStore.js';
+import LoginAttemptRepository from '../repositories/LoginAttemptRepository.js';
+import profileObserver from '../observers/ProfileObserver.js';
+import authConfig from '../config/auth.js';
+import { RateLimitError } from '../utils/errors.js';
+
+const USER_AGENT_MAX_LENGTH = 500;
+
+class LoginProtectionService {
+  constructor(
+    store = createCounterStore(authConfig.loginProtection.store),
+    attemptRepository = LoginAttemptRepository,
+    config = authConfig.loginProtection,
+    observer = profileObserver
+  ) {
+    this.store = store;
+    this.attemptRepository = attemptRepository;
+    this.config = config;
+    this.observer = observer;
+  }
+
+  accountKey(email) {
+    return `login:account:${String(email || '').trim().toLowerCase()}`;
+  }
+
+  ipKey(ipAddress) {
+    return `login:ip:${ipAddress}`;
+  }
+
+  // Counters that apply to an attempt; the IP one only when it is known
+  countersFor({ email, ipAddress }) {
+    const counters = [{ key: this.accountKey(email), scope: 'account', limits: this.config.account }];
+
+    if (ipAddress) {
+      counters.push({ key: this.ipKey(ipAddress), scope: 'ip', limits: this.config.ip });
+    }
+
+    return counters;
+  }
+
+  /**
+   * Reject the attempt while the account or the IP is in backoff/lockout.
+   * Runs before the password is checked, so a blocked client learns nothing.
+   * @param {Object} attempt - { email, ipAddress, userAgent }
+   * @throws {RateLimitError} With retryAfter in seconds
+   */
+  async assertAllowed(attempt, now = new Date()) {
+    for (const counter of this.countersFor(attempt)) {
+      const state = await this.store.get(counter.key, now);
+
+      if (state?.blockedUntil > now.getTime()) {
+        const retryAfter = Math.ceil((state.blockedUntil - now.getTime()) / 1000);
+
+        await this.audit(attempt, 'blocked');
+
+        if (state.locked) {
+          throw new RateLimitError(
+            counter.scope === 'account'
+              ? 'Cuenta bloqueada temporalmente por demasiados intentos fallidos'
+              : 'Demasiados intentos fallidos desde esta dirección',
+            retryAfter
+          );
+        }
+
+        throw new RateLimitError(
+          `Demasiados intentos fallidos. Intenta de nuevo en ${retryAfter} segundos`,
+          retryAfter
+        );
+      }
+    }
+  }
+
+  /**
+   * Count a failed attempt on every counter and audit it
+   * @param {Object} attempt - { email, ipAddress, userAgent, userId? }
+   * @param {string} outcome - 'invalid_credentials' | 'inactive'
+   * @returns {Promise<Object>} New account counter state
+   */
+  async recordFailure(attempt, outcome = 'invalid_credentials', now = new Date()) {
+    let accountState = null;
+
+    for (const counter of this.countersFor(attempt)) {
+      const previous = await this.store.get(counter.key, now);
+      const state = this.nextState(previous, counter.limits, now);
+
+      await this.store.set(counter.key, state, this.ttlFor(state, now), now);
+
+      if (counter.scope === 'account') {
+        accountState = state;
+      }
+
+      if (state.locked && !previous?.locked) {
+        console.warn('🚨 Login locked after repeated failures:', {
+          scope: counter.scope,
+          email: attempt.email,
+          ipAddress: attempt.ipAddress,
+          failures: state.failures
+        });
+
+        if (counter.scope === 'account' && attempt.userId) {
+          await this.observer.notify('account.locked', {
+            userId: attempt.userId,
+            failures: state.failures,
+            lockedUntil: new Date(state.blockedUntil)
+          });
+        }
+      }
+    }
+
+    await this.audit(attempt, outcome);
+
+    return accountState;
+  }
+
+  // Successful login: the account starts over; the IP counter keeps its history
+  async recordSuccess(attempt) {
+    await this.store.delete(this.accountKey(attempt.email));
+    await this.audit(attempt, 'success');
+  }
+
+  // Lift the lockout of an account (password reset or admin action)
+  async unlockAccount(email) {
+    await this.store.delete(this.accountKey(email));
+    console.log('🔓 Login unlocked for account:', email);
+  }
+
+  // Current counter of an account, for admins
+  async getAccountStatus(email, now = new Date()) {
+    const state = await this.store.get(this.accountKey(email), now);
+    const blocked = state?.blockedUntil > now.getTime();
+
+    return {
+      failures: state?.failures || 0,
+      locked: !!(blocked && state.locked),
+      blockedUntil: blocked ? new Date(state.blockedUntil) : null
+    };
+  }
+
+  /**
+   * Backoff doubles with every failure past the free ones, up to maxDelaySeconds.
+   * Reaching maxAttempts locks the counter for lockoutMinutes.
+   */
+  nextState(previous, limits, now) {
+    const failures = (previous?.failures || 0) + 1;
+
+    if (failures >= limits.maxAttempts) {
+      return {
+        failures,
+        locked: true,
+        blockedUntil: now.getTime() + this.config.lockoutMinutes * 60 * 1000
+      };
+    }
+
+    if (failures > limits.freeAttempts) {
+      const delaySeconds = Math.min(
+        this.config.baseDelaySeconds * 2 ** (failures - limits.freeAttempts - 1),
+        this.config.maxDelaySeconds
+      );
+
+      return { failures, locked: false, blockedUntil: now.getTime() + delaySeconds * 1000 };
+    }
+
+    return { failures, locked: false, blockedUntil: null };
+  }
+
+  // Keep the counter for the whole window, and at least until the block ends
+  ttlFor(state, now) {
+    const windowMs = this.config.windowMinutes * 60 * 1000;
+    const blockMs = state.blockedUntil ? state.blockedUntil - now.getTime() : 0;
+    return Math.max(windowMs, blockMs);
+  }
+
+  // The audit trail must never break the login itself
+  async audit({ email, ipAddress = null, userAgent = null, userId = null }, outcome) {
+    try {
+      await this.attemptRepository.create({
+        user_id: userId,
+        email: String(email || '').trim().toLowerCase(),
+        ip_address: ipAddress,
+        user_agent: userAgent ? String(userAgent).slice(0, USER_AGENT_MAX_LENGTH) : null,
+        outcome
+      });
+    } catch (error) {
+      console.error('Error recording login attempt:', error.message);
+    }
+  }
+}
+
+export default new LoginProtectionService();
+export { LoginProtectionService };
@@ -0,0 +1,170 @@
+// 🛡️ Moderation Scope Service - What part of the catalog a moderator may moderate
+// Following Service Layer Pattern: a moderator without scopes moderates everything;
+// with scopes, only resources of those categories or of courses of those faculties
+
+import { Op } from 'sequelize';
+import ModeratorScopeRepository from '../repositories/ModeratorScopeRepository.js';
+import CourseRepository from '../repositories/CourseRepository.js';
+import ResourceRepository from '../repositories/ResourceRepository.js';
+import UserRepository from '../repositories/UserRepository.js';
+import FacultyRepository from '../repositories/FacultyRepository.js';
+import CategoryRepository from '../repositories/CategoryRepository.js';
+import { ForbiddenError, NotFoundError, ValidationError } from '../utils/errors.js';
+
+class ModerationScopeService {
+  constructor(
+    scopeRepository = ModeratorScopeRepository,
+    courseRepository = CourseRepository,
+    resourceRepository = ResourceRepository,
+    userRepository = UserRepository,
+    facultyRepository = FacultyRepository,
+    categoryRepository = CategoryRepository
+  ) {
+    this.scopeRepository = scopeRepository;
+    this.courseRepository = courseRepository;
+    this.resourceRepository = resourceRepository;
+    this.userRepository = userRepository;
+    this.facultyRepository = facultyRepository;
+    this.categoryRepository = categoryRepository;
+  }
+
+  /**
+   * Scope of a moderator, resolved to the ids a resource is matched against
+   * @param {Object} user - { id, role }
+   * @returns {Promise<null|{ facultyIds: string[], categoryIds: string[], courseIds: string[] }>}
+   *   null when the user is not limited (admins, moderators without scopes)
+   */
+  async getScope(user) {
+    if (user.role === 'admin') return null;
+
+    const scopes = await this.scopeRepository.findByUser(user.id);
+    if (scopes.length === 0) return null;
+
+    const facultyIds = scopes.filter(scope => scope.faculty_id).map(scope => scope.faculty_id);
+    const categoryIds = scopes.filter(scope => scope.category_id).map(scope => scope.category_id);
+    const courseIds = facultyIds.length > 0
+      ? await this.courseRepository.findIdsByFaculties(facultyIds)
+      : [];
+
+    return { facultyIds, categoryIds, courseIds };
+  }
+
+  // Sequelize condition on Resource for list queries; null means no filter
+  resourceWhere(scope) {
+    if (!scope) return null;
+
+    return {
+      [Op.or]: [
+        { category_id: { [Op.in]: scope.categoryIds } },
+        { course_id: { [Op.in]: scope.courseIds } }
+      ]
+    };
+  }
+
+  isResourceInScope(scope, resource) {
+    if (!scope) return true;
+
+    return scope.categoryIds.includes(resource.category_id) ||
+      scope.courseIds.includes(resource.course_id);
+  }
+
+  // Same check when only the resource id is at hand (comments, reports)
+  async canModerateResource(scope, resourceOrId) {
+    if (!scope) return true;
+
+    const resource = await this.resolveResource(resourceOrId);
+    return !!resource && this.isResourceInScope(scope, resource);
+  }
+
+  /**
+   * Reject moderation of a resource outside the moderator's scope
+   * @param {Object|null} scope - From getScope
+   * @param {Object|string} resourceOrId - Resource (with category_id/course_id) or its id
+   * @throws {NotFoundError|ForbiddenError}
+   */
+  async assertResourceInScope(scope, resourceOrId) {
+    if (!scope) return;
+
+    const resource = await this.resolveResource(resourceOrId);
+
+    if (!resource) {
+      throw new NotFoundError('Recurso no encontrado', 'Resource', resourceOrId);
+    }
+
+    if (!this.isResourceInScope(scope, resource)) {
+      throw new ForbiddenError('Este recurso está fuera de tu ámbito de moderación', 'moderate_resources');
+    }
+  }
+
+  // Scopes of a moderator for the admin panel
+  async getUserScopes(userId) {
+    const user = await this.findUser(userId);
+    const scopes = await this.scopeRepository.findByUser(user.id);
+
+    return {
+      unrestricted: scopes.length === 0,
+      faculties: scopes.filter(scope => scope.faculty_id).map(scope => scope.faculty),
+      categories: scopes.filter(scope => scope.category_id).map(scope => scope.category)
+    };
+  }
+
+  /**
+   * Limit a moderator to some faculties and/or categories.
+   * Empty lists remove every limit.
+   * @throws {ValidationError} The user is not a moderator
+   * @throws {NotFoundError} Unknown user, faculty or category
+   */
+  async setUserScopes(userId, { facultyIds = [], categoryIds = [] }, assignedBy) {
+    const user = await this.findUser(userId);
+
+    if (user.role !== 'moderator') {
+      throw new ValidationError('Solo los moderadores pueden tener un ámbito de moderación');
+    }
+
+    const uniqueFaculties = [...new Set(facultyIds)];
+    const uniqueCategories = [...new Set(categoryIds)];
+
+    for (const facultyId of uniqueFaculties) {
+      if (!(await this.facultyRepository.findById(facultyId, false))) {
+        throw new NotFoundError('Facultad no encontrada', 'Faculty', facultyId);
+      }
+    }
+
+    for (const categoryId of uniqueCategories) {
+      if (!(await this.categoryRepository.findById(categoryId))) {
+        throw new NotFoundError('Categoría no encontrada', 'Category', categoryId);
+      }
+    }
+
+    await this.scopeRepository.replaceForUser(user.id, [
+      ...uniqueFaculties.map(facultyId => ({ faculty_id: facultyId, assigned_by: assignedBy })),
+      ...uniqueCategories.map(categoryId => ({ category_id: categoryId, assigned_by: assignedBy }))
+    ]);
+
+    console.log('🛡️ Moderator scope updated:', {
+      userId: user.id,
+      faculties: uniqueFaculties.length,
+      categories: uniqueCategories.length,
+      assignedBy
+    });
+
+    return await this.getUserScopes(user.id);
+  }
+
+  async resolveResource(resourceOrId) {
+    return typeof resourceOrId === 'string'
+      ? await this.resourceRepository.findById(resourceOrId, false)
+      : resourceOrId;
+  }
+
+  async findUser(userId) {
+    const user = await this.userRepository.findById(userId);
+    if (!user) {
+      throw new NotFoundError('Usuario no encontrado', 'User', userId);
+    }
+    return user;
+  }
+}
+
+export default new ModerationScopeService();
+export { ModerationScopeService };
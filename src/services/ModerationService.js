@@ -1,4 +1,5 @@
 import ResourceRepository from '../repositories/ResourceRepository.js';
+import resourceObserver from '../observers/ResourceObserver.js';
 
 /**
  * Service para moderación de recursos
@@ -64,7 +65,7 @@ class ModerationService {
    */
   async moderateResource(resourceId, moderationData) {
     try {
-      const { action, reason, moderatorNotes } = moderationData;
+      const { action, reason, moderatorNotes, moderatorId = null } = moderationData;
 
       // Validate action
       const validActions = ['approve', 'reject', 'request_changes'];
@@ -108,10 +109,17 @@ class ModerationService {
       }
 
       // Update resource
-      await this.resourceRepository.update(resourceId, updateData);
+      const updated = await this.resourceRepository.update(resourceId, updateData);
 
-      // Return updated resource
-      return await this.resourceRepository.findById(resourceId);
+      // Notify the author about the decision
+      await resourceObserver.notify('resource.moderated', {
+        resource: updated,
+        status: newStatus,
+        reason,
+        moderatorId
+      });
+
+      return updated;
     } catch (error) {
       throw new Error(`Error moderating resource: ${error.message}`);
     }
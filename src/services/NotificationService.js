@@ -0,0 +1,122 @@
+// 🔔 Notification Service - Business Logic Layer
+// Following Service Layer Pattern and using Repository for data access
+
+import Joi from 'joi';
+import NotificationRepository from '../repositories/NotificationRepository.js';
+import SocketService from './SocketService.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+
+const READ_FILTERS = {
+  all: null,
+  read: true,
+  unread: false
+};
+
+class NotificationService {
+  constructor(notificationRepository = NotificationRepository, socketService = SocketService) {
+    this.notificationRepository = notificationRepository;
+    this.socketService = socketService;
+  }
+
+  // Create a notification for a user
+  async createNotification({ userId, type = 'info', title, message, data = {} }) {
+    if (!userId) {
+      throw new ValidationError('El usuario destinatario es requerido');
+    }
+
+    const notification = await this.notificationRepository.create({
+      user_id: userId,
+      type,
+      title: title || message,
+      message: message || title,
+      data
+    });
+
+    // Push to connected clients right away instead of waiting for polling
+    this.socketService.emitToUser(userId, 'notification:new', {
+      notification,
+      unread_count: await this.notificationRepository.countUnread(userId)
+    });
+
+    return notification;
+  }
+
+  // Get user notifications with pagination and read/unread filtering
+  async getUserNotifications(userId, filters = {}) {
+    const options = this.normalizeFilters(filters);
+
+    const [result, unreadCount] = await Promise.all([
+      this.notificationRepository.findByUser(userId, options),
+      this.notificationRepository.countUnread(userId)
+    ]);
+
+    return {
+      notifications: result.notifications,
+      unread_count: unreadCount,
+      pagination: result.pagination
+    };
+  }
+
+  // Mark a single notification as read
+  async markAsRead(notificationId, userId) {
+    const { error } = Joi.string().uuid().required().validate(notificationId);
+    if (error) {
+      throw new ValidationError('El ID de la notificación debe ser un UUID válido');
+    }
+
+    const notification = await this.notificationRepository.findByIdForUser(notificationId, userId);
+
+    if (!notification) {
+      throw new NotFoundError('Notificación no encontrada', 'notification', notificationId);
+    }
+
+    await notification.markAsRead();
+
+    const unreadCount = await this.notificationRepository.countUnread(userId);
+    this.socketService.emitToUser(userId, 'notification:read', {
+      notification_id: notification.id,
+      unread_count: unreadCount
+    });
+
+    return {
+      notification,
+      unread_count: unreadCount
+    };
+  }
+
+  // Mark all user notifications as read
+  async markAllAsRead(userId) {
+    const updated = await this.notificationRepository.markAllAsRead(userId);
+
+    this.socketService.emitToUser(userId, 'notification:read', {
+      all: true,
+      unread_count: 0
+    });
+
+    return {
+      updated,
+      unread_count: 0
+    };
+  }
+
+  // Single Responsibility: query string normalization
+  normalizeFilters(filters) {
+    const page = Math.max(parseInt(filters.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 20, 1), 100);
+    const status = filters.status || 'all';
+
+    if (!Object.prototype.hasOwnProperty.call(READ_FILTERS, status)) {
+      throw new ValidationError(`Filtro de estado inválido: ${status}. Valores permitidos: all, read, unread`);
+    }
+
+    return {
+      page,
+      limit,
+      read: READ_FILTERS[status],
+      type: filters.type || null
+    };
+  }
+}
+
+export default new NotificationService();
+export { NotificationService };
@@ -0,0 +1,459 @@
+// 🏫 OIDC Service - Institutional SSO with OpenID Connect (authorization code + PKCE)
+// Following Service Layer Pattern: resolves a campus identity to a User;
+// AuthService then opens the session exactly like a password login
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import createCounterStore from '../patterns/CounterStore.js';
+import UserRepository from '../repositories/UserRepository.js';
+import UserIdentityRepository from '../repositories/UserIdentityRepository.js';
+import TokenService from '../utils/TokenService.js';
+import HashService from '../utils/HashService.js';
+import oidcConfig from '../config/oidc.js';
+import {
+  ConflictError,
+  ExternalServiceError,
+  ForbiddenError,
+  NotFoundError,
+  UnauthorizedError,
+  ValidationError
+} from '../utils/errors.js';
+
+const SIGNING_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'PS256'];
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+class OidcService {
+  constructor(
+    config = oidcConfig,
+    store = createCounterStore('memory'),
+    userRepository = UserRepository,
+    identityRepository = UserIdentityRepository,
+    httpClient = (...args) => fetch(...args)
+  ) {
+    this.config = config;
+    this.store = store;
+    this.userRepository = userRepository;
+    this.identityRepository = identityRepository;
+    this.httpClient = httpClient;
+    this.metadataCache = new Map();
+    this.jwksCache = new Map();
+  }
+
+  // Public list for the login page
+  getProviders() {
+    return this.config.providers.map(({ id, name }) => ({ id, name }));
+  }
+
+  getProvider(providerId) {
+    const provider = this.config.providers.find(item => item.id === providerId);
+    if (!provider) {
+      throw new NotFoundError('Proveedor de inicio de sesión no encontrado', 'OidcProvider', providerId);
+    }
+    return provider;
+  }
+
+  /**
+   * Step 1: build the IdP authorization URL.
+   * state, nonce and the PKCE verifier stay server-side until the callback.
+   * @returns {Promise<{ authorizationUrl: string, state: string }>}
+   */
+  async createAuthorizationRequest(providerId, now = new Date()) {
+    const provider = this.getProvider(providerId);
+    const metadata = await this.getMetadata(provider, now);
+
+    const state = TokenService.generateToken(16);
+    const nonce = TokenService.generateToken(16);
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    await this.store.set(
+      this.stateKey(state),
+      { providerId, nonce, codeVerifier },
+      this.config.stateTtlMinutes * 60 * 1000,
+      now
+    );
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: provider.redirectUri,
+      scope: provider.scopes.join(' '),
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+
+    return {
+      authorizationUrl: `${metadata.authorization_endpoint}?${params.toString()}`,
+      state
+    };
+  }
+
+  /**
+   * Step 2: exchange the code, verify the ID token and find/create the user
+   * @param {string} providerId - Provider the login was started with
+   * @param {Object} params - { code, state } received on the redirect URI
+   * @returns {Promise<Object>} User linked to the identity
+   */
+  async authenticate(providerId, { code, state }, now = new Date()) {
+    const provider = this.getProvider(providerId);
+
+    // State is single use: a replayed or forged callback finds nothing
+    const pending = state ? await this.store.get(this.stateKey(state), now) : null;
+    if (state) {
+      await this.store.delete(this.stateKey(state));
+    }
+
+    if (!pending || pending.providerId !== provider.id) {
+      throw new UnauthorizedError('Solicitud de inicio de sesión inválida o expirada');
+    }
+
+    const metadata = await this.getMetadata(provider, now);
+    const tokens = await this.exchangeCode(provider, metadata, code, pending.codeVerifier);
+    const claims = await this.verifyIdToken(provider, metadata, tokens.id_token, pending.nonce, now);
+    const profile = this.mapClaims(provider, claims);
+
+    if (!this.isDomainAllowed(provider, profile.email)) {
+      throw new ForbiddenError('Tu dominio de correo no está autorizado para este proveedor');
+    }
+
+    return await this.resolveUser(provider, profile, now);
+  }
+
+  async exchangeCode(provider, metadata, code, codeVerifier) {
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      code_verifier: codeVerifier
+    });
+
+    if (provider.clientSecret) {
+      body.set('client_secret', provider.clientSecret);
+    }
+
+    let response;
+    try {
+      response = await this.httpClient(metadata.token_endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        body: body.toString()
+      });
+    } catch (error) {
+      throw new ExternalServiceError('No se pudo contactar al proveedor de identidad', provider.id, 'token', error);
+    }
+
+    const tokens = await response.json().catch(() => ({}));
+
+    if (!response.ok || !tokens.id_token) {
+      console.warn('🏫 OIDC code exchange rejected:', { provider: provider.id, error: tokens.error });
+      throw new UnauthorizedError('El proveedor de identidad rechazó el inicio de sesión');
+    }
+
+    return tokens;
+  }
+
+  async verifyIdToken(provider, metadata, idToken, nonce, now = new Date()) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded?.header) {
+      throw new UnauthorizedError('ID token inválido');
+    }
+
+    const key = await this.getSigningKey(provider, metadata, decoded.header.kid, now);
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: SIGNING_ALGORITHMS,
+        issuer: provider.issuer,
+        audience: provider.clientId,
+        clockTimestamp: Math.floor(now.getTime() / 1000),
+        clockTolerance: this.config.clockToleranceSeconds
+      });
+    } catch (error) {
+      console.warn('🏫 OIDC ID token rejected:', { provider: provider.id, reason: error.message });
+      throw new UnauthorizedError('ID token inválido');
+    }
+
+    if (!claims.nonce || claims.nonce !== nonce) {
+      throw new UnauthorizedError('ID token inválido');
+    }
+
+    return claims;
+  }
+
+  // Normalize the provider's claims to the fields a User needs
+  mapClaims(provider, claims) {
+    const pick = (name) => {
+      const value = claims[provider.claims[name]];
+      return value === undefined || value === null || value === '' ? null : String(value).trim();
+    };
+
+    const email = pick('email')?.toLowerCase() || null;
+    if (!claims.sub || !email) {
+      throw new ValidationError('El proveedor de identidad no envió el email de la cuenta');
+    }
+
+    return {
+      subject: String(claims.sub),
+      email,
+      // Institutional IdPs are authoritative for their own domains
+      emailVerified: claims.email_verified === true ||
+        (provider.allowedDomains.length > 0 && this.isDomainAllowed(provider, email)),
+      name: pick('name'),
+      firstName: pick('firstName'),
+      lastName: pick('lastName'),
+      studentId: pick('studentId'),
+      employeeId: pick('employeeId')
+    };
+  }
+
+  isDomainAllowed(provider, email) {
+    if (provider.allowedDomains.length === 0) return true;
+
+    const domain = String(email).split('@')[1]?.toLowerCase();
+    return provider.allowedDomains.includes(domain);
+  }
+
+  /**
+   * Find the user of an identity: linked identity first, then a university ID
+   * set by SSO or an admin, then verified email. Otherwise a new active account is created.
+   */
+  async resolveUser(provider, profile, now = new Date()) {
+    const identity = await this.identityRepository.findBySubject(provider.id, profile.subject);
+    let user;
+
+    if (identity) {
+      user = await this.userRepository.findById(identity.user_id);
+      await this.identityRepository.touch(identity.id, { email: profile.email, claims: this.identityClaims(profile), now });
+    } else {
+      user = await this.findUserToLink(provider, profile, now);
+
+      if (!user) {
+        user = await this.createUser(provider, profile, now);
+        console.log('🏫 Account created from SSO:', { provider: provider.id, userId: user.id });
+      } else {
+        console.log('🏫 SSO identity linked to existing account:', { provider: provider.id, userId: user.id });
+      }
+
+      await this.linkIdentity(provider, profile, user, now);
+    }
+
+    return await this.finishLogin(user, profile, now);
+  }
+
+  identityClaims(profile) {
+    return {
+      email: profile.email,
+      name: profile.name,
+      student_id: profile.studentId,
+      employee_id: profile.employeeId
+    };
+  }
+
+  async linkIdentity(provider, profile, user, now = new Date()) {
+    await this.identityRepository.create({
+      user_id: user.id,
+      provider: provider.id,
+      subject: profile.subject,
+      email: profile.email,
+      claims: this.identityClaims(profile),
+      last_login_at: now
+    });
+  }
+
+  async finishLogin(user, profile, now = new Date()) {
+    if (!user || user.status === 'suspended' || user.status === 'deleted') {
+      throw new ValidationError('Cuenta suspendida o desactivada');
+    }
+
+    // The IdP already proved the email: finish a pending local verification
+    if (profile.emailVerified && !user.email_verified_at && user.email === profile.email) {
+      user = await this.userRepository.update(user.id, {
+        email_verified_at: now,
+        status: user.status === 'pending_verification' ? 'active' : user.status,
+        verification_token: null,
+        verification_expires: null
+      });
+    }
+
+    await this.userRepository.updateLastLogin(user.id);
+
+    return user;
+  }
+
+  async findUserToLink(provider, profile, now = new Date()) {
+    const institutionalId = { studentId: profile.studentId, employeeId: profile.employeeId };
+
+    const byInstitutionalId = await this.userRepository.findByInstitutionalId({ ...institutionalId, verifiedOnly: true });
+    if (byInstitutionalId) return byInstitutionalId;
+
+    // A university ID typed in by the user proves nothing: anyone could claim someone else's
+    const claimedId = await this.userRepository.findByInstitutionalId(institutionalId);
+    if (claimedId) {
+      throw await this.linkRequired(provider, profile, claimedId, now,
+        'Ya existe una cuenta con tu matrícula. Confirma su contraseña para vincularla');
+    }
+
+    const byEmail = await this.userRepository.findByEmail(profile.email);
+    if (!byEmail) return null;
+
+    // Linking on an unverified email would let anyone claim an existing account
+    if (!profile.emailVerified) {
+      throw await this.linkRequired(provider, profile, byEmail, now,
+        'Ya existe una cuenta con este email. Inicia sesión con tu contraseña para vincularla');
+    }
+
+    return byEmail;
+  }
+
+  // Keep the SSO identity server-side; the link token lets the user confirm the account's password
+  async linkRequired(provider, profile, user, now, message) {
+    const linkToken = TokenService.generateToken(16);
+
+    await this.store.set(
+      this.linkKey(linkToken),
+      { providerId: provider.id, profile, userId: user.id },
+      this.config.stateTtlMinutes * 60 * 1000,
+      now
+    );
+
+    return new ConflictError(message, 'account_link_required', { linkToken });
+  }
+
+  /**
+   * Link an SSO identity to an existing account after confirming its password
+   * @param {string} linkToken - From the account_link_required conflict
+   * @param {string} password - Password of the existing account
+   * @returns {Promise<Object>} Linked user
+   */
+  async confirmLink(linkToken, password, now = new Date()) {
+    // Single use: one password guess per SSO login
+    const pending = linkToken ? await this.store.get(this.linkKey(linkToken), now) : null;
+    if (linkToken) {
+      await this.store.delete(this.linkKey(linkToken));
+    }
+
+    if (!pending) {
+      throw new UnauthorizedError('Solicitud de vinculación inválida o expirada');
+    }
+
+    const provider = this.getProvider(pending.providerId);
+    const user = await this.userRepository.findById(pending.userId);
+
+    if (!user?.password || !password || !(await HashService.verifyPassword(password, user.password))) {
+      throw new UnauthorizedError('Contraseña incorrecta');
+    }
+
+    // The identity may have been linked meanwhile (e.g. a second tab)
+    if (!(await this.identityRepository.findBySubject(provider.id, pending.profile.subject))) {
+      await this.linkIdentity(provider, pending.profile, user, now);
+    }
+
+    // From now on the university ID is vouched for by the IdP
+    const linked = await this.userRepository.update(user.id, this.institutionalIdFields(pending.profile, now));
+    console.log('🏫 SSO identity linked after password confirmation:', { provider: provider.id, userId: user.id });
+
+    return await this.finishLogin(linked, pending.profile, now);
+  }
+
+  institutionalIdFields(profile, now = new Date()) {
+    if (!profile.studentId && !profile.employeeId) return {};
+
+    return {
+      ...(profile.studentId && { student_id: profile.studentId }),
+      ...(profile.employeeId && { employee_id: profile.employeeId }),
+      institutional_id_verified_at: now
+    };
+  }
+
+  async createUser(provider, profile, now = new Date()) {
+    const fullName = [profile.firstName, profile.lastName].filter(Boolean).join(' ');
+
+    return await this.userRepository.create({
+      name: profile.name || fullName || profile.email.split('@')[0],
+      email: profile.email,
+      first_name: profile.firstName,
+      last_name: profile.lastName,
+      student_id: profile.studentId,
+      employee_id: profile.employeeId,
+      institutional_id_verified_at: profile.studentId || profile.employeeId ? now : null,
+      role: profile.employeeId ? provider.roles.employee : provider.roles.student,
+      // SSO accounts have no usable password until the user sets one with "forgot password"
+      password: TokenService.generateToken(),
+      status: profile.emailVerified ? 'active' : 'pending_verification',
+      email_verified_at: profile.emailVerified ? now : null
+    });
+  }
+
+  // Discovery document, cached per provider
+  async getMetadata(provider, now = new Date()) {
+    const cached = this.metadataCache.get(provider.id);
+    if (cached && cached.expiresAt > now.getTime()) {
+      return cached.value;
+    }
+
+    const url = `${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+    const metadata = await this.fetchJson(url, provider, 'discovery');
+
+    if (metadata.issuer !== provider.issuer) {
+      throw new ExternalServiceError('El emisor del proveedor de identidad no coincide', provider.id, 'discovery');
+    }
+
+    this.metadataCache.set(provider.id, {
+      value: metadata,
+      expiresAt: now.getTime() + this.config.metadataTtlMinutes * 60 * 1000
+    });
+
+    return metadata;
+  }
+
+  // Public key for a kid; an unknown kid refetches the JWKS once (key rotation)
+  async getSigningKey(provider, metadata, kid, now = new Date()) {
+    const findKey = (keys) => keys.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+
+    const cached = this.jwksCache.get(provider.id);
+    let jwk = cached && cached.expiresAt > now.getTime() ? findKey(cached.keys) : null;
+
+    if (!jwk) {
+      const { keys = [] } = await this.fetchJson(metadata.jwks_uri, provider, 'jwks');
+      this.jwksCache.set(provider.id, {
+        keys,
+        expiresAt: now.getTime() + this.config.metadataTtlMinutes * 60 * 1000
+      });
+      jwk = findKey(keys);
+    }
+
+    if (!jwk) {
+      throw new UnauthorizedError('ID token firmado con una clave desconocida');
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  async fetchJson(url, provider, operation) {
+    try {
+      const response = await this.httpClient(url, { headers: { Accept: 'application/json' } });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return await response.json();
+    } catch (error) {
+      throw new ExternalServiceError('No se pudo contactar al proveedor de identidad', provider.id, operation, error);
+    }
+  }
+
+  stateKey(state) {
+    return `oidc:state:${state}`;
+  }
+
+  linkKey(linkToken) {
+    return `oidc:link:${linkToken}`;
+  }
+}
+
+export default new OidcService();
+export { OidcService };
@@ -0,0 +1,156 @@
+// 🔐 Permission Service - Effective permissions of a user
+// Following Service Layer Pattern: a user holds the permissions of their role
+// (Permission.default_roles) plus the ones an admin granted them individually
+
+import PermissionRepository from '../repositories/PermissionRepository.js';
+import UserRepository from '../repositories/UserRepository.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+
+class PermissionService {
+  constructor(permissionRepository = PermissionRepository, userRepository = UserRepository) {
+    this.permissionRepository = permissionRepository;
+    this.userRepository = userRepository;
+  }
+
+  /**
+   * Permission types a user holds right now
+   * @param {Object} user - { id, role }
+   * @returns {Promise<Set<string>>} e.g. Set { 'upload_resource', 'moderate_resources' }
+   */
+  async getEffectivePermissions(user) {
+    const [rolePermissions, grants] = await Promise.all([
+      this.permissionRepository.findByRole(user.role),
+      this.permissionRepository.findGrantsByUser(user.id)
+    ]);
+
+    return new Set([
+      ...rolePermissions.map(permission => permission.permission_type),
+      ...grants.map(grant => grant.permission.permission_type)
+    ]);
+  }
+
+  async hasPermission(user, permissionType) {
+    const permissions = await this.getEffectivePermissions(user);
+    return permissions.has(permissionType);
+  }
+
+  // Catalog of grantable permissions
+  async listPermissions() {
+    const permissions = await this.permissionRepository.findAllActive();
+
+    return permissions.map(permission => ({
+      permission_type: permission.permission_type,
+      name: permission.name,
+      description: permission.description,
+      default_roles: permission.default_roles
+    }));
+  }
+
+  /**
+   * Permissions of a user with where each one comes from
+   * @returns {Promise<{ role: string, permissions: Array }>}
+   */
+  async getUserPermissions(userId) {
+    const user = await this.findUser(userId);
+
+    const [rolePermissions, grants] = await Promise.all([
+      this.permissionRepository.findByRole(user.role),
+      this.permissionRepository.findGrantsByUser(user.id)
+    ]);
+
+    const permissions = new Map();
+
+    for (const permission of rolePermissions) {
+      permissions.set(permission.permission_type, {
+        permission_type: permission.permission_type,
+        name: permission.name,
+        from_role: true,
+        grant: null
+      });
+    }
+
+    for (const grant of grants) {
+      const { permission } = grant;
+      permissions.set(permission.permission_type, {
+        permission_type: permission.permission_type,
+        name: permission.name,
+        from_role: permissions.has(permission.permission_type),
+        grant: {
+          granted_by: grant.grantor || grant.granted_by,
+          granted_at: grant.granted_at
+        }
+      });
+    }
+
+    return { role: user.role, permissions: [...permissions.values()] };
+  }
+
+  /**
+   * Grant a permission to one user on top of their role
+   * @throws {NotFoundError} Unknown user or permission type
+   * @throws {ConflictError} The user already has this grant
+   */
+  async grantPermission(userId, permissionType, grantedBy, now = new Date()) {
+    const user = await this.findUser(userId);
+    const permission = await this.findPermission(permissionType);
+
+    const existing = await this.permissionRepository.findGrant(user.id, permission.id);
+    if (existing) {
+      throw new ConflictError('El usuario ya tiene este permiso asignado', 'permission');
+    }
+
+    const grant = await this.permissionRepository.createGrant({
+      user_id: user.id,
+      permission_id: permission.id,
+      granted_by: grantedBy,
+      granted_at: now
+    });
+
+    console.log('🔐 Permission granted:', { userId: user.id, permission: permissionType, grantedBy });
+
+    return grant;
+  }
+
+  /**
+   * Remove a grant. Role permissions can't be revoked per user: change the role instead
+   * @throws {NotFoundError} Unknown user, permission type or grant
+   * @throws {ConflictError} The permission comes from the user's role
+   */
+  async revokePermission(userId, permissionType, revokedBy = null) {
+    const user = await this.findUser(userId);
+    const permission = await this.findPermission(permissionType);
+
+    const removed = await this.permissionRepository.deleteGrant(user.id, permission.id);
+
+    if (!removed) {
+      if ((permission.default_roles || []).includes(user.role)) {
+        throw new ConflictError(
+          'El permiso proviene del rol del usuario; cambia su rol para quitarlo',
+          'permission'
+        );
+      }
+      throw new NotFoundError('El usuario no tiene este permiso asignado', 'UserPermission', permissionType);
+    }
+
+    console.log('🔐 Permission revoked:', { userId: user.id, permission: permissionType, revokedBy });
+  }
+
+  async findUser(userId) {
+    const user = await this.userRepository.findById(userId);
+    if (!user) {
+      throw new NotFoundError('Usuario no encontrado', 'User', userId);
+    }
+    return user;
+  }
+
+  async findPermission(permissionType) {
+    const permission = await this.permissionRepository.findByType(permissionType);
+    if (!permission) {
+      throw new NotFoundError('Permiso no encontrado', 'Permission', permissionType);
+    }
+    return permission;
+  }
+}
+
+export default new PermissionService();
+export { PermissionService };
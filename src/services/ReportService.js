@@ -5,6 +5,7 @@ import ReportRepository from '../repositories/ReportRepository.js';
 import ResourceRepository from '../repositories/ResourceRepository.js';
 import UserRepository from '../repositories/UserRepository.js';
 import ErrorProcessingService from './ErrorProcessingService.js';
+import resourceObserver from '../observers/ResourceObserver.js';
 
 /**
  * ReportService - Handles business logic for resource reports
@@ -181,6 +182,11 @@ class ReportService {
         await this._executeReportAction(updatedReport, action_taken);
       }
 
+      // Let the reporter know the outcome
+      if (status === 'resolved' || status === 'dismissed') {
+        await resourceObserver.notify('report.resolved', { report: updatedReport, status });
+      }
+
       return {
         success: true,
         data: updatedReport,
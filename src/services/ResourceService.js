@@ -3,30 +3,83 @@
 
 import ResourceRepository from '../repositories/ResourceRepository.js';
 import ResourceValidator from '../validators/ResourceValidator.js';
-import { processUploadedFiles, deleteFile } from './uploadService.js';
+import { processUploadedFiles, discardFile, hashFile, moveToStorage, storage } from './uploadService.js';
 import FavoriteRepository from '../repositories/FavoriteRepository.js';
+import CourseEnrollmentRepository from '../repositories/CourseEnrollmentRepository.js';
+import resourceObserver from '../observers/ResourceObserver.js';
 import ResourceLike from '../models/ResourceLike.js';
 import Course from '../models/Course.js';
+import AcademicPeriod from '../models/AcademicPeriod.js';
+import AcademicPeriodRepository from '../repositories/AcademicPeriodRepository.js';
+import ResourceVersionRepository from '../repositories/ResourceVersionRepository.js';
+import ModerationScopeService from './ModerationScopeService.js';
+import deduplicationConfig from '../config/deduplication.js';
+import storageConfig from '../config/storage.js';
+import { ValidationError, NotFoundError, ForbiddenError, ConflictError } from '../utils/errors.js';
 import path from 'path';
+import { isDeepStrictEqual } from 'util';
+
+// Statuses whose files other users can read
+const READABLE_STATUSES = ['published', 'archived'];
+
+// Editing any of these keeps the previous state as a version
+const VERSIONED_FIELDS = ['title', 'description', 'content', 'type', 'format', 'file_url', 'file_path', 'file_size', 'content_hash', 'metadata'];
+
+const pickVersioned = (source) => Object.fromEntries(VERSIONED_FIELDS.map(field => [field, source[field] ?? null]));
+
+const changesVersion = (resource, updateData) => VERSIONED_FIELDS.some(field =>
+  updateData[field] !== undefined && !isDeepStrictEqual(updateData[field], resource[field] ?? null));
+
+// Row for resource_versions holding the state the resource has right now
+const snapshotOf = (resource, replacedBy) => ({
+  resource_id: resource.id,
+  version_number: resource.current_version || 1,
+  ...pickVersioned(resource),
+  replaced_by: replacedBy
+});
+
+const toVersionSummary = (resourceId, version, isCurrent) => ({
+  version_number: version.version_number,
+  title: version.title,
+  description: version.description,
+  format: version.format,
+  file_size: version.file_size,
+  is_current: isCurrent,
+  replaced_at: isCurrent ? null : version.created_at,
+  replaced_by: isCurrent ? null : (version.editor || version.replaced_by),
+  download_url: version.file_path ? `/api/resources/${resourceId}/versions/${version.version_number}/download` : null
+});
 
 class ResourceService {
-  constructor(resourceRepository = ResourceRepository) {
+  constructor(
+    resourceRepository = ResourceRepository,
+    resourceVersionRepository = ResourceVersionRepository,
+    deduplication = deduplicationConfig,
+    storageProvider = storage,
+    signedUrlTtl = storageConfig.signedUrlTtl
+  ) {
     this.resourceRepository = resourceRepository;
+    this.resourceVersionRepository = resourceVersionRepository;
+    this.deduplication = deduplication;
+    this.storage = storageProvider;
+    this.signedUrlTtl = signedUrlTtl;
     this.favoriteRepository = FavoriteRepository;
+    this.enrollmentRepository = CourseEnrollmentRepository;
   }
 
-  // Create new resource
-  async createResource(resourceData, userId) {
+  // Create new resource (storedFile: file columns, content_hash and duplicate_of computed on upload, never taken from the client)
+  async createResource(resourceData, userId, storedFile = {}) {
     try {
       // Validate input data
-      const validatedData = ResourceValidator.validateCreate(resourceData);
+      const validatedData = { ...ResourceValidator.validateCreate(resourceData), ...storedFile };
       
       // Validate university-specific fields
-      if (validatedData.course_id) {
-        const course = await Course.findByPk(validatedData.course_id);
-        if (!course) {
-          throw new Error('Course not found');
-        }
+      await this.checkReferences(validatedData);
+
+      // Tag the resource with its academic period: the given one, or the current one (null opts out)
+      if (validatedData.academic_period_id === undefined) {
+        const currentPeriod = await AcademicPeriodRepository.findCurrent();
+        validatedData.academic_period_id = currentPeriod?.id || null;
       }
       
       // Add user ID as author
@@ -42,14 +95,29 @@ class ResourceService {
       // Return with associations - CRITICAL: ensure we have the id
       const fullResource = await this.resourceRepository.findById(resource.id);
       
+      if (resource.status === 'published') {
+        await resourceObserver.notify('resource.published', { resource, actorId: userId });
+      }
+
       return fullResource;
     } catch (error) {
       throw new Error(`Failed to create resource: ${error.message}`);
     }
   }
 
-  // Get resource by ID
-  async getResourceById(id, userId = null) {
+  // The course and academic period a resource points at must exist
+  async checkReferences(resourceData) {
+    if (resourceData.course_id && !(await Course.findByPk(resourceData.course_id))) {
+      throw new Error('Course not found');
+    }
+
+    if (resourceData.academic_period_id && !(await AcademicPeriod.findByPk(resourceData.academic_period_id))) {
+      throw new Error('Academic period not found');
+    }
+  }
+
+  // Get resource by ID (moderation: { scope } when the user holds moderate_resources)
+  async getResourceById(id, userId = null, moderation = null) {
     try {
       const resource = await this.resourceRepository.findById(id);
       
@@ -57,10 +125,8 @@ class ResourceService {
         throw new Error('Resource not found');
       }
 
-      // Check visibility permissions
-      if (resource.visibility === 'private' && resource.user_id !== userId) {
-        throw new Error('Access denied: Resource is private');
-      }
+      // Same rules as its files: private, unpublished and course-restricted resources stay hidden
+      await this.assertReadable(resource, userId, moderation);
 
       // Increment view count (only if not the author)
       if (resource.user_id !== userId) {
@@ -109,6 +175,14 @@ class ResourceService {
         validatedFilters.visibility = 'public';
       }
 
+      // Personalized feed: resources of the courses the user is enrolled in
+      if (validatedFilters.my_courses) {
+        if (!userId) {
+          throw new Error('Authentication required to filter by my courses');
+        }
+        validatedFilters.course_ids = await this.enrollmentRepository.findActiveCourseIds(userId);
+      }
+
       const result = await this.resourceRepository.findAll(validatedFilters);
       
       // Add user-specific information if authenticated
@@ -155,7 +229,7 @@ class ResourceService {
   }
 
   // Update resource
-  async updateResource(id, updateData, userId) {
+  async updateResource(id, updateData, userId, storedFile = {}) {
     try {
       // Check if resource exists and user has permission
       const existingResource = await this.resourceRepository.findById(id, false);
@@ -169,11 +243,21 @@ class ResourceService {
       }
 
       // Validate update data
-      const validatedData = ResourceValidator.validateUpdate(updateData);
+      const validatedData = { ...ResourceValidator.validateUpdate(updateData), ...storedFile };
+
+      if (validatedData.academic_period_id && !(await AcademicPeriod.findByPk(validatedData.academic_period_id))) {
+        throw new Error('Academic period not found');
+      }
       
       // Update timestamp
       validatedData.updated_at = new Date();
 
+      // Content or file edits start a new version; the old file stays on disk for it
+      if (changesVersion(existingResource, validatedData)) {
+        validatedData.current_version = (existingResource.current_version || 1) + 1;
+        return await this.resourceRepository.updateWithSnapshot(id, validatedData, snapshotOf(existingResource, userId));
+      }
+
       // Update resource
       return await this.resourceRepository.update(id, validatedData);
     } catch (error) {
@@ -182,7 +266,7 @@ class ResourceService {
   }
 
   // Delete resource
-  async deleteResource(id, userId) {
+  async deleteResource(id, userId, canDeleteAny = false) {
     try {
       // Check if resource exists and user has permission
       const existingResource = await this.resourceRepository.findById(id, false);
@@ -191,17 +275,21 @@ class ResourceService {
         throw new Error('Resource not found');
       }
 
-      if (existingResource.user_id !== userId) {
+      // Owners delete their own; delete_resources allows deleting anyone's
+      if (existingResource.user_id !== userId && !canDeleteAny) {
         throw new Error('Access denied: You can only delete your own resources');
       }
 
-      // Delete associated files if any
-      if (existingResource.file_path) {
-        await deleteFile(existingResource.file_path);
+      // Delete associated files if any (its own and its versions', unless another resource shares them)
+      const files = new Set([existingResource.file_path, ...(await this.resourceVersionRepository.findFilePaths(id))]);
+      for (const filePath of files) {
+        await this.releaseFile(filePath, id);
       }
 
-      if (existingResource.thumbnail_url) {
-        await deleteFile(existingResource.thumbnail_url);
+      // Thumbnails may be external URLs; only ones in our storage are deleted
+      const thumbnailKey = this.storage.keyFromPublicUrl(existingResource.thumbnail_url);
+      if (thumbnailKey) {
+        await this.storage.delete(thumbnailKey);
       }
 
       // Delete resource
@@ -233,66 +321,311 @@ class ResourceService {
     }
   }
 
+  // File columns (url, storage key, size, format) for an uploaded file
+  buildFileData(file, key) {
+    // Extract format from mimetype or filename
+    const format = path.extname(file.name).toLowerCase().replace('.', '') || 
+                   file.mimetype.split('/')[1];
+
+    return {
+      file_url: this.storage.publicUrl(key),
+      file_path: key,
+      file_size: file.size,
+      format: format
+    };
+  }
+
+  /**
+   * Hash an upload and move it into the content-addressed store (<blobPrefix>/ab/abcd….pdf).
+   * With the 'reject' policy a file that already backs a resource the user can see is refused
+   * @param {Object} file - Uploaded file ({ name, path, size, mimetype })
+   * @param {string} userId - Uploader
+   * @param {string|null} resourceId - Resource whose file is being replaced
+   * @returns {Promise<Object>} { key, contentHash, duplicateOf }
+   */
+  async storeUploadedFile(file, userId, resourceId = null) {
+    const contentHash = await hashFile(file.path);
+    const original = (await this.resourceRepository.findByContentHash(contentHash)).find(resource =>
+      resource.id !== resourceId &&
+      (resource.user_id === userId || (resource.status === 'published' && resource.visibility === 'public')));
+
+    if (original && this.deduplication.policy === 'reject') {
+      await discardFile(file.path);
+      throw new ConflictError('This file has already been uploaded', 'duplicate_file', {
+        resource: { id: original.id, title: original.title, url: `/api/resources/${original.id}` }
+      });
+    }
+
+    const key = `${this.deduplication.blobPrefix}/${contentHash.slice(0, 2)}/${contentHash}${path.extname(file.name).toLowerCase()}`;
+
+    // The same content is stored once; later copies just reuse the blob
+    if (await this.storage.exists(key)) {
+      await discardFile(file.path);
+    } else {
+      await moveToStorage(file, key, this.storage);
+    }
+
+    return { key, contentHash, duplicateOf: original?.id || null };
+  }
+
+  // Delete a stored file unless a resource (other than resourceId) or a version still uses it
+  async releaseFile(filePath, resourceId = null) {
+    if (!filePath || await this.resourceRepository.isFileShared(filePath, resourceId)) {
+      return false;
+    }
+
+    return await this.storage.delete(filePath);
+  }
+
   // Upload resource with file
   async uploadResourceWithFile(file, metadata, userId) {
+    const stored = await this.storeUploadedFile(file, userId);
+
     try {
-      // Extract format from mimetype or filename
-      const format = path.extname(file.name).toLowerCase().replace('.', '') || 
-                     file.mimetype.split('/')[1];
-      
-      // Construir la URL pública del archivo
-      // El archivo se guarda en public/uploads pero se sirve desde /uploads
-      const relativePath = file.path.replace(/\\/g, '/');
-      let publicPath = '';
-      
-      if (relativePath.includes('public/uploads/')) {
-        publicPath = relativePath.split('public/')[1];
-      } else if (relativePath.includes('uploads/')) {
-        publicPath = relativePath.substring(relativePath.indexOf('uploads/'));
-      }
-      
-      // Asegurar que la URL no tenga doble barra
-      const fileUrl = `http://localhost:3001/${publicPath}`.replace(/([^:]\/)\/+/g, '$1');
-      
-      console.log('File upload info:', {
-        originalPath: file.path,
-        relativePath,
-        publicPath,
-        fileUrl,
-        format
-      });
-      
       // Excluir thumbnail_url de los metadatos ya que lo manejamos por separado
       const { thumbnail_url, ...cleanMetadata } = metadata;
       
-      // Create resource data with file information
-      const resourceData = {
-        ...cleanMetadata,
-        file_url: fileUrl,
-        file_path: file.path,
-        file_size: file.size,
-        format: format
-      };
+      const resourceData = { ...cleanMetadata };
 
       // Solo incluir thumbnail_url si existe y es una URL válida
       if (thumbnail_url && thumbnail_url.trim() !== '') {
         resourceData.thumbnail_url = thumbnail_url;
       }
 
-      console.log('Creating resource with data:', {
-        ...resourceData,
-        file_path: '***hidden***'
-      });
+      console.log('Creating resource with data:', resourceData);
 
-      return await this.createResource(resourceData, userId);
+      // File columns bypass the client schema: they only ever point at the stored upload
+      return await this.createResource(resourceData, userId, {
+        ...this.buildFileData(file, stored.key),
+        content_hash: stored.contentHash,
+        duplicate_of: stored.duplicateOf
+      });
     } catch (error) {
+      await this.releaseFile(stored.key);
       console.error('Upload error in service:', error.message);
       throw new Error(`Failed to upload resource: ${error.message}`);
     }
   }
 
+  // Upload a corrected file for an existing resource; the previous one stays with its version
+  async replaceResourceFile(id, file, metadata, userId) {
+    const stored = await this.storeUploadedFile(file, userId, id);
+    const { thumbnail_url, ...cleanMetadata } = metadata;
+
+    try {
+      return await this.updateResource(id, cleanMetadata, userId, {
+        ...this.buildFileData(file, stored.key),
+        content_hash: stored.contentHash,
+        duplicate_of: stored.duplicateOf
+      });
+    } catch (error) {
+      await this.releaseFile(stored.key);
+      throw error;
+    }
+  }
+
+  /**
+   * Resource whose files the user may read (see assertReadable)
+   * @param {string} id - Resource ID
+   * @param {string|null} userId - Requesting user
+   * @param {Object|null} moderation - { scope } when the user holds moderate_resources
+   * @returns {Promise<Object>} Resource
+   */
+  async findReadableResource(id, userId = null, moderation = null) {
+    const resource = await this.resourceRepository.findById(id, false);
+
+    if (!resource) {
+      throw new NotFoundError('Resource not found', 'Resource', id);
+    }
+
+    await this.assertReadable(resource, userId, moderation);
+
+    return resource;
+  }
+
+  /**
+   * Private resources are readable only by their author, restricted ones by students and the
+   * teacher of its course (any signed-in user if it has no course), and unpublished ones by
+   * their author. Moderators can read everything within their scope
+   * @param {Object} resource - Resource
+   * @param {string|null} userId - Requesting user
+   * @param {Object|null} moderation - { scope } when the user holds moderate_resources (null scope: no limit)
+   * @throws {ForbiddenError}
+   */
+  async assertReadable(resource, userId = null, moderation = null) {
+    if (userId && resource.user_id === userId) {
+      return;
+    }
+
+    if (moderation && ModerationScopeService.isResourceInScope(moderation.scope, resource)) {
+      return;
+    }
+
+    if (resource.visibility === 'private') {
+      throw new ForbiddenError('Access denied: Resource is private');
+    }
+
+    if (!READABLE_STATUSES.includes(resource.status)) {
+      throw new ForbiddenError('Access denied: Resource is not published');
+    }
+
+    if (resource.visibility === 'restricted') {
+      if (!userId) {
+        throw new ForbiddenError('Access denied: Sign in to access this resource');
+      }
+
+      if (resource.course_id && !(await this.isCourseMember(resource.course_id, userId))) {
+        throw new ForbiddenError('Access denied: Resource is restricted to its course');
+      }
+    }
+  }
+
+  // Active student or teacher of a course
+  async isCourseMember(courseId, userId) {
+    const enrollments = await this.enrollmentRepository.findActiveByUserAndCourse(userId, courseId);
+    if (enrollments.length > 0) {
+      return true;
+    }
+
+    const course = await Course.findByPk(courseId, { attributes: ['id', 'teacher_id'] });
+    return course?.teacher_id === userId;
+  }
+
+  // Short-lived signed URL for a stored file, named after the resource
+  async signDownload(key, title) {
+    const expiresIn = this.signedUrlTtl;
+    const filename = `${title}${path.extname(key)}`;
+
+    return {
+      url: await this.storage.signedUrl(key, { expiresIn, filename }),
+      filename,
+      expires_at: new Date(Date.now() + expiresIn * 1000)
+    };
+  }
+
+  /**
+   * Signed download URL for the file of a resource, issued after the access checks
+   * @param {string} id - Resource ID
+   * @param {string|null} userId - Requesting user
+   * @param {Object|null} moderation - { scope } when the user holds moderate_resources
+   * @returns {Promise<Object>} { url, filename, expires_at }
+   */
+  async getDownloadUrl(id, userId = null, moderation = null) {
+    const resource = await this.findReadableResource(id, userId, moderation);
+
+    if (!resource.file_path) {
+      throw new NotFoundError('This resource has no file', 'Resource', id);
+    }
+
+    await this.resourceRepository.incrementDownloads(id);
+
+    return await this.signDownload(resource.file_path, resource.title);
+  }
+
+  // Signed download URL for the file of one version
+  async getVersionDownloadUrl(id, versionNumber, userId = null, moderation = null) {
+    const version = await this.getResourceVersionFile(id, versionNumber, userId, moderation);
+
+    return await this.signDownload(version.file_path, `${version.title} (v${version.version_number})`);
+  }
+
+  /**
+   * Version history of a resource, current version first
+   * @param {string} id - Resource ID
+   * @param {string|null} userId - Requesting user
+   * @param {Object|null} moderation - { scope } when the user holds moderate_resources
+   * @returns {Promise<Object>} { resource_id, current_version, versions }
+   */
+  async getResourceVersions(id, userId = null, moderation = null) {
+    const resource = await this.findReadableResource(id, userId, moderation);
+    const versions = await this.resourceVersionRepository.findByResource(id);
+    const currentVersion = resource.current_version || 1;
+
+    return {
+      resource_id: id,
+      current_version: currentVersion,
+      versions: [
+        toVersionSummary(id, { ...pickVersioned(resource), version_number: currentVersion }, true),
+        ...versions.map(version => toVersionSummary(id, version, false))
+      ]
+    };
+  }
+
+  /**
+   * File of one version of a resource
+   * @param {string} id - Resource ID
+   * @param {number} versionNumber - Version to download
+   * @param {string|null} userId - Requesting user
+   * @param {Object|null} moderation - { scope } when the user holds moderate_resources
+   * @returns {Promise<Object>} { title, file_path, version_number }
+   */
+  async getResourceVersionFile(id, versionNumber, userId = null, moderation = null) {
+    const number = Number(versionNumber);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new ValidationError('Version number must be a positive integer');
+    }
+
+    const resource = await this.findReadableResource(id, userId, moderation);
+    const version = number === (resource.current_version || 1)
+      ? resource
+      : await this.resourceVersionRepository.findByNumber(id, number);
+
+    if (!version) {
+      throw new NotFoundError('Version not found', 'ResourceVersion', number);
+    }
+
+    if (!version.file_path) {
+      throw new NotFoundError('This version has no file', 'ResourceVersion', number);
+    }
+
+    return { title: version.title, file_path: version.file_path, version_number: number };
+  }
+
+  /**
+   * Restore an older version. History is never rewritten: the current state is
+   * kept as a version and the restored one becomes the newest
+   * @param {string} id - Resource ID
+   * @param {number} versionNumber - Version to restore
+   * @param {string} userId - Requesting user
+   * @param {boolean} canModerate - Moderators may roll back any resource in their scope
+   * @returns {Promise<Object>} Updated resource
+   */
+  async rollbackResource(id, versionNumber, userId, canModerate = false) {
+    const number = Number(versionNumber);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new ValidationError('Version number must be a positive integer');
+    }
+
+    const resource = await this.resourceRepository.findById(id, false);
+    if (!resource) {
+      throw new NotFoundError('Resource not found', 'Resource', id);
+    }
+
+    if (!canModerate && resource.user_id !== userId) {
+      throw new ForbiddenError('Access denied: You can only roll back your own resources');
+    }
+
+    const currentVersion = resource.current_version || 1;
+    if (number === currentVersion) {
+      throw new ValidationError(`Version ${number} is already the current version`);
+    }
+
+    const version = await this.resourceVersionRepository.findByNumber(id, number);
+    if (!version) {
+      throw new NotFoundError('Version not found', 'ResourceVersion', number);
+    }
+
+    const restored = {
+      ...pickVersioned(version),
+      current_version: currentVersion + 1,
+      updated_at: new Date()
+    };
+
+    return await this.resourceRepository.updateWithSnapshot(id, restored, snapshotOf(resource, userId));
+  }
+
   // Update resource status (for admin/moderation)
-  async updateResourceStatus(id, status, userId, userRole) {
+  async updateResourceStatus(id, status, userId, canModerate = false) {
     try {
       const resource = await this.resourceRepository.findById(id, false);
       
@@ -300,17 +633,39 @@ class ResourceService {
         throw new Error('Resource not found');
       }
 
-      // Check permissions
-      if (userRole !== 'admin' && resource.user_id !== userId) {
+      // Owners manage their own resources; moderators any resource
+      if (!canModerate && resource.user_id !== userId) {
         throw new Error('Access denied: Insufficient permissions');
       }
 
-      return await this.resourceRepository.updateStatus(id, status);
+      const updated = await this.resourceRepository.updateStatus(id, status);
+
+      if (status === 'published' && resource.status !== 'published') {
+        await resourceObserver.notify('resource.published', { resource: updated, actorId: userId });
+      }
+
+      return updated;
     } catch (error) {
       throw error;
     }
   }
 
+  /**
+   * Resources uploaded with the same file, for admins to merge or clean up
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} { clusters, total_clusters, duplicate_resources }
+   */
+  async getDuplicateReport({ limit = 50 } = {}) {
+    const clusters = await this.resourceRepository.findDuplicateClusters({ limit });
+
+    return {
+      clusters,
+      total_clusters: clusters.length,
+      // Every resource in a cluster beyond the first one
+      duplicate_resources: clusters.reduce((sum, cluster) => sum + cluster.count - 1, 0)
+    };
+  }
+
   // Get resource statistics
   async getResourceStats(userId = null) {
     try {
@@ -330,4 +685,5 @@ class ResourceService {
   }
 }
 
-export default new ResourceService();
\ No newline at end of file
+export default new ResourceService();
+export { ResourceService };
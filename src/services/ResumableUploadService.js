@@ -0,0 +1,359 @@
+// ⏫ Resumable Upload Service - Large files uploaded in chunks (tus 1.0 semantics)
+// Following Service Layer Pattern: a session is created with the final size, chunks are
+// appended at the offset the server reports, and a complete upload is finalized into a resource
+
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import path from 'path';
+import UploadSessionRepository from '../repositories/UploadSessionRepository.js';
+import ResourceService from './ResourceService.js';
+import ResourceValidator from '../validators/ResourceValidator.js';
+import { discardFile } from './uploadService.js';
+import resumableUploadConfig from '../config/resumableUpload.js';
+import { ValidationError, NotFoundError, ConflictError, PayloadTooLargeError } from '../utils/errors.js';
+
+/**
+ * Parse a tus Upload-Metadata header: comma-separated "key base64value" pairs
+ * @param {string} header - Header value
+ * @returns {Object} Decoded key/value pairs (keys without value map to '')
+ */
+export const parseUploadMetadata = (header = '') => Object.fromEntries(
+  header.split(',')
+    .map(pair => pair.trim())
+    .filter(Boolean)
+    .map(pair => {
+      const [key, value = ''] = pair.split(/\s+/);
+      return [key, Buffer.from(value, 'base64').toString('utf8')];
+    })
+);
+
+// Progress as the API reports it
+const toProgress = (session) => ({
+  id: session.id,
+  filename: session.filename,
+  resource_type: session.resource_type,
+  upload_offset: session.upload_offset,
+  upload_length: session.upload_length,
+  progress: session.upload_length ? Math.floor((session.upload_offset / session.upload_length) * 100) : 0,
+  status: session.status,
+  resource_id: session.resource_id,
+  expires_at: session.expires_at
+});
+
+// The client asks for the current offset (HEAD) and resumes from it
+const offsetMismatch = (uploadOffset) => new ConflictError('Upload-Offset does not match the current offset', 'offset_mismatch', {
+  upload_offset: uploadOffset
+});
+
+class ResumableUploadService {
+  constructor(
+    uploadSessionRepository = UploadSessionRepository,
+    resourceService = ResourceService,
+    config = resumableUploadConfig,
+    clock = () => new Date()
+  ) {
+    this.uploadSessionRepository = uploadSessionRepository;
+    this.resourceService = resourceService;
+    this.config = config;
+    this.clock = clock;
+    // Sessions with a chunk being written or being finalized right now (one at a time per session)
+    this.busy = new Set();
+    this.scheduler = null;
+    this.running = false;
+  }
+
+  tempPath(id) {
+    return path.join(this.config.tempDir, `${id}.part`);
+  }
+
+  lock(id) {
+    if (this.busy.has(id)) {
+      throw new ConflictError('This upload is busy with another request', 'upload_locked');
+    }
+
+    this.busy.add(id);
+  }
+
+  expiresAt() {
+    return new Date(this.clock().getTime() + this.config.sessionTtlMs);
+  }
+
+  /**
+   * Start an upload
+   * @param {number|string} uploadLength - Final size in bytes
+   * @param {Object} metadata - { filename, filetype, type, ...resource fields used on finalize }
+   * @param {string} userId - Uploader
+   * @returns {Promise<Object>} Session
+   */
+  async createSession(uploadLength, metadata, userId) {
+    const length = Number(uploadLength);
+    if (!Number.isInteger(length) || length < 1) {
+      throw new ValidationError('Upload-Length must be a positive integer');
+    }
+
+    const { filename, filetype, type = 'document', ...resourceFields } = metadata;
+
+    if (!filename) {
+      throw new ValidationError('The upload metadata must include the filename');
+    }
+
+    const maxSize = this.config.maxSizes[type];
+    const mimeTypes = this.config.mimeTypes[type];
+    if (!maxSize || !mimeTypes) {
+      throw new ValidationError(`Resources of type ${type} can't be uploaded`, {
+        allowed_types: Object.keys(this.config.maxSizes)
+      });
+    }
+
+    if (!mimeTypes.includes(filetype)) {
+      throw new ValidationError(`File type ${filetype || 'unknown'} is not allowed for ${type} resources`, {
+        allowed_mime_types: mimeTypes
+      });
+    }
+
+    if (length > maxSize) {
+      throw new PayloadTooLargeError(`Files for ${type} resources can be at most ${Math.floor(maxSize / (1024 * 1024))} MB`, maxSize);
+    }
+
+    const session = await this.uploadSessionRepository.create({
+      user_id: userId,
+      filename,
+      mimetype: filetype,
+      resource_type: type,
+      upload_length: length,
+      upload_offset: 0,
+      metadata: resourceFields,
+      expires_at: this.expiresAt()
+    });
+
+    await fs.mkdir(this.config.tempDir, { recursive: true });
+    await fs.writeFile(this.tempPath(session.id), '');
+
+    return session;
+  }
+
+  // Session of the user; other users' sessions don't exist for them
+  async getSession(id, userId) {
+    const session = await this.uploadSessionRepository.findById(id);
+
+    if (!session || session.user_id !== userId) {
+      throw new NotFoundError('Upload not found', 'UploadSession', id);
+    }
+
+    if (session.status === 'uploading' && session.expires_at < this.clock()) {
+      throw new NotFoundError('Upload expired', 'UploadSession', id);
+    }
+
+    return session;
+  }
+
+  async getProgress(id, userId) {
+    return toProgress(await this.getSession(id, userId));
+  }
+
+  /**
+   * Append a chunk. The offset must be the one the server reports, so a client that lost
+   * a response asks for the offset (HEAD) and resumes from there
+   * @param {string} id - Session ID
+   * @param {string} userId - Uploader
+   * @param {number|string} uploadOffset - Offset the chunk starts at
+   * @param {Readable} chunk - Request body
+   * @returns {Promise<Object>} Updated session
+   */
+  async appendChunk(id, userId, uploadOffset, chunk) {
+    // Locked before the session is read, so the offset checked is still the one written at
+    this.lock(id);
+
+    try {
+      const session = await this.getSession(id, userId);
+
+      if (session.status !== 'uploading') {
+        throw new ConflictError('Upload already finalized', 'upload_completed', { resource_id: session.resource_id });
+      }
+
+      if (Number(uploadOffset) !== session.upload_offset) {
+        throw offsetMismatch(session.upload_offset);
+      }
+
+      const remaining = session.upload_length - session.upload_offset;
+      let received = 0;
+
+      // Refuse bytes past the declared length instead of growing the file
+      const limit = new Transform({
+        transform(data, encoding, callback) {
+          received += data.length;
+          if (received > remaining) {
+            return callback(new PayloadTooLargeError('The chunk goes past the declared Upload-Length', session.upload_length));
+          }
+          callback(null, data);
+        }
+      });
+
+      try {
+        await pipeline(chunk, limit, createWriteStream(this.tempPath(id), { flags: 'r+', start: session.upload_offset }));
+      } finally {
+        // Whatever reached the disk counts, so an interrupted chunk resumes where it stopped.
+        // The lock is per process: the offset only moves from where this chunk started
+        const { size } = await fs.stat(this.tempPath(id));
+        const advanced = await this.uploadSessionRepository.advanceOffset(id, session.upload_offset, {
+          upload_offset: Math.min(size, session.upload_length),
+          expires_at: this.expiresAt()
+        });
+
+        if (!advanced) {
+          throw offsetMismatch((await this.uploadSessionRepository.findById(id))?.upload_offset);
+        }
+      }
+
+      return await this.uploadSessionRepository.findById(id);
+    } finally {
+      this.busy.delete(id);
+    }
+  }
+
+  /**
+   * Turn a complete upload into a resource (hashing, deduplication and storage as any upload)
+   * @param {string} id - Session ID
+   * @param {string} userId - Uploader
+   * @param {Object} fields - Resource fields, override the ones sent when the upload started
+   * @returns {Promise<Object>} Created resource
+   */
+  async finalize(id, userId, fields = {}) {
+    const session = await this.getSession(id, userId);
+
+    if (session.status !== 'uploading') {
+      throw new ConflictError('Upload already finalized', 'upload_completed', { resource_id: session.resource_id });
+    }
+
+    if (session.upload_offset < session.upload_length) {
+      throw new ConflictError('Upload is not complete', 'upload_incomplete', {
+        upload_offset: session.upload_offset,
+        upload_length: session.upload_length
+      });
+    }
+
+    const metadata = { ...session.metadata, ...fields, type: session.resource_type };
+
+    // Checked up front, so bad fields are fixed and sent again without touching the file
+    try {
+      await this.resourceService.checkReferences(ResourceValidator.validateCreate(metadata));
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+
+    this.lock(id);
+
+    // The resource takes a link to the upload, not the upload itself: if creating it
+    // fails the complete file is still here and finalize can be retried
+    const file = {
+      name: session.filename,
+      size: session.upload_length,
+      mimetype: session.mimetype,
+      path: `${this.tempPath(id)}.finalize`
+    };
+
+    try {
+      await fs.link(this.tempPath(id), file.path).catch(() => fs.copyFile(this.tempPath(id), file.path));
+
+      const resource = await this.resourceService.uploadResourceWithFile(file, metadata, userId);
+
+      await this.uploadSessionRepository.update(id, {
+        status: 'completed',
+        resource_id: resource.id,
+        expires_at: this.expiresAt()
+      });
+      await discardFile(this.tempPath(id));
+
+      return resource;
+    } catch (error) {
+      // A rejected duplicate fails again on every retry
+      if (error.statusCode === 409) {
+        await discardFile(this.tempPath(id));
+        await this.uploadSessionRepository.delete(id);
+      }
+      throw error;
+    } finally {
+      await discardFile(file.path);
+      this.busy.delete(id);
+    }
+  }
+
+  // Abort an upload and drop what was received
+  async cancel(id, userId) {
+    await this.getSession(id, userId);
+
+    this.lock(id);
+    try {
+      await discardFile(this.tempPath(id));
+      await this.uploadSessionRepository.delete(id);
+    } finally {
+      this.busy.delete(id);
+    }
+
+    return true;
+  }
+
+  /**
+   * Remove expired sessions: unfinished ones with their partial file, finished ones
+   * once their progress no longer needs to be queryable
+   * @param {Date} now - Current time (defaults to the injected clock)
+   * @returns {Promise<Object>} { removed, abandoned }
+   */
+  async collectGarbage(now = this.clock()) {
+    const expired = await this.uploadSessionRepository.findExpired(now);
+    const summary = { removed: 0, abandoned: 0 };
+
+    for (const session of expired) {
+      if (this.busy.has(session.id)) continue;
+
+      if (session.status === 'uploading') {
+        await discardFile(this.tempPath(session.id));
+        summary.abandoned += 1;
+      }
+
+      await this.uploadSessionRepository.delete(session.id);
+      summary.removed += 1;
+    }
+
+    if (summary.removed > 0) {
+      console.log('⏫ Expired upload sessions removed:', summary);
+    }
+
+    return summary;
+  }
+
+  // One cleanup tick; skipped if the previous run is still going
+  trigger() {
+    if (this.running) return;
+    this.running = true;
+
+    this.collectGarbage()
+      .catch(error => console.error('⏫ Upload cleanup error:', error.message))
+      .finally(() => { this.running = false; });
+  }
+
+  // Run on start-up and then periodically in-process
+  startScheduler(intervalMs = this.config.cleanup.pollIntervalMs) {
+    if (this.scheduler || !this.config.cleanup.enabled) {
+      return;
+    }
+
+    this.trigger();
+    this.scheduler = setInterval(() => this.trigger(), intervalMs);
+
+    // Don't keep the process alive just for the scheduler
+    this.scheduler.unref();
+  }
+
+  stopScheduler() {
+    if (this.scheduler) {
+      clearInterval(this.scheduler);
+      this.scheduler = null;
+    }
+  }
+}
+
+export default new ResumableUploadService();
+export { ResumableUploadService };
@@ -0,0 +1,172 @@
+// 🔁 Session Service - Refresh token rotation and revocation
+// Following Service Layer Pattern: every refresh token is stored (hashed) and used at most once
+
+import crypto from 'crypto';
+import RefreshTokenRepository from '../repositories/RefreshTokenRepository.js';
+import JwtService from './JwtService.js';
+import TokenService from '../utils/TokenService.js';
+import { UnauthorizedError, NotFoundError } from '../utils/errors.js';
+
+const USER_AGENT_MAX_LENGTH = 500;
+
+class SessionService {
+  constructor(refreshTokenRepository = RefreshTokenRepository, jwtService = JwtService) {
+    this.refreshTokenRepository = refreshTokenRepository;
+    this.jwtService = jwtService;
+  }
+
+  /**
+   * Start a new session (login/register)
+   * @param {Object} user - Authenticated user
+   * @param {Object} context - { userAgent, ipAddress } of the device
+   * @returns {Promise<{ accessToken: string, refreshToken: string, sessionId: string }>}
+   */
+  async createSession(user, context = {}, now = new Date()) {
+    return await this.issueTokens(user, { ...context, familyId: crypto.randomUUID() }, now);
+  }
+
+  /**
+   * Sign a token pair and store the refresh token hash
+   * @param {Object} user - Token owner
+   * @param {Object} options - { familyId, tokenId?, userAgent?, ipAddress? }
+   */
+  async issueTokens(user, { familyId, tokenId = crypto.randomUUID(), userAgent = null, ipAddress = null }, now = new Date()) {
+    const tokens = this.jwtService.generateTokenPair(user, { sessionId: familyId, tokenId });
+    const { exp } = this.jwtService.decode(tokens.refreshToken);
+
+    await this.refreshTokenRepository.create({
+      id: tokenId,
+      user_id: user.id,
+      family_id: familyId,
+      token_hash: TokenService.hashToken(tokens.refreshToken),
+      expires_at: exp ? new Date(exp * 1000) : now,
+      user_agent: userAgent ? String(userAgent).slice(0, USER_AGENT_MAX_LENGTH) : null,
+      ip_address: ipAddress
+    });
+
+    return { ...tokens, sessionId: familyId };
+  }
+
+  /**
+   * Mark a refresh token as used. Presenting a token that was already rotated
+   * means it was stolen (or replayed), so the whole family is revoked.
+   * @param {string} refreshToken - Refresh JWT sent by the client
+   * @returns {Promise<{ decoded: Object, record: Object, nextTokenId: string }>}
+   */
+  async consumeRefreshToken(refreshToken, now = new Date()) {
+    let decoded;
+    try {
+      decoded = this.jwtService.verifyRefreshToken(refreshToken);
+    } catch (error) {
+      throw new UnauthorizedError('Refresh token inválido o expirado');
+    }
+
+    const record = decoded.jti ? await this.refreshTokenRepository.findById(decoded.jti) : null;
+
+    if (!record || record.user_id !== decoded.userId ||
+        !TokenService.safeEqual(record.token_hash, TokenService.hashToken(refreshToken))) {
+      throw new UnauthorizedError('Refresh token inválido o expirado');
+    }
+
+    if (record.revoked_at) {
+      if (record.revoked_reason === 'rotated') {
+        await this.revokeForReuse(record, now);
+      }
+      throw new UnauthorizedError('Refresh token revocado');
+    }
+
+    if (new Date(record.expires_at) <= now) {
+      throw new UnauthorizedError('Refresh token inválido o expirado');
+    }
+
+    // Claim atomically: if a concurrent request already rotated it, treat it as reuse
+    const nextTokenId = crypto.randomUUID();
+    const claimed = await this.refreshTokenRepository.revoke(record.id, {
+      reason: 'rotated',
+      replacedBy: nextTokenId,
+      now
+    });
+
+    if (!claimed) {
+      await this.revokeForReuse(record, now);
+      throw new UnauthorizedError('Refresh token revocado');
+    }
+
+    return { decoded, record, nextTokenId };
+  }
+
+  async revokeForReuse(record, now = new Date()) {
+    console.warn('🚨 Refresh token reuse detected - revoking session:', {
+      userId: record.user_id,
+      sessionId: record.family_id,
+      tokenId: record.id
+    });
+
+    await this.refreshTokenRepository.revokeFamily(record.family_id, { reason: 'reuse_detected', now });
+  }
+
+  // Revoke one session (current device)
+  async revokeSession(sessionId, reason = 'logout', now = new Date()) {
+    return await this.refreshTokenRepository.revokeFamily(sessionId, { reason, now });
+  }
+
+  // Revoke every session of a user, optionally keeping the current one
+  async revokeAllSessions(userId, { reason = 'logout_all', exceptSessionId = null, now = new Date() } = {}) {
+    return await this.refreshTokenRepository.revokeAllForUser(userId, {
+      reason,
+      exceptFamilyId: exceptSessionId,
+      now
+    });
+  }
+
+  /**
+   * Live sessions of a user, newest first
+   * @param {string} userId - Session owner
+   * @param {string|null} currentSessionId - sid of the caller's access token, flagged as current
+   * @returns {Promise<Array>} Sessions with device info and timestamps
+   */
+  async listSessions(userId, currentSessionId = null, now = new Date()) {
+    const tokens = await this.refreshTokenRepository.findActiveByUser(userId, now);
+    const startedAt = await this.refreshTokenRepository.findSessionStarts(tokens.map(token => token.family_id));
+
+    return tokens.map(token => ({
+      id: token.family_id,
+      user_agent: token.user_agent,
+      ip_address: token.ip_address,
+      created_at: startedAt[token.family_id] || token.created_at,
+      // Each refresh issues a new token, so the live token's creation is the last use
+      last_used_at: token.created_at,
+      expires_at: token.expires_at,
+      current: token.family_id === currentSessionId
+    }));
+  }
+
+  // Revoke a session that must belong to the given user
+  async revokeUserSession(userId, sessionId, reason = 'logout', now = new Date()) {
+    const revoked = await this.refreshTokenRepository.revokeFamily(sessionId, { reason, userId, now });
+
+    if (revoked === 0) {
+      throw new NotFoundError('Sesión no encontrada', 'Session', sessionId);
+    }
+
+    return revoked;
+  }
+
+  // Access tokens carry the session id (sid); they die with their session
+  async isSessionActive(sessionId, now = new Date()) {
+    return await this.refreshTokenRepository.isFamilyActive(sessionId, now);
+  }
+
+  // Session id of a refresh token, or null when it can't be verified
+  getSessionIdFromRefreshToken(refreshToken) {
+    try {
+      const decoded = this.jwtService.verifyRefreshToken(refreshToken);
+      return { userId: decoded.userId, sessionId: decoded.sid || null };
+    } catch (error) {
+      return { userId: null, sessionId: null };
+    }
+  }
+}
+
+export default new SessionService();
+export { SessionService };
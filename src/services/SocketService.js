@@ -0,0 +1,120 @@
+// 📡 Socket Service - Real-time delivery layer
+// Following Single Responsibility Principle - Only handles Socket.IO connections and emits
+
+import { Server } from 'socket.io';
+import JwtService from './JwtService.js';
+import UserRepository from '../repositories/UserRepository.js';
+import SessionService from './SessionService.js';
+import { allowedOrigins } from '../config/cors.js';
+
+class SocketService {
+  constructor(jwtService = JwtService, userRepository = UserRepository, sessionService = SessionService) {
+    this.jwtService = jwtService;
+    this.userRepository = userRepository;
+    this.sessionService = sessionService;
+    this.io = null;
+  }
+
+  /**
+   * Attach a Socket.IO server to an existing HTTP server
+   * @param {import('http').Server} httpServer - HTTP server created for the Express app
+   * @returns {Server} Socket.IO server
+   */
+  initialize(httpServer) {
+    this.io = new Server(httpServer, {
+      cors: {
+        origin: allowedOrigins,
+        credentials: true
+      }
+    });
+
+    this.io.use((socket, next) => this.authenticate(socket, next));
+    this.io.on('connection', (socket) => this.handleConnection(socket));
+
+    console.log('📡 Socket.IO server attached');
+    return this.io;
+  }
+
+  /**
+   * Handshake middleware - validates the same access tokens issued by JwtService
+   * Token can be sent as `auth.token`, `Authorization: Bearer` header or `?token=` query
+   */
+  async authenticate(socket, next) {
+    try {
+      const token = this.extractToken(socket.handshake);
+
+      if (!token) {
+        return next(new Error('Token de autenticación requerido'));
+      }
+
+      const decoded = this.jwtService.verifyAccessToken(token);
+      const user = await this.userRepository.findById(decoded.userId);
+
+      if (!user || user.status === 'suspended' || user.status === 'deleted') {
+        return next(new Error('Usuario no válido o inactivo'));
+      }
+
+      if (decoded.sid && !(await this.sessionService.isSessionActive(decoded.sid))) {
+        return next(new Error('Sesión revocada'));
+      }
+
+      socket.data.user = {
+        userId: user.id,
+        role: user.role,
+        email: user.email
+      };
+
+      next();
+    } catch (error) {
+      console.log('📡 Socket authentication failed:', error.message);
+      next(new Error('Token inválido'));
+    }
+  }
+
+  handleConnection(socket) {
+    const { userId } = socket.data.user;
+
+    socket.join(this.getUserRoom(userId));
+    console.log('📡 Socket connected:', { socketId: socket.id, userId });
+
+    socket.on('disconnect', (reason) => {
+      console.log('📡 Socket disconnected:', { socketId: socket.id, userId, reason });
+    });
+  }
+
+  extractToken(handshake) {
+    if (handshake.auth?.token) {
+      return handshake.auth.token;
+    }
+
+    const authHeader = handshake.headers?.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      return authHeader.slice(7);
+    }
+
+    return handshake.query?.token || null;
+  }
+
+  getUserRoom(userId) {
+    return `user:${userId}`;
+  }
+
+  /**
+   * Push an event to every connected socket of a user
+   * No-op when the server was not initialized (tests, scripts)
+   * @param {string} userId - Recipient user ID
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   */
+  emitToUser(userId, event, payload) {
+    if (!this.io || !userId) {
+      return false;
+    }
+
+    this.io.to(this.getUserRoom(userId)).emit(event, payload);
+    return true;
+  }
+}
+
+export default new SocketService();
+export { SocketService };
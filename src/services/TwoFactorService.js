@@ -0,0 +1,249 @@
+// 🔐 Two-Factor Service - TOTP enrollment, verification and recovery codes
+// Following Service Layer Pattern: AuthService decides when a second factor is needed,
+// this service owns the secret, the codes and the challenge tokens between both steps
+
+import UserRepository from '../repositories/UserRepository.js';
+import JwtService from './JwtService.js';
+import TotpService from '../utils/TotpService.js';
+import TokenService from '../utils/TokenService.js';
+import HashService from '../utils/HashService.js';
+import authConfig from '../config/auth.js';
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  UnauthorizedError,
+  ValidationError
+} from '../utils/errors.js';
+
+class TwoFactorService {
+  constructor(
+    userRepository = UserRepository,
+    jwtService = JwtService,
+    totp = TotpService,
+    config = authConfig.twoFactor
+  ) {
+    this.userRepository = userRepository;
+    this.jwtService = jwtService;
+    this.totp = totp;
+    this.config = config;
+  }
+
+  // Roles that must have two-factor authentication to log in
+  isRequiredFor(user) {
+    return this.config.requiredRoles.includes(user.role);
+  }
+
+  async findUser(userId) {
+    const user = await this.userRepository.findById(userId);
+    if (!user) {
+      throw new NotFoundError('Usuario no encontrado', 'User', userId);
+    }
+    return user;
+  }
+
+  async getStatus(userId) {
+    const user = await this.findUser(userId);
+
+    return {
+      enabled: !!user.two_factor_enabled,
+      required: this.isRequiredFor(user),
+      enabled_at: user.two_factor_enabled_at || null,
+      recovery_codes_remaining: user.two_factor_enabled ? (user.two_factor_recovery_codes || []).length : 0
+    };
+  }
+
+  /**
+   * Start enrollment: a new secret is stored (encrypted) but not active until confirmed
+   * @returns {Promise<{ secret: string, otpauthUrl: string }>} Data for the authenticator app
+   */
+  async beginSetup(userId) {
+    const user = await this.findUser(userId);
+
+    if (user.two_factor_enabled) {
+      throw new ConflictError('La verificación en dos pasos ya está activada', 'two_factor');
+    }
+
+    const secret = this.totp.generateSecret();
+
+    await this.userRepository.update(user.id, {
+      two_factor_secret: this.totp.encryptSecret(secret, this.config.encryptionKey)
+    });
+
+    return {
+      secret,
+      otpauthUrl: this.totp.buildOtpAuthUrl({
+        secret,
+        accountName: user.email,
+        issuer: this.config.issuer
+      })
+    };
+  }
+
+  /**
+   * Confirm enrollment with a first code from the app
+   * @returns {Promise<{ recoveryCodes: string[] }>} Plain recovery codes, shown only once
+   */
+  async enable(userId, code, now = new Date()) {
+    const user = await this.findUser(userId);
+
+    if (user.two_factor_enabled) {
+      throw new ConflictError('La verificación en dos pasos ya está activada', 'two_factor');
+    }
+
+    if (!user.two_factor_secret) {
+      throw new BadRequestError('Primero debes iniciar la configuración de la verificación en dos pasos');
+    }
+
+    const step = this.totp.verify(this.readSecret(user), code, now, this.config.window);
+    if (step === null) {
+      throw new ValidationError('Código de verificación inválido');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    await this.userRepository.update(user.id, {
+      two_factor_enabled: true,
+      two_factor_enabled_at: now,
+      two_factor_last_step: step,
+      two_factor_recovery_codes: recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode))
+    });
+
+    return { recoveryCodes };
+  }
+
+  /**
+   * Check a TOTP code or a recovery code. Accepted codes are spent atomically:
+   * a TOTP step can't be replayed and a recovery code is removed.
+   * @param {Object} user - User with two-factor enabled
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @returns {Promise<Object|null>} { method, recoveryCodesRemaining } or null when invalid
+   */
+  async verifySecondFactor(user, { code, recoveryCode } = {}, now = new Date()) {
+    if (!user.two_factor_enabled || !user.two_factor_secret) {
+      return null;
+    }
+
+    const storedCodes = user.two_factor_recovery_codes || [];
+
+    if (code) {
+      const step = this.totp.verify(this.readSecret(user), code, now, this.config.window);
+      if (step === null || !(await this.userRepository.claimTwoFactorStep(user.id, step))) {
+        return null;
+      }
+
+      return { method: 'totp', recoveryCodesRemaining: storedCodes.length };
+    }
+
+    if (recoveryCode) {
+      const hash = this.hashRecoveryCode(recoveryCode);
+      const match = storedCodes.find(stored => TokenService.safeEqual(stored, hash));
+      if (!match) {
+        return null;
+      }
+
+      // Spent by a parallel request since this user was loaded
+      const remaining = await this.userRepository.consumeRecoveryCode(user.id, match);
+      if (!remaining) {
+        return null;
+      }
+
+      console.warn('🔑 Recovery code used:', { userId: user.id, remaining: remaining.length });
+      return { method: 'recovery_code', recoveryCodesRemaining: remaining.length };
+    }
+
+    return null;
+  }
+
+  // Turn two-factor off - needs the password and a valid second factor
+  async disable(userId, { password, code, recoveryCode }, now = new Date()) {
+    const user = await this.findUser(userId);
+
+    if (!user.two_factor_enabled) {
+      throw new BadRequestError('La verificación en dos pasos no está activada');
+    }
+
+    if (this.isRequiredFor(user)) {
+      throw new ForbiddenError('Tu rol requiere la verificación en dos pasos', 'two_factor');
+    }
+
+    const isValidPassword = await HashService.verifyPassword(password, user.password);
+    if (!isValidPassword || !(await this.verifySecondFactor(user, { code, recoveryCode }, now))) {
+      throw new ValidationError('Contraseña o código de verificación inválido');
+    }
+
+    await this.userRepository.update(user.id, {
+      two_factor_enabled: false,
+      two_factor_secret: null,
+      two_factor_enabled_at: null,
+      two_factor_last_step: null,
+      two_factor_recovery_codes: []
+    });
+  }
+
+  // Replace every recovery code - the old ones stop working
+  async regenerateRecoveryCodes(userId, { code, recoveryCode }, now = new Date()) {
+    const user = await this.findUser(userId);
+
+    if (!(await this.verifySecondFactor(user, { code, recoveryCode }, now))) {
+      throw new ValidationError('Código de verificación inválido');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    await this.userRepository.update(user.id, {
+      two_factor_recovery_codes: recoveryCodes.map(item => this.hashRecoveryCode(item))
+    });
+
+    return { recoveryCodes };
+  }
+
+  // Challenge token handed out after the password step ('login' or 'enroll')
+  createChallenge(user, purpose) {
+    return this.jwtService.generateChallengeToken(
+      { userId: user.id, purpose },
+      this.config.challengeTtlMinutes * 60
+    );
+  }
+
+  // Resolve a challenge back to its user; the purpose must match the step being completed
+  async resolveChallenge(challengeToken, purpose) {
+    let decoded;
+    try {
+      decoded = this.jwtService.verifyChallengeToken(challengeToken);
+    } catch (error) {
+      throw new UnauthorizedError('Token de verificación inválido o expirado');
+    }
+
+    if (decoded.purpose !== purpose) {
+      throw new UnauthorizedError('Token de verificación inválido o expirado');
+    }
+
+    const user = await this.userRepository.findById(decoded.userId);
+    if (!user || user.status === 'suspended' || user.status === 'deleted') {
+      throw new UnauthorizedError('Token de verificación inválido o expirado');
+    }
+
+    return user;
+  }
+
+  // Codes like "3f9a1-c07be", easy to type from a printed sheet
+  generateRecoveryCodes(count = this.config.recoveryCodeCount) {
+    return Array.from({ length: count }, () => {
+      const raw = TokenService.generateToken(5);
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  hashRecoveryCode(recoveryCode) {
+    return TokenService.hashToken(String(recoveryCode).trim().toLowerCase());
+  }
+
+  readSecret(user) {
+    return this.totp.decryptSecret(user.two_factor_secret, this.config.encryptionKey);
+  }
+}
+
+export default new TwoFactorService();
+export { TwoFactorService };
@@ -4,9 +4,12 @@
 import UserRepository from '../repositories/UserRepository.js';
 import HashService from '../utils/HashService.js';
 import { ValidationError } from '../utils/errors.js';
-import { deleteFile } from './uploadService.js';
+import { deleteFile, moveToStorage, storage } from './uploadService.js';
 import profileObserver from '../observers/ProfileObserver.js';
+import { NOTIFICATION_EVENT_TYPES, resolvePreferences } from '../config/notificationPreferences.js';
 import { Op } from 'sequelize';
+import path from 'path';
+import crypto from 'crypto';
 
 class UserService {
   constructor(userRepository = UserRepository) {
@@ -137,6 +140,10 @@ class UserService {
   // Upload avatar separately (Single Responsibility)
   async uploadAvatar(userId, avatarFile) {
     try {
+      if (!avatarFile) {
+        throw new Error('No se proporcionó archivo');
+      }
+
       const user = await this.userRepository.findById(userId);
       
       if (!user) {
@@ -180,13 +187,8 @@ class UserService {
   // Interface Segregation: Separate avatar deletion logic
   async deleteOldAvatar(avatarUrl) {
     try {
-      if (avatarUrl.startsWith('http')) {
-        // Extract relative path for deletion
-        const relativePath = avatarUrl.replace('http://localhost:3001', '');
-        await deleteFile(relativePath);
-      } else {
-        await deleteFile(avatarUrl);
-      }
+      // Accepts the public URL; avatars hosted elsewhere are left alone
+      await deleteFile(avatarUrl);
     } catch (deleteError) {
       console.warn('Could not delete old avatar:', deleteError.message);
       // Don't fail the entire operation for avatar deletion issues
@@ -196,26 +198,11 @@ class UserService {
   // Dependency Inversion: Abstract avatar processing
   async processAvatarUpload(avatarFile) {
     try {
-      const timestamp = Date.now();
-      const filename = `avatar-${timestamp}-${avatarFile.originalname}`;
-      const uploadPath = `/uploads/profiles/${filename}`;
-      
-      // Move file to profiles directory
-      const fs = await import('fs');
-      const path = await import('path');
-      
-      const sourceFile = avatarFile.path;
-      const targetDir = path.join(process.cwd(), 'public', 'uploads', 'profiles');
-      const targetFile = path.join(targetDir, filename);
-      
-      // Ensure directory exists
-      await fs.promises.mkdir(targetDir, { recursive: true });
-      
-      // Move file
-      await fs.promises.rename(sourceFile, targetFile);
-      
-      const fullUrl = `http://localhost:3001${uploadPath}`;
-      return fullUrl;
+      const extension = path.extname(avatarFile.originalname).toLowerCase();
+      const key = await moveToStorage(avatarFile, `avatars/${crypto.randomUUID()}${extension}`);
+
+      // Avatars stay public: their URL is stored as is
+      return storage.publicUrl(key);
     } catch (error) {
       throw new Error(`Error processing avatar upload: ${error.message}`);
     }
@@ -261,7 +248,7 @@ class UserService {
     }
   }
 
-  // Get user settings/preferences
+  // Get user settings/preferences (defaults filled in)
   async getUserSettings(userId) {
     try {
       const user = await this.userRepository.findById(userId);
@@ -271,7 +258,8 @@ class UserService {
       }
 
       return {
-        preferences: user.preferences || {},
+        preferences: resolvePreferences(user.preferences),
+        notification_types: this.getNotificationTypes(),
         userId: user.id
       };
     } catch (error) {
@@ -279,7 +267,7 @@ class UserService {
     }
   }
 
-  // Update user settings/preferences
+  // Update user settings/preferences - validated input is merged over the stored values
   async updateUserSettings(userId, preferences) {
     try {
       const user = await this.userRepository.findById(userId);
@@ -288,54 +276,43 @@ class UserService {
         throw new Error('Usuario no encontrado');
       }
 
-      await this.userRepository.update(userId, { preferences });
+      const merged = this.mergePreferences(user.preferences, preferences);
+      await this.userRepository.update(userId, { preferences: merged });
 
       return {
         message: 'Configuración actualizada exitosamente',
-        preferences: preferences
+        preferences: resolvePreferences(merged)
       };
     } catch (error) {
       throw new Error(`Error updating user settings: ${error.message}`);
     }
   }
 
-  // Upload user avatar
-  async uploadAvatar(userId, avatarFile) {
-    try {
-      if (!avatarFile) {
-        throw new Error('No se proporcionó archivo');
-      }
-
-      const user = await this.userRepository.findById(userId);
-      
-      if (!user) {
-        throw new Error('Usuario no encontrado');
-      }
+  // Merge per event type so a partial update doesn't wipe the other channels
+  mergePreferences(stored = {}, changes = {}) {
+    const current = stored || {};
+    const notifications = { ...(current.notifications || {}) };
 
-      // Delete old avatar if exists
-      if (user.profile_picture) {
-        try {
-          await deleteFile(user.profile_picture);
-        } catch (deleteError) {
-          console.warn('Could not delete old avatar:', deleteError.message);
-        }
-      }
+    for (const [eventType, channels] of Object.entries(changes.notifications || {})) {
+      notifications[eventType] = { ...(notifications[eventType] || {}), ...channels };
+    }
 
-      // Update user with new avatar path
-      const avatarPath = avatarFile.path.replace(/\\/g, '/').replace(process.cwd().replace(/\\/g, '/') + '/public', '');
-      
-      const updatedUser = await this.userRepository.update(userId, { 
-        profile_picture: avatarPath 
-      });
+    return {
+      ...current,
+      ...changes,
+      digest: { ...(current.digest || {}), ...(changes.digest || {}) },
+      notifications
+    };
+  }
 
-      return {
-        message: 'Avatar actualizado exitosamente',
-        avatar_url: avatarPath,
-        user: updatedUser.toSafeObject()
-      };
-    } catch (error) {
-      throw new Error(`Error uploading avatar: ${error.message}`);
-    }
+  // Catalog of configurable notification types for settings screens
+  getNotificationTypes() {
+    return Object.entries(NOTIFICATION_EVENT_TYPES).map(([type, definition]) => ({
+      type,
+      description: definition.description,
+      defaults: definition.defaults,
+      mandatory: definition.mandatory || []
+    }));
   }
 
   // Create new user (for registration)
@@ -434,8 +411,11 @@ class UserService {
     // Hash new password
     const hashedNewPassword = await HashService.hashPassword(newPassword);
     
-    // Update password
-    await this.userRepository.update(userId, { password: hashedNewPassword });
+    // Update password - refresh tokens issued before now stop working
+    await this.userRepository.update(userId, {
+      password: hashedNewPassword,
+      password_changed_at: new Date()
+    });
     
     // Notify observers
     await profileObserver.notify('password.changed', { userId });
@@ -452,15 +432,15 @@ class UserService {
       throw new ValidationError('Usuario no encontrado');
     }
 
-    const oldAvatar = user.avatar;
+    const oldAvatar = user.avatar_url;
 
     // Delete old avatar file if exists
-    if (user.avatar) {
-      await this.deleteOldAvatar(user.avatar);
+    if (user.avatar_url) {
+      await this.deleteOldAvatar(user.avatar_url);
     }
 
     // Update user avatar to null
-    const updatedUser = await this.userRepository.update(userId, { avatar: null });
+    const updatedUser = await this.userRepository.update(userId, { avatar_url: null });
     
     // Notify observers
     await profileObserver.notify('avatar.updated', { 
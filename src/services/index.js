@@ -3,6 +3,11 @@
 
 // Core Services
 export { default as AuthService } from './AuthService.js';
+export { default as SessionService } from './SessionService.js';
+export { default as LoginProtectionService } from './LoginProtectionService.js';
+export { default as TwoFactorService } from './TwoFactorService.js';
+export { default as OidcService } from './OidcService.js';
+export { default as PermissionService } from './PermissionService.js';
 export { default as UserService } from './UserService.js';
 export { default as ResourceService } from './ResourceService.js';
 export { default as CategoryService } from './CategoryService.js';
@@ -11,21 +16,28 @@ export { default as CategoryService } from './CategoryService.js';
 export { default as FacultyService } from './FacultyService.js';
 export { default as CareerService } from './CareerService.js';
 export { default as CourseService } from './CourseService.js';
+export { default as CourseTeacherService } from './CourseTeacherService.js';
+export { default as EnrollmentService } from './EnrollmentService.js';
 export { default as AcademicPeriodService } from './AcademicPeriodService.js';
+export { default as AcademicPeriodLifecycleService } from './AcademicPeriodLifecycleService.js';
 
 // Feature Services
 export { default as SearchService } from './SearchService.js';
 export { default as FavoriteService } from './FavoriteService.js';
 export { default as LikeService } from './LikeService.js';
 export { default as HelpService } from './HelpService.js';
+export { default as NotificationService } from './NotificationService.js';
+export { default as DigestService } from './DigestService.js';
 
 // Administrative Services
 export { default as AdminService } from './AdminService.js';
 export { default as StatsService } from './StatsService.js';
 export { default as ModerationService } from './ModerationService.js';
+export { default as ModerationScopeService } from './ModerationScopeService.js';
 
 // Utility Services
 export { default as JwtService } from './JwtService.js';
+export { default as EmailService } from './EmailService.js';
 export { default as ResourceInteractionService } from './ResourceInteractionService.js';
 export { default as uploadService } from './uploadService.js';
 export { default as validationService } from './validationService.js';
\ No newline at end of file
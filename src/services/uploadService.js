@@ -2,7 +2,14 @@
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
+import createStorageProvider from '../patterns/StorageProvider.js';
+import storageConfig from '../config/storage.js';
+
+// Where uploaded files are kept (config/storage.js); multer only writes temp files
+export const storage = createStorageProvider(storageConfig);
 
 // Create uploads directory if it doesn't exist
 const createUploadsDir = async (dir) => {
@@ -13,27 +20,11 @@ const createUploadsDir = async (dir) => {
     }
 };
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
+// Configure multer for file uploads - temp files, moved into the storage by the services
+const tempStorage = multer.diskStorage({
     destination: async (req, file, cb) => {
-        let uploadPath;
-        
-        switch (file.fieldname) {
-            case 'resource_file':
-                uploadPath = path.join(process.cwd(), 'public', 'uploads', 'resources');
-                break;
-            case 'thumbnail':
-                uploadPath = path.join(process.cwd(), 'public', 'uploads', 'thumbnails');
-                break;
-            case 'profile_picture':
-                uploadPath = path.join(process.cwd(), 'public', 'uploads', 'profiles');
-                break;
-            default:
-                uploadPath = path.join(process.cwd(), 'public', 'uploads', 'general');
-        }
-        
-        await createUploadsDir(uploadPath);
-        cb(null, uploadPath);
+        await createUploadsDir(storageConfig.tempDir);
+        cb(null, storageConfig.tempDir);
     },
     filename: (req, file, cb) => {
         const uniqueName = `${uuidv4()}${path.extname(file.originalname)}`;
@@ -79,7 +70,7 @@ const fileFilter = (req, file, cb) => {
 
 // Create multer instance
 export const upload = multer({
-    storage,
+    storage: tempStorage,
     fileFilter,
     limits: {
         fileSize: 50 * 1024 * 1024, // 50MB
@@ -87,38 +78,76 @@ export const upload = multer({
     }
 });
 
-// Delete file helper
-export const deleteFile = async (filePath) => {
+// CSV uploads for admin imports - kept in memory, never written to public/
+export const csvUpload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        const isCsv = ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype) ||
+            path.extname(file.originalname).toLowerCase() === '.csv';
+
+        if (isCsv) {
+            cb(null, true);
+        } else {
+            cb(new Error('El archivo debe ser un CSV'), false);
+        }
+    },
+    limits: {
+        fileSize: 2 * 1024 * 1024, // 2MB
+        files: 1
+    }
+});
+
+// Delete a stored file by storage key or by the public URL it is served from
+export const deleteFile = async (keyOrUrl) => {
     try {
-        if (filePath) {
-            const fullPath = path.join(process.cwd(), 'public', filePath);
-            await fs.unlink(fullPath);
-            return true;
+        if (!keyOrUrl) {
+            return false;
         }
-        return false;
+
+        const key = storage.keyFromPublicUrl(keyOrUrl) ?? keyOrUrl;
+        if (/^https?:\/\//.test(key)) {
+            return false; // external URL, not ours to delete
+        }
+
+        return await storage.delete(key);
     } catch (error) {
         console.error('Delete file error:', error);
         return false;
     }
 };
 
-// Get file info
-export const getFileInfo = async (filePath) => {
+// Remove a temp file by its absolute path (uploads that weren't kept)
+export const discardFile = async (filePath) => {
     try {
-        const fullPath = path.join(process.cwd(), 'public', filePath);
-        const stats = await fs.stat(fullPath);
-        return {
-            exists: true,
-            size: stats.size,
-            created: stats.birthtime,
-            modified: stats.mtime
-        };
+        await fs.unlink(filePath);
+        return true;
     } catch (error) {
-        return {
-            exists: false,
-            error: error.message
-        };
+        if (error.code !== 'ENOENT') {
+            console.error('Discard file error:', error);
+        }
+        return false;
+    }
+};
+
+// SHA-256 of a file on disk, streamed so large uploads are never held in memory
+export const hashFile = (filePath) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+
+    createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+});
+
+// Move a multer temp file into the storage under `key`; the temp file is removed either way
+export const moveToStorage = async (file, key, provider = storage) => {
+    try {
+        await provider.put(key, createReadStream(file.path), { size: file.size, contentType: file.mimetype });
+    } finally {
+        await discardFile(file.path);
     }
+
+    return key;
 };
 
 // Process uploaded files
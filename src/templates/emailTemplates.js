@@ -0,0 +1,168 @@
+// ✉️ Email templates - localized subject/text/html per template key
+// Placeholders use {{variable}} syntax and are filled by EmailTemplateService
+
+const emailTemplates = {
+  generic: {
+    es: {
+      subject: '{{subject}}',
+      text: 'Hola {{userName}},\n\n{{message}}\n\n— Equipo UniShare',
+      html: '<p>Hola {{userName}},</p><p>{{message}}</p>'
+    },
+    en: {
+      subject: '{{subject}}',
+      text: 'Hi {{userName}},\n\n{{message}}\n\n— The UniShare team',
+      html: '<p>Hi {{userName}},</p><p>{{message}}</p>'
+    }
+  },
+
+  'email.verification': {
+    es: {
+      subject: 'Confirma tu correo en UniShare',
+      text: 'Hola {{userName}},\n\nGracias por registrarte. Confirma tu correo con este enlace (válido por {{expiresInHours}} horas):\n{{verifyUrl}}\n\nSi no creaste esta cuenta, ignora este mensaje.\n\n— Equipo UniShare',
+      html: '<p>Hola {{userName}},</p><p>Gracias por registrarte. Confirma tu correo con este enlace, válido por {{expiresInHours}} horas.</p><p><a href="{{verifyUrl}}">Confirmar correo</a></p><p>Si no creaste esta cuenta, ignora este mensaje.</p>'
+    },
+    en: {
+      subject: 'Confirm your UniShare email',
+      text: 'Hi {{userName}},\n\nThanks for signing up. Confirm your email with this link (valid for {{expiresInHours}} hours):\n{{verifyUrl}}\n\nIf you didn\'t create this account, ignore this message.\n\n— The UniShare team',
+      html: '<p>Hi {{userName}},</p><p>Thanks for signing up. Confirm your email with this link, valid for {{expiresInHours}} hours.</p><p><a href="{{verifyUrl}}">Confirm email</a></p><p>If you didn\'t create this account, ignore this message.</p>'
+    }
+  },
+
+  'password.changed': {
+    es: {
+      subject: 'Contraseña cambiada - Alerta de seguridad',
+      text: 'Hola {{userName}},\n\nLa contraseña de tu cuenta se cambió el {{changedAt}}.\nSi no fuiste tú, restablece tu contraseña de inmediato y contacta al soporte.\n\n— Equipo UniShare',
+      html: '<p>Hola {{userName}},</p><p>La contraseña de tu cuenta se cambió el <strong>{{changedAt}}</strong>.</p><p>Si no fuiste tú, restablece tu contraseña de inmediato y contacta al soporte.</p>'
+    },
+    en: {
+      subject: 'Password changed - Security alert',
+      text: 'Hi {{userName}},\n\nYour account password was changed on {{changedAt}}.\nIf this wasn\'t you, reset your password right away and contact support.\n\n— The UniShare team',
+      html: '<p>Hi {{userName}},</p><p>Your account password was changed on <strong>{{changedAt}}</strong>.</p><p>If this wasn\'t you, reset your password right away and contact support.</p>'
+    }
+  },
+
+  'account.locked': {
+    es: {
+      subject: 'Cuenta bloqueada temporalmente - Alerta de seguridad',
+      text: 'Hola {{userName}},\n\nBloqueamos el inicio de sesión en tu cuenta hasta el {{lockedUntil}} tras {{failures}} intentos fallidos.\nSi no fuiste tú, restablece tu contraseña: al hacerlo la cuenta se desbloquea.\n\n— Equipo UniShare',
+      html: '<p>Hola {{userName}},</p><p>Bloqueamos el inicio de sesión en tu cuenta hasta el <strong>{{lockedUntil}}</strong> tras {{failures}} intentos fallidos.</p><p>Si no fuiste tú, restablece tu contraseña: al hacerlo la cuenta se desbloquea.</p>'
+    },
+    en: {
+      subject: 'Account temporarily locked - Security alert',
+      text: 'Hi {{userName}},\n\nWe locked sign-in to your account until {{lockedUntil}} after {{failures}} failed attempts.\nIf this wasn\'t you, reset your password: doing so unlocks the account.\n\n— The UniShare team',
+      html: '<p>Hi {{userName}},</p><p>We locked sign-in to your account until <strong>{{lockedUntil}}</strong> after {{failures}} failed attempts.</p><p>If this wasn\'t you, reset your password: doing so unlocks the account.</p>'
+    }
+  },
+
+  'password.reset': {
+    es: {
+      subject: 'Restablece tu contraseña',
+      text: 'Hola {{userName}},\n\nRecibimos una solicitud para restablecer tu contraseña. Usa este enlace (válido por {{expiresInMinutes}} minutos):\n{{resetUrl}}\n\nSi no lo solicitaste, ignora este mensaje.\n\n— Equipo UniShare',
+      html: '<p>Hola {{userName}},</p><p>Recibimos una solicitud para restablecer tu contraseña. El enlace es válido por {{expiresInMinutes}} minutos.</p><p><a href="{{resetUrl}}">Restablecer contraseña</a></p><p>Si no lo solicitaste, ignora este mensaje.</p>'
+    },
+    en: {
+      subject: 'Reset your password',
+      text: 'Hi {{userName}},\n\nWe received a request to reset your password. Use this link (valid for {{expiresInMinutes}} minutes):\n{{resetUrl}}\n\nIf you didn\'t request it, ignore this message.\n\n— The UniShare team',
+      html: '<p>Hi {{userName}},</p><p>We received a request to reset your password. The link is valid for {{expiresInMinutes}} minutes.</p><p><a href="{{resetUrl}}">Reset password</a></p><p>If you didn\'t request it, ignore this message.</p>'
+    }
+  },
+
+  'moderation.approved': {
+    es: {
+      subject: 'Tu recurso "{{resourceTitle}}" fue aprobado',
+      text: 'Hola {{userName}},\n\nTu recurso "{{resourceTitle}}" fue aprobado y ya está publicado.\n{{resourceUrl}}\n\n— Equipo UniShare',
+      html: '<p>Hola {{userName}},</p><p>Tu recurso <strong>{{resourceTitle}}</strong> fue aprobado y ya está publicado.</p><p><a href="{{resourceUrl}}">Ver recurso</a></p>'
+    },
+    en: {
+      subject: 'Your resource "{{resourceTitle}}" was approved',
+      text: 'Hi {{userName}},\n\nYour resource "{{resourceTitle}}" was approved and is now published.\n{{resourceUrl}}\n\n— The UniShare team',
+      html: '<p>Hi {{userName}},</p><p>Your resource <strong>{{resourceTitle}}</strong> was approved and is now published.</p><p><a href="{{resourceUrl}}">View resource</a></p>'
+    }
+  },
+
+  'moderation.rejected': {
+    es: {
+      subject: 'Tu recurso "{{resourceTitle}}" fue rechazado',
+      text: 'Hola {{userName}},\n\nTu recurso "{{resourceTitle}}" fue rechazado.\nMotivo: {{reason}}\n\n— Equipo UniShare',
+      html: '<p>Hola {{userName}},</p><p>Tu recurso <strong>{{resourceTitle}}</strong> fue rechazado.</p><p>Motivo: {{reason}}</p>'
+    },
+    en: {
+      subject: 'Your resource "{{resourceTitle}}" was rejected',
+      text: 'Hi {{userName}},\n\nYour resource "{{resourceTitle}}" was rejected.\nReason: {{reason}}\n\n— The UniShare team',
+      html: '<p>Hi {{userName}},</p><p>Your resource <strong>{{resourceTitle}}</strong> was rejected.</p><p>Reason: {{reason}}</p>'
+    }
+  },
+
+  'moderation.changes_requested': {
+    es: {
+      subject: 'Tu recurso "{{resourceTitle}}" requiere cambios',
+      text: 'Hola {{userName}},\n\nUn moderador solicitó cambios en tu recurso "{{resourceTitle}}".\nComentario: {{reason}}\n{{resourceUrl}}\n\n— Equipo UniShare',
+      html: '<p>Hola {{userName}},</p><p>Un moderador solicitó cambios en tu recurso <strong>{{resourceTitle}}</strong>.</p><p>Comentario: {{reason}}</p><p><a href="{{resourceUrl}}">Editar recurso</a></p>'
+    },
+    en: {
+      subject: 'Your resource "{{resourceTitle}}" needs changes',
+      text: 'Hi {{userName}},\n\nA moderator requested changes to your resource "{{resourceTitle}}".\nComment: {{reason}}\n{{resourceUrl}}\n\n— The UniShare team',
+      html: '<p>Hi {{userName}},</p><p>A moderator requested changes to your resource <strong>{{resourceTitle}}</strong>.</p><p>Comment: {{reason}}</p><p><a href="{{resourceUrl}}">Edit resource</a></p>'
+    }
+  },
+
+  digest: {
+    es: {
+      subject: 'Tu resumen de UniShare: {{resourcesCount}} recursos nuevos, {{repliesCount}} respuestas',
+      text: 'Hola {{userName}},\n\nEsto es lo nuevo desde {{since}}.\n\nRecursos nuevos en tus cursos y categorías:\n{{resources}}\n\nRespuestas a tus comentarios:\n{{replies}}\n\n{{appUrl}}\nPuedes cambiar la frecuencia de este resumen en tu configuración.\n\n— Equipo UniShare',
+      html: '<p>Hola {{userName}},</p><p>Esto es lo nuevo desde <strong>{{since}}</strong>.</p><h3>Recursos nuevos en tus cursos y categorías</h3>{{resources}}<h3>Respuestas a tus comentarios</h3>{{replies}}<p><a href="{{appUrl}}">Ir a UniShare</a></p><p style="color: #888;">Puedes cambiar la frecuencia de este resumen en tu configuración.</p>'
+    },
+    en: {
+      subject: 'Your UniShare digest: {{resourcesCount}} new resources, {{repliesCount}} replies',
+      text: 'Hi {{userName}},\n\nHere is what is new since {{since}}.\n\nNew resources in your courses and categories:\n{{resources}}\n\nReplies to your comments:\n{{replies}}\n\n{{appUrl}}\nYou can change how often you get this digest in your settings.\n\n— The UniShare team',
+      html: '<p>Hi {{userName}},</p><p>Here is what is new since <strong>{{since}}</strong>.</p><h3>New resources in your courses and categories</h3>{{resources}}<h3>Replies to your comments</h3>{{replies}}<p><a href="{{appUrl}}">Go to UniShare</a></p><p style="color: #888;">You can change how often you get this digest in your settings.</p>'
+    }
+  },
+
+  'report.resolved': {
+    es: {
+      subject: 'Tu reporte sobre "{{resourceTitle}}" fue revisado',
+      text: 'Hola {{userName}},\n\nGracias por tu reporte sobre "{{resourceTitle}}". Nuestro equipo lo revisó.\nResultado: {{outcome}}\n{{resolutionNotes}}\n\n— Equipo UniShare',
+      html: '<p>Hola {{userName}},</p><p>Gracias por tu reporte sobre <strong>{{resourceTitle}}</strong>. Nuestro equipo lo revisó.</p><p>Resultado: {{outcome}}</p><p>{{resolutionNotes}}</p>'
+    },
+    en: {
+      subject: 'Your report about "{{resourceTitle}}" was reviewed',
+      text: 'Hi {{userName}},\n\nThanks for your report about "{{resourceTitle}}". Our team reviewed it.\nOutcome: {{outcome}}\n{{resolutionNotes}}\n\n— The UniShare team',
+      html: '<p>Hi {{userName}},</p><p>Thanks for your report about <strong>{{resourceTitle}}</strong>. Our team reviewed it.</p><p>Outcome: {{outcome}}</p><p>{{resolutionNotes}}</p>'
+    }
+  }
+};
+
+// Localized labels for Report.action_taken, used by the report.resolved template
+export const reportOutcomeLabels = {
+  es: {
+    dismissed: 'El reporte fue desestimado',
+    no_action: 'No se requirió ninguna acción',
+    warning_issued: 'Se envió una advertencia al autor',
+    content_removed: 'El contenido fue retirado',
+    user_suspended: 'La cuenta del autor fue suspendida',
+    content_modified: 'El contenido fue modificado',
+    category_changed: 'Se corrigió la categoría del recurso'
+  },
+  en: {
+    dismissed: 'The report was dismissed',
+    no_action: 'No action was required',
+    warning_issued: 'A warning was issued to the author',
+    content_removed: 'The content was removed',
+    user_suspended: 'The author\'s account was suspended',
+    content_modified: 'The content was modified',
+    category_changed: 'The resource category was corrected'
+  }
+};
+
+/**
+ * Build a per-locale value for a label key, e.g. { es: '...', en: '...' }
+ * @param {Object} labels - Labels grouped by locale
+ * @param {string} key - Label key
+ * @returns {Object} Localized value accepted by EmailTemplateService
+ */
+export const localizedLabel = (labels, key) => Object.fromEntries(
+  Object.entries(labels).map(([locale, values]) => [locale, values[key] || key])
+);
+
+export default emailTemplates;
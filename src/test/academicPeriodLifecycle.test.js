@@ -0,0 +1,183 @@
+/**
+ * PRUEBAS DE INTEGRACIÓN - CICLO DE VIDA DE LOS PERÍODOS ACADÉMICOS
+ *
+ * Tests para la automatización del calendario académico:
+ * - Los estados avanzan con start_date/end_date (upcoming → active → completed)
+ * - Los días se cuentan en la zona horaria configurada del campus
+ * - Siempre hay un único período actual (is_current)
+ * - Eventos al empezar, terminar y cambiar de período actual
+ * - No se pueden crear períodos que se solapen
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { AcademicPeriodLifecycleService, statusOnDate, pickCurrent, dayInTimeZone } from '../services/AcademicPeriodLifecycleService.js';
+import { AcademicPeriodService } from '../services/AcademicPeriodService.js';
+
+// Repositorio de períodos en memoria con los métodos que usan ambos servicios
+class InMemoryPeriodRepository {
+  constructor(periods) {
+    this.periods = periods.map(period => ({ status: 'upcoming', is_current: false, ...period }));
+  }
+
+  async findForLifecycle() {
+    return this.periods.filter(period => period.status !== 'cancelled').map(period => ({ ...period }));
+  }
+
+  async setStatus(id, status) {
+    this.get(id).status = status;
+  }
+
+  async setCurrent(id) {
+    for (const period of this.periods) {
+      period.is_current = period.id === id;
+    }
+  }
+
+  async findOverlapping(start, end, excludeId = null) {
+    return this.periods.filter(period => period.status !== 'cancelled' && period.id !== excludeId &&
+      period.start_date <= end && period.end_date >= start);
+  }
+
+  async findById(id) {
+    return this.get(id) || null;
+  }
+
+  async existsByYearAndType() {
+    return false;
+  }
+
+  async create(data) {
+    const period = { id: `p-${this.periods.length + 1}`, ...data };
+    this.periods.push(period);
+    return period;
+  }
+
+  async update(id, data) {
+    return Object.assign(this.get(id), data);
+  }
+
+  get(id) {
+    return this.periods.find(period => period.id === id);
+  }
+}
+
+class RecordingObserver {
+  constructor() {
+    this.events = [];
+  }
+
+  async notify(event, data) {
+    this.events.push([event, data]);
+  }
+}
+
+const eventNames = (observer) => observer.events.map(([event, data]) =>
+  `${event}:${data.period?.code || `${data.from?.code || '-'}>${data.to.code}`}`);
+
+describe('📅 Pruebas del Ciclo de Vida de los Períodos Académicos', () => {
+  let periods;
+  let observer;
+  let lifecycle;
+
+  beforeEach(() => {
+    periods = new InMemoryPeriodRepository([
+      { id: 'p-1', code: '2026-1', start_date: '2026-02-01', end_date: '2026-06-30', status: 'active', is_current: true },
+      { id: 'p-2', code: '2026-2', start_date: '2026-08-01', end_date: '2026-12-15' }
+    ]);
+    observer = new RecordingObserver();
+    lifecycle = new AcademicPeriodLifecycleService(periods, observer, { enabled: false });
+  });
+
+  test('✅ El estado depende de las fechas y el actual es el que está en curso', () => {
+    const period = { start_date: '2026-02-01', end_date: '2026-06-30' };
+
+    expect(statusOnDate(period, '2026-01-31')).toBe('upcoming');
+    expect(statusOnDate(period, '2026-02-01')).toBe('active');
+    expect(statusOnDate(period, '2026-06-30')).toBe('active');
+    expect(statusOnDate(period, '2026-07-01')).toBe('completed');
+
+    expect(pickCurrent([
+      { id: 'old', status: 'completed', start_date: '2025-08-01', end_date: '2025-12-15' },
+      { id: 'next', status: 'upcoming', start_date: '2026-08-01', end_date: '2026-12-15' }
+    ]).id).toBe('next');
+    expect(pickCurrent([{ id: 'old', status: 'completed', start_date: '2025-08-01', end_date: '2025-12-15' }]).id).toBe('old');
+    expect(pickCurrent([])).toBeNull();
+  });
+
+  test('😴 Sin cambios de fecha no hace nada', async () => {
+    const summary = await lifecycle.run(new Date('2026-03-15T12:00:00Z'));
+
+    expect(summary).toEqual({ started: [], completed: [], current: '2026-1', rolledOver: false });
+    expect(observer.events).toEqual([]);
+  });
+
+  test('🔄 Al terminar un período el siguiente pasa a ser el actual', async () => {
+    const summary = await lifecycle.run(new Date('2026-07-01T08:00:00Z'));
+
+    expect(summary).toEqual({ started: [], completed: ['2026-1'], current: '2026-2', rolledOver: true });
+    expect(periods.get('p-1')).toMatchObject({ status: 'completed', is_current: false });
+    expect(periods.get('p-2')).toMatchObject({ status: 'upcoming', is_current: true });
+    expect(eventNames(observer)).toEqual(['period.completed:2026-1', 'period.rolled_over:2026-1>2026-2']);
+
+    // Al empezar el siguiente no hay otro cambio de período actual
+    observer.events = [];
+    await lifecycle.run(new Date('2026-08-01T08:00:00Z'));
+    expect(eventNames(observer)).toEqual(['period.started:2026-2']);
+  });
+
+  test('🕛 El día cambia a medianoche en la zona horaria del campus, no en UTC', async () => {
+    // 2026-07-01 03:00 UTC sigue siendo 30 de junio en Bogotá (UTC-5)
+    lifecycle = new AcademicPeriodLifecycleService(periods, observer, { enabled: false, timeZone: 'America/Bogota' });
+
+    await lifecycle.run(new Date('2026-07-01T03:00:00Z'));
+    expect(periods.get('p-1').status).toBe('active');
+
+    await lifecycle.run(new Date('2026-07-01T05:00:00Z'));
+    expect(periods.get('p-1').status).toBe('completed');
+
+    expect(dayInTimeZone(new Date('2026-07-01T03:00:00Z'))).toBe('2026-07-01');
+    expect(dayInTimeZone(new Date('2026-06-30T23:30:00Z'), 'Europe/Madrid')).toBe('2026-07-01');
+  });
+
+  test('⏭️ Un período que pasó entero con el servidor caído empieza y termina', async () => {
+    await lifecycle.run(new Date('2027-01-10T08:00:00Z'));
+
+    expect(eventNames(observer)).toEqual([
+      'period.completed:2026-1',
+      'period.started:2026-2',
+      'period.completed:2026-2',
+      'period.rolled_over:2026-1>2026-2'
+    ]);
+    expect(periods.get('p-2')).toMatchObject({ status: 'completed', is_current: true });
+  });
+
+  test('☝️ Debe dejar un único período actual y no retroceder estados', async () => {
+    periods.get('p-2').is_current = true;
+    periods.get('p-2').status = 'completed';
+
+    const summary = await lifecycle.run(new Date('2026-03-15T12:00:00Z'));
+
+    expect(summary.rolledOver).toBe(false);
+    expect(periods.periods.filter(period => period.is_current).map(period => period.id)).toEqual(['p-1']);
+    expect(periods.get('p-2').status).toBe('completed');
+    expect(observer.events).toEqual([]);
+  });
+
+  test('🚫 No se pueden crear ni mover períodos que se solapen', async () => {
+    const service = new AcademicPeriodService(periods);
+
+    await expect(service.createAcademicPeriod({ code: '2026-V', start_date: '2026-06-15', end_date: '2026-07-31' }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'El período se solapa con: 2026-1' });
+    await expect(service.createAcademicPeriod({ code: '2026-X', start_date: '2026-08-01', end_date: '2026-07-01' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const summer = await service.createAcademicPeriod({
+      code: '2026-V', start_date: '2026-07-01', end_date: '2026-07-31', is_current: true
+    });
+    expect(summer.is_current).toBeUndefined();
+
+    // Mover un período respecto a sí mismo no es solaparse; invadir el siguiente sí
+    await expect(service.updateAcademicPeriod('p-2', { start_date: '2026-08-03' })).resolves.toMatchObject({ start_date: '2026-08-03' });
+    await expect(service.updateAcademicPeriod('p-2', { start_date: '2026-07-15' })).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
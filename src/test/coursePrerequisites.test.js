@@ -0,0 +1,153 @@
+/**
+ * PRUEBAS DE INTEGRACIÓN - PRERREQUISITOS Y MALLA CURRICULAR
+ *
+ * Tests para el grafo de prerrequisitos de una carrera:
+ * - Los prerrequisitos deben existir, ser de la misma carrera y de un semestre anterior
+ * - El grafo no puede tener ciclos (ni un curso ser su propio prerrequisito)
+ * - Malla por semestres y cadena transitiva de prerrequisitos/dependientes
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { CourseService } from '../services/CourseService.js';
+
+// Repositorio de cursos en memoria con los métodos que usa CourseService
+class InMemoryCourseRepository {
+  constructor(courses) {
+    this.courses = new Map(courses.map(course => [course.id, { status: 'active', prerequisites: [], ...course }]));
+  }
+
+  async findById(id) {
+    return this.courses.get(id) || null;
+  }
+
+  async findGraphByCareer(careerId) {
+    return [...this.courses.values()].filter(course => course.career_id === careerId);
+  }
+
+  async findDependents(courseId) {
+    return [...this.courses.values()].filter(course => course.prerequisites.includes(courseId));
+  }
+
+  async existsByCode() {
+    return false;
+  }
+
+  async create(data) {
+    const course = { id: `c-${this.courses.size + 1}`, status: 'active', ...data };
+    this.courses.set(course.id, course);
+    return course;
+  }
+
+  async update(id, data) {
+    return Object.assign(this.courses.get(id), data);
+  }
+}
+
+// Ids con formato UUID: los prerrequisitos desconocidos se buscan en base de datos
+const ID = {
+  calc1: '00000000-0000-4000-8000-000000000001',
+  calc2: '00000000-0000-4000-8000-000000000002',
+  calc3: '00000000-0000-4000-8000-000000000003',
+  prog: '00000000-0000-4000-8000-000000000004',
+  anat: '00000000-0000-4000-8000-000000000005',
+  old: '00000000-0000-4000-8000-000000000006',
+  ghost: '00000000-0000-4000-8000-0000000000ff'
+};
+
+describe('🧭 Pruebas de Prerrequisitos y Malla Curricular', () => {
+  let courses;
+  let service;
+
+  beforeEach(() => {
+    courses = new InMemoryCourseRepository([
+      { id: ID.calc1, code: 'MAT101', name: 'Cálculo I', semester: 1, credits: 4, career_id: 'k-ing' },
+      { id: ID.prog, code: 'INF101', name: 'Programación', semester: 1, credits: 5, career_id: 'k-ing' },
+      { id: ID.calc2, code: 'MAT201', name: 'Cálculo II', semester: 2, credits: 4, career_id: 'k-ing', prerequisites: [ID.calc1] },
+      { id: ID.calc3, code: 'MAT301', name: 'Cálculo III', semester: 3, credits: 4, career_id: 'k-ing', prerequisites: [ID.calc2, ID.prog] },
+      { id: ID.old, code: 'MAT099', name: 'Nivelación', semester: 1, credits: 2, career_id: 'k-ing', status: 'inactive' },
+      { id: ID.anat, code: 'MED101', name: 'Anatomía', semester: 1, credits: 6, career_id: 'k-med' }
+    ]);
+    service = new CourseService(courses, {
+      findById: async (id) => (id === 'k-ing' ? { id: 'k-ing', name: 'Ingeniería', code: 'ING' } : null)
+    });
+  });
+
+  test('✅ Debe aceptar prerrequisitos válidos y quitar duplicados', async () => {
+    const course = await service.createCourse({
+      code: 'MAT401', semester: 4, career_id: 'k-ing', prerequisites: [ID.calc3, ID.calc3, ID.prog]
+    });
+
+    expect(course.prerequisites).toEqual([ID.calc3, ID.prog]);
+  });
+
+  test('🚫 Prerrequisitos inexistentes, eliminados, de otra carrera o del mismo semestre', async () => {
+    const error = await service.validatePrerequisites(null, {
+      career_id: 'k-ing',
+      semester: 2,
+      prerequisites: [ID.ghost, 'no-es-uuid', ID.old, ID.anat, ID.calc2]
+    }).catch(caught => caught);
+
+    expect(error.statusCode).toBe(400);
+    expect(error.details).toEqual([
+      `El prerrequisito ${ID.ghost} no existe`,
+      'El prerrequisito no-es-uuid no existe',
+      `El prerrequisito ${ID.old} no existe`,
+      'MED101 pertenece a otra carrera',
+      'MAT201 (semestre 2) debe estar en un semestre anterior al 2'
+    ]);
+  });
+
+  test('🔁 No debe permitir que un curso sea su propio prerrequisito ni formar ciclos', async () => {
+    await expect(service.updateCourse(ID.calc2, { prerequisites: [ID.calc2] }))
+      .rejects.toMatchObject({ details: ['Un curso no puede ser prerrequisito de sí mismo'] });
+
+    // Datos heredados que rompen el orden de semestres: MAT101 ya depende de MAT301
+    courses.courses.get(ID.calc1).prerequisites = [ID.calc3];
+    const error = await service.validatePrerequisites(ID.calc3, {
+      career_id: 'k-ing', semester: 3, prerequisites: [ID.calc2]
+    }).catch(caught => caught);
+
+    expect(error.details).toContain('Los prerrequisitos forman un ciclo: MAT301 → MAT201 → MAT101 → MAT301');
+  });
+
+  test('📅 Mover un curso no puede dejar a sus dependientes antes que él', async () => {
+    await expect(service.updateCourse(ID.calc2, { semester: 3 }))
+      .rejects.toMatchObject({ details: ['MAT301 (semestre 3) depende de este curso y debe quedar en un semestre posterior'] });
+
+    await expect(service.updateCourse(ID.prog, { career_id: 'k-med' }))
+      .rejects.toMatchObject({ details: ['MAT301 depende de este curso y pertenece a otra carrera'] });
+
+    // Cambios que no tocan el grafo no se revalidan
+    await expect(service.updateCourse(ID.calc2, { name: 'Cálculo Integral' })).resolves.toMatchObject({ semester: 2 });
+  });
+
+  test('🗺️ La malla agrupa por semestre con sus aristas y créditos', async () => {
+    const curriculum = await service.getCurriculum('k-ing');
+
+    expect(curriculum.career).toEqual({ id: 'k-ing', name: 'Ingeniería', code: 'ING' });
+    expect(curriculum.semesters.map(semester => [semester.semester, semester.courses.map(course => course.code), semester.credits]))
+      .toEqual([[1, ['MAT101', 'INF101'], 9], [2, ['MAT201'], 4], [3, ['MAT301'], 4]]);
+    expect(curriculum.edges).toEqual([
+      { from: ID.calc1, to: ID.calc2 },
+      { from: ID.calc2, to: ID.calc3 },
+      { from: ID.prog, to: ID.calc3 }
+    ]);
+    expect(curriculum.total_credits).toBe(17);
+
+    await expect(service.getCurriculum('k-nada')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('⛓️ La cadena incluye prerrequisitos y dependientes transitivos con su distancia', async () => {
+    const chain = await service.getPrerequisiteChain(ID.calc3);
+
+    expect(chain.course).toMatchObject({ code: 'MAT301', semester: 3 });
+    expect(chain.prerequisites.map(item => [item.code, item.depth])).toEqual([['INF101', 1], ['MAT101', 2], ['MAT201', 1]]);
+    expect(chain.dependents).toEqual([]);
+
+    const base = await service.getPrerequisiteChain(ID.calc1);
+    expect(base.prerequisites).toEqual([]);
+    expect(base.dependents.map(item => [item.code, item.depth])).toEqual([['MAT201', 1], ['MAT301', 2]]);
+
+    await expect(service.getPrerequisiteChain(ID.ghost)).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * PRUEBAS DE INTEGRACIÓN - GESTIÓN DEL CURSO POR SU PROFESOR
+ *
+ * Tests para las facultades delegadas al profesor asignado:
+ * - Acceso al curso: manage_courses o ser el profesor asignado
+ * - Fijar y verificar recursos solo de su curso
+ * - Editar temario, descripción y metadata (no código, créditos ni profesor)
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { CourseTeacherService } from '../services/CourseTeacherService.js';
+
+class InMemoryRepository {
+  constructor(items) {
+    this.items = new Map(items.map(item => [item.id, { ...item }]));
+  }
+
+  async findById(id) {
+    return this.items.get(id) || null;
+  }
+
+  async update(id, data) {
+    Object.assign(this.items.get(id), data);
+    return this.items.get(id);
+  }
+}
+
+describe('👩‍🏫 Pruebas de Gestión del Curso por el Profesor', () => {
+  let courses;
+  let resources;
+  let service;
+
+  const teacher = { id: 'u-teacher', role: 'teacher' };
+  const otherTeacher = { id: 'u-other', role: 'teacher' };
+
+  beforeEach(() => {
+    courses = new InMemoryRepository([
+      { id: 'c-calc', code: 'MAT101', teacher_id: 'u-teacher', description: 'Cálculo', metadata: {} },
+      { id: 'c-fis', code: 'FIS101', teacher_id: 'u-other', metadata: {} }
+    ]);
+    resources = new InMemoryRepository([
+      { id: 'r-apuntes', course_id: 'c-calc', status: 'published' },
+      { id: 'r-borrador', course_id: 'c-calc', status: 'draft' },
+      { id: 'r-fisica', course_id: 'c-fis', status: 'published' },
+      { id: 'r-suelto', course_id: null, status: 'published' }
+    ]);
+    service = new CourseTeacherService(courses, resources);
+  });
+
+  test('✅ El profesor asignado y manage_courses acceden al curso', async () => {
+    expect((await service.getCourseAccess(teacher, 'c-calc')).level).toBe('teacher');
+    expect((await service.getCourseAccess(otherTeacher, 'c-calc', true)).level).toBe('manager');
+  });
+
+  test('🚫 Otro profesor no gestiona el curso y un curso inexistente da 404', async () => {
+    await expect(service.getCourseAccess(otherTeacher, 'c-calc')).rejects.toMatchObject({ statusCode: 403 });
+    await expect(service.getCourseAccess(teacher, 'c-nada')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('📌 Debe fijar y desfijar recursos publicados del curso', async () => {
+    const now = new Date('2026-03-01T10:00:00Z');
+    const { course } = await service.getCourseAccess(teacher, 'c-calc');
+
+    const pinned = await service.setPinned(course, 'r-apuntes', true, teacher, now);
+    expect(pinned).toMatchObject({ pinned_at: now, pinned_by: 'u-teacher' });
+
+    const unpinned = await service.setPinned(course, 'r-apuntes', false, teacher);
+    expect(unpinned).toMatchObject({ pinned_at: null, pinned_by: null });
+
+    await expect(service.setPinned(course, 'r-borrador', true, teacher))
+      .rejects.toThrow('Solo se pueden fijar recursos publicados');
+  });
+
+  test('🚫 No debe tocar recursos de otros cursos', async () => {
+    const { course } = await service.getCourseAccess(teacher, 'c-calc');
+
+    await expect(service.setPinned(course, 'r-fisica', true, teacher)).rejects.toMatchObject({ statusCode: 404 });
+    await expect(service.setVerified(course, 'r-suelto', true, teacher)).rejects.toMatchObject({ statusCode: 404 });
+    expect((await resources.findById('r-fisica')).pinned_at).toBeUndefined();
+  });
+
+  test('✅ Debe marcar y desmarcar recursos como verificados por el profesor', async () => {
+    const now = new Date('2026-03-02T10:00:00Z');
+    const { course } = await service.getCourseAccess(teacher, 'c-calc');
+
+    expect(await service.setVerified(course, 'r-borrador', true, teacher, now))
+      .toMatchObject({ teacher_verified_at: now, teacher_verified_by: 'u-teacher' });
+    expect(await service.setVerified(course, 'r-borrador', false, teacher))
+      .toMatchObject({ teacher_verified_at: null, teacher_verified_by: null });
+  });
+
+  test('✏️ El profesor solo edita temario, descripción y metadata', async () => {
+    const { course } = await service.getCourseAccess(teacher, 'c-calc');
+
+    const updated = await service.updateCourseContent(course, {
+      syllabus_url: 'https://campus.edu/mat101.pdf',
+      metadata: { office_hours: 'Lunes 10-12' },
+      code: 'HACK1',
+      teacher_id: 'u-other'
+    });
+
+    expect(updated).toMatchObject({
+      code: 'MAT101',
+      teacher_id: 'u-teacher',
+      syllabus_url: 'https://campus.edu/mat101.pdf',
+      metadata: { office_hours: 'Lunes 10-12' }
+    });
+
+    await expect(service.updateCourseContent(course, { credits: 8 })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(service.updateCourseContent(course, { metadata: ['x'] })).rejects.toThrow('metadata debe ser un objeto');
+  });
+
+  test('💬 Debe reconocer al profesor del curso de un recurso', async () => {
+    expect(await service.teachesResourceCourse('u-teacher', 'r-apuntes')).toBe(true);
+    expect(await service.teachesResourceCourse('u-teacher', 'r-fisica')).toBe(false);
+    expect(await service.teachesResourceCourse('u-teacher', 'r-suelto')).toBe(false);
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * PRUEBAS UNITARIAS - RESUMEN PERIÓDICO (DIGEST)
+ *
+ * Tests para el resumen diario/semanal:
+ * - Cuándo corresponde enviar según la frecuencia
+ * - Ventana desde el último resumen
+ * - Resúmenes vacíos no se envían pero avanzan la ventana
+ * - Renderizado de listas en la plantilla
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { DigestService } from '../services/DigestService.js';
+import { EmailTemplateService } from '../services/EmailTemplateService.js';
+import emailTemplates from '../templates/emailTemplates.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const config = {
+  enabled: true,
+  intervals: { daily: 24 * HOUR_MS, weekly: 7 * 24 * HOUR_MS },
+  batchSize: 2,
+  maxItems: 20
+};
+
+// Repositorio en memoria que imita DigestRepository
+class InMemoryDigestRepository {
+  constructor(users) {
+    this.users = users;
+    this.runs = [];
+    this.resources = [];
+    this.replies = [];
+  }
+
+  async findSubscribers(frequencies, { page, limit }) {
+    return this.users
+      .filter(user => frequencies.includes(user.preferences?.digest?.frequency))
+      .slice((page - 1) * limit, page * limit);
+  }
+
+  async findLastRun(userId) {
+    const runs = this.runs.filter(run => run.user_id === userId);
+    return runs.sort((a, b) => b.period_end - a.period_end)[0] || null;
+  }
+
+  async createRun(data) {
+    this.runs.push(data);
+    return data;
+  }
+
+  async findInterests(user) {
+    return { courseIds: ['course-1'], categoryIds: [], careerId: user.career_id || null };
+  }
+
+  async findNewResources({ since, until, courseIds }) {
+    const rows = this.resources.filter(resource =>
+      courseIds.includes(resource.course_id) && resource.published_at > since && resource.published_at <= until
+    );
+    return { rows, count: rows.length };
+  }
+
+  async findReplies({ userId, since, until }) {
+    const rows = this.replies.filter(reply =>
+      reply.parentAuthorId === userId && reply.created_at > since && reply.created_at <= until
+    );
+    return { rows, count: rows.length };
+  }
+}
+
+// NotificationContext que solo registra los envíos
+class RecordingNotificationContext {
+  constructor() {
+    this.sent = [];
+  }
+
+  async sendByPreference(data) {
+    this.sent.push(data);
+    return [{ type: 'email', success: true }];
+  }
+}
+
+const start = new Date('2025-03-03T08:00:00Z');
+const at = (hours) => new Date(start.getTime() + hours * HOUR_MS);
+
+describe('📰 Pruebas de Resumen Periódico', () => {
+  let users;
+  let repository;
+  let notifications;
+  let now;
+  let service;
+
+  beforeEach(() => {
+    users = [
+      { id: 'daily-user', name: 'Ana', preferences: { digest: { frequency: 'daily' } } },
+      { id: 'weekly-user', name: 'Luis', preferences: { digest: { frequency: 'weekly' } } },
+      { id: 'off-user', name: 'Eva', preferences: { digest: { frequency: 'off' } } }
+    ];
+    repository = new InMemoryDigestRepository(users);
+    notifications = new RecordingNotificationContext();
+    now = start;
+    service = new DigestService(repository, notifications, config, () => now);
+  });
+
+  test('✅ Debe enviar el primer resumen con la ventana de su frecuencia', async () => {
+    repository.resources.push(
+      { id: 'r-1', title: 'Parcial 2024', course_id: 'course-1', course: { code: 'MAT101' }, published_at: at(-2) },
+      { id: 'r-2', title: 'Muy antiguo', course_id: 'course-1', published_at: at(-30) }
+    );
+
+    const result = await service.processUser(users[0]);
+
+    expect(result.status).toBe('sent');
+    expect(notifications.sent).toHaveLength(1);
+    expect(notifications.sent[0].type).toBe('digest');
+    expect(notifications.sent[0].templateData.resourcesCount).toBe(1);
+    expect(notifications.sent[0].templateData.resources[0]).toContain('Parcial 2024 (MAT101)');
+    expect(repository.runs[0].period_start).toEqual(at(-24));
+  });
+
+  test('✅ Debe incluir respuestas a los comentarios del usuario', async () => {
+    repository.replies.push({
+      id: 'c-1',
+      parentAuthorId: 'daily-user',
+      content: 'Gracias por el aporte',
+      author: { name: 'Luis' },
+      resource: { title: 'Guía' },
+      created_at: at(-1)
+    });
+
+    const result = await service.processUser(users[0]);
+
+    expect(result.status).toBe('sent');
+    expect(notifications.sent[0].templateData.replies).toEqual(['Luis en "Guía": Gracias por el aporte']);
+  });
+
+  test('✅ Un resumen vacío no se envía pero avanza la ventana', async () => {
+    const first = await service.processUser(users[0]);
+    expect(first.status).toBe('empty');
+    expect(notifications.sent).toHaveLength(0);
+
+    repository.resources.push({ id: 'r-3', title: 'Nuevo', course_id: 'course-1', published_at: at(5) });
+
+    now = at(12);
+    expect((await service.processUser(users[0])).status).toBe('notDue');
+
+    now = at(24);
+    const second = await service.processUser(users[0]);
+    expect(second.status).toBe('sent');
+    expect(repository.runs[1].period_start).toEqual(start);
+  });
+
+  test('✅ runDue debe respetar la frecuencia de cada usuario', async () => {
+    repository.resources.push({ id: 'r-4', title: 'Apuntes', course_id: 'course-1', published_at: at(-1) });
+
+    let summary = await service.runDue();
+    expect(summary).toMatchObject({ checked: 2, sent: 2, failed: 0 });
+
+    now = at(24);
+    summary = await service.runDue();
+    expect(summary).toMatchObject({ checked: 2, empty: 1, notDue: 1 });
+
+    now = at(24 * 7);
+    summary = await service.runDue();
+    expect(summary.notDue).toBe(0);
+  });
+
+  test('✅ La plantilla digest debe renderizar las listas', () => {
+    const templateService = new EmailTemplateService(emailTemplates, 'es');
+    const rendered = templateService.render('digest', 'en', {
+      userName: 'Ann',
+      since: 'yesterday',
+      resourcesCount: 1,
+      repliesCount: 0,
+      resources: ['Exam <2024>'],
+      replies: { es: 'Sin novedades', en: 'Nothing new' }
+    });
+
+    expect(rendered.subject).toBe('Your UniShare digest: 1 new resources, 0 replies');
+    expect(rendered.text).toContain('- Exam <2024>');
+    expect(rendered.text).toContain('Nothing new');
+    expect(rendered.html).toContain('<ul><li>Exam &lt;2024&gt;</li></ul>');
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * PRUEBAS UNITARIAS - ENVÍO DE CORREOS
+ *
+ * Tests para el sistema de correo:
+ * - Renderizado de plantillas localizadas
+ * - Transporte en memoria
+ * - Outbox con reintentos y backoff exponencial
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { EmailTemplateService } from '../services/EmailTemplateService.js';
+import { EmailService } from '../services/EmailService.js';
+import { MemoryEmailTransport } from '../patterns/EmailTransport.js';
+import emailTemplates, { reportOutcomeLabels, localizedLabel } from '../templates/emailTemplates.js';
+
+// Repositorio en memoria que imita EmailOutboxRepository
+class InMemoryOutboxRepository {
+  constructor() {
+    this.rows = new Map();
+    this.sequence = 0;
+  }
+
+  async create(data) {
+    const row = { id: `msg-${++this.sequence}`, status: 'pending', attempts: 0, ...data };
+    this.rows.set(row.id, row);
+    return { ...row };
+  }
+
+  async findById(id) {
+    return this.rows.has(id) ? { ...this.rows.get(id) } : null;
+  }
+
+  async findDue(now) {
+    return [...this.rows.values()]
+      .filter(row => row.status === 'pending' && row.next_attempt_at <= now)
+      .map(row => ({ ...row }));
+  }
+
+  async claim(id) {
+    const row = this.rows.get(id);
+    if (!row || row.status !== 'pending') return false;
+    row.status = 'sending';
+    return true;
+  }
+
+  async update(id, data) {
+    Object.assign(this.rows.get(id), data);
+    return this.findById(id);
+  }
+
+  async releaseStale() {
+    return 0;
+  }
+}
+
+// Transporte que falla las primeras N entregas
+class FlakyTransport extends MemoryEmailTransport {
+  constructor(failures) {
+    super();
+    this.failures = failures;
+  }
+
+  async send(message) {
+    if (this.failures > 0) {
+      this.failures -= 1;
+      throw new Error('SMTP connection refused');
+    }
+    return super.send(message);
+  }
+}
+
+const config = {
+  from: 'UniShare <no-reply@unishare.test>',
+  defaultLocale: 'es',
+  appUrl: 'http://localhost:5173',
+  outbox: {
+    maxAttempts: 3,
+    retryBaseMs: 1000,
+    retryMaxMs: 10000,
+    batchSize: 20
+  }
+};
+
+describe('📧 Pruebas de Correo', () => {
+
+  describe('EmailTemplateService - Plantillas localizadas', () => {
+    const templateService = new EmailTemplateService(emailTemplates, 'es');
+
+    test('✅ Debe renderizar password.changed en español por defecto', () => {
+      const rendered = templateService.render('password.changed', null, {
+        userName: 'Ana',
+        changedAt: 'hoy'
+      });
+
+      expect(rendered.locale).toBe('es');
+      expect(rendered.subject).toContain('Contraseña cambiada');
+      expect(rendered.text).toContain('Hola Ana');
+      expect(rendered.html).toContain('<strong>hoy</strong>');
+    });
+
+    test('✅ Debe resolver variantes regionales al idioma base', () => {
+      const rendered = templateService.render('password.reset', 'en-US', {
+        userName: 'Ann',
+        resetUrl: 'http://localhost/reset?token=abc',
+        expiresInMinutes: 60
+      });
+
+      expect(rendered.locale).toBe('en');
+      expect(rendered.subject).toBe('Reset your password');
+      expect(rendered.text).toContain('valid for 60 minutes');
+    });
+
+    test('✅ Debe escapar HTML en los valores interpolados', () => {
+      const rendered = templateService.render('moderation.rejected', 'es', {
+        userName: 'Ana',
+        resourceTitle: '<script>alert(1)</script>',
+        reason: 'Spam'
+      });
+
+      expect(rendered.html).not.toContain('<script>');
+      expect(rendered.html).toContain('&lt;script&gt;');
+      expect(rendered.text).toContain('<script>');
+    });
+
+    test('✅ Debe elegir etiquetas localizadas según el idioma del correo', () => {
+      const outcome = localizedLabel(reportOutcomeLabels, 'content_removed');
+
+      const es = templateService.render('report.resolved', 'es', { resourceTitle: 'Examen', outcome });
+      const en = templateService.render('report.resolved', 'en', { resourceTitle: 'Exam', outcome });
+
+      expect(es.text).toContain('El contenido fue retirado');
+      expect(en.text).toContain('The content was removed');
+    });
+
+    test('❌ Debe rechazar plantillas inexistentes', () => {
+      expect(() => templateService.render('unknown.template', 'es', {})).toThrow('Unknown email template');
+    });
+  });
+
+  describe('EmailService - Outbox con reintentos', () => {
+    let repository;
+    let templateService;
+
+    beforeEach(() => {
+      repository = new InMemoryOutboxRepository();
+      templateService = new EmailTemplateService(emailTemplates, 'es');
+    });
+
+    test('✅ Debe guardar en el outbox y entregar inmediatamente', async () => {
+      const service = new EmailService(repository, templateService, config);
+      const transport = new MemoryEmailTransport();
+      service.setTransport(transport);
+
+      const message = await service.queueEmail({
+        to: 'ana@universidad.edu',
+        template: 'generic',
+        data: { userName: 'Ana', subject: 'Hola', message: 'Bienvenida' }
+      });
+
+      expect(message.status).toBe('sent');
+      expect(message.attempts).toBe(1);
+      expect(transport.sent).toHaveLength(1);
+      expect(transport.sent[0].to).toBe('ana@universidad.edu');
+      expect(transport.sent[0].subject).toBe('Hola');
+    });
+
+    test('✅ Debe reprogramar con backoff exponencial cuando falla el envío', async () => {
+      const service = new EmailService(repository, templateService, config);
+      service.setTransport(new FlakyTransport(1));
+
+      const now = new Date('2025-01-01T00:00:00Z');
+      const queued = await service.queueEmail({
+        to: 'ana@universidad.edu',
+        template: 'generic',
+        data: { subject: 'Hola', message: 'x' },
+        sendNow: false
+      });
+
+      const failed = await service.deliver(queued, now);
+      expect(failed.status).toBe('pending');
+      expect(failed.last_error).toBe('SMTP connection refused');
+      expect(failed.next_attempt_at.getTime()).toBe(now.getTime() + 1000);
+
+      // Todavía no es momento de reintentar
+      let summary = await service.processOutbox(new Date(now.getTime() + 500));
+      expect(summary.processed).toBe(0);
+
+      summary = await service.processOutbox(new Date(now.getTime() + 1000));
+      expect(summary).toMatchObject({ processed: 1, sent: 1 });
+    });
+
+    test('❌ Debe marcar como failed tras agotar los intentos, sin perder el mensaje', async () => {
+      const service = new EmailService(repository, templateService, config);
+      service.setTransport(new FlakyTransport(10));
+
+      let now = new Date();
+      const queued = await service.queueEmail({
+        to: 'ana@universidad.edu',
+        template: 'generic',
+        data: { subject: 'Hola', message: 'x' }
+      });
+      expect(queued.status).toBe('pending');
+
+      for (let i = 0; i < 5; i++) {
+        now = new Date(now.getTime() + config.outbox.retryMaxMs);
+        await service.processOutbox(now);
+      }
+
+      const stored = await repository.findById(queued.id);
+      expect(stored.status).toBe('failed');
+      expect(stored.attempts).toBe(config.outbox.maxAttempts);
+    });
+
+    test('✅ computeBackoff debe duplicarse y respetar el máximo', () => {
+      const service = new EmailService(repository, templateService, config);
+
+      expect(service.computeBackoff(1)).toBe(1000);
+      expect(service.computeBackoff(2)).toBe(2000);
+      expect(service.computeBackoff(3)).toBe(4000);
+      expect(service.computeBackoff(10)).toBe(10000);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * PRUEBAS UNITARIAS - VERIFICACIÓN DE CORREO
+ *
+ * Tests para el flujo de verificación:
+ * - Tokens aleatorios guardados solo como hash
+ * - Activación de la cuenta y expiración del token
+ * - Reenvío sin revelar si el email existe
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { AuthService } from '../services/AuthService.js';
+import TokenService from '../utils/TokenService.js';
+
+const config = {
+  emailVerification: {
+    tokenTtlMinutes: 60,
+    resendCooldownSeconds: 60,
+    required: true
+  }
+};
+
+// Repositorio en memoria con los métodos que usa AuthService
+class InMemoryUserRepository {
+  constructor(users) {
+    this.users = new Map(users.map(user => [user.id, { ...user }]));
+  }
+
+  async findByEmail(email) {
+    return [...this.users.values()].find(user => user.email === email) || null;
+  }
+
+  async findByVerificationToken(tokenHash) {
+    return [...this.users.values()].find(user => user.verification_token === tokenHash) || null;
+  }
+
+  async update(id, data) {
+    Object.assign(this.users.get(id), data);
+    return this.users.get(id);
+  }
+}
+
+// EmailService que solo registra los correos encolados
+class RecordingEmailService {
+  constructor() {
+    this.queued = [];
+  }
+
+  async queueEmail(message) {
+    this.queued.push(message);
+    return { id: `msg-${this.queued.length}`, status: 'sent' };
+  }
+}
+
+const tokenFromUrl = (url) => new URL(url).searchParams.get('token');
+
+describe('✉️ Pruebas de Verificación de Correo', () => {
+  const now = new Date('2025-05-01T12:00:00Z');
+  let repository;
+  let emailService;
+  let service;
+
+  beforeEach(() => {
+    repository = new InMemoryUserRepository([
+      { id: 'u-1', name: 'Ana', email: 'ana@universidad.edu', status: 'pending_verification' },
+      { id: 'u-2', name: 'Luis', email: 'luis@universidad.edu', status: 'active', email_verified_at: now }
+    ]);
+    emailService = new RecordingEmailService();
+    service = new AuthService(repository, emailService, config);
+  });
+
+  test('✅ Los tokens son aleatorios y solo se guarda su hash', () => {
+    const first = service.createVerificationToken(now);
+    const second = service.createVerificationToken(now);
+
+    expect(first.token).toMatch(/^[0-9a-f]{64}$/);
+    expect(first.token).not.toBe(second.token);
+    expect(first.tokenHash).toBe(TokenService.hashToken(first.token));
+    expect(first.tokenHash).not.toBe(first.token);
+    expect(first.expiresAt.getTime()).toBe(now.getTime() + 60 * 60 * 1000);
+  });
+
+  test('✅ Debe verificar el correo y activar la cuenta', async () => {
+    await service.resendVerification('ana@universidad.edu', now);
+    expect(emailService.queued).toHaveLength(1);
+    expect(emailService.queued[0].template).toBe('email.verification');
+
+    const token = tokenFromUrl(emailService.queued[0].data.verifyUrl);
+    const result = await service.verifyEmail(token, new Date(now.getTime() + 1000));
+
+    const user = repository.users.get('u-1');
+    expect(result).toEqual({ email: 'ana@universidad.edu', verified: true });
+    expect(user.status).toBe('active');
+    expect(user.email_verified_at).toBeInstanceOf(Date);
+    expect(user.verification_token).toBeNull();
+
+    // Un solo uso
+    await expect(service.verifyEmail(token, now)).rejects.toThrow('inválido o expirado');
+  });
+
+  test('❌ Debe rechazar tokens expirados', async () => {
+    await service.resendVerification('ana@universidad.edu', now);
+    const token = tokenFromUrl(emailService.queued[0].data.verifyUrl);
+
+    await expect(service.verifyEmail(token, new Date(now.getTime() + 61 * 60 * 1000)))
+      .rejects.toThrow('Token de verificación inválido o expirado');
+    expect(repository.users.get('u-1').status).toBe('pending_verification');
+  });
+
+  test('✅ El reenvío no hace nada para emails desconocidos o ya verificados', async () => {
+    await service.resendVerification('nadie@universidad.edu', now);
+    await service.resendVerification('luis@universidad.edu', now);
+
+    expect(emailService.queued).toHaveLength(0);
+  });
+
+  test('✅ El reenvío respeta el tiempo de espera', async () => {
+    await service.resendVerification('ana@universidad.edu', now);
+    await service.resendVerification('ana@universidad.edu', new Date(now.getTime() + 30 * 1000));
+    expect(emailService.queued).toHaveLength(1);
+
+    await service.resendVerification('ana@universidad.edu', new Date(now.getTime() + 61 * 1000));
+    expect(emailService.queued).toHaveLength(2);
+
+    // Solo el último enlace sigue siendo válido
+    const oldToken = tokenFromUrl(emailService.queued[0].data.verifyUrl);
+    await expect(service.verifyEmail(oldToken, now)).rejects.toThrow('inválido o expirado');
+  });
+});
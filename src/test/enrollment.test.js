@@ -0,0 +1,192 @@
+/**
+ * PRUEBAS DE INTEGRACIÓN - MATRÍCULA EN CURSOS
+ *
+ * Tests para la matrícula de estudiantes por periodo académico:
+ * - Matrícula en el periodo actual, baja y rematrícula
+ * - Periodos cerrados y cursos inactivos no admiten matrículas
+ * - Importación masiva por CSV con informe por línea
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { EnrollmentService } from '../services/EnrollmentService.js';
+import { parseCsv } from '../utils/csv.js';
+
+// Repositorio de matrículas en memoria con los métodos que usa EnrollmentService
+class InMemoryEnrollmentRepository {
+  constructor() {
+    this.rows = [];
+    this.nextId = 1;
+  }
+
+  async create(data) {
+    const row = { id: `e-${this.nextId++}`, status: 'active', dropped_at: null, ...data };
+    this.rows.push(row);
+    return row;
+  }
+
+  async update(id, data) {
+    const row = this.rows.find(item => item.id === id);
+    return Object.assign(row, data);
+  }
+
+  async findOne(userId, courseId, periodId) {
+    return this.rows.find(row =>
+      row.user_id === userId && row.course_id === courseId && row.academic_period_id === periodId) || null;
+  }
+
+  async findActiveByUserAndCourse(userId, courseId) {
+    return this.rows.filter(row => row.user_id === userId && row.course_id === courseId && row.status === 'active');
+  }
+
+  async findByUser(userId, { status, academicPeriodId }) {
+    return this.rows.filter(row => row.user_id === userId &&
+      (!status || row.status === status) &&
+      (!academicPeriodId || row.academic_period_id === academicPeriodId));
+  }
+}
+
+const COURSES = {
+  'c-calc': { id: 'c-calc', code: 'MAT101', status: 'active' },
+  'c-old': { id: 'c-old', code: 'OLD100', status: 'inactive' }
+};
+
+const PERIODS = {
+  'p-2026-1': { id: 'p-2026-1', code: '2026-1', status: 'active' },
+  'p-2025-2': { id: 'p-2025-2', code: '2025-2', status: 'completed' },
+  'p-2026-2': { id: 'p-2026-2', code: '2026-2', status: 'upcoming' }
+};
+
+const USERS = [
+  { id: 'u-ana', email: 'ana@uni.edu', student_id: 'A001' },
+  { id: 'u-luis', email: 'luis@uni.edu', student_id: 'A002' }
+];
+
+describe('🎓 Pruebas de Matrícula en Cursos', () => {
+  let enrollments;
+  let currentPeriod;
+  let service;
+
+  beforeEach(() => {
+    enrollments = new InMemoryEnrollmentRepository();
+    currentPeriod = PERIODS['p-2026-1'];
+
+    service = new EnrollmentService(
+      enrollments,
+      {
+        findById: async (id) => COURSES[id] || null,
+        findByCode: async (code) => Object.values(COURSES).find(course => course.code === code) || null
+      },
+      {
+        findById: async (id) => PERIODS[id] || null,
+        findByCode: async (code) => Object.values(PERIODS).find(period => period.code === code) || null,
+        findCurrent: async () => currentPeriod
+      },
+      {
+        findByEmail: async (email) => USERS.find(user => user.email === email) || null,
+        findByInstitutionalId: async ({ studentId }) => USERS.find(user => user.student_id === studentId) || null
+      }
+    );
+  });
+
+  test('✅ Debe matricular en el periodo actual y rechazar la matrícula duplicada', async () => {
+    const enrollment = await service.enroll('u-ana', 'c-calc');
+
+    expect(enrollment).toMatchObject({
+      user_id: 'u-ana',
+      course_id: 'c-calc',
+      academic_period_id: 'p-2026-1',
+      source: 'self',
+      status: 'active'
+    });
+
+    await expect(service.enroll('u-ana', 'c-calc')).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('🔄 Debe dar de baja y permitir volver a matricularse', async () => {
+    const now = new Date('2026-03-10T10:00:00Z');
+    await service.enroll('u-ana', 'c-calc');
+
+    const dropped = await service.drop('u-ana', 'c-calc', now);
+    expect(dropped).toMatchObject({ status: 'dropped', dropped_at: now });
+    await expect(service.drop('u-ana', 'c-calc')).rejects.toMatchObject({ statusCode: 404 });
+
+    const again = await service.enroll('u-ana', 'c-calc');
+    expect(again).toMatchObject({ status: 'active', dropped_at: null });
+    expect(enrollments.rows).toHaveLength(1);
+  });
+
+  test('🚫 Periodos cerrados, cursos inactivos y sin periodo actual', async () => {
+    await expect(service.enroll('u-ana', 'c-calc', { academicPeriodId: 'p-2025-2' }))
+      .rejects.toThrow('El periodo 2025-2 ya no admite matrículas');
+    await expect(service.enroll('u-ana', 'c-old')).rejects.toThrow('El curso no está activo');
+    await expect(service.enroll('u-ana', 'c-nada')).rejects.toMatchObject({ statusCode: 404 });
+
+    currentPeriod = null;
+    await expect(service.enroll('u-ana', 'c-calc')).rejects.toMatchObject({ statusCode: 400 });
+
+    // Un periodo próximo sí admite matrículas
+    await expect(service.enroll('u-ana', 'c-calc', { academicPeriodId: 'p-2026-2' }))
+      .resolves.toMatchObject({ academic_period_id: 'p-2026-2' });
+  });
+
+  test('📚 "Mis cursos" filtra por estado y valida el filtro', async () => {
+    await service.enroll('u-ana', 'c-calc');
+    await service.enroll('u-ana', 'c-calc', { academicPeriodId: 'p-2026-2' });
+    await service.drop('u-ana', 'c-calc');
+
+    expect(await service.getMyCourses('u-ana')).toHaveLength(0);
+    expect(await service.getMyCourses('u-ana', { status: 'all' })).toHaveLength(2);
+    await expect(service.getMyCourses('u-ana', { status: 'pending' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('📄 parseCsv debe manejar comillas, punto y coma, CRLF y BOM', () => {
+    const { headers, rows } = parseCsv('\uFEFFEmail;Course_Code\r\n"perez, ana@uni.edu";"MAT""101"\r\n\r\nluis@uni.edu;FIS101\r\n');
+
+    expect(headers).toEqual(['email', 'course_code']);
+    expect(rows).toEqual([
+      { line: 2, data: { email: 'perez, ana@uni.edu', course_code: 'MAT"101' } },
+      { line: 4, data: { email: 'luis@uni.edu', course_code: 'FIS101' } }
+    ]);
+    expect(() => parseCsv('email,course_code\n"sin cerrar,MAT101')).toThrow('Comillas sin cerrar');
+  });
+
+  test('📥 La importación CSV debe informar creadas, reactivadas, omitidas y errores por línea', async () => {
+    await service.enroll('u-ana', 'c-calc');
+    await service.enroll('u-luis', 'c-calc');
+    await service.drop('u-luis', 'c-calc');
+
+    const csv = [
+      'email,student_id,course_code,period_code',
+      'ana@uni.edu,,MAT101,',
+      ',A002,MAT101,',
+      'ANA@uni.edu,,MAT101,2026-2',
+      'nadie@uni.edu,,MAT101,',
+      'luis@uni.edu,,XXX999,',
+      'luis@uni.edu,,MAT101,2025-2'
+    ].join('\n');
+
+    const report = await service.importCsv(csv, 'u-admin');
+
+    expect(report).toEqual({
+      total: 6,
+      created: 1,
+      reactivated: 1,
+      skipped: 1,
+      errors: [
+        { line: 5, message: 'Usuario no encontrado: nadie@uni.edu' },
+        { line: 6, message: 'Curso no encontrado: XXX999' },
+        { line: 7, message: 'El periodo 2025-2 ya no admite matrículas' }
+      ]
+    });
+    expect(enrollments.rows.find(row => row.academic_period_id === 'p-2026-2'))
+      .toMatchObject({ user_id: 'u-ana', source: 'import' });
+  });
+
+  test('🚫 La importación CSV exige las columnas y al menos una fila', async () => {
+    await expect(service.importCsv('nombre,curso\nAna,MAT101', 'u-admin'))
+      .rejects.toThrow('El CSV debe tener las columnas course_code y email o student_id');
+    await expect(service.importCsv('email,course_code\n', 'u-admin'))
+      .rejects.toThrow('El CSV no contiene filas');
+    expect(enrollments.rows).toHaveLength(0);
+  });
+});
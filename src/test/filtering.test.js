@@ -30,8 +30,7 @@ describe('🔍 Pruebas de Sistema de Filtrado y Búsqueda', () => {
     const userData = {
       name: 'Filter Test User',
       email: `filter.test.${Date.now()}@universidad.edu`,
-      password: 'FilterTest123!',
-      role: 'admin'
+      password: 'FilterTest123!'
     };
 
     const userResponse = await request(app)
@@ -41,6 +40,9 @@ describe('🔍 Pruebas de Sistema de Filtrado y Búsqueda', () => {
     authToken = userResponse.body.data.token;
     testUser = userResponse.body.data.user;
 
+    // El rol admin no se puede elegir al registrarse: se asigna directamente
+    await User.update({ role: 'admin' }, { where: { id: testUser.id } });
+
     // Crear categorías de prueba
     const categoryNames = ['Matemáticas', 'Física', 'Programación', 'Algoritmos'];
     for (const name of categoryNames) {
@@ -0,0 +1,186 @@
+/**
+ * PRUEBAS UNITARIAS - PROTECCIÓN CONTRA FUERZA BRUTA
+ *
+ * Tests para los intentos de login fallidos:
+ * - Backoff exponencial por cuenta y por IP
+ * - Bloqueo temporal tras N fallos y auditoría de intentos
+ * - Desbloqueo por restablecimiento de contraseña o administrador
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { LoginProtectionService } from '../services/LoginProtectionService.js';
+import { MemoryCounterStore } from '../patterns/CounterStore.js';
+import { AuthService } from '../services/AuthService.js';
+import HashService from '../utils/HashService.js';
+
+const config = {
+  account: { freeAttempts: 2, maxAttempts: 5 },
+  ip: { freeAttempts: 4, maxAttempts: 8 },
+  baseDelaySeconds: 2,
+  maxDelaySeconds: 60,
+  lockoutMinutes: 30,
+  windowMinutes: 60
+};
+
+// Repositorio de auditoría en memoria
+class InMemoryAttemptRepository {
+  constructor() {
+    this.rows = [];
+  }
+
+  async create(data) {
+    this.rows.push(data);
+    return data;
+  }
+
+  outcomes() {
+    return this.rows.map(row => row.outcome);
+  }
+}
+
+class RecordingObserver {
+  constructor() {
+    this.events = [];
+  }
+
+  async notify(event, data) {
+    this.events.push({ event, data });
+  }
+}
+
+const seconds = (date, amount) => new Date(date.getTime() + amount * 1000);
+
+describe('🛡️ Pruebas de Protección contra Fuerza Bruta', () => {
+  const now = new Date('2025-05-01T12:00:00Z');
+  const attempt = { email: 'Ana@Universidad.edu', ipAddress: '10.0.0.1', userId: 'u-1' };
+  let store;
+  let attempts;
+  let observer;
+  let protection;
+
+  beforeEach(() => {
+    store = new MemoryCounterStore();
+    attempts = new InMemoryAttemptRepository();
+    observer = new RecordingObserver();
+    protection = new LoginProtectionService(store, attempts, config, observer);
+  });
+
+  test('✅ Los primeros fallos no deben bloquear', async () => {
+    await protection.recordFailure(attempt, 'invalid_credentials', now);
+    await protection.recordFailure(attempt, 'invalid_credentials', now);
+
+    await expect(protection.assertAllowed(attempt, now)).resolves.toBeUndefined();
+    expect(attempts.outcomes()).toEqual(['invalid_credentials', 'invalid_credentials']);
+    expect(attempts.rows[0].email).toBe('ana@universidad.edu');
+  });
+
+  test('⏳ El tiempo de espera debe duplicarse con cada fallo', async () => {
+    for (let i = 0; i < 3; i++) {
+      await protection.recordFailure(attempt, 'invalid_credentials', now);
+    }
+
+    await expect(protection.assertAllowed(attempt, now)).rejects.toMatchObject({
+      statusCode: 429,
+      details: { retryAfter: 2 }
+    });
+    await expect(protection.assertAllowed(attempt, seconds(now, 2))).resolves.toBeUndefined();
+
+    await protection.recordFailure(attempt, 'invalid_credentials', seconds(now, 2));
+    await expect(protection.assertAllowed(attempt, seconds(now, 3))).rejects.toMatchObject({
+      details: { retryAfter: 3 }
+    });
+    expect(attempts.outcomes()).toContain('blocked');
+  });
+
+  test('🔒 Debe bloquear la cuenta tras el máximo de fallos y avisar al usuario', async () => {
+    for (let i = 0; i < 5; i++) {
+      await protection.recordFailure(attempt, 'invalid_credentials', now);
+    }
+
+    await expect(protection.assertAllowed(attempt, seconds(now, 60)))
+      .rejects.toThrow('Cuenta bloqueada temporalmente por demasiados intentos fallidos');
+
+    const status = await protection.getAccountStatus(attempt.email, now);
+    expect(status).toMatchObject({ failures: 5, locked: true });
+    expect(status.blockedUntil).toEqual(seconds(now, 30 * 60));
+
+    expect(observer.events).toHaveLength(1);
+    expect(observer.events[0]).toMatchObject({ event: 'account.locked', data: { userId: 'u-1', failures: 5 } });
+
+    // El bloqueo expira solo
+    await expect(protection.assertAllowed(attempt, seconds(now, 30 * 60))).resolves.toBeUndefined();
+  });
+
+  test('🌐 Debe limitar por IP aunque se prueben cuentas distintas', async () => {
+    for (let i = 0; i < 8; i++) {
+      await protection.recordFailure({ email: `user${i}@universidad.edu`, ipAddress: '10.0.0.9' }, 'invalid_credentials', now);
+    }
+
+    await expect(protection.assertAllowed({ email: 'otra@universidad.edu', ipAddress: '10.0.0.9' }, now))
+      .rejects.toThrow('Demasiados intentos fallidos desde esta dirección');
+    await expect(protection.assertAllowed({ email: 'otra@universidad.edu', ipAddress: '10.0.0.10' }, now))
+      .resolves.toBeUndefined();
+  });
+
+  test('🔓 Un login correcto o el desbloqueo deben reiniciar el contador de la cuenta', async () => {
+    for (let i = 0; i < 5; i++) {
+      await protection.recordFailure(attempt, 'invalid_credentials', now);
+    }
+
+    await protection.unlockAccount('ana@universidad.edu');
+    expect((await protection.getAccountStatus(attempt.email, now)).failures).toBe(0);
+
+    await protection.recordFailure(attempt, 'invalid_credentials', now);
+    await protection.recordSuccess(attempt);
+    expect((await protection.getAccountStatus(attempt.email, now)).failures).toBe(0);
+    expect(attempts.outcomes().at(-1)).toBe('success');
+  });
+
+  describe('Integración con AuthService', () => {
+    let user;
+    let auth;
+
+    beforeEach(async () => {
+      user = {
+        id: 'u-1',
+        email: 'ana@universidad.edu',
+        status: 'active',
+        password: await HashService.hashPassword('Correcta123')
+      };
+      const users = {
+        findByEmail: async (email) => (email === user.email ? user : null),
+        updateLastLogin: async () => {}
+      };
+      auth = new AuthService(users, null, {}, null, null, null, protection);
+    });
+
+    test('🔒 Debe rechazar la contraseña correcta mientras la cuenta está bloqueada', async () => {
+      const context = { ipAddress: '10.0.0.1', userAgent: 'jest' };
+
+      // Cada intento espera lo suficiente para salir del backoff
+      for (let i = 0; i < 5; i++) {
+        await expect(auth.authenticateUser(user.email, 'incorrecta', context, seconds(now, i * 60)))
+          .rejects.toThrow('Credenciales inválidas');
+      }
+
+      const later = seconds(now, 5 * 60);
+      await expect(auth.authenticateUser(user.email, 'Correcta123', context, later))
+        .rejects.toMatchObject({ statusCode: 429 });
+      expect(attempts.rows.at(-1)).toMatchObject({ outcome: 'blocked', user_agent: 'jest' });
+
+      await protection.unlockAccount(user.email);
+      await expect(auth.authenticateUser(user.email, 'Correcta123', context, later)).resolves.toBe(user);
+    });
+
+    test('✅ Los emails inexistentes deben contar igual que las cuentas reales', async () => {
+      for (let i = 0; i < 5; i++) {
+        await expect(auth.authenticateUser('nadie@universidad.edu', 'x', {}, seconds(now, i * 60)))
+          .rejects.toThrow('Credenciales inválidas');
+      }
+
+      await expect(auth.authenticateUser('nadie@universidad.edu', 'x', {}, seconds(now, 5 * 60)))
+        .rejects.toThrow('Cuenta bloqueada temporalmente');
+      expect(observer.events).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * PROVEEDOR OIDC SIMULADO
+ *
+ * IdP mínimo para pruebas locales del inicio de sesión institucional:
+ * - Documento de descubrimiento y JWKS con una clave RSA generada al arrancar
+ * - Endpoint de token con authorization code + PKCE (S256)
+ * - "login" programático: login(claims, authorizationUrl) devuelve el code
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+export const startMockOidcProvider = async ({ clientId = 'unishare', clientSecret = '' } = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomUUID();
+  const codes = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      code_challenge_methods_supported: ['S256'],
+      id_token_signing_alg_values_supported: ['RS256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  app.post('/token', (req, res) => {
+    const { grant_type, code, code_verifier, client_id, redirect_uri } = req.body;
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    if (grant_type !== 'authorization_code' || !grant || client_id !== clientId || redirect_uri !== grant.redirectUri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    if (clientSecret && req.body.client_secret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const challenge = crypto.createHash('sha256').update(String(code_verifier || '')).digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const idToken = jwt.sign(
+      { nonce: grant.nonce, ...grant.claims },
+      privateKey,
+      { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: 300 }
+    );
+
+    res.json({ access_token: crypto.randomUUID(), token_type: 'Bearer', expires_in: 300, id_token: idToken });
+  });
+
+  return {
+    issuer,
+    clientId,
+
+    // Simulate the user authenticating at the IdP for an authorization URL
+    login(claims, authorizationUrl) {
+      const params = new URL(authorizationUrl).searchParams;
+      const code = crypto.randomBytes(16).toString('hex');
+
+      codes.set(code, {
+        claims,
+        nonce: params.get('nonce'),
+        codeChallenge: params.get('code_challenge'),
+        redirectUri: params.get('redirect_uri')
+      });
+
+      return { code, state: params.get('state') };
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+};
+
+export default startMockOidcProvider;
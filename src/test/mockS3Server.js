@@ -0,0 +1,145 @@
+/**
+ * SERVIDOR S3 SIMULADO
+ *
+ * Almacén de objetos mínimo al estilo MinIO para probar S3StorageProvider sin red:
+ * - PUT / GET (con Range) / HEAD / DELETE de objetos con URLs path-style (/<bucket>/<key>)
+ * - Verifica por su cuenta las firmas AWS SigV4, tanto en cabecera como en URLs prefirmadas
+ * - Los objetos quedan en memoria (objects) para que las pruebas los inspeccionen
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const encode = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const s3Error = (res, status, code) =>
+  res.status(status).type('application/xml').send(`<?xml version="1.0"?><Error><Code>${code}</Code></Error>`);
+
+export const startMockS3Server = async ({
+  bucket = 'unishare',
+  region = 'us-east-1',
+  accessKeyId = 'minio-test',
+  secretAccessKey = 'minio-test-secret'
+} = {}) => {
+  const objects = new Map();
+
+  const signatureFor = (amzDate, scope, canonicalRequest) => {
+    const [day] = scope.split('/');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), 's3'), 'aws4_request');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  };
+
+  const signedAt = (amzDate) => Date.parse(amzDate.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'));
+
+  // Authorization: AWS4-HMAC-SHA256 Credential=<id>/<scope>, SignedHeaders=a;b, Signature=<hex>
+  const verifyHeaderAuth = (req, pathname) => {
+    const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/([^,]+), SignedHeaders=([^,]+), Signature=([0-9a-f]+)$/
+      .exec(req.headers.authorization || '');
+    if (!match || match[1] !== accessKeyId) return false;
+
+    const [, , scope, signedHeaders, signature] = match;
+    const amzDate = req.headers['x-amz-date'];
+    if (!amzDate || Math.abs(Date.now() - signedAt(amzDate)) > 15 * 60 * 1000) return false;
+
+    const payloadHash = req.headers['x-amz-content-sha256'];
+    if (payloadHash !== 'UNSIGNED-PAYLOAD' && Buffer.isBuffer(req.body) && sha256(req.body) !== payloadHash) return false;
+
+    const names = signedHeaders.split(';');
+    const canonicalRequest = [
+      req.method,
+      pathname,
+      '',
+      names.map(name => `${name}:${String(req.headers[name] ?? '').trim()}\n`).join(''),
+      signedHeaders,
+      payloadHash
+    ].join('\n');
+
+    return signatureFor(amzDate, scope, canonicalRequest) === signature;
+  };
+
+  // ?X-Amz-Algorithm=…&X-Amz-Credential=…&X-Amz-Date=…&X-Amz-Expires=…&X-Amz-SignedHeaders=host&X-Amz-Signature=…
+  const verifyPresigned = (req, pathname, rawQuery) => {
+    const params = Object.fromEntries(rawQuery.split('&').filter(Boolean)
+      .map(pair => pair.split('=').map(part => decodeURIComponent(part.replace(/\+/g, ' ')))));
+    const { 'X-Amz-Signature': signature, ...signed } = params;
+    const [credentialId, ...scopeParts] = (signed['X-Amz-Credential'] || '').split('/');
+
+    if (credentialId !== accessKeyId || signed['X-Amz-SignedHeaders'] !== 'host') return false;
+    if (Date.now() > signedAt(signed['X-Amz-Date']) + Number(signed['X-Amz-Expires']) * 1000) return false;
+
+    const canonicalQuery = Object.keys(signed).sort().map(name => `${encode(name)}=${encode(signed[name])}`).join('&');
+    const canonicalRequest = [req.method, pathname, canonicalQuery, `host:${req.headers.host}\n`, 'host', 'UNSIGNED-PAYLOAD'].join('\n');
+
+    return signatureFor(signed['X-Amz-Date'], scopeParts.join('/'), canonicalRequest) === signature
+      ? params
+      : false;
+  };
+
+  const app = express();
+
+  app.use(`/${bucket}`, express.raw({ type: () => true, limit: '50mb' }), (req, res) => {
+    const [pathname, rawQuery = ''] = req.originalUrl.split('?');
+    const key = decodeURIComponent(pathname.slice(bucket.length + 2));
+
+    const presigned = rawQuery.includes('X-Amz-Signature=') && verifyPresigned(req, pathname, rawQuery);
+    if (!presigned && !verifyHeaderAuth(req, pathname)) {
+      return s3Error(res, 403, 'SignatureDoesNotMatch');
+    }
+
+    const object = objects.get(key);
+
+    switch (req.method) {
+      case 'PUT':
+        objects.set(key, { body: Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0), contentType: req.headers['content-type'] });
+        return res.status(200).end();
+      case 'DELETE':
+        objects.delete(key);
+        return res.status(204).end();
+      case 'HEAD':
+        return object ? res.set('Content-Length', object.body.length).status(200).end() : res.status(404).end();
+      case 'GET': {
+        if (!object) return s3Error(res, 404, 'NoSuchKey');
+
+        res.type(object.contentType || 'application/octet-stream');
+        if (presigned['response-content-disposition']) {
+          res.set('Content-Disposition', presigned['response-content-disposition']);
+        }
+
+        const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+        if (range) {
+          const start = Number(range[1]);
+          const end = range[2] ? Math.min(Number(range[2]), object.body.length - 1) : object.body.length - 1;
+          res.set('Content-Range', `bytes ${start}-${end}/${object.body.length}`);
+          return res.status(206).send(object.body.subarray(start, end + 1));
+        }
+
+        return res.status(200).send(object.body);
+      }
+      default:
+        return s3Error(res, 405, 'MethodNotAllowed');
+    }
+  });
+
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    bucket,
+    region,
+    accessKeyId,
+    secretAccessKey,
+    objects,
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+};
+
+export default startMockS3Server;
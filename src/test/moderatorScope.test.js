@@ -0,0 +1,158 @@
+/**
+ * PRUEBAS DE INTEGRACIÓN - ÁMBITO DE MODERACIÓN
+ *
+ * Tests para moderadores limitados a facultades o categorías:
+ * - Sin ámbitos (o siendo admin) se modera todo
+ * - Con ámbitos solo los recursos de esas categorías o de cursos de esas facultades
+ * - Solo los moderadores pueden recibir un ámbito y las facultades/categorías deben existir
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { Op } from 'sequelize';
+import { ModerationScopeService } from '../services/ModerationScopeService.js';
+import { loadModerationScope } from '../middleware/permissionMiddleware.js';
+
+const FACULTIES = { 'f-ing': { id: 'f-ing', name: 'Ingeniería' }, 'f-med': { id: 'f-med', name: 'Medicina' } };
+const CATEGORIES = { 'c-math': { id: 'c-math', name: 'Matemáticas' } };
+const COURSES_BY_FACULTY = { 'f-ing': ['course-calc', 'course-prog'], 'f-med': ['course-anat'] };
+
+const RESOURCES = {
+  'r-prog': { id: 'r-prog', course_id: 'course-prog', category_id: null },
+  'r-anat': { id: 'r-anat', course_id: 'course-anat', category_id: null },
+  'r-math': { id: 'r-math', course_id: null, category_id: 'c-math' }
+};
+
+// Repositorio de ámbitos en memoria con los métodos que usa ModerationScopeService
+class InMemoryScopeRepository {
+  constructor() {
+    this.rows = [];
+  }
+
+  async findByUser(userId) {
+    return this.rows
+      .filter(row => row.user_id === userId)
+      .map(row => ({
+        ...row,
+        faculty: row.faculty_id ? FACULTIES[row.faculty_id] : null,
+        category: row.category_id ? CATEGORIES[row.category_id] : null
+      }));
+  }
+
+  async replaceForUser(userId, scopes) {
+    this.rows = this.rows.filter(row => row.user_id !== userId);
+    this.rows.push(...scopes.map(scope => ({ faculty_id: null, category_id: null, ...scope, user_id: userId })));
+  }
+}
+
+const fakeRepository = (items) => ({ findById: async (id) => items[id] || null });
+
+describe('🛡️ Pruebas de Ámbito de Moderación', () => {
+  let scopes;
+  let service;
+
+  beforeEach(() => {
+    scopes = new InMemoryScopeRepository();
+    service = new ModerationScopeService(
+      scopes,
+      { findIdsByFaculties: async (facultyIds) => facultyIds.flatMap(id => COURSES_BY_FACULTY[id] || []) },
+      fakeRepository(RESOURCES),
+      fakeRepository({
+        'u-mod': { id: 'u-mod', role: 'moderator' },
+        'u-admin': { id: 'u-admin', role: 'admin' },
+        'u-student': { id: 'u-student', role: 'student' }
+      }),
+      fakeRepository(FACULTIES),
+      fakeRepository(CATEGORIES)
+    );
+  });
+
+  test('✅ Un moderador sin ámbitos y los admins moderan todo', async () => {
+    const scope = await service.getScope({ id: 'u-mod', role: 'moderator' });
+
+    expect(scope).toBeNull();
+    expect(service.resourceWhere(scope)).toBeNull();
+    expect(await service.canModerateResource(scope, 'r-anat')).toBe(true);
+
+    // Un admin con ámbitos antiguos (p. ej. era moderador) no queda limitado
+    await scopes.replaceForUser('u-admin', [{ faculty_id: 'f-ing' }]);
+    expect(await service.getScope({ id: 'u-admin', role: 'admin' })).toBeNull();
+  });
+
+  test('✅ El ámbito por facultad cubre los recursos de sus cursos', async () => {
+    await service.setUserScopes('u-mod', { facultyIds: ['f-ing'] }, 'u-admin');
+
+    const scope = await service.getScope({ id: 'u-mod', role: 'moderator' });
+
+    expect(scope.courseIds).toEqual(['course-calc', 'course-prog']);
+    expect(await service.canModerateResource(scope, 'r-prog')).toBe(true);
+    expect(await service.canModerateResource(scope, 'r-anat')).toBe(false);
+    expect(await service.canModerateResource(scope, 'r-math')).toBe(false);
+  });
+
+  test('✅ El ámbito por categoría se combina con el de facultad', async () => {
+    await service.setUserScopes('u-mod', { facultyIds: ['f-med'], categoryIds: ['c-math'] }, 'u-admin');
+
+    const scope = await service.getScope({ id: 'u-mod', role: 'moderator' });
+
+    expect(service.isResourceInScope(scope, RESOURCES['r-math'])).toBe(true);
+    expect(service.isResourceInScope(scope, RESOURCES['r-anat'])).toBe(true);
+    expect(service.isResourceInScope(scope, RESOURCES['r-prog'])).toBe(false);
+    expect(service.resourceWhere(scope)).toEqual({
+      [Op.or]: [
+        { category_id: { [Op.in]: ['c-math'] } },
+        { course_id: { [Op.in]: ['course-anat'] } }
+      ]
+    });
+  });
+
+  test('🚫 assertResourceInScope debe responder 403 fuera del ámbito y 404 si no existe', async () => {
+    await service.setUserScopes('u-mod', { categoryIds: ['c-math'] }, 'u-admin');
+    const scope = await service.getScope({ id: 'u-mod', role: 'moderator' });
+
+    await expect(service.assertResourceInScope(scope, 'r-math')).resolves.toBeUndefined();
+    await expect(service.assertResourceInScope(scope, 'r-prog')).rejects.toMatchObject({ statusCode: 403 });
+    await expect(service.assertResourceInScope(scope, 'r-nada')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('✅ Listas vacías quitan el límite y el panel muestra los nombres', async () => {
+    const limited = await service.setUserScopes('u-mod', { facultyIds: ['f-ing', 'f-ing'], categoryIds: ['c-math'] }, 'u-admin');
+
+    expect(limited).toEqual({
+      unrestricted: false,
+      faculties: [FACULTIES['f-ing']],
+      categories: [CATEGORIES['c-math']]
+    });
+
+    const lifted = await service.setUserScopes('u-mod', {}, 'u-admin');
+    expect(lifted).toEqual({ unrestricted: true, faculties: [], categories: [] });
+  });
+
+  test('🚫 Solo moderadores y con facultades/categorías existentes', async () => {
+    await expect(service.setUserScopes('u-student', { facultyIds: ['f-ing'] }, 'u-admin'))
+      .rejects.toThrow('Solo los moderadores pueden tener un ámbito de moderación');
+    await expect(service.setUserScopes('u-mod', { facultyIds: ['f-nada'] }, 'u-admin'))
+      .rejects.toMatchObject({ statusCode: 404 });
+    await expect(service.setUserScopes('u-nadie', {}, 'u-admin'))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('✅ loadModerationScope debe resolver el ámbito una sola vez por petición', async () => {
+    await service.setUserScopes('u-mod', { categoryIds: ['c-math'] }, 'u-admin');
+
+    let lookups = 0;
+    const counting = {
+      async getScope(user) {
+        lookups++;
+        return service.getScope(user);
+      }
+    };
+    const req = { user: { id: 'u-mod', userId: 'u-mod', role: 'moderator' } };
+
+    const first = await loadModerationScope(req, counting);
+    const second = await loadModerationScope(req, counting);
+
+    expect(first.categoryIds).toEqual(['c-math']);
+    expect(second).toBe(first);
+    expect(lookups).toBe(1);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * PRUEBAS UNITARIAS - PREFERENCIAS DE NOTIFICACIÓN
+ *
+ * Tests para las preferencias por usuario:
+ * - Validación del esquema de User.preferences
+ * - Valores por defecto y canales obligatorios
+ * - Filtrado de canales en NotificationContext
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import UserValidator from '../validators/UserValidator.js';
+import { resolvePreferences, enabledChannels } from '../config/notificationPreferences.js';
+import { NotificationContext } from '../patterns/NotificationStrategy.js';
+
+// Estrategia que solo registra lo que se envía
+class RecordingStrategy {
+  constructor() {
+    this.sent = [];
+  }
+
+  async send(data) {
+    this.sent.push(data);
+  }
+}
+
+const buildContext = (user) => {
+  const context = new NotificationContext({ findById: async () => user });
+  const recorders = {};
+
+  for (const channel of ['inapp', 'email', 'push', 'sms']) {
+    recorders[channel] = new RecordingStrategy();
+    context.strategies.set(channel, recorders[channel]);
+  }
+
+  return { context, recorders };
+};
+
+describe('🔔 Pruebas de Preferencias de Notificación', () => {
+
+  describe('UserValidator.validatePreferences', () => {
+    test('✅ Debe aceptar preferencias parciales válidas', () => {
+      const result = UserValidator.validatePreferences({
+        language: 'en',
+        notifications: { resource_comment: { email: true } }
+      });
+
+      expect(result.isValid).toBe(true);
+      expect(result.data.notifications.resource_comment.email).toBe(true);
+    });
+
+    test('❌ Debe rechazar tipos de notificación y canales desconocidos', () => {
+      const result = UserValidator.validatePreferences({
+        notifications: {
+          unknown_event: { inapp: true },
+          resource_like: { pigeon: true }
+        }
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors.map(error => error.field)).toEqual(
+        expect.arrayContaining(['notifications.unknown_event', 'notifications.resource_like.pigeon'])
+      );
+    });
+
+    test('❌ Debe rechazar valores no booleanos e idiomas no soportados', () => {
+      const result = UserValidator.validatePreferences({
+        language: 'fr',
+        notifications: { resource_like: { inapp: 'maybe' } }
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toHaveLength(2);
+    });
+  });
+
+  describe('resolvePreferences', () => {
+    test('✅ Debe completar valores por defecto', () => {
+      const preferences = resolvePreferences({});
+
+      expect(preferences.language).toBe('es');
+      expect(preferences.notifications.resource_moderation).toEqual({
+        inapp: true, email: true, push: false, sms: false
+      });
+    });
+
+    test('✅ Los canales obligatorios no se pueden desactivar', () => {
+      const preferences = { notifications: { security_alert: { inapp: false, email: false } } };
+
+      expect(resolvePreferences(preferences).notifications.security_alert.email).toBe(true);
+      expect(enabledChannels(preferences, 'security_alert')).toEqual(['inapp', 'email']);
+    });
+  });
+
+  describe('NotificationContext - Filtrado por preferencias', () => {
+    let user;
+
+    beforeEach(() => {
+      user = {
+        id: 'user-1',
+        name: 'Ana',
+        email: 'ana@universidad.edu',
+        preferences: {
+          notifications: {
+            resource_moderation: { email: false },
+            resource_comment: { inapp: false, push: true }
+          }
+        }
+      };
+    });
+
+    test('✅ sendMultiple debe omitir los canales desactivados', async () => {
+      const { context, recorders } = buildContext(user);
+
+      const results = await context.sendMultiple(['inapp', 'email'], {
+        user: { id: user.id },
+        type: 'resource_moderation',
+        message: 'Aprobado'
+      });
+
+      expect(results).toEqual([
+        { type: 'inapp', success: true },
+        { type: 'email', success: true, skipped: true }
+      ]);
+      expect(recorders.inapp.sent).toHaveLength(1);
+      expect(recorders.inapp.sent[0].user.email).toBe('ana@universidad.edu');
+      expect(recorders.email.sent).toHaveLength(0);
+    });
+
+    test('✅ Las alertas de seguridad se envían aunque el usuario las desactive', async () => {
+      user.preferences.notifications.security_alert = { inapp: false, email: false };
+      const { context, recorders } = buildContext(user);
+
+      await context.sendMultiple(['inapp', 'email'], { user: { id: user.id }, type: 'security_alert' });
+
+      expect(recorders.inapp.sent).toHaveLength(1);
+      expect(recorders.email.sent).toHaveLength(1);
+    });
+
+    test('✅ sendByPreference debe usar los canales elegidos por el usuario', async () => {
+      const { context, recorders } = buildContext(user);
+
+      const results = await context.sendByPreference({ user: { id: user.id }, type: 'resource_comment' });
+
+      expect(results.map(result => result.type)).toEqual(['push']);
+      expect(recorders.push.sent).toHaveLength(1);
+      expect(recorders.inapp.sent).toHaveLength(0);
+    });
+  });
+});
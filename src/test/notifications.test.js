@@ -0,0 +1,192 @@
+/**
+ * PRUEBAS UNITARIAS - NOTIFICACIONES EN LA APLICACIÓN
+ *
+ * Tests para las notificaciones persistidas:
+ * - Creación con destinatario obligatorio y aviso en tiempo real al usuario
+ * - Listado paginado con filtros de leídas/no leídas y contador de no leídas
+ * - Marcar una o todas como leídas solo sobre las notificaciones propias
+ * - Consultas del repositorio sobre el modelo Notification
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import crypto from 'crypto';
+import { NotificationService } from '../services/NotificationService.js';
+import NotificationRepository from '../repositories/NotificationRepository.js';
+import { Notification } from '../models/index.js';
+
+// Repositorio de notificaciones en memoria
+class InMemoryNotificationRepository {
+  constructor() {
+    this.notifications = [];
+  }
+
+  async create(data) {
+    const notification = {
+      id: crypto.randomUUID(),
+      read: false,
+      read_at: null,
+      created_at: new Date(),
+      ...data,
+      async markAsRead() {
+        this.read = true;
+        this.read_at = new Date();
+        return this;
+      }
+    };
+    this.notifications.push(notification);
+    return notification;
+  }
+
+  async findByIdForUser(id, userId) {
+    return this.notifications.find(notification => notification.id === id && notification.user_id === userId) || null;
+  }
+
+  async findByUser(userId, { page, limit, read, type }) {
+    const matching = this.notifications.filter(notification =>
+      notification.user_id === userId &&
+      (read === null || notification.read === read) &&
+      (!type || notification.type === type)
+    );
+
+    return {
+      notifications: matching.slice((page - 1) * limit, page * limit),
+      pagination: { page, limit, total: matching.length }
+    };
+  }
+
+  async countUnread(userId) {
+    return this.notifications.filter(notification => notification.user_id === userId && !notification.read).length;
+  }
+
+  async markAllAsRead(userId) {
+    const unread = this.notifications.filter(notification => notification.user_id === userId && !notification.read);
+    unread.forEach(notification => { notification.read = true; });
+    return unread.length;
+  }
+}
+
+// SocketService que solo registra lo emitido
+class RecordingSocketService {
+  constructor() {
+    this.emitted = [];
+  }
+
+  emitToUser(userId, event, payload) {
+    this.emitted.push({ userId, event, payload });
+  }
+}
+
+describe('🔔 Pruebas de Notificaciones en la Aplicación', () => {
+  let repository;
+  let sockets;
+  let service;
+
+  beforeEach(() => {
+    repository = new InMemoryNotificationRepository();
+    sockets = new RecordingSocketService();
+    service = new NotificationService(repository, sockets);
+  });
+
+  test('✅ Crea la notificación y la empuja al usuario con su contador', async () => {
+    const notification = await service.createNotification({
+      userId: 'u-ana',
+      type: 'resource_comment',
+      title: 'Nuevo comentario',
+      data: { resource_id: 'r-1' }
+    });
+
+    expect(notification).toMatchObject({ user_id: 'u-ana', type: 'resource_comment', title: 'Nuevo comentario', message: 'Nuevo comentario' });
+    expect(sockets.emitted).toEqual([
+      { userId: 'u-ana', event: 'notification:new', payload: { notification, unread_count: 1 } }
+    ]);
+  });
+
+  test('❌ Sin destinatario no se crea nada', async () => {
+    await expect(service.createNotification({ title: 'Huérfana' })).rejects.toMatchObject({ statusCode: 400 });
+    expect(repository.notifications).toHaveLength(0);
+    expect(sockets.emitted).toHaveLength(0);
+  });
+
+  test('📄 Lista con paginación, filtro de estado y contador de no leídas', async () => {
+    for (const title of ['Uno', 'Dos', 'Tres']) {
+      await service.createNotification({ userId: 'u-ana', title });
+    }
+    await service.createNotification({ userId: 'u-luis', title: 'Ajena' });
+    repository.notifications[0].read = true;
+
+    const unread = await service.getUserNotifications('u-ana', { status: 'unread', limit: '1', page: '2' });
+    expect(unread.notifications.map(notification => notification.title)).toEqual(['Tres']);
+    expect(unread.unread_count).toBe(2);
+    expect(unread.pagination).toMatchObject({ page: 2, limit: 1, total: 2 });
+
+    expect(service.normalizeFilters({ limit: '500', page: '-3' })).toEqual({ page: 1, limit: 100, read: null, type: null });
+    await expect(service.getUserNotifications('u-ana', { status: 'archived' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('👁️ Marcar como leída solo funciona con notificaciones propias', async () => {
+    const notification = await service.createNotification({ userId: 'u-ana', title: 'Nuevo like' });
+
+    await expect(service.markAsRead(notification.id, 'u-luis')).rejects.toMatchObject({ statusCode: 404 });
+    await expect(service.markAsRead(crypto.randomUUID(), 'u-ana')).rejects.toMatchObject({ statusCode: 404 });
+    await expect(service.markAsRead('no-es-un-uuid', 'u-ana')).rejects.toMatchObject({ statusCode: 400 });
+    expect(notification.read).toBe(false);
+
+    const result = await service.markAsRead(notification.id, 'u-ana');
+    expect(result.unread_count).toBe(0);
+    expect(sockets.emitted.at(-1)).toEqual({
+      userId: 'u-ana',
+      event: 'notification:read',
+      payload: { notification_id: notification.id, unread_count: 0 }
+    });
+  });
+
+  test('📬 Marcar todas como leídas deja a los demás usuarios igual', async () => {
+    await service.createNotification({ userId: 'u-ana', title: 'Uno' });
+    await service.createNotification({ userId: 'u-ana', title: 'Dos' });
+    await service.createNotification({ userId: 'u-luis', title: 'Ajena' });
+
+    expect(await service.markAllAsRead('u-ana')).toEqual({ updated: 2, unread_count: 0 });
+    expect(await repository.countUnread('u-luis')).toBe(1);
+    expect(sockets.emitted.at(-1)).toMatchObject({ userId: 'u-ana', event: 'notification:read', payload: { all: true } });
+  });
+
+  describe('🗃️ NotificationRepository', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('✅ Pagina por usuario, estado y tipo, las más recientes primero', async () => {
+      const findAndCountAll = jest.spyOn(Notification, 'findAndCountAll').mockResolvedValue({ count: 45, rows: [] });
+
+      const result = await NotificationRepository.findByUser('u-ana', { page: 2, limit: 20, read: false, type: 'resource_like' });
+
+      expect(findAndCountAll).toHaveBeenCalledWith({
+        where: { user_id: 'u-ana', read: false, type: 'resource_like' },
+        order: [['created_at', 'DESC']],
+        limit: 20,
+        offset: 20
+      });
+      expect(result.pagination).toEqual({ page: 2, limit: 20, total: 45, totalPages: 3, hasMore: true });
+    });
+
+    test('📬 Cuenta y marca solo las no leídas del usuario', async () => {
+      const count = jest.spyOn(Notification, 'count').mockResolvedValue(3);
+      const update = jest.spyOn(Notification, 'update').mockResolvedValue([3]);
+
+      expect(await NotificationRepository.countUnread('u-ana')).toBe(3);
+      expect(await NotificationRepository.markAllAsRead('u-ana')).toBe(3);
+
+      expect(count).toHaveBeenCalledWith({ where: { user_id: 'u-ana', read: false } });
+      expect(update).toHaveBeenCalledWith(
+        { read: true, read_at: expect.any(Date) },
+        { where: { user_id: 'u-ana', read: false } }
+      );
+    });
+
+    test('❌ Los errores de base de datos se reportan con contexto', async () => {
+      jest.spyOn(Notification, 'create').mockRejectedValue(new Error('connection refused'));
+
+      await expect(NotificationRepository.create({ user_id: 'u-ana' })).rejects.toThrow('Error creating notification: connection refused');
+    });
+  });
+});
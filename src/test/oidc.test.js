@@ -0,0 +1,265 @@
+/**
+ * PRUEBAS DE INTEGRACIÓN - INICIO DE SESIÓN INSTITUCIONAL (OIDC)
+ *
+ * Tests del flujo authorization code + PKCE contra un IdP simulado local:
+ * - URL de autorización con state, nonce y code_challenge S256
+ * - Creación y vinculación de cuentas a partir de los claims del ID token
+ * - Vinculación por matrícula solo si la fijó SSO o un admin; si no, con la contraseña de la cuenta
+ * - Rechazo de state reutilizado, nonce incorrecto, PKCE alterado y dominios no permitidos
+ */
+
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import crypto from 'crypto';
+import { OidcService } from '../services/OidcService.js';
+import HashService from '../utils/HashService.js';
+import { MemoryCounterStore } from '../patterns/CounterStore.js';
+import { startMockOidcProvider } from './mockOidcProvider.js';
+
+// Repositorio de usuarios en memoria con los métodos que usa OidcService
+class InMemoryUserRepository {
+  constructor(users = []) {
+    this.users = new Map(users.map(user => [user.id, { ...user }]));
+  }
+
+  async create(data) {
+    const user = { id: crypto.randomUUID(), ...data };
+    this.users.set(user.id, user);
+    return user;
+  }
+
+  async findById(id) {
+    return this.users.get(id) || null;
+  }
+
+  async findByEmail(email) {
+    return [...this.users.values()].find(user => user.email === email) || null;
+  }
+
+  async findByInstitutionalId({ studentId, employeeId, verifiedOnly = false }) {
+    return [...this.users.values()].find(user =>
+      ((studentId && user.student_id === studentId) || (employeeId && user.employee_id === employeeId)) &&
+      (!verifiedOnly || user.institutional_id_verified_at)
+    ) || null;
+  }
+
+  async update(id, data) {
+    Object.assign(this.users.get(id), data);
+    return this.users.get(id);
+  }
+
+  async updateLastLogin() {}
+}
+
+class InMemoryIdentityRepository {
+  constructor() {
+    this.rows = [];
+  }
+
+  async create(data) {
+    const row = { id: crypto.randomUUID(), ...data };
+    this.rows.push(row);
+    return row;
+  }
+
+  async findBySubject(provider, subject) {
+    return this.rows.find(row => row.provider === provider && row.subject === subject) || null;
+  }
+
+  async touch(id, { email, claims, now }) {
+    Object.assign(this.rows.find(row => row.id === id), { email, claims, last_login_at: now });
+  }
+}
+
+describe('🏫 Pruebas de Inicio de Sesión Institucional (OIDC)', () => {
+  let idp;
+  let provider;
+  let users;
+  let identities;
+  let store;
+  let oidc;
+  let passwordHash;
+
+  beforeAll(async () => {
+    idp = await startMockOidcProvider({ clientId: 'unishare' });
+    passwordHash = await HashService.hashPassword('Secreta123!');
+  });
+
+  afterAll(async () => {
+    await idp.close();
+  });
+
+  const buildService = (overrides = {}) => {
+    provider = {
+      id: 'campus',
+      name: 'Campus',
+      issuer: idp.issuer,
+      clientId: 'unishare',
+      clientSecret: '',
+      redirectUri: 'http://localhost:5173/auth/sso/campus/callback',
+      scopes: ['openid', 'email', 'profile'],
+      allowedDomains: ['universidad.edu'],
+      claims: {
+        email: 'email',
+        name: 'name',
+        firstName: 'given_name',
+        lastName: 'family_name',
+        studentId: 'student_id',
+        employeeId: 'employee_id'
+      },
+      roles: { student: 'student', employee: 'teacher' },
+      ...overrides
+    };
+
+    store = new MemoryCounterStore();
+    oidc = new OidcService(
+      { providers: [provider], stateTtlMinutes: 10, metadataTtlMinutes: 60, clockToleranceSeconds: 60 },
+      store,
+      users,
+      identities
+    );
+  };
+
+  // Flujo completo: autorizar, "loguearse" en el IdP y volver con code/state
+  const signIn = async (claims) => {
+    const { authorizationUrl } = await oidc.createAuthorizationRequest('campus');
+    const callback = idp.login(claims, authorizationUrl);
+    return await oidc.authenticate('campus', callback);
+  };
+
+  beforeEach(() => {
+    users = new InMemoryUserRepository([
+      { id: 'u-existing', email: 'eva@universidad.edu', student_id: 'A0012345', institutional_id_verified_at: new Date(), role: 'student', status: 'active', email_verified_at: new Date() },
+      { id: 'u-pending', email: 'leo@universidad.edu', role: 'student', status: 'pending_verification' },
+      // Matrícula escrita por el propio usuario: no prueba nada
+      { id: 'u-claimed', email: 'rai@universidad.edu', student_id: 'A0077777', password: passwordHash, role: 'student', status: 'active', email_verified_at: new Date() }
+    ]);
+    identities = new InMemoryIdentityRepository();
+    buildService();
+  });
+
+  test('✅ La URL de autorización debe incluir PKCE S256, state y nonce', async () => {
+    const { authorizationUrl, state } = await oidc.createAuthorizationRequest('campus');
+    const url = new URL(authorizationUrl);
+
+    expect(`${url.origin}${url.pathname}`).toBe(`${idp.issuer}/authorize`);
+    expect(url.searchParams.get('response_type')).toBe('code');
+    expect(url.searchParams.get('client_id')).toBe('unishare');
+    expect(url.searchParams.get('scope')).toBe('openid email profile');
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(url.searchParams.get('state')).toBe(state);
+
+    const pending = await store.get(`oidc:state:${state}`);
+    const challenge = crypto.createHash('sha256').update(pending.codeVerifier).digest('base64url');
+    expect(url.searchParams.get('code_challenge')).toBe(challenge);
+    expect(url.searchParams.get('nonce')).toBe(pending.nonce);
+  });
+
+  test('✅ Debe crear la cuenta en el primer login y reutilizarla después', async () => {
+    const claims = { sub: 'idp-100', email: 'Ana@Universidad.edu', given_name: 'Ana', family_name: 'Ruiz', student_id: 'A0099999' };
+
+    const user = await signIn(claims);
+
+    expect(user).toMatchObject({
+      email: 'ana@universidad.edu',
+      name: 'Ana Ruiz',
+      student_id: 'A0099999',
+      role: 'student',
+      status: 'active'
+    });
+    expect(user.email_verified_at).toBeInstanceOf(Date);
+    expect(identities.rows).toEqual([expect.objectContaining({ user_id: user.id, provider: 'campus', subject: 'idp-100' })]);
+
+    const again = await signIn({ ...claims, email: 'ana.ruiz@universidad.edu' });
+    expect(again.id).toBe(user.id);
+    expect(users.users.size).toBe(4);
+    expect(identities.rows[0].email).toBe('ana.ruiz@universidad.edu');
+  });
+
+  test('✅ El ID de empleado debe crear la cuenta con el rol configurado', async () => {
+    const user = await signIn({ sub: 'idp-200', email: 'prof@universidad.edu', name: 'Dra. Prof', employee_id: 'E1234' });
+
+    expect(user).toMatchObject({ role: 'teacher', employee_id: 'E1234' });
+    expect(user.institutional_id_verified_at).toBeInstanceOf(Date);
+  });
+
+  test('🔗 Debe vincular cuentas existentes por matrícula o por email verificado', async () => {
+    const byStudentId = await signIn({ sub: 'idp-300', email: 'eva.otro@universidad.edu', student_id: 'A0012345' });
+    expect(byStudentId.id).toBe('u-existing');
+
+    // El IdP verifica el email: la cuenta pendiente queda activa
+    const byEmail = await signIn({ sub: 'idp-301', email: 'leo@universidad.edu' });
+    expect(byEmail).toMatchObject({ id: 'u-pending', status: 'active' });
+    expect(users.users.size).toBe(3);
+  });
+
+  test('🚫 Una matrícula autodeclarada no vincula la cuenta sin su contraseña', async () => {
+    const error = await signIn({ sub: 'idp-350', email: 'intruso@universidad.edu', student_id: 'A0077777' }).catch(err => err);
+
+    expect(error).toMatchObject({ statusCode: 409, details: { conflictType: 'account_link_required' } });
+    expect(error.details.linkToken).toEqual(expect.any(String));
+    expect(identities.rows).toHaveLength(0);
+
+    // Un solo intento por login: la contraseña incorrecta consume el token
+    await expect(oidc.confirmLink(error.details.linkToken, 'Adivinada1!')).rejects.toThrow('Contraseña incorrecta');
+    await expect(oidc.confirmLink(error.details.linkToken, 'Secreta123!'))
+      .rejects.toThrow('Solicitud de vinculación inválida o expirada');
+    expect(identities.rows).toHaveLength(0);
+  });
+
+  test('🔗 Con la contraseña de la cuenta se vincula y la matrícula pasa a estar verificada', async () => {
+    const { details } = await signIn({ sub: 'idp-351', email: 'rai.sso@universidad.edu', student_id: 'A0077777' }).catch(err => err);
+
+    const user = await oidc.confirmLink(details.linkToken, 'Secreta123!');
+
+    expect(user.id).toBe('u-claimed');
+    expect(user.institutional_id_verified_at).toBeInstanceOf(Date);
+    expect(identities.rows).toEqual([expect.objectContaining({ user_id: 'u-claimed', subject: 'idp-351' })]);
+
+    // Los siguientes logins entran directamente por la identidad vinculada
+    expect((await signIn({ sub: 'idp-351', email: 'rai.sso@universidad.edu', student_id: 'A0077777' })).id).toBe('u-claimed');
+  });
+
+  test('🚫 No debe vincular por email si el IdP no lo verifica', async () => {
+    buildService({ allowedDomains: [] });
+
+    await expect(signIn({ sub: 'idp-400', email: 'eva@universidad.edu', email_verified: false }))
+      .rejects.toThrow('Ya existe una cuenta con este email');
+    await expect(signIn({ sub: 'idp-401', email: 'eva@universidad.edu', email_verified: false }))
+      .rejects.toMatchObject({ details: { conflictType: 'account_link_required', linkToken: expect.any(String) } });
+  });
+
+  test('🚫 Debe rechazar dominios no permitidos', async () => {
+    await expect(signIn({ sub: 'idp-500', email: 'alguien@gmail.com', email_verified: true }))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  test('🚫 El state es de un solo uso y debe pertenecer al proveedor', async () => {
+    const { authorizationUrl } = await oidc.createAuthorizationRequest('campus');
+    const callback = idp.login({ sub: 'idp-600', email: 'sol@universidad.edu' }, authorizationUrl);
+
+    await oidc.authenticate('campus', callback);
+
+    await expect(oidc.authenticate('campus', callback))
+      .rejects.toThrow('Solicitud de inicio de sesión inválida o expirada');
+    await expect(oidc.authenticate('campus', { code: 'x', state: 'desconocido' }))
+      .rejects.toThrow('Solicitud de inicio de sesión inválida o expirada');
+  });
+
+  test('🚫 Debe rechazar un nonce distinto y un verificador PKCE alterado', async () => {
+    await expect(signIn({ sub: 'idp-700', email: 'sol@universidad.edu', nonce: 'otro' }))
+      .rejects.toThrow('ID token inválido');
+
+    const { authorizationUrl, state } = await oidc.createAuthorizationRequest('campus');
+    const callback = idp.login({ sub: 'idp-701', email: 'sol@universidad.edu' }, authorizationUrl);
+    const pending = await store.get(`oidc:state:${state}`);
+    await store.set(`oidc:state:${state}`, { ...pending, codeVerifier: 'alterado' }, 60000);
+
+    await expect(oidc.authenticate('campus', callback))
+      .rejects.toThrow('El proveedor de identidad rechazó el inicio de sesión');
+  });
+
+  test('❌ Debe responder 404 para proveedores desconocidos', async () => {
+    await expect(oidc.createAuthorizationRequest('otro')).rejects.toMatchObject({ statusCode: 404 });
+    expect(oidc.getProviders()).toEqual([{ id: 'campus', name: 'Campus' }]);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * PRUEBAS UNITARIAS - RECUPERACIÓN DE CONTRASEÑA
+ *
+ * Tests para forgot/reset password:
+ * - Tokens de un solo uso guardados como hash
+ * - Respuesta idéntica para emails no registrados
+ * - Revocación de refresh tokens tras el cambio
+ * - Desbloqueo de la cuenta tras el cambio
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { AuthService } from '../services/AuthService.js';
+import TokenService from '../utils/TokenService.js';
+import HashService from '../utils/HashService.js';
+
+const config = {
+  emailVerification: { tokenTtlMinutes: 60, resendCooldownSeconds: 60, required: false },
+  passwordReset: { tokenTtlMinutes: 30 }
+};
+
+// Repositorio en memoria con los métodos que usa AuthService
+class InMemoryUserRepository {
+  constructor(users) {
+    this.users = new Map(users.map(user => [user.id, { ...user }]));
+  }
+
+  async findByEmail(email) {
+    return [...this.users.values()].find(user => user.email === email) || null;
+  }
+
+  async findByResetToken(tokenHash) {
+    return [...this.users.values()].find(user => user.reset_password_token === tokenHash) || null;
+  }
+
+  // Como el UPDATE ... WHERE reset_password_token = :hash AND reset_password_expires > now
+  async consumeResetToken(tokenHash, data, now) {
+    const user = await this.findByResetToken(tokenHash);
+    if (!user || !(user.reset_password_expires > now)) {
+      return false;
+    }
+    Object.assign(user, data, { reset_password_token: null, reset_password_expires: null });
+    return true;
+  }
+
+  async update(id, data) {
+    Object.assign(this.users.get(id), data);
+    return this.users.get(id);
+  }
+}
+
+// NotificationContext que solo registra los envíos
+class RecordingNotificationContext {
+  constructor() {
+    this.sent = [];
+  }
+
+  async sendNotification(type, data) {
+    this.sent.push({ type, data });
+    return { type, success: true };
+  }
+}
+
+// SessionService que solo registra las revocaciones
+class RecordingSessionService {
+  constructor() {
+    this.revoked = [];
+  }
+
+  async revokeAllSessions(userId, options) {
+    this.revoked.push({ userId, ...options });
+    return 1;
+  }
+}
+
+// Protección de login que solo registra los desbloqueos
+class RecordingLoginProtection {
+  constructor() {
+    this.unlocked = [];
+  }
+
+  async unlockAccount(email) {
+    this.unlocked.push(email);
+  }
+}
+
+class RecordingObserver {
+  constructor() {
+    this.events = [];
+  }
+
+  async notify(event, data) {
+    this.events.push({ event, data });
+  }
+}
+
+const tokenFromUrl = (url) => new URL(url).searchParams.get('token');
+
+describe('🔑 Pruebas de Recuperación de Contraseña', () => {
+  const now = new Date('2025-05-01T12:00:00Z');
+  let repository;
+  let notifications;
+  let observer;
+  let sessions;
+  let loginProtection;
+  let service;
+
+  beforeEach(() => {
+    repository = new InMemoryUserRepository([
+      { id: 'u-1', name: 'Ana', email: 'ana@universidad.edu', status: 'active', password: 'old-hash' },
+      { id: 'u-2', name: 'Eva', email: 'eva@universidad.edu', status: 'suspended', password: 'old-hash' }
+    ]);
+    notifications = new RecordingNotificationContext();
+    observer = new RecordingObserver();
+    sessions = new RecordingSessionService();
+    loginProtection = new RecordingLoginProtection();
+    service = new AuthService(repository, null, config, notifications, observer, sessions, loginProtection);
+  });
+
+  test('✅ Debe enviar el enlace por la estrategia de email y guardar solo el hash', async () => {
+    await service.requestPasswordReset('ana@universidad.edu', now);
+
+    expect(notifications.sent).toHaveLength(1);
+    const { type, data } = notifications.sent[0];
+    expect(type).toBe('email');
+    expect(data.template).toBe('password.reset');
+    expect(data.templateData.expiresInMinutes).toBe(30);
+
+    const token = tokenFromUrl(data.templateData.resetUrl);
+    const user = repository.users.get('u-1');
+    expect(user.reset_password_token).toBe(TokenService.hashToken(token));
+    expect(user.reset_password_expires.getTime()).toBe(now.getTime() + 30 * 60 * 1000);
+  });
+
+  test('✅ No debe revelar si el email existe', async () => {
+    await expect(service.requestPasswordReset('nadie@universidad.edu', now)).resolves.toBeUndefined();
+    await expect(service.requestPasswordReset('eva@universidad.edu', now)).resolves.toBeUndefined();
+
+    expect(notifications.sent).toHaveLength(0);
+  });
+
+  test('✅ Debe cambiar la contraseña una sola vez con el token', async () => {
+    await service.requestPasswordReset('ana@universidad.edu', now);
+    const token = tokenFromUrl(notifications.sent[0].data.templateData.resetUrl);
+    const later = new Date(now.getTime() + 60 * 1000);
+
+    await service.resetPassword(token, 'NuevaClave123', later);
+
+    const user = repository.users.get('u-1');
+    expect(await HashService.verifyPassword('NuevaClave123', user.password)).toBe(true);
+    expect(user.reset_password_token).toBeNull();
+    expect(user.password_changed_at).toEqual(later);
+    expect(observer.events).toEqual([{ event: 'password.changed', data: { userId: 'u-1' } }]);
+    expect(sessions.revoked).toEqual([{ userId: 'u-1', reason: 'password_reset', now: later }]);
+    expect(loginProtection.unlocked).toEqual(['ana@universidad.edu']);
+
+    await expect(service.resetPassword(token, 'OtraClave123', later))
+      .rejects.toThrow('Token de restablecimiento inválido o expirado');
+  });
+
+  test('⚡ El mismo enlace usado en paralelo solo cambia la contraseña una vez', async () => {
+    await service.requestPasswordReset('ana@universidad.edu', now);
+    const token = tokenFromUrl(notifications.sent[0].data.templateData.resetUrl);
+    const later = new Date(now.getTime() + 60 * 1000);
+
+    const results = await Promise.allSettled([
+      service.resetPassword(token, 'NuevaClave123', later),
+      service.resetPassword(token, 'OtraClave123', later)
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.message).toBe('Token de restablecimiento inválido o expirado');
+    expect(sessions.revoked).toHaveLength(1);
+    expect(observer.events).toHaveLength(1);
+  });
+
+  test('❌ Debe rechazar tokens expirados', async () => {
+    await service.requestPasswordReset('ana@universidad.edu', now);
+    const token = tokenFromUrl(notifications.sent[0].data.templateData.resetUrl);
+
+    await expect(service.resetPassword(token, 'NuevaClave123', new Date(now.getTime() + 31 * 60 * 1000)))
+      .rejects.toThrow('Token de restablecimiento inválido o expirado');
+    expect(repository.users.get('u-1').password).toBe('old-hash');
+  });
+
+  test('✅ Los refresh tokens emitidos antes del cambio quedan revocados', () => {
+    const user = { password_changed_at: now };
+    const issuedAt = Math.floor(now.getTime() / 1000);
+
+    expect(service.isRefreshTokenRevoked(user, { iat: issuedAt - 60 })).toBe(true);
+    expect(service.isRefreshTokenRevoked(user, { iat: issuedAt + 1 })).toBe(false);
+    expect(service.isRefreshTokenRevoked({}, { iat: issuedAt - 60 })).toBe(false);
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * PRUEBAS DE INTEGRACIÓN - PERMISOS
+ *
+ * Tests para la autorización basada en Permission/UserPermission:
+ * - Permisos efectivos = permisos por defecto del rol + asignaciones individuales
+ * - requirePermission responde 401/403 y deja pasar a quien tiene el permiso
+ * - Asignar y revocar permisos (los del rol no se revocan por usuario)
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import crypto from 'crypto';
+import express from 'express';
+import request from 'supertest';
+import { PermissionService } from '../services/PermissionService.js';
+import { loadPermissions, hasPermission, requirePermission } from '../middleware/permissionMiddleware.js';
+import { standardResponse, errorHandler } from '../middleware/responseMiddleware.js';
+
+const CATALOG = [
+  { id: 'p-upload', permission_type: 'upload_resource', name: 'Subir Recursos', default_roles: ['student', 'teacher'] },
+  { id: 'p-moderate', permission_type: 'moderate_resources', name: 'Moderar Recursos', default_roles: ['admin', 'moderator'] },
+  { id: 'p-courses', permission_type: 'manage_courses', name: 'Gestionar Cursos', default_roles: ['admin'] }
+];
+
+// Repositorio de permisos en memoria con los métodos que usa PermissionService
+class InMemoryPermissionRepository {
+  constructor() {
+    this.grants = [];
+  }
+
+  async findAllActive() {
+    return CATALOG;
+  }
+
+  async findByType(permissionType) {
+    return CATALOG.find(permission => permission.permission_type === permissionType) || null;
+  }
+
+  async findByRole(role) {
+    return CATALOG.filter(permission => permission.default_roles.includes(role));
+  }
+
+  async findGrantsByUser(userId) {
+    return this.grants
+      .filter(grant => grant.user_id === userId)
+      .map(grant => ({ ...grant, permission: CATALOG.find(permission => permission.id === grant.permission_id) }));
+  }
+
+  async findGrant(userId, permissionId) {
+    return this.grants.find(grant => grant.user_id === userId && grant.permission_id === permissionId) || null;
+  }
+
+  async createGrant(data) {
+    const grant = { id: crypto.randomUUID(), ...data };
+    this.grants.push(grant);
+    return grant;
+  }
+
+  async deleteGrant(userId, permissionId) {
+    const before = this.grants.length;
+    this.grants = this.grants.filter(grant => !(grant.user_id === userId && grant.permission_id === permissionId));
+    return before - this.grants.length;
+  }
+}
+
+class InMemoryUserRepository {
+  constructor(users) {
+    this.users = new Map(users.map(user => [user.id, user]));
+  }
+
+  async findById(id) {
+    return this.users.get(id) || null;
+  }
+}
+
+describe('🔐 Pruebas de Permisos', () => {
+  let permissionRepository;
+  let permissions;
+
+  beforeEach(() => {
+    permissionRepository = new InMemoryPermissionRepository();
+    permissions = new PermissionService(permissionRepository, new InMemoryUserRepository([
+      { id: 'u-admin', role: 'admin' },
+      { id: 'u-student', role: 'student' },
+      { id: 'u-teacher', role: 'teacher' }
+    ]));
+  });
+
+  // App mínima: un usuario "autenticado" por cabecera y rutas protegidas por permiso
+  const buildApp = () => {
+    const app = express();
+    app.use(standardResponse);
+    app.use(async (req, res, next) => {
+      const userId = req.headers['x-user-id'];
+      if (userId) {
+        const user = await permissions.userRepository.findById(userId);
+        req.user = { id: user.id, userId: user.id, role: user.role };
+        await loadPermissions(req, permissions);
+      }
+      next();
+    });
+    app.get('/queue', requirePermission('moderate_resources'), (req, res) => res.success({ ok: true }));
+    app.post('/categories', requirePermission('manage_courses', 'moderate_resources'), (req, res) => res.success({ ok: true }, 'ok', 201));
+    app.use(errorHandler);
+    return app;
+  };
+
+  test('✅ Los permisos efectivos combinan el rol y las asignaciones', async () => {
+    expect([...await permissions.getEffectivePermissions({ id: 'u-student', role: 'student' })])
+      .toEqual(['upload_resource']);
+
+    await permissions.grantPermission('u-student', 'moderate_resources', 'u-admin');
+
+    expect(await permissions.hasPermission({ id: 'u-student', role: 'student' }, 'moderate_resources')).toBe(true);
+    expect(await permissions.hasPermission({ id: 'u-teacher', role: 'teacher' }, 'moderate_resources')).toBe(false);
+  });
+
+  test('🚫 requirePermission debe responder 401 sin usuario y 403 sin permiso', async () => {
+    const app = buildApp();
+
+    await request(app).get('/queue').expect(401);
+
+    const forbidden = await request(app).get('/queue').set('x-user-id', 'u-student').expect(403);
+    expect(forbidden.body.success).toBe(false);
+  });
+
+  test('✅ requirePermission debe dejar pasar al rol y a las asignaciones individuales', async () => {
+    const app = buildApp();
+
+    await request(app).get('/queue').set('x-user-id', 'u-admin').expect(200);
+
+    // Basta con uno de los permisos indicados
+    await permissions.grantPermission('u-teacher', 'moderate_resources', 'u-admin');
+    await request(app).post('/categories').set('x-user-id', 'u-teacher').expect(201);
+    await request(app).get('/queue').set('x-user-id', 'u-teacher').expect(200);
+  });
+
+  test('✅ hasPermission debe resolver los permisos una sola vez por petición', async () => {
+    let lookups = 0;
+    const counting = {
+      async getEffectivePermissions(user) {
+        lookups++;
+        return permissions.getEffectivePermissions(user);
+      }
+    };
+    const req = { user: { id: 'u-admin', userId: 'u-admin', role: 'admin' } };
+
+    expect(await hasPermission(req, 'moderate_resources', counting)).toBe(true);
+    expect(await hasPermission(req, 'upload_resource', counting)).toBe(false);
+    expect(lookups).toBe(1);
+
+    expect(await hasPermission({ user: null }, 'moderate_resources', counting)).toBe(false);
+  });
+
+  test('✅ Debe listar el origen de cada permiso del usuario', async () => {
+    await permissions.grantPermission('u-student', 'manage_courses', 'u-admin');
+
+    const { role, permissions: list } = await permissions.getUserPermissions('u-student');
+
+    expect(role).toBe('student');
+    expect(list).toEqual([
+      expect.objectContaining({ permission_type: 'upload_resource', from_role: true, grant: null }),
+      expect.objectContaining({ permission_type: 'manage_courses', from_role: false, grant: expect.objectContaining({ granted_by: 'u-admin' }) })
+    ]);
+  });
+
+  test('🚫 No debe asignar dos veces ni permisos o usuarios desconocidos', async () => {
+    await permissions.grantPermission('u-student', 'manage_courses', 'u-admin');
+
+    await expect(permissions.grantPermission('u-student', 'manage_courses', 'u-admin'))
+      .rejects.toMatchObject({ statusCode: 409 });
+    await expect(permissions.grantPermission('u-student', 'volar', 'u-admin'))
+      .rejects.toMatchObject({ statusCode: 404 });
+    await expect(permissions.grantPermission('u-nadie', 'manage_courses', 'u-admin'))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('✅ Revocar quita la asignación pero no los permisos del rol', async () => {
+    await permissions.grantPermission('u-student', 'moderate_resources', 'u-admin');
+    await permissions.revokePermission('u-student', 'moderate_resources', 'u-admin');
+
+    expect(await permissions.hasPermission({ id: 'u-student', role: 'student' }, 'moderate_resources')).toBe(false);
+
+    await expect(permissions.revokePermission('u-student', 'moderate_resources'))
+      .rejects.toMatchObject({ statusCode: 404 });
+    await expect(permissions.revokePermission('u-student', 'upload_resource'))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * PRUEBAS DE INTEGRACIÓN - LÍMITES DE TASA POR RUTA
+ *
+ * Tests para las políticas de rate limiting:
+ * - Cada ruta usa la primera política que coincide (auth / write / read)
+ * - Usuarios autenticados cuentan por usuario, anónimos por IP
+ * - Cabeceras RateLimit-* estándar y respuesta 429 con RateLimitError
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import createRateLimiter from '../middleware/rateLimitMiddleware.js';
+import { standardResponse, errorHandler } from '../middleware/responseMiddleware.js';
+import rateLimitConfig, { WRITE_METHODS, READ_METHODS } from '../config/rateLimit.js';
+import JwtService from '../services/JwtService.js';
+
+const config = {
+  enabled: true,
+  policies: {
+    auth: { paths: ['/auth'], methods: WRITE_METHODS, limit: 2, windowMinutes: 15, message: 'Demasiadas solicitudes de autenticación' },
+    write: { paths: ['/comments'], methods: WRITE_METHODS, limit: 3, windowMinutes: 15, message: 'Demasiadas publicaciones' },
+    read: { paths: ['/'], methods: READ_METHODS, limit: 5, windowMinutes: 15, message: 'Demasiadas solicitudes' }
+  }
+};
+
+// App mínima con el limitador montado igual que en app.js
+const buildApp = (rateLimitConfig = config) => {
+  const app = express();
+  app.use(standardResponse);
+  app.use('/api', createRateLimiter(rateLimitConfig));
+  app.post('/api/auth/login', (req, res) => res.success({ policy: req.rateLimitPolicy }));
+  app.get('/api/auth/me', (req, res) => res.success({ policy: req.rateLimitPolicy }));
+  app.post('/api/comments', (req, res) => res.success({ policy: req.rateLimitPolicy }, 'ok', 201));
+  app.get('/api/comments', (req, res) => res.success({ policy: req.rateLimitPolicy }));
+  app.use(errorHandler);
+  return app;
+};
+
+const bearer = (userId) => `Bearer ${JwtService.generateAccessToken({ userId, role: 'student' })}`;
+
+describe('🚦 Pruebas de Rate Limiting por Ruta', () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp();
+  });
+
+  test('✅ Debe elegir la política según ruta y método', async () => {
+    expect((await request(app).post('/api/auth/login')).body.data.policy).toBe('auth');
+    expect((await request(app).get('/api/auth/me')).body.data.policy).toBe('read');
+    expect((await request(app).post('/api/comments')).body.data.policy).toBe('write');
+    expect((await request(app).get('/api/comments')).body.data.policy).toBe('read');
+  });
+
+  test('🔄 Renovar el token no gasta el presupuesto de inicio de sesión', async () => {
+    const configured = buildApp({ ...rateLimitConfig, enabled: true });
+    configured.post('/api/auth/refresh-token', (req, res) => res.success({ policy: req.rateLimitPolicy }));
+
+    expect((await request(configured).post('/api/auth/refresh-token')).body.data.policy).toBe('refresh');
+    expect((await request(configured).post('/api/auth/login')).body.data.policy).toBe('auth');
+    expect(rateLimitConfig.policies.refresh.limit).toBeGreaterThan(rateLimitConfig.policies.auth.limit);
+  });
+
+  test('✅ Debe enviar las cabeceras RateLimit-* estándar', async () => {
+    const response = await request(app).post('/api/comments');
+
+    expect(response.headers['ratelimit-limit']).toBe('3');
+    expect(response.headers['ratelimit-remaining']).toBe('2');
+    expect(response.headers['ratelimit-reset']).toBeDefined();
+    expect(response.headers['ratelimit-policy']).toBe('3;w=900');
+    expect(response.headers['x-ratelimit-limit']).toBeUndefined();
+  });
+
+  test('🚫 Debe responder 429 con el mensaje de la política al superar el límite', async () => {
+    await request(app).post('/api/auth/login');
+    await request(app).post('/api/auth/login');
+
+    const response = await request(app).post('/api/auth/login');
+
+    expect(response.status).toBe(429);
+    expect(response.body).toMatchObject({ success: false, message: 'Demasiadas solicitudes de autenticación' });
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+
+    // Las demás políticas tienen su propio contador
+    expect((await request(app).post('/api/comments')).status).toBe(201);
+  });
+
+  test('👤 Debe contar por usuario autenticado y por IP para anónimos', async () => {
+    for (let i = 0; i < 3; i++) {
+      expect((await request(app).post('/api/comments').set('Authorization', bearer('u-1'))).status).toBe(201);
+    }
+
+    expect((await request(app).post('/api/comments').set('Authorization', bearer('u-1'))).status).toBe(429);
+    expect((await request(app).post('/api/comments').set('Authorization', bearer('u-2'))).status).toBe(201);
+    expect((await request(app).post('/api/comments')).status).toBe(201);
+  });
+
+  test('🔓 Un token inválido debe contar contra la IP', async () => {
+    for (let i = 0; i < 3; i++) {
+      await request(app).post('/api/comments').set('Authorization', 'Bearer no-es-un-jwt');
+    }
+
+    expect((await request(app).post('/api/comments')).status).toBe(429);
+  });
+
+  test('✅ Deshabilitado no debe limitar ni enviar cabeceras', async () => {
+    const disabled = buildApp({ ...config, enabled: false });
+
+    for (let i = 0; i < 3; i++) {
+      await request(disabled).post('/api/auth/login');
+    }
+    const response = await request(disabled).post('/api/auth/login');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['ratelimit-limit']).toBeUndefined();
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * PRUEBAS UNITARIAS - NOTIFICACIONES EN TIEMPO REAL (Socket.IO)
+ *
+ * Tests para la entrega en tiempo real:
+ * - Handshake autenticado con el mismo JWT de acceso y la sesión aún activa
+ * - Cada socket entra en la sala de su usuario
+ * - Los eventos de recursos (comentarios, likes) llegan solo a la sala del destinatario
+ * - El material nuevo de un curso se reparte a sus alumnos sin retrasar la publicación
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import SocketServiceInstance, { SocketService } from '../services/SocketService.js';
+import JwtService from '../services/JwtService.js';
+import resourceObserver from '../observers/ResourceObserver.js';
+import ResourceRepository from '../repositories/ResourceRepository.js';
+import UserRepository from '../repositories/UserRepository.js';
+import NotificationRepository from '../repositories/NotificationRepository.js';
+import CourseEnrollmentRepository from '../repositories/CourseEnrollmentRepository.js';
+import Resource from '../models/Resource.js';
+
+const USERS = {
+  'u-ana': { id: 'u-ana', name: 'Ana', email: 'ana@universidad.edu', role: 'student', status: 'active', preferences: {} },
+  'u-luis': { id: 'u-luis', name: 'Luis', email: 'luis@universidad.edu', role: 'student', status: 'active', preferences: {} },
+  'u-eva': { id: 'u-eva', name: 'Eva', email: 'eva@universidad.edu', role: 'student', status: 'suspended', preferences: {} }
+};
+
+// Servidor Socket.IO que registra a qué sala va cada evento
+class RecordingServer {
+  constructor() {
+    this.emitted = [];
+  }
+
+  to(room) {
+    return {
+      emit: (event, payload) => this.emitted.push({ room, event, payload })
+    };
+  }
+}
+
+// Socket mínimo como lo ve el middleware de handshake
+const fakeSocket = (handshake) => ({
+  id: 'socket-1',
+  handshake: { auth: {}, headers: {}, query: {}, ...handshake },
+  data: {},
+  rooms: [],
+  join(room) {
+    this.rooms.push(room);
+  },
+  on() {}
+});
+
+const handshakeResult = (service, socket) => new Promise(resolve => service.authenticate(socket, resolve));
+
+// Deja correr las tareas en segundo plano hasta que se cumpla la condición
+const eventually = async (condition, rounds = 50) => {
+  for (let i = 0; i < rounds && !condition(); i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+describe('📡 Pruebas de Notificaciones en Tiempo Real', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('🤝 Handshake', () => {
+    let activeSessions;
+    let service;
+
+    const tokenFor = (userId, sid = 's-1') => JwtService.generateAccessToken({ userId, email: USERS[userId].email, sid });
+
+    beforeEach(() => {
+      activeSessions = new Set(['s-1']);
+      service = new SocketService(
+        JwtService,
+        { findById: async (id) => USERS[id] || null },
+        { isSessionActive: async (sid) => activeSessions.has(sid) }
+      );
+    });
+
+    test('✅ Un token válido con sesión activa entra en la sala de su usuario', async () => {
+      const socket = fakeSocket({ auth: { token: tokenFor('u-ana') } });
+
+      expect(await handshakeResult(service, socket)).toBeUndefined();
+      expect(socket.data.user).toEqual({ userId: 'u-ana', role: 'student', email: 'ana@universidad.edu' });
+
+      service.handleConnection(socket);
+      expect(socket.rooms).toEqual(['user:u-ana']);
+    });
+
+    test('🔑 El token se acepta en auth, en la cabecera Authorization o en la query', async () => {
+      const token = tokenFor('u-ana');
+
+      expect(await handshakeResult(service, fakeSocket({ headers: { authorization: `Bearer ${token}` } }))).toBeUndefined();
+      expect(await handshakeResult(service, fakeSocket({ query: { token } }))).toBeUndefined();
+    });
+
+    test('🚫 Sin token, con token inválido o de un usuario suspendido se rechaza', async () => {
+      expect((await handshakeResult(service, fakeSocket({}))).message).toBe('Token de autenticación requerido');
+      expect((await handshakeResult(service, fakeSocket({ auth: { token: 'no-es-un-jwt' } }))).message).toBe('Token inválido');
+      expect((await handshakeResult(service, fakeSocket({ auth: { token: tokenFor('u-eva') } }))).message).toBe('Usuario no válido o inactivo');
+    });
+
+    test('🔒 Un token de una sesión revocada se rechaza', async () => {
+      const socket = fakeSocket({ auth: { token: tokenFor('u-ana', 's-1') } });
+      activeSessions.delete('s-1');
+
+      expect((await handshakeResult(service, socket)).message).toBe('Sesión revocada');
+      expect(socket.data.user).toBeUndefined();
+    });
+
+    test('📭 Sin servidor inicializado emitir no hace nada', () => {
+      expect(service.emitToUser('u-ana', 'notification:new', {})).toBe(false);
+
+      service.io = new RecordingServer();
+      expect(service.emitToUser(null, 'notification:new', {})).toBe(false);
+      expect(service.emitToUser('u-ana', 'notification:new', { id: 'n-1' })).toBe(true);
+      expect(service.io.emitted).toEqual([{ room: 'user:u-ana', event: 'notification:new', payload: { id: 'n-1' } }]);
+    });
+  });
+
+  describe('👀 Eventos de recursos', () => {
+    let server;
+    let created;
+
+    beforeEach(() => {
+      server = new RecordingServer();
+      SocketServiceInstance.io = server;
+      created = [];
+
+      jest.spyOn(ResourceRepository, 'findById').mockResolvedValue({ id: 'r-1', title: 'Apuntes de Álgebra', user_id: 'u-ana' });
+      jest.spyOn(UserRepository, 'findById').mockImplementation(async (id) => USERS[id] || null);
+      jest.spyOn(NotificationRepository, 'create').mockImplementation(async (data) => {
+        const notification = { id: `n-${created.length + 1}`, read: false, ...data };
+        created.push(notification);
+        return notification;
+      });
+      jest.spyOn(NotificationRepository, 'countUnread').mockImplementation(async (userId) =>
+        created.filter(notification => notification.user_id === userId).length);
+    });
+
+    afterEach(() => {
+      SocketServiceInstance.io = null;
+    });
+
+    test('❤️ Un like llega solo a la sala del autor del recurso', async () => {
+      await resourceObserver.notify('resource.liked', { resourceId: 'r-1', actorId: 'u-luis' });
+
+      expect(server.emitted).toHaveLength(1);
+      expect(server.emitted[0]).toMatchObject({
+        room: 'user:u-ana',
+        event: 'notification:new',
+        payload: {
+          notification: { user_id: 'u-ana', type: 'resource_like', message: 'A Luis le gusta tu recurso "Apuntes de Álgebra"' },
+          unread_count: 1
+        }
+      });
+    });
+
+    test('💬 Un comentario avisa al autor y una respuesta al autor del comentario padre', async () => {
+      await resourceObserver.notify('comment.created', {
+        comment: { id: 'c-2', author: { name: 'Eva' } },
+        resourceId: 'r-1',
+        actorId: 'u-eva',
+        parentAuthorId: 'u-luis'
+      });
+
+      expect(server.emitted.map(({ room, payload }) => [room, payload.notification.type])).toEqual([
+        ['user:u-ana', 'resource_comment'],
+        ['user:u-luis', 'comment_reply']
+      ]);
+    });
+
+    test('🙈 Las interacciones con los propios recursos no se notifican', async () => {
+      await resourceObserver.notify('resource.liked', { resourceId: 'r-1', actorId: 'u-ana' });
+
+      expect(server.emitted).toHaveLength(0);
+      expect(created).toHaveLength(0);
+    });
+
+    test('📚 El material nuevo llega a los alumnos del curso después de responder', async () => {
+      jest.spyOn(CourseEnrollmentRepository, 'findActiveStudentIds').mockResolvedValue(['u-ana', 'u-luis', 'u-eva']);
+      const findActiveByIds = jest.spyOn(UserRepository, 'findActiveByIds').mockImplementation(async (ids) =>
+        ids.map(id => USERS[id]).filter(user => user.status === 'active'));
+      const resource = Resource.build({
+        id: 'r-2', title: 'Tema 4', course_id: 'c-1', user_id: 'u-ana', visibility: 'public', status: 'published'
+      });
+
+      await resourceObserver.notify('resource.published', { resource, actorId: 'u-ana' });
+      expect(server.emitted).toHaveLength(0);
+
+      await eventually(() => server.emitted.length > 0);
+
+      // Una sola consulta de destinatarios; ni el autor ni los suspendidos reciben nada
+      expect(findActiveByIds).toHaveBeenCalledTimes(1);
+      expect(findActiveByIds).toHaveBeenCalledWith(['u-luis', 'u-eva']);
+      expect(UserRepository.findById).not.toHaveBeenCalled();
+      expect(server.emitted.map(({ room, payload }) => [room, payload.notification.type])).toEqual([
+        ['user:u-luis', 'course_resource']
+      ]);
+    });
+
+    test('🔒 El material privado del curso no se anuncia a nadie', async () => {
+      const findActiveStudentIds = jest.spyOn(CourseEnrollmentRepository, 'findActiveStudentIds')
+        .mockResolvedValue(['u-ana', 'u-luis', 'u-eva']);
+      const findActiveByIds = jest.spyOn(UserRepository, 'findActiveByIds').mockResolvedValue([USERS['u-luis']]);
+      const resource = Resource.build({
+        id: 'r-3', title: 'Solucionario', course_id: 'c-1', user_id: 'u-ana', visibility: 'private', status: 'published'
+      });
+
+      await resourceObserver.notify('resource.published', { resource, actorId: 'u-ana' });
+      await new Promise(resolve => setImmediate(resolve));
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(findActiveStudentIds).not.toHaveBeenCalled();
+      expect(findActiveByIds).not.toHaveBeenCalled();
+      expect(server.emitted).toHaveLength(0);
+      expect(created).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * PRUEBAS DE INTEGRACIÓN - RECURSOS POR PERÍODO ACADÉMICO
+ *
+ * Tests para el período académico de los recursos:
+ * - Al crear (o subir) un recurso se etiqueta con el período actual salvo que se indique otro
+ * - Filtro academic_period_id en /api/resources
+ * - Recursos de un período agrupados por curso
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { ResourceService } from '../services/ResourceService.js';
+import { AcademicPeriodService } from '../services/AcademicPeriodService.js';
+import AcademicPeriodRepository from '../repositories/AcademicPeriodRepository.js';
+import AcademicPeriod from '../models/AcademicPeriod.js';
+import ResourceValidator from '../validators/ResourceValidator.js';
+
+const PERIOD_ID = '00000000-0000-4000-8000-0000000000a1';
+const OTHER_PERIOD_ID = '00000000-0000-4000-8000-0000000000a2';
+
+// Repositorio de recursos en memoria: create + findById como los usa createResource
+class InMemoryResourceRepository {
+  constructor() {
+    this.resources = [];
+  }
+
+  async create(data) {
+    const resource = { id: `r-${this.resources.length + 1}`, ...data };
+    this.resources.push(resource);
+    return resource;
+  }
+
+  async findById(id) {
+    return this.resources.find(resource => resource.id === id) || null;
+  }
+}
+
+const newResource = (extra = {}) => ({
+  title: 'Apuntes de Cálculo',
+  description: 'Resumen de derivadas e integrales',
+  ...extra
+});
+
+describe('🗓️ Pruebas de Recursos por Período Académico', () => {
+  let resources;
+  let service;
+
+  beforeEach(() => {
+    resources = new InMemoryResourceRepository();
+    service = new ResourceService(resources);
+    jest.spyOn(AcademicPeriodRepository, 'findCurrent').mockResolvedValue({ id: PERIOD_ID, code: '2026-1' });
+    jest.spyOn(AcademicPeriod, 'findByPk').mockImplementation(async (id) => (id === OTHER_PERIOD_ID ? { id } : null));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('✅ Debe etiquetar el recurso con el período actual por defecto', async () => {
+    const resource = await service.createResource(newResource(), 'u-ana');
+
+    expect(resource.academic_period_id).toBe(PERIOD_ID);
+  });
+
+  test('✅ Debe respetar el período indicado o null para no etiquetar', async () => {
+    expect((await service.createResource(newResource({ academic_period_id: OTHER_PERIOD_ID }), 'u-ana')).academic_period_id)
+      .toBe(OTHER_PERIOD_ID);
+    expect((await service.createResource(newResource({ academic_period_id: null }), 'u-ana')).academic_period_id)
+      .toBeNull();
+
+    await expect(service.createResource(newResource({ academic_period_id: PERIOD_ID.replace('a1', 'ff') }), 'u-ana'))
+      .rejects.toThrow('Academic period not found');
+  });
+
+  test('🕳️ Sin período actual el recurso queda sin etiquetar', async () => {
+    AcademicPeriodRepository.findCurrent.mockResolvedValue(null);
+
+    const resource = await service.createResource(newResource(), 'u-ana');
+
+    expect(resource.academic_period_id).toBeNull();
+  });
+
+  test('🔎 El filtro academic_period_id debe ser un UUID', () => {
+    expect(ResourceValidator.validateFilters({ academic_period_id: PERIOD_ID }).academic_period_id).toBe(PERIOD_ID);
+    expect(() => ResourceValidator.validateFilters({ academic_period_id: '2026-1' })).toThrow();
+  });
+
+  test('📚 Los recursos de un período se agrupan por curso y los sueltos van al final', async () => {
+    const calc = { id: 'c-calc', code: 'MAT101', name: 'Cálculo' };
+    const anat = { id: 'c-anat', code: 'MED101', name: 'Anatomía' };
+    const periodService = new AcademicPeriodService(
+      { findById: async (id) => (id === PERIOD_ID ? { id, code: '2026-1', name: 'Primer semestre 2026', status: 'active' } : null) },
+      {
+        findByAcademicPeriod: async () => [
+          { id: 'r-1', course_id: 'c-anat', course: anat },
+          { id: 'r-2', course_id: null, course: null },
+          { id: 'r-3', course_id: 'c-calc', course: calc },
+          { id: 'r-4', course_id: 'c-anat', course: anat }
+        ]
+      }
+    );
+
+    const result = await periodService.getResourcesByCourse(PERIOD_ID);
+
+    expect(result.academic_period).toMatchObject({ code: '2026-1', status: 'active' });
+    expect(result.total).toBe(4);
+    expect(result.courses.map(group => [group.course?.code || null, group.resources.map(resource => resource.id)]))
+      .toEqual([['MAT101', ['r-3']], ['MED101', ['r-1', 'r-4']], [null, ['r-2']]]);
+
+    await expect(periodService.getResourcesByCourse(OTHER_PERIOD_ID)).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
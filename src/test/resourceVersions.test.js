@@ -0,0 +1,248 @@
+/**
+ * PRUEBAS DE INTEGRACIÓN - VERSIONES DE RECURSOS
+ *
+ * Tests para el historial de versiones de los recursos:
+ * - Cada edición del contenido o del archivo guarda la versión anterior
+ * - Historial y descarga de versiones antiguas
+ * - Restaurar una versión (autor o admin) sin reescribir el historial
+ * - Comentarios y valoraciones registran la versión sobre la que se hicieron o editaron
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ResourceService } from '../services/ResourceService.js';
+import { LocalStorageProvider } from '../patterns/StorageProvider.js';
+import CommentService from '../services/CommentService.js';
+import ModerationScopeService from '../services/ModerationScopeService.js';
+import { ResourceController } from '../controllers/resourceController.js';
+import resourceObserver from '../observers/ResourceObserver.js';
+
+const AUTHOR_ID = 'u-ana';
+
+// Repositorio de recursos en memoria con lo que usan update y rollback
+class InMemoryResourceRepository {
+  constructor(versions) {
+    this.versions = versions;
+    this.resources = new Map();
+  }
+
+  add(resource) {
+    this.resources.set(resource.id, { current_version: 1, visibility: 'public', metadata: {}, ...resource });
+  }
+
+  async findById(id) {
+    const resource = this.resources.get(id);
+    return resource ? { ...resource } : null;
+  }
+
+  async update(id, data) {
+    Object.assign(this.resources.get(id), data);
+    return this.findById(id);
+  }
+
+  async updateWithSnapshot(id, data, snapshot) {
+    this.versions.rows.push({ ...snapshot, created_at: new Date() });
+    return this.update(id, data);
+  }
+
+  async findByContentHash(contentHash) {
+    return [...this.resources.values()].filter(resource => resource.content_hash === contentHash);
+  }
+}
+
+class InMemoryVersionRepository {
+  constructor() {
+    this.rows = [];
+  }
+
+  async findByResource(resourceId) {
+    return this.rows
+      .filter(row => row.resource_id === resourceId)
+      .sort((a, b) => b.version_number - a.version_number);
+  }
+
+  async findByNumber(resourceId, versionNumber) {
+    return this.rows.find(row => row.resource_id === resourceId && row.version_number === versionNumber) || null;
+  }
+
+  async findFilePaths(resourceId) {
+    return this.rows.filter(row => row.resource_id === resourceId).map(row => row.file_path);
+  }
+}
+
+describe('🗂️ Pruebas de Versiones de Recursos', () => {
+  let tmpDir;
+  let versions;
+  let resources;
+  let service;
+
+  // Archivo tal como lo deja multer; el servicio lo mueve al almacenamiento
+  const uploadedFile = (name) => {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, `Contenido de ${name}`);
+    return { name, size: fs.statSync(filePath).size, mimetype: 'application/pdf', path: filePath };
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'unishare-versions-'));
+    versions = new InMemoryVersionRepository();
+    resources = new InMemoryResourceRepository(versions);
+    service = new ResourceService(resources, versions, { policy: 'reject', blobPrefix: 'blobs' },
+      new LocalStorageProvider({ root: path.join(tmpDir, 'storage'), publicBaseUrl: 'http://localhost:3001/uploads' }));
+
+    resources.add({
+      id: 'r-1',
+      user_id: AUTHOR_ID,
+      status: 'published',
+      title: 'Examen parcial de Cálculo',
+      description: 'Examen resuelto del primer parcial',
+      format: 'pdf',
+      file_url: 'http://localhost:3001/uploads/examen-v1.pdf',
+      file_path: '/srv/unishare/public/uploads/examen-v1.pdf',
+      file_size: 1024
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('✅ Editar el contenido o el archivo guarda la versión anterior', async () => {
+    const updated = await service.replaceResourceFile('r-1', uploadedFile('examen-v2.pdf'), { title: 'Examen parcial de Cálculo (corregido)' }, AUTHOR_ID);
+
+    expect(updated).toMatchObject({ current_version: 2, format: 'pdf' });
+    expect(updated.file_path).toMatch(/^blobs\/[0-9a-f]{2}\/[0-9a-f]{64}\.pdf$/);
+    expect(versions.rows).toHaveLength(1);
+    expect(versions.rows[0]).toMatchObject({
+      version_number: 1,
+      title: 'Examen parcial de Cálculo',
+      file_path: '/srv/unishare/public/uploads/examen-v1.pdf',
+      replaced_by: AUTHOR_ID
+    });
+
+    // Cambiar solo la visibilidad o repetir el mismo título no crea versión
+    await service.updateResource('r-1', { visibility: 'restricted', title: 'Examen parcial de Cálculo (corregido)' }, AUTHOR_ID);
+    expect(versions.rows).toHaveLength(1);
+    expect((await resources.findById('r-1')).current_version).toBe(2);
+  });
+
+  test('📜 El historial empieza por la versión actual y las privadas solo las ve su autor', async () => {
+    await service.updateResource('r-1', { description: 'Examen resuelto con la rúbrica oficial' }, AUTHOR_ID);
+
+    const history = await service.getResourceVersions('r-1');
+
+    expect(history.current_version).toBe(2);
+    expect(history.versions.map(version => [version.version_number, version.is_current])).toEqual([[2, true], [1, false]]);
+    expect(history.versions[1]).toMatchObject({
+      description: 'Examen resuelto del primer parcial',
+      download_url: '/api/resources/r-1/versions/1/download'
+    });
+
+    await resources.update('r-1', { visibility: 'private' });
+    await expect(service.getResourceVersions('r-1', 'u-otro')).rejects.toMatchObject({ statusCode: 403 });
+    await expect(service.getResourceVersions('r-1', AUTHOR_ID)).resolves.toMatchObject({ current_version: 2 });
+  });
+
+  test('📥 Se puede descargar el archivo de cualquier versión', async () => {
+    const updated = await service.replaceResourceFile('r-1', uploadedFile('examen-v2.pdf'), {}, AUTHOR_ID);
+
+    expect((await service.getResourceVersionFile('r-1', '1')).file_path).toBe('/srv/unishare/public/uploads/examen-v1.pdf');
+    expect((await service.getResourceVersionFile('r-1', '2')).file_path).toBe(updated.file_path);
+
+    await expect(service.getResourceVersionFile('r-1', '7')).rejects.toMatchObject({ statusCode: 404 });
+    await expect(service.getResourceVersionFile('r-1', 'abc')).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('⏪ Restaurar una versión crea una nueva y conserva el historial', async () => {
+    await service.replaceResourceFile('r-1', uploadedFile('examen-v2.pdf'), { title: 'Examen con errores' }, AUTHOR_ID);
+
+    await expect(service.rollbackResource('r-1', 1, 'u-otro')).rejects.toMatchObject({ statusCode: 403 });
+    await expect(service.rollbackResource('r-1', 2, AUTHOR_ID)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(service.rollbackResource('r-1', 5, AUTHOR_ID)).rejects.toMatchObject({ statusCode: 404 });
+
+    const restored = await service.rollbackResource('r-1', 1, AUTHOR_ID);
+
+    expect(restored).toMatchObject({
+      current_version: 3,
+      title: 'Examen parcial de Cálculo',
+      file_path: '/srv/unishare/public/uploads/examen-v1.pdf'
+    });
+    expect(versions.rows.map(version => [version.version_number, version.title])).toEqual([
+      [1, 'Examen parcial de Cálculo'],
+      [2, 'Examen con errores']
+    ]);
+
+    // Un admin puede restaurar recursos ajenos
+    await expect(service.rollbackResource('r-1', 2, 'u-admin', true)).resolves.toMatchObject({ current_version: 4, title: 'Examen con errores' });
+  });
+
+  test('🛡️ Restaurar recursos ajenos exige moderate_resources y el recurso dentro del ámbito', async () => {
+    const granted = [];
+    const controller = new ResourceController({
+      rollbackResource: async (id, n, userId, canModerate) => {
+        granted.push(canModerate);
+        return { id };
+      }
+    });
+    const inScope = jest.spyOn(ModerationScopeService, 'canModerateResource')
+      .mockImplementation(async (scope) => !scope || scope.facultyIds.includes('f-ing'));
+
+    const rollback = (permissions, moderationScope) => controller.rollbackResource(
+      { params: { id: 'r-1', n: '2' }, user: { userId: 'u-mod', role: 'admin' }, permissions: new Set(permissions), moderationScope },
+      { success: () => {} },
+      (error) => { throw error; }
+    );
+
+    await rollback([], null);
+    await rollback(['moderate_resources'], null);
+    await rollback(['moderate_resources'], { facultyIds: ['f-med'], categoryIds: [] });
+
+    // El rol por sí solo no basta: cuenta el permiso efectivo y el ámbito
+    expect(granted).toEqual([false, true, false]);
+    expect(inScope).toHaveBeenCalledWith({ facultyIds: ['f-med'], categoryIds: [] }, 'r-1');
+  });
+
+  test('💬 Comentarios y valoraciones registran la versión del recurso', async () => {
+    jest.spyOn(resourceObserver, 'notify').mockResolvedValue();
+    const saved = [];
+    const comments = new CommentService();
+    comments.commentRepository = {
+      canUserComment: async () => true,
+      findResourceVersion: async () => 3,
+      findUserRating: async () => null,
+      create: async (data) => {
+        saved.push(data);
+        return data;
+      }
+    };
+
+    await comments.createComment({ resource_id: 'r-1', content: 'La pregunta 2 tenía un error' }, 'u-luis');
+    await comments.createOrUpdateRating({ resource_id: 'r-1', content: 'Muy útil', rating: 5, parent_id: null }, 'u-luis');
+
+    expect(saved.map(comment => comment.resource_version)).toEqual([3, 3]);
+  });
+
+  test('✏️ Un comentario editado apunta a la versión actual y solo lo editan su autor o un moderador', async () => {
+    const updates = [];
+    const comments = new CommentService();
+    comments.commentRepository = {
+      findById: async (id) => ({ id, user_id: 'u-luis', resource_id: 'r-1' }),
+      findResourceVersion: async () => 4,
+      update: async (id, data) => {
+        updates.push(data);
+        return { id, ...data };
+      }
+    };
+
+    await expect(comments.updateComment('c-1', { content: 'Editado por otro' }, 'u-eva')).rejects.toMatchObject({ message: 'You can only edit your own comments' });
+    expect(updates).toHaveLength(0);
+
+    await comments.updateComment('c-1', { content: 'Corregido: era la pregunta 3' }, 'u-luis');
+    await comments.updateComment('c-1', { content: 'Moderado' }, 'u-moderador', true);
+
+    expect(updates.map(update => update.resource_version)).toEqual([4, 4]);
+  });
+});
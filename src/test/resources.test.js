@@ -32,8 +32,7 @@ describe('📚 Pruebas de Gestión de Recursos', () => {
     const adminData = {
       name: 'Admin Test',
       email: `admin.${Date.now()}@universidad.edu`,
-      password: 'AdminPass123!',
-      role: 'admin'
+      password: 'AdminPass123!'
     };
 
     const studentData = {
@@ -57,6 +56,10 @@ describe('📚 Pruebas de Gestión de Recursos', () => {
     adminUser = adminResponse.body.data.user;
     studentUser = studentResponse.body.data.user;
 
+    // El rol admin no se puede elegir al registrarse: se asigna directamente
+    await User.update({ role: 'admin' }, { where: { id: adminUser.id } });
+    adminUser.role = 'admin';
+
     // Crear categoría de prueba
     testCategory = await Category.create({
       name: `Test Category ${Date.now()}`,
@@ -0,0 +1,378 @@
+/**
+ * PRUEBAS DE INTEGRACIÓN - SUBIDAS REANUDABLES (tus)
+ *
+ * Tests para la subida de archivos grandes por partes:
+ * - Sesiones con tamaño final y límites configurables por tipo de recurso
+ * - Partes en el offset que informa el servidor; reanudar tras un corte
+ * - Finalizar convierte el archivo completo en un recurso (hash, deduplicación y almacenamiento)
+ * - Un finalizar fallido se puede reintentar; solo un duplicado rechazado descarta la subida
+ * - Limpieza de sesiones caducadas y de sus archivos parciales
+ * - Cabeceras del protocolo tus sobre HTTP
+ */
+
+import { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import express from 'express';
+import { ResumableUploadService, parseUploadMetadata } from '../services/ResumableUploadService.js';
+import { ResourceService } from '../services/ResourceService.js';
+import { UploadController } from '../controllers/uploadController.js';
+import { LocalStorageProvider } from '../patterns/StorageProvider.js';
+import { standardResponse, errorHandler } from '../middleware/responseMiddleware.js';
+import AcademicPeriodRepository from '../repositories/AcademicPeriodRepository.js';
+import Course from '../models/Course.js';
+
+const MB = 1024 * 1024;
+const LECTURE = Buffer.from('Clase 12 de Cálculo II - integrales dobles y cambio de variable '.repeat(64));
+
+// Repositorio de sesiones en memoria
+class InMemoryUploadSessionRepository {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async create(data) {
+    const session = { id: crypto.randomUUID(), status: 'uploading', resource_id: null, ...data };
+    this.sessions.set(session.id, session);
+    return { ...session };
+  }
+
+  async findById(id) {
+    const session = this.sessions.get(id);
+    return session ? { ...session } : null;
+  }
+
+  async update(id, data) {
+    Object.assign(this.sessions.get(id), data);
+    return this.findById(id);
+  }
+
+  // Como el WHERE upload_offset = :from de UploadSessionRepository
+  async advanceOffset(id, fromOffset, data) {
+    const session = this.sessions.get(id);
+    if (!session || session.status !== 'uploading' || session.upload_offset !== fromOffset) {
+      return false;
+    }
+    Object.assign(session, data);
+    return true;
+  }
+
+  async delete(id) {
+    return this.sessions.delete(id);
+  }
+
+  async findExpired(now) {
+    return [...this.sessions.values()].filter(session => session.expires_at < now);
+  }
+}
+
+// Repositorio de recursos en memoria con lo que usa la subida
+class InMemoryResourceRepository {
+  constructor() {
+    this.resources = [];
+  }
+
+  async create(data) {
+    const resource = { id: `r-${this.resources.length + 1}`, ...data };
+    this.resources.push(resource);
+    return resource;
+  }
+
+  async findById(id) {
+    return this.resources.find(resource => resource.id === id) || null;
+  }
+
+  async findByContentHash(contentHash) {
+    return this.resources.filter(resource => resource.content_hash === contentHash);
+  }
+
+  async isFileShared() {
+    return false;
+  }
+}
+
+const metadata = (overrides = {}) => ({
+  filename: 'clase-12.mp4',
+  filetype: 'video/mp4',
+  type: 'video',
+  title: 'Clase 12 - Integrales dobles',
+  description: 'Grabación de la clase de Cálculo II',
+  ...overrides
+});
+
+describe('⏫ Pruebas de Subidas Reanudables', () => {
+  let tmpDir;
+  let now;
+  let sessions;
+  let resources;
+  let storage;
+  let uploads;
+
+  const config = () => ({
+    maxSizes: { document: 1 * MB, video: 4 * MB },
+    mimeTypes: { document: ['application/pdf'], video: ['video/mp4'] },
+    tempDir: path.join(tmpDir, 'resumable'),
+    sessionTtlMs: 60 * 60 * 1000,
+    cleanup: { enabled: false, pollIntervalMs: 60 * 1000 }
+  });
+
+  const partFiles = () => fs.readdirSync(path.join(tmpDir, 'resumable'));
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'unishare-resumable-'));
+    now = new Date('2026-03-10T10:00:00Z');
+    sessions = new InMemoryUploadSessionRepository();
+    resources = new InMemoryResourceRepository();
+    storage = new LocalStorageProvider({ root: path.join(tmpDir, 'storage'), publicBaseUrl: 'http://localhost:3001/uploads' });
+
+    const resourceService = new ResourceService(resources, { findFilePaths: async () => [] }, { policy: 'flag', blobPrefix: 'blobs' }, storage);
+    uploads = new ResumableUploadService(sessions, resourceService, config(), () => now);
+    jest.spyOn(AcademicPeriodRepository, 'findCurrent').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('✅ Sube por partes, informa el progreso y finaliza en un recurso', async () => {
+    const session = await uploads.createSession(String(LECTURE.length), metadata(), 'u-ana');
+    const half = Math.floor(LECTURE.length / 2);
+
+    const first = await uploads.appendChunk(session.id, 'u-ana', 0, Readable.from([LECTURE.subarray(0, half)]));
+    expect(first.upload_offset).toBe(half);
+    expect(await uploads.getProgress(session.id, 'u-ana')).toMatchObject({ upload_offset: half, progress: 50, status: 'uploading' });
+
+    await uploads.appendChunk(session.id, 'u-ana', half, Readable.from([LECTURE.subarray(half)]));
+    const resource = await uploads.finalize(session.id, 'u-ana', { title: 'Clase 12 - Cálculo II' });
+
+    const hash = crypto.createHash('sha256').update(LECTURE).digest('hex');
+    expect(resource).toMatchObject({
+      title: 'Clase 12 - Cálculo II',
+      type: 'video',
+      user_id: 'u-ana',
+      content_hash: hash,
+      file_path: `blobs/${hash.slice(0, 2)}/${hash}.mp4`
+    });
+    expect((await storage.get(resource.file_path)).equals(LECTURE)).toBe(true);
+    expect(partFiles()).toEqual([]);
+    expect(await uploads.getProgress(session.id, 'u-ana')).toMatchObject({ progress: 100, status: 'completed', resource_id: resource.id });
+    await expect(uploads.finalize(session.id, 'u-ana')).rejects.toMatchObject({ statusCode: 409, details: { conflictType: 'upload_completed' } });
+  });
+
+  test('🚫 Valida tipo, formato y tamaño máximo por tipo al crear la sesión', async () => {
+    await expect(uploads.createSession(10, metadata({ type: 'link' }), 'u-ana')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(uploads.createSession(10, metadata({ filetype: 'application/x-msdownload' }), 'u-ana')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(uploads.createSession(10, metadata({ filename: undefined }), 'u-ana')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(uploads.createSession('abc', metadata(), 'u-ana')).rejects.toMatchObject({ statusCode: 400 });
+
+    // 2 MB caben como vídeo pero no como documento
+    await expect(uploads.createSession(2 * MB, metadata(), 'u-ana')).resolves.toHaveProperty('id');
+    await expect(uploads.createSession(2 * MB, metadata({ type: 'document', filetype: 'application/pdf', filename: 'apuntes.pdf' }), 'u-ana'))
+      .rejects.toMatchObject({ statusCode: 413, details: { maxSize: 1 * MB } });
+  });
+
+  test('🔁 Offsets que no cuadran, partes de más y finalizar incompleto se rechazan', async () => {
+    const session = await uploads.createSession(10, metadata(), 'u-ana');
+
+    await expect(uploads.appendChunk(session.id, 'u-ana', 4, Readable.from([Buffer.from('abcd')])))
+      .rejects.toMatchObject({ statusCode: 409, details: { conflictType: 'offset_mismatch' } });
+    await uploads.appendChunk(session.id, 'u-ana', 0, Readable.from([Buffer.from('abcd')]));
+    await expect(uploads.finalize(session.id, 'u-ana')).rejects.toMatchObject({ statusCode: 409, details: { conflictType: 'upload_incomplete' } });
+
+    // Nunca se escribe más allá de Upload-Length y el offset sigue a lo que quedó en disco
+    await expect(uploads.appendChunk(session.id, 'u-ana', 4, Readable.from([Buffer.from('efgh'), Buffer.from('ijkl')])))
+      .rejects.toMatchObject({ statusCode: 413 });
+    const { upload_offset: offset } = await uploads.getProgress(session.id, 'u-ana');
+    expect(offset).toBeGreaterThanOrEqual(4);
+    expect(offset).toBeLessThanOrEqual(8);
+    expect(fs.statSync(uploads.tempPath(session.id)).size).toBe(offset);
+  });
+
+  test('🔀 Dos partes en el mismo offset: solo una avanza, también desde otro proceso', async () => {
+    const session = await uploads.createSession(8, metadata(), 'u-ana');
+
+    // Mismo proceso: la segunda encuentra la sesión bloqueada
+    const sameProcess = await Promise.allSettled([
+      uploads.appendChunk(session.id, 'u-ana', 0, Readable.from([Buffer.from('abcd')])),
+      uploads.appendChunk(session.id, 'u-ana', 0, Readable.from([Buffer.from('wxyz')]))
+    ]);
+    expect(sameProcess.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect(sameProcess[1].reason).toMatchObject({ statusCode: 409, details: { conflictType: 'upload_locked' } });
+
+    // Otro proceso (sin el bloqueo en memoria): el offset solo avanza desde donde empezó la parte
+    const otherProcess = new ResumableUploadService(sessions, uploads.resourceService, config(), () => now);
+    const parallel = await Promise.allSettled([
+      uploads.appendChunk(session.id, 'u-ana', 4, Readable.from([Buffer.from('efgh')])),
+      otherProcess.appendChunk(session.id, 'u-ana', 4, Readable.from([Buffer.from('efgh')]))
+    ]);
+    expect(parallel.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(parallel.find(result => result.status === 'rejected').reason)
+      .toMatchObject({ statusCode: 409, details: { conflictType: 'offset_mismatch', upload_offset: 8 } });
+    expect((await uploads.getProgress(session.id, 'u-ana')).upload_offset).toBe(8);
+  });
+
+  test('🔄 Si finalizar falla la subida se conserva y se puede reintentar', async () => {
+    const session = await uploads.createSession(String(LECTURE.length), metadata(), 'u-ana');
+    await uploads.appendChunk(session.id, 'u-ana', 0, Readable.from([LECTURE]));
+
+    // Un curso inexistente se detecta antes de tocar el archivo
+    jest.spyOn(Course, 'findByPk').mockResolvedValue(null);
+    await expect(uploads.finalize(session.id, 'u-ana', { course_id: crypto.randomUUID() }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Course not found' });
+
+    // Un fallo al guardar el recurso tampoco pierde la subida
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(resources, 'create').mockRejectedValueOnce(new Error('connection refused'));
+    await expect(uploads.finalize(session.id, 'u-ana')).rejects.toThrow('connection refused');
+
+    expect(await uploads.getProgress(session.id, 'u-ana')).toMatchObject({ progress: 100, status: 'uploading' });
+    expect(partFiles()).toEqual([`${session.id}.part`]);
+
+    const resource = await uploads.finalize(session.id, 'u-ana');
+    expect((await storage.get(resource.file_path)).equals(LECTURE)).toBe(true);
+    expect(partFiles()).toEqual([]);
+  });
+
+  test('♻️ Un duplicado rechazado descarta la subida', async () => {
+    const resourceService = new ResourceService(resources, { findFilePaths: async () => [] }, { policy: 'reject', blobPrefix: 'blobs' }, storage);
+    uploads = new ResumableUploadService(sessions, resourceService, config(), () => now);
+
+    const upload = async () => {
+      const session = await uploads.createSession(String(LECTURE.length), metadata(), 'u-ana');
+      await uploads.appendChunk(session.id, 'u-ana', 0, Readable.from([LECTURE]));
+      return session;
+    };
+
+    await uploads.finalize((await upload()).id, 'u-ana');
+    const copy = await upload();
+
+    await expect(uploads.finalize(copy.id, 'u-ana')).rejects.toMatchObject({ statusCode: 409, details: { conflictType: 'duplicate_file' } });
+    expect(sessions.sessions.has(copy.id)).toBe(false);
+    expect(partFiles()).toEqual([]);
+  });
+
+  test('🔒 Las sesiones de otros usuarios no existen y cancelar borra lo recibido', async () => {
+    const session = await uploads.createSession(10, metadata(), 'u-ana');
+
+    await expect(uploads.getProgress(session.id, 'u-luis')).rejects.toMatchObject({ statusCode: 404 });
+    await expect(uploads.cancel(session.id, 'u-luis')).rejects.toMatchObject({ statusCode: 404 });
+
+    await uploads.cancel(session.id, 'u-ana');
+    expect(sessions.sessions.size).toBe(0);
+    expect(partFiles()).toEqual([]);
+  });
+
+  test('🧹 La limpieza elimina sesiones caducadas y sus archivos parciales', async () => {
+    const abandoned = await uploads.createSession(10, metadata(), 'u-ana');
+    await uploads.appendChunk(abandoned.id, 'u-ana', 0, Readable.from([Buffer.from('abc')]));
+
+    now = new Date('2026-03-10T10:30:00Z');
+    const active = await uploads.createSession(10, metadata(), 'u-luis');
+
+    now = new Date('2026-03-10T11:15:00Z');
+    await expect(uploads.getProgress(abandoned.id, 'u-ana')).rejects.toMatchObject({ statusCode: 404 });
+    expect(await uploads.collectGarbage()).toEqual({ removed: 1, abandoned: 1 });
+
+    expect([...sessions.sessions.keys()]).toEqual([active.id]);
+    expect(partFiles()).toEqual([`${active.id}.part`]);
+  });
+
+  test('🏷️ Upload-Metadata se decodifica de pares clave/base64', () => {
+    const encode = (value) => Buffer.from(value).toString('base64');
+
+    expect(parseUploadMetadata(`filename ${encode('clase 12 (Cálculo).mp4')},filetype ${encode('video/mp4')}, is_draft`)).toEqual({
+      filename: 'clase 12 (Cálculo).mp4',
+      filetype: 'video/mp4',
+      is_draft: ''
+    });
+    expect(parseUploadMetadata(undefined)).toEqual({});
+  });
+
+  describe('🌐 Protocolo tus sobre HTTP', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+      const app = express();
+      app.use(express.json());
+      app.use(standardResponse);
+      app.use((req, res, next) => {
+        req.user = { userId: 'u-ana' };
+        next();
+      });
+
+      // El controlador se crea por petición con el servicio de cada prueba
+      const controller = (method) => (req, res, next) => new UploadController(uploads, config())[method](req, res, next);
+      app.use('/api/uploads', controller('tusHeaders'));
+      app.post('/api/uploads', controller('createUpload'));
+      app.head('/api/uploads/:id', controller('getUploadOffset'));
+      app.patch('/api/uploads/:id', controller('appendChunk'));
+      app.post('/api/uploads/:id/finalize', controller('finalizeUpload'));
+      app.use(errorHandler);
+
+      server = await new Promise(resolve => {
+        const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+      });
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    const patch = (location, offset, body, contentType = 'application/offset+octet-stream') => fetch(`${baseUrl}${location}`, {
+      method: 'PATCH',
+      headers: { 'Tus-Resumable': '1.0.0', 'Upload-Offset': String(offset), 'Content-Type': contentType },
+      body
+    });
+
+    test('✅ Crear, consultar el offset, reanudar y finalizar', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const encode = (value) => Buffer.from(value).toString('base64');
+
+      const created = await fetch(`${baseUrl}/api/uploads`, {
+        method: 'POST',
+        headers: {
+          'Tus-Resumable': '1.0.0',
+          'Upload-Length': String(LECTURE.length),
+          'Upload-Metadata': `filename ${encode('clase-12.mp4')},filetype ${encode('video/mp4')},type ${encode('video')}`
+        }
+      });
+      expect(created.status).toBe(201);
+      expect(created.headers.get('tus-resumable')).toBe('1.0.0');
+      expect(created.headers.get('tus-max-size')).toBe(String(4 * MB));
+      const location = created.headers.get('location');
+      expect(location).toMatch(/^\/api\/uploads\/[0-9a-f-]{36}$/);
+
+      expect((await patch(location, 0, LECTURE.subarray(0, 100), 'text/plain')).status).toBe(415);
+      expect((await patch(location, 0, LECTURE.subarray(0, 100))).status).toBe(204);
+
+      // Tras un corte el cliente pregunta dónde seguir
+      const head = await fetch(`${baseUrl}${location}`, { method: 'HEAD', headers: { 'Tus-Resumable': '1.0.0' } });
+      expect(head.headers.get('upload-offset')).toBe('100');
+      expect(head.headers.get('upload-length')).toBe(String(LECTURE.length));
+      expect(head.headers.get('cache-control')).toBe('no-store');
+
+      const stale = await patch(location, 0, LECTURE.subarray(0, 100));
+      expect(stale.status).toBe(409);
+      expect((await stale.json()).data).toEqual({ conflictType: 'offset_mismatch', upload_offset: 100 });
+
+      const last = await patch(location, 100, LECTURE.subarray(100));
+      expect(last.headers.get('upload-offset')).toBe(String(LECTURE.length));
+
+      const finalized = await fetch(`${baseUrl}${location}/finalize`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title: 'Clase 12 - Integrales dobles', description: 'Grabación de la clase de Cálculo II' })
+      });
+      expect(finalized.status).toBe(201);
+      expect((await finalized.json()).data.resource).toMatchObject({ type: 'video', file_size: LECTURE.length });
+
+      expect((await fetch(`${baseUrl}/api/uploads`, { method: 'POST', headers: { 'Tus-Resumable': '0.2.2' } })).status).toBe(412);
+    });
+  });
+});
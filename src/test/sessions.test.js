@@ -0,0 +1,220 @@
+/**
+ * PRUEBAS UNITARIAS - SESIONES Y REFRESH TOKENS
+ *
+ * Tests para la rotación de refresh tokens:
+ * - Cada uso emite un nuevo token en la misma familia (sesión)
+ * - Reutilizar un token rotado revoca toda la familia
+ * - Logout del dispositivo actual o de todos
+ * - Listado y revocación de sesiones por dispositivo
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { SessionService } from '../services/SessionService.js';
+import { AuthService } from '../services/AuthService.js';
+import TokenService from '../utils/TokenService.js';
+
+// Repositorio en memoria que imita RefreshTokenRepository
+class InMemoryRefreshTokenRepository {
+  constructor() {
+    this.rows = new Map();
+    this.clock = Date.now();
+  }
+
+  async create(data) {
+    // Reloj creciente para que el orden por created_at sea determinista
+    this.clock += 1000;
+    const row = { revoked_at: null, revoked_reason: null, replaced_by: null, created_at: new Date(this.clock), ...data };
+    this.rows.set(row.id, row);
+    return row;
+  }
+
+  async findById(id) {
+    return this.rows.get(id) || null;
+  }
+
+  async revoke(id, { reason, replacedBy = null, now }) {
+    const row = this.rows.get(id);
+    if (!row || row.revoked_at) return false;
+    Object.assign(row, { revoked_at: now, revoked_reason: reason, replaced_by: replacedBy });
+    return true;
+  }
+
+  async findActiveByUser(userId, now) {
+    return this.active()
+      .filter(row => row.user_id === userId && row.expires_at > now)
+      .sort((a, b) => b.created_at - a.created_at);
+  }
+
+  async findSessionStarts(familyIds) {
+    const starts = {};
+    for (const row of this.rows.values()) {
+      if (familyIds.includes(row.family_id) &&
+          (!starts[row.family_id] || row.created_at < starts[row.family_id])) {
+        starts[row.family_id] = row.created_at;
+      }
+    }
+    return starts;
+  }
+
+  async isFamilyActive(familyId, now) {
+    return this.active().some(row => row.family_id === familyId && row.expires_at > now);
+  }
+
+  async revokeFamily(familyId, { reason, userId = null, now }) {
+    return this.revokeWhere(
+      row => row.family_id === familyId && (!userId || row.user_id === userId),
+      reason,
+      now
+    );
+  }
+
+  async revokeAllForUser(userId, { reason, exceptFamilyId = null, now }) {
+    return this.revokeWhere(row => row.user_id === userId && row.family_id !== exceptFamilyId, reason, now);
+  }
+
+  revokeWhere(predicate, reason, now) {
+    let count = 0;
+    for (const row of this.rows.values()) {
+      if (!row.revoked_at && predicate(row)) {
+        Object.assign(row, { revoked_at: now, revoked_reason: reason });
+        count += 1;
+      }
+    }
+    return count;
+  }
+
+  active() {
+    return [...this.rows.values()].filter(row => !row.revoked_at);
+  }
+}
+
+const user = {
+  id: 'u-1',
+  email: 'ana@universidad.edu',
+  role: 'student',
+  status: 'active',
+  toSafeObject() {
+    return { id: this.id, email: this.email };
+  }
+};
+
+describe('🔁 Pruebas de Sesiones y Refresh Tokens', () => {
+  let repository;
+  let sessions;
+  let auth;
+
+  beforeEach(() => {
+    repository = new InMemoryRefreshTokenRepository();
+    sessions = new SessionService(repository);
+    auth = new AuthService({ findById: async () => user }, null, {}, null, null, sessions);
+  });
+
+  test('✅ Debe guardar solo el hash del refresh token', async () => {
+    const session = await sessions.createSession(user, { userAgent: 'jest', ipAddress: '127.0.0.1' });
+
+    const [row] = repository.active();
+    expect(row.family_id).toBe(session.sessionId);
+    expect(row.token_hash).toBe(TokenService.hashToken(session.refreshToken));
+    expect(row.user_agent).toBe('jest');
+    expect(row.expires_at.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('✅ Debe rotar el refresh token dentro de la misma sesión', async () => {
+    const session = await sessions.createSession(user);
+
+    const refreshed = await auth.refreshAccessToken(session.refreshToken);
+
+    expect(refreshed.refreshToken).not.toBe(session.refreshToken);
+    expect(refreshed.accessToken).toBeTruthy();
+
+    const rows = [...repository.rows.values()];
+    expect(rows).toHaveLength(2);
+    expect(rows[0].revoked_reason).toBe('rotated');
+    expect(rows[0].replaced_by).toBe(rows[1].id);
+    expect(rows[1].family_id).toBe(session.sessionId);
+    expect(repository.active()).toHaveLength(1);
+  });
+
+  test('🚨 Reutilizar un token rotado debe revocar toda la familia', async () => {
+    const session = await sessions.createSession(user);
+    const other = await sessions.createSession(user);
+    const refreshed = await auth.refreshAccessToken(session.refreshToken);
+
+    await expect(auth.refreshAccessToken(session.refreshToken)).rejects.toThrow('Refresh token revocado');
+
+    // El token legítimo más reciente también queda revocado; la otra sesión sigue viva
+    await expect(auth.refreshAccessToken(refreshed.refreshToken)).rejects.toThrow('Refresh token revocado');
+    expect(repository.active().map(row => row.family_id)).toEqual([other.sessionId]);
+  });
+
+  test('❌ Debe rechazar tokens desconocidos o mal firmados', async () => {
+    await expect(auth.refreshAccessToken('not-a-jwt')).rejects.toThrow('Refresh token inválido o expirado');
+  });
+
+  test('✅ Logout debe cerrar solo la sesión actual', async () => {
+    const current = await sessions.createSession(user);
+    const other = await sessions.createSession(user);
+
+    const revoked = await auth.logoutUser({ refreshToken: current.refreshToken });
+
+    expect(revoked).toBe(true);
+    expect(repository.active().map(row => row.family_id)).toEqual([other.sessionId]);
+    await expect(auth.refreshAccessToken(current.refreshToken)).rejects.toThrow('Refresh token revocado');
+  });
+
+  test('✅ Logout con allDevices debe cerrar todas las sesiones', async () => {
+    await sessions.createSession(user);
+    await sessions.createSession(user);
+
+    await auth.logoutUser({ userId: user.id, allDevices: true });
+
+    expect(repository.active()).toHaveLength(0);
+  });
+
+  test('✅ Debe listar las sesiones activas marcando la actual', async () => {
+    const first = await sessions.createSession(user, { userAgent: 'Firefox', ipAddress: '10.0.0.1' });
+    const second = await sessions.createSession(user, { userAgent: 'Android', ipAddress: '10.0.0.2' });
+    const rotated = await auth.refreshAccessToken(first.refreshToken);
+
+    const list = await sessions.listSessions(user.id, second.sessionId);
+
+    expect(list.map(session => session.id)).toEqual([first.sessionId, second.sessionId]);
+    expect(list[1]).toMatchObject({ user_agent: 'Android', ip_address: '10.0.0.2', current: true });
+    expect(list[0].current).toBe(false);
+
+    // La sesión rotada conserva su inicio y actualiza el último uso
+    const firstRow = [...repository.rows.values()].find(row => row.token_hash === TokenService.hashToken(first.refreshToken));
+    const rotatedRow = [...repository.rows.values()].find(row => row.token_hash === TokenService.hashToken(rotated.refreshToken));
+    expect(list[0].created_at).toEqual(firstRow.created_at);
+    expect(list[0].last_used_at).toEqual(rotatedRow.created_at);
+  });
+
+  test('✅ Debe revocar una sesión concreta del usuario', async () => {
+    const current = await sessions.createSession(user);
+    const other = await sessions.createSession(user);
+
+    await sessions.revokeUserSession(user.id, other.sessionId);
+
+    expect(await sessions.isSessionActive(other.sessionId)).toBe(false);
+    expect(await sessions.isSessionActive(current.sessionId)).toBe(true);
+    await expect(auth.refreshAccessToken(other.refreshToken)).rejects.toThrow('Refresh token revocado');
+  });
+
+  test('❌ No debe revocar sesiones de otro usuario', async () => {
+    const foreign = await sessions.createSession({ ...user, id: 'u-2' });
+
+    await expect(sessions.revokeUserSession(user.id, foreign.sessionId)).rejects.toThrow('Sesión no encontrada');
+    expect(await sessions.isSessionActive(foreign.sessionId)).toBe(true);
+  });
+
+  test('✅ Cerrar las demás sesiones debe conservar la actual', async () => {
+    const current = await sessions.createSession(user);
+    await sessions.createSession(user);
+    await sessions.createSession(user);
+
+    const revoked = await sessions.revokeAllSessions(user.id, { exceptSessionId: current.sessionId });
+
+    expect(revoked).toBe(2);
+    expect((await sessions.listSessions(user.id)).map(session => session.id)).toEqual([current.sessionId]);
+  });
+});
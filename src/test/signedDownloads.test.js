@@ -0,0 +1,213 @@
+/**
+ * PRUEBAS DE INTEGRACIÓN - DESCARGAS CON URL FIRMADA
+ *
+ * Tests para las descargas de archivos de recursos:
+ * - Los archivos ya no se sirven estáticamente: solo con URLs firmadas (HMAC) que caducan
+ * - Las URLs (y el detalle del recurso) se emiten tras comprobar visibilidad, estado y pertenencia al curso
+ * - La clave de almacenamiento nunca la fija el cliente ni se devuelve en las respuestas
+ * - /api/files rechaza firmas alteradas o caducadas
+ */
+
+import { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { ResourceService } from '../services/ResourceService.js';
+import ResourceValidator from '../validators/ResourceValidator.js';
+import { FileController } from '../controllers/fileController.js';
+import { LocalStorageProvider } from '../patterns/StorageProvider.js';
+import { standardResponse } from '../middleware/responseMiddleware.js';
+import Course from '../models/Course.js';
+import Resource from '../models/Resource.js';
+import { Favorite } from '../models/index.js';
+
+const KEY = 'blobs/ab/examen.pdf';
+const EXAM = 'Examen final de Física I';
+
+// Repositorio de recursos en memoria con lo que usan las descargas
+class InMemoryResourceRepository {
+  constructor(resources) {
+    this.resources = new Map(resources.map(resource => [resource.id, {
+      user_id: 'u-ana', status: 'published', visibility: 'public', file_path: KEY, downloads_count: 0, ...resource
+    }]));
+  }
+
+  async findById(id) {
+    return this.resources.get(id) || null;
+  }
+
+  async incrementDownloads(id) {
+    this.resources.get(id).downloads_count += 1;
+  }
+}
+
+describe('🔏 Pruebas de Descargas con URL Firmada', () => {
+  let root;
+  let storage;
+  let resources;
+  let service;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(standardResponse);
+    app.get('/api/files/*', (req, res, next) => new FileController(storage).serveSignedFile(req, res, next));
+
+    server = await new Promise(resolve => {
+      const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'unishare-downloads-'));
+    storage = new LocalStorageProvider({
+      root,
+      publicBaseUrl: `${baseUrl}/uploads`,
+      signedUrlBase: `${baseUrl}/api/files`,
+      signingSecret: 'secreto-de-pruebas'
+    });
+    await storage.put(KEY, Buffer.from(EXAM));
+
+    resources = new InMemoryResourceRepository([
+      { id: 'r-public', title: 'Examen final' },
+      { id: 'r-private', title: 'Mis apuntes', visibility: 'private' },
+      { id: 'r-draft', title: 'Borrador', status: 'draft', course_id: 'c-fis' },
+      { id: 'r-course', title: 'Solucionario', visibility: 'restricted', course_id: 'c-fis' },
+      { id: 'r-campus', title: 'Guía de la biblioteca', visibility: 'restricted', course_id: null },
+      { id: 'r-link', title: 'Vídeo externo', file_path: null, file_url: 'https://youtu.be/abc' }
+    ]);
+    service = new ResourceService(resources, undefined, undefined, storage, 60);
+    service.enrollmentRepository = {
+      findActiveByUserAndCourse: async (userId, courseId) => (userId === 'u-luis' && courseId === 'c-fis' ? [{ id: 'e-1' }] : [])
+    };
+    jest.spyOn(Course, 'findByPk').mockResolvedValue({ id: 'c-fis', teacher_id: 'u-prof' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('✅ Una URL firmada descarga el archivo como adjunto y caduca', async () => {
+    const download = await service.getDownloadUrl('r-public');
+
+    expect(download.filename).toBe('Examen final.pdf');
+    expect(download.expires_at.getTime() - Date.now()).toBeGreaterThan(55 * 1000);
+    expect(download.url.startsWith(`${baseUrl}/api/files/${KEY}?expires=`)).toBe(true);
+    expect(resources.resources.get('r-public').downloads_count).toBe(1);
+
+    const response = await fetch(download.url);
+    expect(response.status).toBe(200);
+    expect(await response.text()).toBe(EXAM);
+    expect(response.headers.get('content-disposition')).toBe('attachment; filename="Examen final.pdf"');
+    expect(response.headers.get('content-type')).toBe('application/octet-stream');
+  });
+
+  test('🔤 Los nombres con acentos se descargan tal cual, con alternativa ASCII', async () => {
+    const response = await fetch(await storage.signedUrl(KEY, { filename: 'Guía práctica.pdf', expiresIn: 60 }));
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-disposition'))
+      .toBe(`attachment; filename="Guia practica.pdf"; filename*=UTF-8''${encodeURIComponent('Guía práctica.pdf')}`);
+    expect(response.headers.get('content-type')).toBe('application/octet-stream');
+  });
+
+  test('🚫 Firmas alteradas, caducadas o ausentes se rechazan', async () => {
+    const { url } = await service.getDownloadUrl('r-public');
+    const signed = new URL(url);
+
+    const tampered = (name, value) => {
+      const copy = new URL(signed);
+      copy.searchParams.set(name, value);
+      return copy;
+    };
+
+    expect((await fetch(tampered('expires', String(Number(signed.searchParams.get('expires')) + 3600)))).status).toBe(403);
+    expect((await fetch(tampered('filename', 'otro.pdf'))).status).toBe(403);
+    expect((await fetch(url.replace('examen.pdf', 'otro.pdf'))).status).toBe(403);
+    expect((await fetch(`${baseUrl}/api/files/${KEY}`)).status).toBe(403);
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 61 * 1000);
+    expect(storage.verifySignedUrl(KEY, Object.fromEntries(signed.searchParams))).toBe(false);
+  });
+
+  test('🔒 Privados y borradores solo para su autor y quien los modera', async () => {
+    await expect(service.getDownloadUrl('r-private', 'u-luis')).rejects.toMatchObject({ statusCode: 403 });
+    await expect(service.getDownloadUrl('r-draft')).rejects.toMatchObject({ statusCode: 403 });
+    await expect(service.getDownloadUrl('r-missing')).rejects.toMatchObject({ statusCode: 404 });
+
+    await expect(service.getDownloadUrl('r-private', 'u-ana')).resolves.toHaveProperty('url');
+    await expect(service.getDownloadUrl('r-draft', 'u-mod', { scope: { facultyIds: ['f-cie'], categoryIds: [], courseIds: ['c-fis'] } }))
+      .resolves.toHaveProperty('url');
+    await expect(service.getDownloadUrl('r-private', 'u-admin', { scope: null })).resolves.toHaveProperty('url');
+    expect(resources.resources.get('r-private').downloads_count).toBe(2);
+
+    // Un moderador limitado a otra facultad no ve los borradores de fuera de su ámbito
+    await expect(service.getDownloadUrl('r-draft', 'u-mod', { scope: { facultyIds: ['f-med'], categoryIds: [], courseIds: ['c-anat'] } }))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  test('🎓 Restringidos: solo estudiantes y docente del curso, o usuarios con sesión si no tiene curso', async () => {
+    await expect(service.getDownloadUrl('r-course')).rejects.toMatchObject({ statusCode: 403 });
+    await expect(service.getDownloadUrl('r-course', 'u-eva')).rejects.toMatchObject({ statusCode: 403 });
+    await expect(service.getDownloadUrl('r-course', 'u-luis')).resolves.toHaveProperty('url');
+    await expect(service.getDownloadUrl('r-course', 'u-prof')).resolves.toHaveProperty('url');
+
+    await expect(service.getDownloadUrl('r-campus')).rejects.toMatchObject({ statusCode: 403 });
+    await expect(service.getDownloadUrl('r-campus', 'u-eva')).resolves.toHaveProperty('url');
+  });
+
+  test('👁️ El detalle del recurso aplica las mismas reglas que sus archivos', async () => {
+    await expect(service.getResourceById('r-private', 'u-luis')).rejects.toThrow('Access denied');
+    await expect(service.getResourceById('r-draft')).rejects.toThrow('Access denied');
+    await expect(service.getResourceById('r-course', 'u-eva')).rejects.toThrow('Access denied');
+  });
+
+  test('🚫 El cliente no puede apuntar un recurso a un archivo almacenado', () => {
+    const fields = { title: 'Examen copiado', description: 'Descripción del examen copiado', type: 'document' };
+
+    for (const validated of [
+      ResourceValidator.validateCreate({ ...fields, file_path: KEY, file_url: `${baseUrl}/uploads/${KEY}` }),
+      ResourceValidator.validateUpdate({ title: 'Examen copiado', file_path: KEY, file_url: `${baseUrl}/uploads/${KEY}` })
+    ]) {
+      expect(validated).not.toHaveProperty('file_path');
+      expect(validated).not.toHaveProperty('file_url');
+    }
+  });
+
+  test('🔗 Sin archivo almacenado no hay URL firmada', async () => {
+    await expect(service.getDownloadUrl('r-link')).rejects.toMatchObject({ statusCode: 404 });
+    expect(resources.resources.get('r-link').downloads_count).toBe(0);
+  });
+
+  test('🧾 Las respuestas enlazan al endpoint de descarga, no al almacenamiento', () => {
+    const stored = Resource.build({ id: 'r-public', file_path: KEY, file_url: `${baseUrl}/uploads/${KEY}` });
+    const link = Resource.build({ id: 'r-link', file_url: 'https://youtu.be/abc' });
+
+    expect(stored.toJSON().file_url).toBe('/api/resources/r-public/download');
+    expect(link.toJSON().file_url).toBe('https://youtu.be/abc');
+
+    // La clave de almacenamiento no sale del servidor, tampoco anidada en otro modelo
+    const favorite = Favorite.build({ id: 'f-1', resource: { id: 'r-public', file_path: KEY } }, { include: [{ model: Resource, as: 'resource' }] });
+    expect(stored.file_path).toBe(KEY);
+    expect(stored.toJSON()).not.toHaveProperty('file_path');
+    expect(JSON.parse(JSON.stringify(favorite)).resource).toEqual(expect.objectContaining({ file_url: '/api/resources/r-public/download' }));
+    expect(JSON.parse(JSON.stringify(favorite)).resource).not.toHaveProperty('file_path');
+  });
+
+  test('📁 Las rutas antiguas absolutas se firman como clave relativa a la raíz', async () => {
+    resources.resources.get('r-public').file_path = path.join(root, KEY);
+
+    const { url } = await service.getDownloadUrl('r-public');
+
+    expect(url).not.toContain(root);
+    expect(await (await fetch(url)).text()).toBe(EXAM);
+  });
+});
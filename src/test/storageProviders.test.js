@@ -0,0 +1,165 @@
+/**
+ * PRUEBAS DE INTEGRACIÓN - PROVEEDORES DE ALMACENAMIENTO
+ *
+ * Tests para el almacenamiento de archivos detrás de StorageProvider:
+ * - Disco local: put/get/stream/exists/delete y claves que escapan de la raíz
+ * - S3 compatible contra un servidor simulado estilo MinIO que verifica las firmas SigV4
+ * - URLs públicas y prefirmadas, y la fábrica según config/storage.js
+ */
+
+import { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import createStorageProvider, { LocalStorageProvider, S3StorageProvider } from '../patterns/StorageProvider.js';
+import { startMockS3Server } from './mockS3Server.js';
+
+const NOTES = 'Apuntes de Álgebra lineal - espacios vectoriales';
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+describe('🗄️ Pruebas de Proveedores de Almacenamiento', () => {
+  describe('💽 Disco local', () => {
+    let root;
+    let storage;
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'unishare-storage-'));
+      storage = new LocalStorageProvider({ root, publicBaseUrl: 'http://localhost:3001/uploads/' });
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('✅ Guarda, lee, transmite por rangos y borra archivos', async () => {
+      await storage.put('blobs/ab/apuntes.txt', Readable.from([Buffer.from(NOTES)]));
+      await storage.put('avatars/ana.png', Buffer.from('png'));
+
+      expect(fs.readFileSync(path.join(root, 'blobs', 'ab', 'apuntes.txt'), 'utf8')).toBe(NOTES);
+      expect(fs.readdirSync(path.join(root, 'blobs', 'ab'))).toEqual(['apuntes.txt']);
+      expect((await storage.get('blobs/ab/apuntes.txt')).toString()).toBe(NOTES);
+      expect(await readAll(await storage.stream('blobs/ab/apuntes.txt', { start: 0, end: 6 }))).toBe('Apuntes');
+
+      expect(await storage.delete('blobs/ab/apuntes.txt')).toBe(true);
+      expect(await storage.delete('blobs/ab/apuntes.txt')).toBe(false);
+      expect(await storage.exists('blobs/ab/apuntes.txt')).toBe(false);
+      expect(await storage.get('blobs/ab/apuntes.txt')).toBeNull();
+      expect(await storage.stream('blobs/ab/apuntes.txt')).toBeNull();
+    });
+
+    test('🚧 Rechaza claves fuera de la raíz pero acepta rutas antiguas dentro de ella', async () => {
+      await expect(storage.put('../fuera.txt', 'x')).rejects.toThrow('outside the storage root');
+      await expect(storage.get('/etc/passwd')).rejects.toThrow('outside the storage root');
+
+      fs.writeFileSync(path.join(root, 'resource-123.pdf'), 'pdf antiguo');
+      expect((await storage.get(path.join(root, 'resource-123.pdf'))).toString()).toBe('pdf antiguo');
+    });
+
+    test('🔗 URLs públicas y su clave de vuelta', () => {
+      expect(storage.publicUrl('avatars/ana garcía.png')).toBe('http://localhost:3001/uploads/avatars/ana%20garc%C3%ADa.png');
+      expect(storage.keyFromPublicUrl('http://localhost:3001/uploads/avatars/ana%20garc%C3%ADa.png')).toBe('avatars/ana garcía.png');
+      expect(storage.keyFromPublicUrl('https://cdn.example.com/avatar.png')).toBeNull();
+      expect(storage.keyFromPublicUrl(null)).toBeNull();
+    });
+  });
+
+  describe('☁️ S3 compatible', () => {
+    let server;
+    let storage;
+
+    beforeAll(async () => {
+      server = await startMockS3Server();
+    });
+
+    afterAll(async () => {
+      await server.close();
+    });
+
+    beforeEach(() => {
+      server.objects.clear();
+      storage = createStorageProvider({
+        driver: 's3',
+        s3: {
+          endpoint: server.endpoint,
+          region: server.region,
+          bucket: server.bucket,
+          accessKeyId: server.accessKeyId,
+          secretAccessKey: server.secretAccessKey
+        }
+      });
+    });
+
+    test('✅ Sube buffers y streams firmados y los lee de vuelta', async () => {
+      await storage.put('avatars/ana.png', Buffer.from('png'), { contentType: 'image/png' });
+      await storage.put('blobs/ab/apuntes (1).txt', Readable.from([Buffer.from(NOTES)]), {
+        size: Buffer.byteLength(NOTES),
+        contentType: 'text/plain'
+      });
+
+      expect(server.objects.get('avatars/ana.png')).toMatchObject({ contentType: 'image/png' });
+      expect(server.objects.get('blobs/ab/apuntes (1).txt').body.toString()).toBe(NOTES);
+      expect((await storage.get('blobs/ab/apuntes (1).txt')).toString()).toBe(NOTES);
+      expect(await readAll(await storage.stream('blobs/ab/apuntes (1).txt', { start: 0, end: 7 }))).toBe('Apuntes ');
+
+      await expect(storage.put('blobs/sin-tamano.txt', Readable.from(['x']))).rejects.toThrow('options.size');
+    });
+
+    test('🗑️ exists, delete y archivos que no existen', async () => {
+      await storage.put('avatars/ana.png', Buffer.from('png'));
+
+      expect(await storage.exists('avatars/ana.png')).toBe(true);
+      expect(await storage.delete('avatars/ana.png')).toBe(true);
+      expect(await storage.exists('avatars/ana.png')).toBe(false);
+      expect(await storage.get('avatars/ana.png')).toBeNull();
+      expect(await storage.stream('avatars/ana.png')).toBeNull();
+    });
+
+    test('🔏 Las URLs prefirmadas funcionan solo sin alterar y antes de caducar', async () => {
+      await storage.put('blobs/ab/apuntes.txt', Buffer.from(NOTES));
+
+      const url = await storage.signedUrl('blobs/ab/apuntes.txt', { expiresIn: 60, filename: 'Álgebra.txt' });
+      const response = await fetch(url);
+      expect(response.status).toBe(200);
+      expect(await response.text()).toBe(NOTES);
+      expect(response.headers.get('content-disposition')).toBe(`attachment; filename="${encodeURIComponent('Álgebra.txt')}"`);
+
+      expect((await fetch(url.replace('apuntes.txt', 'otro.txt'))).status).toBe(403);
+      expect((await fetch(url.replace('X-Amz-Expires=60', 'X-Amz-Expires=6000'))).status).toBe(403);
+
+      const expired = new URL(url);
+      expired.searchParams.set('X-Amz-Date', '20200101T000000Z');
+      expect((await fetch(expired)).status).toBe(403);
+    });
+
+    test('🔐 Credenciales incorrectas se rechazan', async () => {
+      const intruder = new S3StorageProvider({
+        endpoint: server.endpoint,
+        bucket: server.bucket,
+        accessKeyId: server.accessKeyId,
+        secretAccessKey: 'otra-clave'
+      });
+
+      await expect(intruder.put('avatars/ana.png', Buffer.from('png'))).rejects.toThrow('failed with 403');
+      expect(server.objects.size).toBe(0);
+    });
+
+    test('🔗 URL pública path-style o la base configurada (CDN)', () => {
+      expect(storage.publicUrl('avatars/ana (1).png')).toBe(`${server.endpoint}/unishare/avatars/ana%20%281%29.png`);
+
+      const cdn = new S3StorageProvider({ endpoint: server.endpoint, bucket: 'unishare', publicBaseUrl: 'https://cdn.unishare.edu/' });
+      expect(cdn.publicUrl('avatars/ana.png')).toBe('https://cdn.unishare.edu/avatars/ana.png');
+      expect(cdn.keyFromPublicUrl('https://cdn.unishare.edu/avatars/ana.png')).toBe('avatars/ana.png');
+    });
+  });
+
+  test('🏭 La fábrica crea el proveedor configurado', () => {
+    expect(createStorageProvider({ driver: 'local', local: { root: os.tmpdir() } })).toBeInstanceOf(LocalStorageProvider);
+    expect(() => createStorageProvider({ driver: 'ftp' })).toThrow('Unknown storage driver: ftp');
+  });
+});
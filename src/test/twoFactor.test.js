@@ -0,0 +1,309 @@
+/**
+ * PRUEBAS UNITARIAS - VERIFICACIÓN EN DOS PASOS (TOTP)
+ *
+ * Tests para la autenticación de dos factores:
+ * - Generación y verificación de códigos TOTP (RFC 6238)
+ * - Activación con secreto cifrado y códigos de recuperación de un solo uso
+ * - Login en dos pasos con token de desafío
+ * - Activación obligatoria para los roles configurados
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { TwoFactorService } from '../services/TwoFactorService.js';
+import { AuthService } from '../services/AuthService.js';
+import { LoginProtectionService } from '../services/LoginProtectionService.js';
+import { MemoryCounterStore } from '../patterns/CounterStore.js';
+import JwtService from '../services/JwtService.js';
+import TotpService from '../utils/TotpService.js';
+import TokenService from '../utils/TokenService.js';
+import HashService from '../utils/HashService.js';
+
+const config = {
+  issuer: 'UniShare',
+  requiredRoles: ['admin', 'moderator'],
+  challengeTtlMinutes: 5,
+  recoveryCodeCount: 3,
+  window: 1,
+  encryptionKey: 'test-encryption-key'
+};
+
+const protectionConfig = {
+  account: { freeAttempts: 3, maxAttempts: 10 },
+  ip: { freeAttempts: 10, maxAttempts: 50 },
+  baseDelaySeconds: 2,
+  maxDelaySeconds: 60,
+  lockoutMinutes: 30,
+  windowMinutes: 60
+};
+
+// Repositorio de usuarios en memoria con los métodos que usan AuthService y TwoFactorService
+class InMemoryUserRepository {
+  constructor(users) {
+    this.users = new Map(users.map(user => [user.id, this.withHelpers({ ...user })]));
+  }
+
+  withHelpers(user) {
+    user.toSafeObject = function() {
+      const { password, two_factor_secret, two_factor_recovery_codes, toSafeObject, ...safe } = this;
+      return safe;
+    };
+    return user;
+  }
+
+  // Copias, como filas leídas de la base: dos peticiones en paralelo ven el mismo estado
+  async findById(id) {
+    const user = this.users.get(id);
+    return user ? { ...user } : null;
+  }
+
+  async findByEmail(email) {
+    return [...this.users.values()].find(user => user.email === email) || null;
+  }
+
+  async update(id, data) {
+    Object.assign(this.users.get(id), data);
+    return this.users.get(id);
+  }
+
+  // Actualizaciones condicionales, como el WHERE de UserRepository
+  async claimTwoFactorStep(id, step) {
+    const user = this.users.get(id);
+    if (Number.isInteger(user.two_factor_last_step) && user.two_factor_last_step >= step) {
+      return false;
+    }
+    user.two_factor_last_step = step;
+    return true;
+  }
+
+  async consumeRecoveryCode(id, codeHash) {
+    const user = this.users.get(id);
+    if (!user.two_factor_recovery_codes.includes(codeHash)) {
+      return null;
+    }
+    user.two_factor_recovery_codes = user.two_factor_recovery_codes.filter(stored => stored !== codeHash);
+    return user.two_factor_recovery_codes;
+  }
+
+  async create(data) {
+    const user = this.withHelpers({ id: `u-${this.users.size + 1}`, ...data });
+    this.users.set(user.id, user);
+    return user;
+  }
+
+  async updateLastLogin() {}
+}
+
+class InMemoryAttemptRepository {
+  constructor() {
+    this.rows = [];
+  }
+
+  async create(data) {
+    this.rows.push(data);
+    return data;
+  }
+}
+
+// SessionService que solo cuenta las sesiones abiertas
+class RecordingSessionService {
+  constructor() {
+    this.created = [];
+  }
+
+  async createSession(user) {
+    this.created.push(user.id);
+    return { accessToken: `access-${user.id}`, refreshToken: `refresh-${user.id}` };
+  }
+
+  // Renovación: el refresh token "refresh-<id>" pertenece a la familia "s-<id>"
+  async consumeRefreshToken(refreshToken) {
+    const userId = refreshToken.replace('refresh-', '');
+    return { decoded: { userId, iat: 0 }, record: { family_id: `s-${userId}` }, nextTokenId: 't-2' };
+  }
+
+  async issueTokens(user) {
+    return { accessToken: `access-${user.id}-2`, refreshToken: `refresh-${user.id}-2` };
+  }
+
+  async revokeSession(familyId) {
+    this.revoked = [...(this.revoked || []), familyId];
+  }
+}
+
+const codeAt = (secret, date) => TotpService.generateCode(secret, TotpService.stepAt(date));
+
+describe('🔐 Pruebas de Verificación en Dos Pasos', () => {
+  const now = new Date('2025-05-01T12:00:00Z');
+  let users;
+  let twoFactor;
+  let sessions;
+  let attempts;
+  let auth;
+
+  beforeEach(async () => {
+    const password = await HashService.hashPassword('Clave1234');
+    users = new InMemoryUserRepository([
+      { id: 'u-1', email: 'ana@universidad.edu', role: 'student', status: 'active', password },
+      { id: 'u-2', email: 'admin@universidad.edu', role: 'admin', status: 'active', password }
+    ]);
+    twoFactor = new TwoFactorService(users, JwtService, TotpService, config);
+    sessions = new RecordingSessionService();
+    attempts = new InMemoryAttemptRepository();
+    const protection = new LoginProtectionService(new MemoryCounterStore(), attempts, protectionConfig, { notify: async () => {} });
+    auth = new AuthService(users, null, {}, null, null, sessions, protection, twoFactor);
+  });
+
+  // Activa 2FA para un usuario y devuelve el secreto en claro
+  const enroll = async (userId) => {
+    const { secret } = await twoFactor.beginSetup(userId);
+    const { recoveryCodes } = await twoFactor.enable(userId, codeAt(secret, now), now);
+    return { secret, recoveryCodes };
+  };
+
+  test('✅ Debe generar códigos según el vector de prueba del RFC 6238', () => {
+    // Secreto ASCII "12345678901234567890", T = 59s -> 94287082 (6 dígitos: 287082)
+    const secret = TotpService.base32Encode(Buffer.from('12345678901234567890'));
+
+    expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(TotpService.generateCode(secret, 1)).toBe('287082');
+    expect(TotpService.verify(secret, '287082', new Date(59 * 1000))).toBe(1);
+    expect(TotpService.verify(secret, '287082', new Date(59 * 1000 + 120 * 1000))).toBeNull();
+  });
+
+  test('✅ La configuración debe devolver el URI otpauth y guardar el secreto cifrado', async () => {
+    const { secret, otpauthUrl } = await twoFactor.beginSetup('u-1');
+    const user = users.users.get('u-1');
+
+    expect(otpauthUrl).toMatch(/^otpauth:\/\/totp\/UniShare%3Aana%40universidad\.edu\?secret=/);
+    expect(otpauthUrl).toContain('issuer=UniShare');
+    expect(user.two_factor_secret).not.toContain(secret);
+    expect(TotpService.decryptSecret(user.two_factor_secret, config.encryptionKey)).toBe(secret);
+    expect(user.two_factor_enabled).toBeFalsy();
+  });
+
+  test('✅ Activar debe exigir un código válido y generar códigos de recuperación hasheados', async () => {
+    const { secret } = await twoFactor.beginSetup('u-1');
+
+    await expect(twoFactor.enable('u-1', '000000', now)).rejects.toThrow('Código de verificación inválido');
+
+    const { recoveryCodes } = await twoFactor.enable('u-1', codeAt(secret, now), now);
+    const user = users.users.get('u-1');
+
+    expect(recoveryCodes).toHaveLength(3);
+    expect(recoveryCodes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    expect(user.two_factor_enabled).toBe(true);
+    expect(user.two_factor_recovery_codes).toEqual(recoveryCodes.map(code => TokenService.hashToken(code)));
+  });
+
+  test('🔑 El login debe devolver un desafío y abrir la sesión solo con el código', async () => {
+    const { secret } = await enroll('u-1');
+    const later = new Date(now.getTime() + 60 * 1000);
+
+    const first = await auth.loginUser({ email: 'ana@universidad.edu', password: 'Clave1234' });
+    expect(first).toEqual({ twoFactorRequired: true, challengeToken: expect.any(String) });
+    expect(sessions.created).toHaveLength(0);
+
+    const result = await auth.completeTwoFactorLogin(first.challengeToken, { code: codeAt(secret, later) }, {}, later);
+    expect(result).toMatchObject({ token: 'access-u-1', user: { id: 'u-1' } });
+    expect(result.user.two_factor_secret).toBeUndefined();
+
+    // El mismo código no puede reutilizarse
+    await expect(auth.completeTwoFactorLogin(first.challengeToken, { code: codeAt(secret, later) }, {}, later))
+      .rejects.toThrow('Código de verificación inválido');
+    expect(attempts.rows.at(-1).outcome).toBe('invalid_two_factor');
+  });
+
+  test('🔑 Los códigos de recuperación deben ser de un solo uso', async () => {
+    const { recoveryCodes } = await enroll('u-1');
+    const challengeToken = twoFactor.createChallenge({ id: 'u-1' }, 'login');
+
+    const result = await auth.completeTwoFactorLogin(challengeToken, { recoveryCode: recoveryCodes[1].toUpperCase() }, {}, now);
+    expect(result.recoveryCodesRemaining).toBe(2);
+
+    await expect(auth.completeTwoFactorLogin(challengeToken, { recoveryCode: recoveryCodes[1] }, {}, now))
+      .rejects.toThrow('Código de verificación inválido');
+  });
+
+  test('⚡ Un mismo código enviado en paralelo solo abre una sesión', async () => {
+    const { secret, recoveryCodes } = await enroll('u-1');
+    const later = new Date(now.getTime() + 60 * 1000);
+    const challengeToken = twoFactor.createChallenge({ id: 'u-1' }, 'login');
+
+    const byCode = await Promise.allSettled([1, 2].map(() =>
+      auth.completeTwoFactorLogin(challengeToken, { code: codeAt(secret, later) }, {}, later)));
+    expect(byCode.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+
+    const byRecoveryCode = await Promise.allSettled([1, 2].map(() =>
+      auth.completeTwoFactorLogin(challengeToken, { recoveryCode: recoveryCodes[0] }, {}, later)));
+    expect(byRecoveryCode.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+
+    expect(sessions.created).toHaveLength(2);
+    expect(users.users.get('u-1').two_factor_recovery_codes).toHaveLength(2);
+  });
+
+  test('🛡️ Los roles configurados deben activar 2FA antes de obtener sesión', async () => {
+    const login = await auth.loginUser({ email: 'admin@universidad.edu', password: 'Clave1234' });
+    expect(login).toEqual({ twoFactorSetupRequired: true, challengeToken: expect.any(String) });
+
+    // Un desafío de enrolamiento no sirve como segundo paso de login (ni al revés)
+    await expect(auth.completeTwoFactorLogin(login.challengeToken, { code: '123456' }, {}, now))
+      .rejects.toThrow('Token de verificación inválido o expirado');
+
+    const { secret } = await auth.beginTwoFactorEnrollment(login.challengeToken);
+    const result = await auth.completeTwoFactorEnrollment(login.challengeToken, codeAt(secret, now), {}, now);
+
+    expect(result.recoveryCodes).toHaveLength(3);
+    expect(result.user.two_factor_enabled).toBe(true);
+    expect(sessions.created).toEqual(['u-2']);
+
+    await expect(twoFactor.disable('u-2', { password: 'Clave1234', code: codeAt(secret, now) }, now))
+      .rejects.toThrow('Tu rol requiere la verificación en dos pasos');
+  });
+
+  test('✅ Desactivar debe pedir contraseña y segundo factor', async () => {
+    const { recoveryCodes } = await enroll('u-1');
+
+    await expect(twoFactor.disable('u-1', { password: 'Incorrecta1', recoveryCode: recoveryCodes[0] }, now))
+      .rejects.toThrow('Contraseña o código de verificación inválido');
+
+    await twoFactor.disable('u-1', { password: 'Clave1234', recoveryCode: recoveryCodes[0] }, now);
+
+    const status = await twoFactor.getStatus('u-1');
+    expect(status).toMatchObject({ enabled: false, required: false, recovery_codes_remaining: 0 });
+    expect(users.users.get('u-1').two_factor_secret).toBeNull();
+  });
+
+  test('📝 El registro no permite roles privilegiados y sigue las reglas del login', async () => {
+    const registration = (data) => ({ name: 'Nuevo Usuario', password: 'Clave1234', ...data });
+    const protection = new LoginProtectionService(new MemoryCounterStore(), attempts, protectionConfig, { notify: async () => {} });
+    const emails = { queueEmail: async () => {} };
+    auth = new AuthService(users, emails, { emailVerification: { tokenTtlMinutes: 60 } }, null, null, sessions, protection, twoFactor);
+
+    await expect(auth.registerUser(registration({ email: 'intruso@universidad.edu', role: 'admin' })))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(auth.registerUser(registration({ email: 'intrusa@universidad.edu', role: 'moderator' })))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(auth.registerUser(registration({ email: 'sin-clave@universidad.edu', password: '123' })))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(users.users.size).toBe(2);
+
+    const result = await auth.registerUser(registration({ email: 'luis@universidad.edu' }));
+    expect(result.user).toMatchObject({ email: 'luis@universidad.edu', role: 'student', status: 'pending_verification' });
+    expect(sessions.created).toEqual([result.user.id]);
+
+    // Si la configuración exige 2FA a un rol abierto al registro, se enrola antes de tener sesión
+    twoFactor.config = { ...config, requiredRoles: ['teacher'] };
+    const teacher = await auth.registerUser(registration({ email: 'profe@universidad.edu', role: 'teacher' }));
+    expect(teacher).toEqual({ twoFactorSetupRequired: true, challengeToken: expect.any(String) });
+    expect(sessions.created).toHaveLength(1);
+  });
+
+  test('🔄 Renovar la sesión de un rol con 2FA obligatorio exige tenerla activada', async () => {
+    await expect(auth.refreshAccessToken('refresh-u-2')).rejects.toMatchObject({ statusCode: 401 });
+    expect(sessions.revoked).toEqual(['s-u-2']);
+
+    await enroll('u-2');
+    await expect(auth.refreshAccessToken('refresh-u-2')).resolves.toMatchObject({ accessToken: 'access-u-2-2' });
+    await expect(auth.refreshAccessToken('refresh-u-1')).resolves.toMatchObject({ accessToken: 'access-u-1-2' });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * PRUEBAS DE INTEGRACIÓN - DEDUPLICACIÓN DE ARCHIVOS SUBIDOS
+ *
+ * Tests para la deduplicación por hash de contenido:
+ * - SHA-256 de cada archivo subido, guardado en el recurso
+ * - Almacenamiento direccionado por contenido: archivos iguales se guardan una sola vez
+ * - Duplicados rechazados (409 con enlace al existente) o marcados con duplicate_of
+ * - Informe de grupos de duplicados para administradores
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { ResourceService } from '../services/ResourceService.js';
+import { hashFile } from '../services/uploadService.js';
+import { LocalStorageProvider } from '../patterns/StorageProvider.js';
+import AcademicPeriodRepository from '../repositories/AcademicPeriodRepository.js';
+
+const EXAM = 'Examen final de Física I - enunciado y soluciones';
+
+// Repositorio de recursos en memoria con lo que usan la subida y el borrado
+class InMemoryResourceRepository {
+  constructor() {
+    this.resources = [];
+  }
+
+  async create(data) {
+    const resource = { id: `r-${this.resources.length + 1}`, created_at: new Date(), ...data };
+    this.resources.push(resource);
+    return resource;
+  }
+
+  async findById(id) {
+    return this.resources.find(resource => resource.id === id) || null;
+  }
+
+  async findByContentHash(contentHash) {
+    return this.resources.filter(resource => resource.content_hash === contentHash);
+  }
+
+  async isFileShared(filePath, excludeResourceId = null) {
+    return this.resources.some(resource => resource.file_path === filePath && resource.id !== excludeResourceId);
+  }
+
+  async delete(id) {
+    this.resources = this.resources.filter(resource => resource.id !== id);
+    return true;
+  }
+
+  async findDuplicateClusters() {
+    const byHash = new Map();
+    for (const resource of this.resources) {
+      byHash.set(resource.content_hash, [...(byHash.get(resource.content_hash) || []), resource]);
+    }
+
+    return [...byHash.entries()]
+      .filter(([, resources]) => resources.length > 1)
+      .map(([contentHash, resources]) => ({ content_hash: contentHash, count: resources.length, resources }));
+  }
+}
+
+const noVersions = { findFilePaths: async () => [] };
+
+const metadata = (title) => ({ title, description: 'Examen resuelto del curso de Física I' });
+
+describe('🧬 Pruebas de Deduplicación de Archivos Subidos', () => {
+  let tmpDir;
+  let resources;
+  let storage;
+  let upload;
+
+  // Simula lo que deja multer en disco antes de llamar al servicio
+  const uploadedFile = (content, name = 'examen.pdf') => {
+    const filePath = path.join(tmpDir, `upload-${crypto.randomUUID()}.pdf`);
+    fs.writeFileSync(filePath, content);
+    return { name, size: Buffer.byteLength(content), mimetype: 'application/pdf', path: filePath };
+  };
+
+  const blobFiles = () => fs.readdirSync(path.join(tmpDir, 'storage', 'blobs'), { recursive: true })
+    .filter(entry => entry.endsWith('.pdf'));
+
+  const serviceWith = (policy) => new ResourceService(resources, noVersions, { policy, blobPrefix: 'blobs' }, storage);
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'unishare-dedup-'));
+    resources = new InMemoryResourceRepository();
+    storage = new LocalStorageProvider({ root: path.join(tmpDir, 'storage'), publicBaseUrl: 'http://localhost:3001/uploads' });
+    upload = serviceWith('reject');
+    jest.spyOn(AcademicPeriodRepository, 'findCurrent').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('✅ Archivos iguales comparten un único blob direccionado por su SHA-256', async () => {
+    upload = serviceWith('flag');
+    const expected = crypto.createHash('sha256').update(EXAM).digest('hex');
+    const first = uploadedFile(EXAM, 'examen.PDF');
+    const second = uploadedFile(EXAM);
+
+    expect(await hashFile(first.path)).toBe(expected);
+
+    const original = await upload.uploadResourceWithFile(first, metadata('Examen final Física I'), 'u-ana');
+    const copy = await upload.uploadResourceWithFile(second, metadata('Final de física resuelto'), 'u-ana');
+
+    expect(original.file_path).toBe(`blobs/${expected.slice(0, 2)}/${expected}.pdf`);
+    expect(original.file_url).toBe(`http://localhost:3001/uploads/${original.file_path}`);
+    expect(copy.file_path).toBe(original.file_path);
+    expect(fs.existsSync(first.path) || fs.existsSync(second.path)).toBe(false);
+    expect(blobFiles()).toHaveLength(1);
+  });
+
+  test('🚫 Un duplicado se rechaza con enlace al recurso existente', async () => {
+    const original = await upload.uploadResourceWithFile(uploadedFile(EXAM), metadata('Examen final Física I'), 'u-ana');
+    original.status = 'published';
+
+    const copy = uploadedFile(EXAM, 'final-fisica.pdf');
+    await expect(upload.uploadResourceWithFile(copy, metadata('Final de física resuelto'), 'u-luis'))
+      .rejects.toMatchObject({
+        statusCode: 409,
+        details: { conflictType: 'duplicate_file', resource: { id: original.id, url: `/api/resources/${original.id}` } }
+      });
+
+    expect(fs.existsSync(copy.path)).toBe(false);
+    expect(resources.resources).toHaveLength(1);
+    expect(resources.resources[0].content_hash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('🏷️ Con la política "flag" se acepta y se marca como duplicado', async () => {
+    upload = serviceWith('flag');
+
+    const original = await upload.uploadResourceWithFile(uploadedFile(EXAM), metadata('Examen final Física I'), 'u-ana');
+    const copy = await upload.uploadResourceWithFile(uploadedFile(EXAM), metadata('Final de física resuelto'), 'u-ana');
+
+    expect(copy.duplicate_of).toBe(original.id);
+    expect(copy.file_path).toBe(original.file_path);
+    expect(copy.file_url).toBe(original.file_url);
+    expect(blobFiles()).toHaveLength(1);
+  });
+
+  test('🔒 Un recurso privado ajeno no se delata, pero el blob se comparte igual', async () => {
+    const hidden = await upload.uploadResourceWithFile(uploadedFile(EXAM), { ...metadata('Mis apuntes privados'), visibility: 'private' }, 'u-ana');
+
+    const mine = await upload.uploadResourceWithFile(uploadedFile(EXAM), metadata('Examen final Física I'), 'u-luis');
+
+    expect(mine.duplicate_of).toBeNull();
+    expect(mine.file_path).toBe(hidden.file_path);
+    expect(blobFiles()).toHaveLength(1);
+  });
+
+  test('🗑️ El blob solo se borra cuando ningún recurso lo usa', async () => {
+    upload = serviceWith('flag');
+    const first = await upload.uploadResourceWithFile(uploadedFile(EXAM), metadata('Examen final Física I'), 'u-ana');
+    const second = await upload.uploadResourceWithFile(uploadedFile(EXAM), metadata('Final de física resuelto'), 'u-luis');
+
+    await upload.deleteResource(first.id, 'u-ana');
+    expect(await storage.exists(second.file_path)).toBe(true);
+
+    await upload.deleteResource(second.id, 'u-luis');
+    expect(await storage.exists(second.file_path)).toBe(false);
+  });
+
+  test('🗑️ Un recurso ajeno solo lo borra quien tiene delete_resources', async () => {
+    const resource = await upload.uploadResourceWithFile(uploadedFile(EXAM), metadata('Examen final Física I'), 'u-ana');
+
+    await expect(upload.deleteResource(resource.id, 'u-luis')).rejects.toThrow('Access denied');
+    expect(await storage.exists(resource.file_path)).toBe(true);
+
+    await upload.deleteResource(resource.id, 'u-admin', true);
+    expect(await storage.exists(resource.file_path)).toBe(false);
+  });
+
+  test('📊 El informe agrupa los recursos con el mismo archivo', async () => {
+    upload = serviceWith('flag');
+    await upload.uploadResourceWithFile(uploadedFile(EXAM), metadata('Examen final Física I'), 'u-ana');
+    await upload.uploadResourceWithFile(uploadedFile(EXAM), metadata('Final de física resuelto'), 'u-luis');
+    await upload.uploadResourceWithFile(uploadedFile(EXAM), metadata('Física I - final 2025'), 'u-eva');
+    await upload.uploadResourceWithFile(uploadedFile('Otro examen distinto'), metadata('Parcial de Química'), 'u-eva');
+
+    const report = await upload.getDuplicateReport();
+
+    expect(report.total_clusters).toBe(1);
+    expect(report.duplicate_resources).toBe(2);
+    expect(report.clusters[0].resources.map(resource => resource.title)).toEqual([
+      'Examen final Física I', 'Final de física resuelto', 'Física I - final 2025'
+    ]);
+  });
+});
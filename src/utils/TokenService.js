@@ -0,0 +1,33 @@
+// 🎟️ Token Service - Random one-time tokens (email verification, password reset, ...)
+// Following Single Responsibility Principle - Only generates and hashes opaque tokens
+
+import crypto from 'crypto';
+
+class TokenService {
+  constructor() {
+    this.defaultBytes = 32;
+  }
+
+  // Generate a URL-safe random token
+  generateToken(bytes = this.defaultBytes) {
+    return crypto.randomBytes(bytes).toString('hex');
+  }
+
+  // Hash a token before storing it so a database leak doesn't expose usable tokens
+  hashToken(token) {
+    if (!token) {
+      throw new Error('Token is required for hashing');
+    }
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  // Compare two hex digests in constant time
+  safeEqual(a, b) {
+    if (!a || !b || a.length !== b.length) {
+      return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+  }
+}
+
+export default new TokenService();
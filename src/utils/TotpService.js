@@ -0,0 +1,128 @@
+// ⏱️ TOTP Service - Time-based one-time passwords (RFC 6238) for two-factor authentication
+// Following Single Responsibility Principle - Only generates/verifies codes and protects secrets
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TotpService {
+  constructor({ digits = 6, period = 30, secretBytes = 20 } = {}) {
+    this.digits = digits;
+    this.period = period;
+    this.secretBytes = secretBytes;
+  }
+
+  // Random shared secret, base32 encoded as authenticator apps expect
+  generateSecret(bytes = this.secretBytes) {
+    return this.base32Encode(crypto.randomBytes(bytes));
+  }
+
+  base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) {
+      bits += byte.toString(2).padStart(8, '0');
+    }
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+      output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+  }
+
+  base32Decode(input) {
+    const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+
+    let bits = '';
+    for (const char of clean) {
+      const value = BASE32_ALPHABET.indexOf(char);
+      if (value === -1) {
+        throw new Error('Invalid base32 secret');
+      }
+      bits += value.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+      bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+  }
+
+  // Time step a moment falls in
+  stepAt(now = new Date()) {
+    return Math.floor(now.getTime() / 1000 / this.period);
+  }
+
+  // HOTP (RFC 4226) for one time step
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** this.digits).padStart(this.digits, '0');
+  }
+
+  /**
+   * Check a code against the current step and `window` steps around it (clock drift)
+   * @returns {number|null} Matching step, so callers can reject replays; null when invalid
+   */
+  verify(secret, code, now = new Date(), window = 1) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${this.digits}}$`).test(normalized)) {
+      return null;
+    }
+
+    const current = this.stepAt(now);
+    for (let offset = -window; offset <= window; offset++) {
+      const step = current + offset;
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  // otpauth:// URI rendered as a QR code by the frontend
+  buildOtpAuthUrl({ secret, accountName, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.period)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  // Secrets must be readable to verify codes, so they are encrypted (AES-256-GCM) instead of hashed
+  encryptSecret(secret, key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.deriveKey(key), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+  }
+
+  decryptSecret(payload, key) {
+    const [iv, tag, encrypted] = String(payload).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.deriveKey(key), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  deriveKey(key) {
+    if (!key) {
+      throw new Error('Encryption key is required');
+    }
+    return crypto.createHash('sha256').update(String(key)).digest();
+  }
+}
+
+export default new TotpService();
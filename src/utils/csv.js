@@ -0,0 +1,96 @@
+// CSV parsing for admin imports (RFC 4180: quoted fields, escaped quotes, CRLF)
+
+const detectDelimiter = (headerLine) => {
+    const commas = (headerLine.match(/,/g) || []).length;
+    const semicolons = (headerLine.match(/;/g) || []).length;
+    // Spreadsheets in Spanish locales export with ';'
+    return semicolons > commas ? ';' : ',';
+};
+
+/**
+ * Split CSV text into records of raw fields.
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {Array<{ line: number, fields: string[] }>} line is 1-based, where the record starts
+ */
+const tokenize = (text, delimiter) => {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            fields.push(field);
+            records.push({ line: recordLine, fields });
+            fields = [];
+            field = '';
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error(`Comillas sin cerrar en la línea ${recordLine}`);
+    }
+
+    if (field !== '' || fields.length > 0) {
+        fields.push(field);
+        records.push({ line: recordLine, fields });
+    }
+
+    return records;
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by the (lower-cased) header.
+ * Blank lines are skipped.
+ * @param {string} text - CSV content
+ * @returns {{ headers: string[], rows: Array<{ line: number, data: Object }> }}
+ */
+export const parseCsv = (text) => {
+    const content = String(text || '').replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0] || '';
+    const records = tokenize(content, detectDelimiter(firstLine))
+        .filter(record => record.fields.some(value => value.trim() !== ''));
+
+    if (records.length === 0) {
+        return { headers: [], rows: [] };
+    }
+
+    const headers = records[0].fields.map(header => header.trim().toLowerCase());
+
+    const rows = records.slice(1).map(({ line, fields }) => ({
+        line,
+        data: Object.fromEntries(headers.map((header, index) => [header, (fields[index] || '').trim()]))
+    }));
+
+    return { headers, rows };
+};
+
+export default parseCsv;
@@ -92,6 +92,15 @@ class ForbiddenError extends BaseError {
   }
 }
 
+/**
+ * Error de archivo o petición demasiado grande
+ */
+class PayloadTooLargeError extends BaseError {
+  constructor(message = 'El archivo es demasiado grande', maxSize = null) {
+    super(message, 413, 'PAYLOAD_TOO_LARGE', { maxSize });
+  }
+}
+
 /**
  * Error de límite de tasa (rate limiting)
  */
@@ -234,6 +243,7 @@ export {
   ConflictError,
   UnauthorizedError,
   ForbiddenError,
+  PayloadTooLargeError,
   RateLimitError,
   InternalServerError,
   DatabaseError,
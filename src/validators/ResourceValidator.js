@@ -54,19 +54,6 @@ class ResourceValidationStrategy {
         'string.max': 'El formato no puede exceder 50 caracteres'
       }),
 
-    file_url: Joi.string()
-      .allow('')
-      .messages({
-        'string.empty': 'La URL del archivo puede estar vacía'
-      }),
-
-    file_path: Joi.string()
-      .max(500)
-      .allow('')
-      .messages({
-        'string.max': 'La ruta del archivo no puede exceder 500 caracteres'
-      }),
-
     file_size: Joi.number()
       .integer()
       .min(0)
@@ -152,6 +139,13 @@ class ResourceValidationStrategy {
         'string.guid': 'El ID del curso debe ser un UUID válido'
       }),
 
+    academic_period_id: Joi.string()
+      .uuid()
+      .allow(null)
+      .messages({
+        'string.guid': 'El ID del período académico debe ser un UUID válido'
+      }),
+
     faculty_id: Joi.string()
       .uuid()
       .allow(null)
@@ -221,19 +215,6 @@ class ResourceValidationStrategy {
         'string.max': 'El formato no puede exceder 50 caracteres'
       }),
 
-    file_url: Joi.string()
-      .allow('')
-      .messages({
-        'string.empty': 'La URL del archivo puede estar vacía'
-      }),
-
-    file_path: Joi.string()
-      .max(500)
-      .allow('')
-      .messages({
-        'string.max': 'La ruta del archivo no puede exceder 500 caracteres'
-      }),
-
     file_size: Joi.number()
       .integer()
       .min(0)
@@ -314,6 +295,13 @@ class ResourceValidationStrategy {
         'string.guid': 'El ID del curso debe ser un UUID válido'
       }),
 
+    academic_period_id: Joi.string()
+      .uuid()
+      .allow(null)
+      .messages({
+        'string.guid': 'El ID del período académico debe ser un UUID válido'
+      }),
+
     faculty_id: Joi.string()
       .uuid()
       .allow(null)
@@ -366,6 +354,14 @@ class ResourceValidationStrategy {
       .max(200)
       .allow(''),
 
+    academic_period_id: Joi.string()
+      .uuid()
+      .allow(''),
+
+    // Only resources of the courses the user is enrolled in (pinned first)
+    my_courses: Joi.boolean()
+      .default(false),
+
     sort: Joi.string()
       .valid('created_at', 'updated_at', 'title', 'views_count', 'likes_count')
       .default('created_at'),
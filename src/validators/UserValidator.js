@@ -2,6 +2,45 @@
 // Following Strategy Pattern and consistent validation structure
 
 import Joi from 'joi';
+import {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_EVENT_TYPES,
+  SUPPORTED_LANGUAGES,
+  DIGEST_FREQUENCIES
+} from '../config/notificationPreferences.js';
+
+// Per-event channel switches: { inapp: true, email: false, ... }
+const channelSwitchesSchema = Joi.object(
+  Object.fromEntries(NOTIFICATION_CHANNELS.map(channel => [channel, Joi.boolean()]))
+);
+
+// Second factor fields shared by the two-factor schemas
+const totpCodeSchema = Joi.string()
+  .pattern(/^\d{6}$/)
+  .messages({
+    'string.empty': 'El código de verificación es requerido',
+    'any.required': 'El código de verificación es requerido',
+    'string.pattern.base': 'El código de verificación debe tener 6 dígitos'
+  });
+
+const recoveryCodeSchema = Joi.string()
+  .trim()
+  .max(32)
+  .messages({
+    'string.empty': 'El código de recuperación es requerido'
+  });
+
+const challengeTokenSchema = Joi.string()
+  .required()
+  .messages({
+    'string.empty': 'El token de verificación es requerido',
+    'any.required': 'El token de verificación es requerido'
+  });
+
+const secondFactorMessages = {
+  'object.missing': 'Debes enviar un código de verificación o un código de recuperación',
+  'object.xor': 'Envía solo un código de verificación o un código de recuperación'
+};
 
 class UserValidator {
   // Validation schema for user registration
@@ -34,20 +73,27 @@ class UserValidator {
         'string.pattern.base': 'La contraseña debe contener al menos una mayúscula, una minúscula y un número'
       }),
 
+    first_name: Joi.string().max(50).optional(),
+    last_name: Joi.string().max(50).optional(),
+
+    // Admins and moderators are appointed, not self-registered
     role: Joi.string()
-      .valid('student', 'teacher', 'admin')
-      .default('student'),
+      .valid('student', 'teacher')
+      .default('student')
+      .messages({
+        'any.only': 'El rol debe ser: student, teacher'
+      }),
 
     student_id: Joi.string()
       .when('role', {
         is: 'student',
-        then: Joi.required(),
-        otherwise: Joi.optional()
+        then: Joi.optional(),
+        otherwise: Joi.forbidden()
       }),
 
     employee_id: Joi.string()
       .when('role', {
-        is: Joi.valid('teacher', 'admin'),
+        is: 'teacher',
         then: Joi.optional(),
         otherwise: Joi.forbidden()
       }),
@@ -94,6 +140,27 @@ class UserValidator {
       })
   });
 
+  // Validation schema for password reset (token from the emailed link)
+  static resetPasswordSchema = Joi.object({
+    token: Joi.string()
+      .required()
+      .messages({
+        'string.empty': 'El token es requerido',
+        'any.required': 'El token es requerido'
+      }),
+
+    password: Joi.string()
+      .min(6)
+      .pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)'))
+      .required()
+      .messages({
+        'string.empty': 'La nueva contraseña es requerida',
+        'any.required': 'La nueva contraseña es requerida',
+        'string.min': 'La nueva contraseña debe tener al menos 6 caracteres',
+        'string.pattern.base': 'La nueva contraseña debe contener al menos una mayúscula, una minúscula y un número'
+      })
+  });
+
   // Validation schema for profile update
   static updateProfileSchema = Joi.object({
     name: Joi.string()
@@ -110,6 +177,71 @@ class UserValidator {
     position: Joi.string().optional()
   });
 
+  // Validation schema for User.preferences (GET/PUT /api/users/settings)
+  static preferencesSchema = Joi.object({
+    language: Joi.string()
+      .valid(...SUPPORTED_LANGUAGES)
+      .messages({
+        'any.only': `El idioma debe ser uno de: ${SUPPORTED_LANGUAGES.join(', ')}`
+      }),
+
+    digest: Joi.object({
+      frequency: Joi.string()
+        .valid(...DIGEST_FREQUENCIES)
+        .messages({
+          'any.only': `La frecuencia del resumen debe ser una de: ${DIGEST_FREQUENCIES.join(', ')}`
+        })
+    }),
+
+    notifications: Joi.object(
+      Object.fromEntries(Object.keys(NOTIFICATION_EVENT_TYPES).map(type => [type, channelSwitchesSchema]))
+    ).messages({
+      'object.unknown': 'Tipo de notificación desconocido: {{#label}}'
+    })
+  }).required().messages({
+    'any.required': 'Las preferencias son requeridas',
+    'object.unknown': 'Preferencia desconocida: {{#label}}'
+  });
+
+  // Validation schemas for two-factor authentication, by operation
+  static twoFactorSchemas = {
+    // Second login step
+    login: Joi.object({
+      challengeToken: challengeTokenSchema,
+      code: totpCodeSchema,
+      recoveryCode: recoveryCodeSchema
+    }).xor('code', 'recoveryCode').messages(secondFactorMessages),
+
+    // Mandatory enrollment during login
+    enrollChallenge: Joi.object({
+      challengeToken: challengeTokenSchema
+    }),
+
+    enroll: Joi.object({
+      challengeToken: challengeTokenSchema,
+      code: totpCodeSchema.required()
+    }),
+
+    // Enrollment confirmation from an authenticated session
+    enable: Joi.object({
+      code: totpCodeSchema.required()
+    }),
+
+    disable: Joi.object({
+      password: Joi.string().required().messages({
+        'string.empty': 'La contraseña es requerida',
+        'any.required': 'La contraseña es requerida'
+      }),
+      code: totpCodeSchema,
+      recoveryCode: recoveryCodeSchema
+    }).xor('code', 'recoveryCode').messages(secondFactorMessages),
+
+    secondFactor: Joi.object({
+      code: totpCodeSchema,
+      recoveryCode: recoveryCodeSchema
+    }).xor('code', 'recoveryCode').messages(secondFactorMessages)
+  };
+
   // Validate registration data
   static validateRegistration(userData) {
     const { error, value } = this.registrationSchema.validate(userData, {
@@ -169,6 +301,80 @@ class UserValidator {
 
     return value;
   }
+
+  // Validate password reset - returns { isValid, errors, data }
+  static validateResetPassword(resetData) {
+    const { error, value } = this.resetPasswordSchema.validate(resetData, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        })),
+        data: null
+      };
+    }
+
+    return {
+      isValid: true,
+      errors: [],
+      data: value
+    };
+  }
+
+  // Validate a two-factor request (see twoFactorSchemas) - returns { isValid, errors, data }
+  static validateTwoFactor(operation, data) {
+    const { error, value } = this.twoFactorSchemas[operation].validate(data || {}, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        })),
+        data: null
+      };
+    }
+
+    return {
+      isValid: true,
+      errors: [],
+      data: value
+    };
+  }
+
+  // Validate preferences - returns { isValid, errors, data } like the other settings validators
+  static validatePreferences(preferences) {
+    const { error, value } = this.preferencesSchema.validate(preferences, {
+      abortEarly: false
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        })),
+        data: null
+      };
+    }
+
+    return {
+      isValid: true,
+      errors: [],
+      data: value
+    };
+  }
 }
 
 export default UserValidator;
\ No newline at end of file